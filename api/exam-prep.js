@@ -17,18 +17,34 @@ const {
   getOrCreateUserState,
   trackManyState,
   persistUserState,
+  saveSessionRecord,
 } = require("../lib/core/state");
 const { ManyCompatResponse } = require("../lib/core/responses");
 const { detectDeviceType } = require("../lib/utils/device-detection");
 const {
   SUBJECT_PROBING_DATABASE,
   checkSubjectAvailability,
+  normalizeGrade,
+  resolveCapsGrade,
   getCapsTopics,
   getCapsSubtopics,
 } = require("../lib/data/subject-database");
+const { resolveTopicQuery } = require("../lib/data/topic-search");
 const {
   generateExamQuestions,
 } = require("../lib/features/exam-prep/questions");
+const { gradeAnswer, VERDICTS } = require("../lib/features/exam-prep/marking");
+const mockExam = require("../lib/features/exam-prep/mock-exam");
+const mastery = require("../lib/features/exam-prep/mastery");
+const reviewQueue = require("../lib/features/exam-prep/review-queue");
+const diagnostics = require("../lib/features/exam-prep/diagnostics");
+const mcq = require("../lib/features/exam-prep/mcq");
+const structured = require("../lib/features/exam-prep/structured-questions");
+const solutionSteps = require("../lib/features/exam-prep/solution-steps");
+const hintLadder = require("../lib/features/exam-prep/hint-ladder");
+const misconceptions = require("../lib/features/exam-prep/misconceptions");
+const sessionReport = require("../lib/features/exam-prep/session-report");
+const questionLedger = require("../lib/features/exam-prep/question-ledger");
 const {
   formatResponseWithEnhancedSeparation,
 } = require("../lib/utils/formatting");
@@ -128,7 +144,28 @@ const MENU = `1️⃣ 📚 View solution
 4️⃣ 📈 Harder questions
 5️⃣ 📉 Easier questions  
 6️⃣ 🔄 Change topic
-7️⃣ 🏠 Main menu`;
+7️⃣ 🏠 Main menu
+8️⃣ 📊 My weakest subtopics
+
+✍️ Or type your answer (e.g. "x = 5") to get it marked`;
+
+// Answer line for multiple-choice items / offer shown under typed questions
+const MCQ_ANSWER_LINE = `🔤 Reply A, B, C or D to answer • "typed" for open questions`;
+const MCQ_OFFER_LINE = `🔤 Reply *MCQ* for multiple-choice questions`;
+
+// Answer line while a solution is being revealed step by step
+const STEP_ANSWER_LINE = `➡️ "next step" • ✍️ type the next step yourself • "full" for the rest`;
+
+const PLACEMENT_OFFER = `\n\n🧭 Not sure where to start? Reply *P* for a quick placement check (2–4 questions).`;
+
+// Placement check menu (free-text answers)
+const PLACEMENT_MENU = `✍️ Type your answer
+⏭️ "skip" if you haven't learnt this yet
+🛑 "stop" to pick a sub-topic yourself`;
+
+// Mock exam menu (answers are free text, so commands are words not numbers)
+const MOCK_MENU = `✍️ Type your answer (one line per sub-question)
+⏭️ "skip" • ⏱️ "time" • ⏸️ "pause" • 🏁 "submit"`;
 
 // Helper functions (preserved from existing implementation)
 function pickNumber(text, max) {
@@ -163,7 +200,11 @@ function numberToEmoji(n) {
 
 function pickTopicEmoji(topicLabel = "") {
   const t = topicLabel.toLowerCase();
-  if (/(algebra|equation|expression|sequence|series|function|graph)/.test(t))
+  if (
+    /(algebra|equation|expression|sequence|series|function|graph|calculus)/.test(
+      t
+    )
+  )
     return "🧮";
   if (/(trig|triangle|geometry|circle|angle|pythag)/.test(t)) return "📐";
   if (/(probab|stat|data|venn|mean|median|mode|deviation)/.test(t)) return "📊";
@@ -210,13 +251,208 @@ function getDifficulty(level = 0) {
   return { key: "expert", label: "Expert", description: "Master level" };
 }
 
-function updateProgression(m, action) {
-  m.progression = m.progression ?? 0;
-  if (action === "harder") m.progression = Math.min(3, m.progression + 1);
-  if (action === "easier") m.progression = Math.max(0, m.progression - 1);
-  if (action === "next" && !m.lastHelpUsed)
-    m.progression = Math.min(3, m.progression + 1);
-  if (action === "hint" || action === "solution") m.lastHelpUsed = true;
+function masteryContext(m) {
+  return {
+    subject: m.subject || "Mathematics",
+    grade: m.grade || 10,
+    topic: m.topic,
+    subtopic: m.subtopic || m.topic,
+  };
+}
+
+// Difficulty level = mastery recommendation + this session's harder/easier
+function syncLevel(user) {
+  const m = user.context.examTopicPractice;
+  const entry = mastery.getMastery(user.preferences.mastery, masteryContext(m));
+  const base = mastery.recommendLevel(entry);
+  m.progression = Math.max(0, Math.min(3, base + (m.levelOffset || 0)));
+  m.levelOffset = m.progression - base;
+  return m.progression;
+}
+
+// One mastery update per question: the first marked answer, or opening the
+// solution before answering. Hints lower the credit of that answer; a
+// step-by-step walk-through ("steps") earns credit only for the steps the
+// student worked out.
+function updateProgression(user, action) {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+  user.preferences.mastery = user.preferences.mastery || {};
+
+  if (m.session) sessionReport.recordAction(m.session, action);
+  if (action === "harder") m.levelOffset = (m.levelOffset || 0) + 1;
+  if (action === "easier") m.levelOffset = (m.levelOffset || 0) - 1;
+  if (action === "hint" || action === "solution") {
+    m.lastHelpUsed = true;
+    if (q && action === "hint") q.hintUsed = true;
+  }
+
+  const marked = [VERDICTS.CORRECT, VERDICTS.PARTIAL, VERDICTS.INCORRECT];
+  const counts =
+    marked.includes(action) || action === "solution" || action === "steps";
+  if (q && counts && !q.masteryRecorded) {
+    q.masteryRecorded = true;
+    const stepHelp = q.stepProgress
+      ? solutionSteps.helpShare(q.stepProgress)
+      : 0;
+    if (action === "steps") {
+      updateReviewQueue(user, stepHelp >= 0.5 ? "solution" : VERDICTS.PARTIAL);
+    } else {
+      updateReviewQueue(user, action);
+    }
+    const entry = mastery.recordOutcome(
+      user.preferences.mastery,
+      masteryContext(m),
+      {
+        verdict: action === "steps" ? VERDICTS.CORRECT : action,
+        level: q.level ?? (m.progression || 0),
+        hintUsed: Boolean(q.hintUsed),
+        solutionViewed:
+          action === "solution" || (action === "steps" && stepHelp >= 1),
+        stepHelp,
+      }
+    );
+    analyticsModule
+      .trackEvent(user.id, "mastery_updated", {
+        subject: m.subject,
+        grade: m.grade,
+        subtopic: m.subtopic,
+        outcome: action,
+        step_help: stepHelp,
+        mastery: mastery.masteryPercent(entry),
+        attempts: entry.attempts,
+      })
+      .catch(() => {});
+  }
+
+  return syncLevel(user);
+}
+
+// Missed questions join the review queue; review items are rescheduled
+function updateReviewQueue(user, action) {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+  const queue = (user.preferences.review_queue =
+    user.preferences.review_queue || []);
+
+  if (q.reviewId) {
+    const quality = reviewQueue.qualityFromOutcome(action, {
+      hintUsed: Boolean(q.hintUsed),
+    });
+    reviewQueue.scheduleReview(queue, q.reviewId, quality);
+    analyticsModule
+      .trackEvent(user.id, "review_completed", {
+        subject: m.subject,
+        subtopic: m.subtopic,
+        quality,
+      })
+      .catch(() => {});
+    return;
+  }
+
+  if (action === VERDICTS.INCORRECT || action === "solution") {
+    reviewQueue.addReviewItem(
+      queue,
+      q,
+      masteryContext(m),
+      action === "solution" ? "solution" : "incorrect"
+    );
+  }
+}
+
+// Next due review item for this session (null once the session list is done)
+function takeReviewItem(user) {
+  const m = user.context.examTopicPractice;
+  const queue = user.preferences.review_queue || [];
+  while (m.review && m.review.index < m.review.ids.length) {
+    const id = m.review.ids[m.review.index++];
+    const item = queue.find((it) => it.id === id);
+    if (item) return item;
+  }
+  if (m.review) m.review = null;
+  return null;
+}
+
+// Same welcome menu as showWelcomeMenu in api/index.js
+function welcomeMenuText(user) {
+  const reviewLine = reviewQueue.reviewMenuLine(user.preferences.review_queue);
+  return `*Welcome to The GOAT.* I'm here help you study with calm and clarity.
+
+*What do you need right now?*
+
+1️⃣ 📝 Topic Practice Questions
+2️⃣ 📚 Homework Help 🫶 ⚡  
+3️⃣ 🧮 Tips & Hacks${reviewLine ? `\n${reviewLine}` : ""}
+
+Just pick a number! ✨`;
+}
+
+// Menu under a question: A–D answer line for multiple-choice items, the
+// current sub-question for multi-part items
+function questionMenu(user, q) {
+  if (inWalkThrough(q)) return MENU.replace(/✍️.*$/, STEP_ANSWER_LINE);
+  if (q && q.mcq) return MENU.replace(/✍️.*$/, MCQ_ANSWER_LINE);
+  if (q && q.structure) {
+    const part = structured.currentPart(q);
+    return part
+      ? MENU.replace(
+          /✍️.*$/,
+          `✍️ Type your answer to ${part.label} • "skip" to move on`
+        )
+      : MENU.replace(/\n\n✍️.*$/, "");
+  }
+  return user.preferences.question_format === "mcq"
+    ? MENU
+    : `${MENU}\n${MCQ_OFFER_LINE}`;
+}
+
+// Give an existing question (review item, format switch) the chosen format
+function matchQuestionFormat(user, q) {
+  const m = user.context.examTopicPractice;
+  if (user.preferences.question_format !== "mcq") {
+    delete q.mcq;
+  } else if (!q.mcq && !q.structure) {
+    const options = mcq.buildMultipleChoice(q, {
+      specific_failure: m.subtopic,
+    });
+    if (options) q.mcq = options;
+  }
+  return q;
+}
+
+async function setQuestionFormat(user, format) {
+  const m = user.context.examTopicPractice;
+  user.preferences.question_format = format;
+  if (m.current_question) matchQuestionFormat(user, m.current_question);
+
+  analyticsModule
+    .trackEvent(user.id, "question_format_changed", {
+      format,
+      subject: m.subject,
+      subtopic: m.subtopic,
+    })
+    .catch(() => {});
+
+  const lead =
+    format === "mcq"
+      ? "🔤 Multiple-choice on: questions come with options A–D where the answer allows it.\n\n"
+      : "✍️ Typed answers on.\n\n";
+  return await ensureQuestion(user, false, lead);
+}
+
+// Fresh practice run on the chosen subtopic (optionally at a placed level)
+async function startSubtopicPractice(user, { level, lead = "" } = {}) {
+  const m = user.context.examTopicPractice;
+  m.stage = "loop";
+  m.q_index = 0;
+  m.current_question = null;
+  m.levelOffset = 0;
+  const base = syncLevel(user);
+  if (Number.isInteger(level)) {
+    m.levelOffset = level - base;
+    syncLevel(user);
+  }
+  return await ensureQuestion(user, true, lead);
 }
 
 // Headers for UI consistency
@@ -243,44 +479,144 @@ function questionBanner(index = 1, deviceType = "mobile") {
 }
 
 // Intent detection functions
+// Free text in the loop is an answer, so commands must be the whole message
+// ("menu", "next question please"), never a word inside a written answer
+function isCommand(text, pattern) {
+  const t = (text || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[.!?]+$/, "")
+    .replace(/\s+please$/, "")
+    .trim();
+  return new RegExp(`^(?:${pattern})$`).test(t);
+}
+
 function wantsSolution(text) {
-  const t = (text || "").toLowerCase();
-  return t === "1" || t.includes("solution") || t.includes("answer");
+  return isCommand(
+    text,
+    "1|solution|answers?|memo|(show|view|see)( me)?( the)? (solution|answers?|memo)"
+  );
 }
 
 function wantsHint(text) {
-  const t = (text || "").toLowerCase();
-  return t === "2" || t.includes("hint");
+  return isCommand(text, "2|hints?|(give me |i need )?(a |another )hint");
 }
 
 function wantsNext(text) {
-  const t = (text || "").toLowerCase();
-  return t === "3" || t.includes("next");
+  return isCommand(text, "3|next|next (one|question)|new question");
 }
 
 function wantsHarder(text) {
-  const t = (text || "").toLowerCase();
-  return t === "4" || /harder|advance|tougher|difficult/.test(t);
+  return isCommand(
+    text,
+    "4|harder|tougher|harder questions?|(more )?advanced|more difficult|make it harder"
+  );
 }
 
 function wantsEasier(text) {
-  const t = (text || "").toLowerCase();
-  return t === "5" || /easier|simpler|basic|foundation/.test(t);
+  return isCommand(
+    text,
+    "5|easier|simpler|basic|foundation|easier questions?|make it easier"
+  );
 }
 
 function wantsChangeTopic(text) {
-  return /change\s*topic|^6$/.test((text || "").toLowerCase());
+  return isCommand(text, "6|change ?topic|(new|different|another) topic");
 }
 
 function wantsExit(text) {
-  return /menu|main|^7$/.test((text || "").toLowerCase());
+  return isCommand(text, "7|menu|main|main menu|home|exit|quit");
+}
+
+function wantsPlacement(text) {
+  return /^\s*p\s*$|placement/i.test(text || "");
+}
+
+function wantsWeakest(text) {
+  return isCommand(
+    text,
+    "8|weak(est)?|(my )?weakest( subtopics| topics)?|(my )?progress|(my )?mastery"
+  );
+}
+
+function wantsMcqMode(text) {
+  return /^\s*(mcq|abcd|multiple[\s-]*choice)\s*$/i.test(text || "");
+}
+
+function wantsTypedMode(text) {
+  return /^\s*(typed|open|open[\s-]*ended)\s*$/i.test(text || "");
+}
+
+function wantsMockExam(text) {
+  return /\b(mock|class test|exam paper|timed paper)\b/i.test(text || "");
+}
+
+function wantsResume(text) {
+  return /^\s*(resume|continue)\b/i.test(text || "");
+}
+
+function wantsSubmit(text) {
+  return /^\s*(submit|finish|end exam)\b/i.test(text || "");
+}
+
+// "ans 5", "answer: x = 5", "my answer is 12" → the answer part. A bare
+// "answer"/"answers" or "answer please" asks for the solution instead.
+function explicitAnswer(text) {
+  const m = (text || "").match(
+    /^\s*(?:my\s+)?(?:answer|ans)\b\s*(?:is\b)?\s*[:=\-]?\s*(\S.*)$/i
+  );
+  if (!m) return null;
+  const answer = m[1].trim();
+  return /^((please|pls|plz|now|me|it)\b\s*)+[.!?]*$/i.test(answer)
+    ? null
+    : answer;
+}
+
+function wantsNextStep(text) {
+  return /^\s*(next\s*step|step)\s*$/i.test(text || "");
+}
+
+function wantsFullSolution(text) {
+  return /^\s*(full|full solution|all steps|show all)\s*$/i.test(text || "");
+}
+
+// A step-by-step solution has started but isn't fully revealed yet
+function inWalkThrough(q) {
+  return Boolean(
+    q &&
+    q.stepProgress &&
+    q.stepProgress.shown > 0 &&
+    !solutionSteps.isComplete(q.stepProgress)
+  );
+}
+
+// Bank ids for this session, plus the per-student ledger (persisted) so
+// later sessions avoid repeats too
+function recordQuestionSeen(user, q) {
+  const m = user.context.examTopicPractice;
+  if (q.bankId) {
+    m.bank_seen = [...(m.bank_seen || []), q.bankId].slice(-50);
+  }
+  user.preferences.seen_questions = questionLedger.recordSeen(
+    user.preferences.seen_questions || {},
+    q
+  );
 }
 
 // Enhanced Question generation with automatic complexity analysis
-async function ensureQuestion(user, regenerate = false) {
+async function ensureQuestion(user, regenerate = false, lead = "") {
   const m = user.context.examTopicPractice;
 
   if (!m.current_question || regenerate) {
+    const reviewItem = m.review ? takeReviewItem(user) : null;
+    if (reviewItem) {
+      m.subject = reviewItem.subject;
+      m.grade = reviewItem.grade;
+      m.topic = reviewItem.topic;
+      m.subtopic = reviewItem.subtopic;
+      syncLevel(user);
+    }
+
     const diff = getDifficulty(m.progression || 0);
     const profile = {
       grade: m.grade || 10,
@@ -289,13 +625,29 @@ async function ensureQuestion(user, regenerate = false) {
       specific_failure: m.subtopic || `${m.topic} fundamentals`,
       difficulty: diff.key,
       assessment_type: "practice",
+      exclude_bank_ids: m.bank_seen || [],
+      seen_fingerprints: questionLedger.seenFingerprints(
+        user.preferences.seen_questions
+      ),
+      format: user.preferences.question_format || "open",
+      // Advanced/Expert practice uses CAPS-paper style multi-part items
+      structured:
+        (m.progression || 0) >= 2 && user.preferences.question_format !== "mcq",
+      common_mistakes: misconceptions
+        .recurringMisconceptions(user.preferences.misconceptions, {
+          subject: m.subject,
+        })
+        .map((e) => e.label),
     };
 
     // Enhanced Question Generation with Complexity Analysis
     console.log(`📝 Generating 1 exam questions for:`, profile);
     console.log(`👤 Applied personalization for user ${user.id}`);
 
-    const result = await generateExamQuestions(profile, 1, user.id);
+    const result = reviewItem
+      ? { questions: [{ ...reviewItem.question, reviewId: reviewItem.id }] }
+      : await generateExamQuestions(profile, 1, user.id);
+    if (reviewItem) matchQuestionFormat(user, result.questions[0]);
     let q = result?.questions?.[0] || {
       questionText: `Practice: Master ${
         m.subtopic || m.topic
@@ -402,16 +754,27 @@ async function ensureQuestion(user, regenerate = false) {
       console.log(`✨ Unicode enhancement applied to solution`);
     }
 
+    recordQuestionSeen(user, q);
+
+    if (q.structure) structured.startParts(q);
+    q.level = m.progression || 0;
     m.current_question = q;
+    sessionReport.recordServed(sessionReport.ensureSession(m), {
+      subject: m.subject,
+      grade: m.grade,
+      topic: m.topic,
+      subtopic: m.subtopic,
+      level: q.level,
+    });
     m.q_index = (m.q_index || 0) + 1;
     m.lastHelpUsed = false;
   }
 
-  return await formatEnhancedQuestionResponse(user);
+  return await formatEnhancedQuestionResponse(user, lead);
 }
 
 // Enhanced Question Response with automatic complexity handling
-async function formatEnhancedQuestionResponse(user) {
+async function formatEnhancedQuestionResponse(user, lead = "") {
   const m = user.context.examTopicPractice;
   const q = m.current_question;
 
@@ -420,7 +783,9 @@ async function formatEnhancedQuestionResponse(user) {
   const canSendImages = Boolean(process.env.MANYCHAT_API_TOKEN);
 
   let note = "";
-  let textContent = q.questionText;
+  let textContent = q.structure
+    ? structured.formatPartPrompt(q)
+    : q.questionText;
 
   console.log(`📤 SENDING → channel=whatsapp, format=hybrid`);
 
@@ -536,26 +901,74 @@ async function formatEnhancedQuestionResponse(user) {
     else if (q.hasLatex) note = "\n\n[equation detected]";
   }
 
-  const content = `${title}\n\n${qTitle}\n\n${textContent}${note}`;
+  const bankLine =
+    q.source === "bank" && q.marks
+      ? `📜 Exam-style item • ${q.marks} marks\n\n`
+      : "";
+  const reviewLine =
+    q.reviewId && m.review
+      ? `🔁 Review ${m.review.index} of ${m.review.ids.length} • a question you found tricky before\n\n`
+      : "";
+  let optionsBlock = "";
+  if (q.mcq) optionsBlock = `\n\n${mcq.formatOptions(q.mcq)}`;
+  else if (user.preferences.question_format === "mcq") {
+    optionsBlock = "\n\n✍️ This one needs a typed answer.";
+  }
+  const content = `${lead}${title}\n\n${qTitle}\n\n${reviewLine}${bankLine}${textContent}${optionsBlock}${note}`;
 
   console.log(`🔄 Response ready: ${content.substring(0, 50)}...`);
 
   return formatResponseWithEnhancedSeparation(
     content,
-    MENU,
+    questionMenu(user, q),
     user.preferences.device_type
   );
 }
 
 
 // Enhanced Solution Display with complexity analysis
-async function handleEnhancedSolution(user) {
+// Worked solutions are revealed one step per request ({ all } shows the rest);
+// the full view is used once every step is out, or for one-step memos.
+async function handleEnhancedSolution(user, { all = false } = {}) {
   const m = user.context.examTopicPractice;
   const q = m.current_question;
 
   if (!q) return await ensureQuestion(user, false);
 
-  updateProgression(m, "solution");
+  // Mid-way through a multi-part item: memo for this part only (0 marks)
+  if (q.structure && structured.currentPart(q)) {
+    const part = structured.currentPart(q);
+    m.lastHelpUsed = true;
+    if (m.session) sessionReport.recordAction(m.session, "solution");
+    const done = structured.recordPart(q, { verdict: "solution" });
+    return await continueParts(
+      user,
+      `📚 **Memo ${part.label}:**\n${part.memo}`,
+      done
+    );
+  }
+
+  if (!q.structure && q.stepProgress === undefined) {
+    q.stepProgress = solutionSteps.startSteps(q.solution);
+  }
+  if (q.stepProgress && !solutionSteps.isComplete(q.stepProgress)) {
+    solutionSteps.revealStep(q.stepProgress, { all });
+    m.lastHelpUsed = true;
+    if (m.session) sessionReport.recordAction(m.session, "solution");
+    analyticsModule
+      .trackEvent(user.id, "solution_step_revealed", {
+        subject: m.subject,
+        subtopic: m.subtopic,
+        step: q.stepProgress.shown,
+        steps: q.stepProgress.steps.length,
+        all,
+        content_id: q.contentId,
+      })
+      .catch(() => {});
+    return showSolutionSteps(user);
+  }
+
+  updateProgression(user, "solution");
   const canSendImages = Boolean(process.env.MANYCHAT_API_TOKEN);
   let note = "";
 
@@ -641,30 +1054,92 @@ async function handleEnhancedSolution(user) {
 
   return formatResponseWithEnhancedSeparation(
     content,
-    MENU,
+    questionMenu(user, q),
     user.preferences.device_type
   );
 }
-// Enhanced Hint Display
-function firstHint(solution = "") {
-  if (!solution)
-    return "Start with what's given vs what's required; choose the rule that links them.";
-  const stepMatch = solution.split("\n").find((ln) => /\*\*Step\s*1/i.test(ln));
-  if (stepMatch) return stepMatch.replace(/\*\*/g, "").trim();
-  const first = solution
-    .split("\n")
-    .map((s) => s.trim())
-    .filter(Boolean)[0];
-  return (
-    first ||
-    "Identify the relationship, write the equation, then isolate the unknown."
+// Steps revealed so far, then either the next step prompt or the wrap-up
+function showSolutionSteps(user, lead = "") {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+  const progress = q.stepProgress;
+
+  let tail;
+  if (solutionSteps.isComplete(progress)) {
+    const firstCompletion = !q.masteryRecorded;
+    updateProgression(user, "steps");
+    const summary = solutionSteps.helpSummary(progress);
+    if (firstCompletion) {
+      analyticsModule
+        .trackEvent(user.id, "solution_steps_completed", {
+          subject: m.subject,
+          subtopic: m.subtopic,
+          ...summary,
+          content_id: q.contentId,
+        })
+        .catch(() => {});
+    }
+    const own =
+      summary.solved > 0
+        ? `You worked out ${summary.solved} of ${summary.steps} steps yourself. `
+        : "";
+    tail = `🏁 That's the full solution. ${own}Reply 3 for the next question.`;
+  } else {
+    const next = solutionSteps.nextStep(progress);
+    tail = `➡️ Reply *next step* for ${next.label}, or type it yourself first.`;
+  }
+
+  const content = `${header(user)}\n\n${lead}🧩 **Solution — step ${
+    progress.shown
+  } of ${progress.steps.length}:**\n\n${solutionSteps.formatShownSteps(
+    progress
+  )}\n\n${tail}`;
+  return formatResponseWithEnhancedSeparation(
+    content,
+    questionMenu(user, q),
+    user.preferences.device_type
+  );
+}
+
+// Reply while stepping through a solution: the next step, or the answer
+function handleStepAttempt(user, answerText) {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+  const progress = q.stepProgress;
+
+  const attempt = solutionSteps.attemptStep(progress, answerText, q);
+  if (attempt.solved) {
+    return showSolutionSteps(
+      user,
+      `✅ Yes — ${attempt.step.label} is right.\n\n`
+    );
+  }
+  if (gradeAnswer(answerText, q).verdict === VERDICTS.CORRECT) {
+    solutionSteps.solveRemaining(progress);
+    return showSolutionSteps(user, "✅ That's the final answer!\n\n");
+  }
+
+  const content = `${header(user)}\n\n❌ Not quite ${
+    attempt.step.label
+  } yet.\n\n${solutionSteps.formatShownSteps(
+    progress
+  )}\n\nTry again, reply 2 for a hint, or *next step* to see it.`;
+  return formatResponseWithEnhancedSeparation(
+    content,
+    questionMenu(user, q),
+    user.preferences.device_type
   );
 }
 
 // [All existing handler functions preserved: handleSubjectGrade, handleTopicSelect, etc.]
 async function handleSubjectGrade(user, text) {
   const m = user.context.examTopicPractice;
-  const { subject, grade } = parseSubjectGrade(text);
+  if (wantsMockExam(text)) return await handleMockStart(user, text);
+  if (wantsResume(text) && user.preferences.mock_exam) {
+    return await handleMockExam(user, text);
+  }
+
+  const { subject, grade, requestedGrade } = parseSubjectGrade(text);
   m.subject = subject;
   m.grade = grade;
 
@@ -685,7 +1160,13 @@ async function handleSubjectGrade(user, text) {
   const prettyTopics = topics.map((t) => labelize(t));
   const list = formatEmojiNumberedList(prettyTopics);
 
-  const content = `Got it: *${subject} Grade ${grade}*\n\nWhat topic would you like to practice?\n\n${list}\n\nPick a number to start practicing.`;
+  const gradeNote =
+    requestedGrade !== grade
+      ? `\n_${subject} isn't offered in Grade ${requestedGrade} under CAPS, so here are the Grade ${grade} topics._`
+      : "";
+  const content = `Got it: *${subject} Grade ${grade}*${gradeNote}\n\nWhat topic would you like to practice?\n\n${list}\n\nPick a number to start practicing${
+    fromCAPS ? ` — or type a topic (e.g. "parabolas")` : ""
+  }.`;
   return formatResponseWithEnhancedSeparation(
     content,
     `Reply with a number (1-${topics.length})`,
@@ -698,6 +1179,11 @@ async function handleTopicSelect(user, text) {
   const topics = m._topics || [];
   const pick = pickNumber(text, topics.length);
 
+  // Typed a topic instead of a number → search the CAPS taxonomy
+  if (!pick && m._topics_from_caps && /[a-z]{2,}/i.test(text || "")) {
+    return await handleTopicFree(user, text);
+  }
+
   if (!pick) {
     const list = formatEmojiNumberedList(
       (topics || []).map((x) => labelize(x))
@@ -716,12 +1202,14 @@ async function handleTopicSelect(user, text) {
     ? listSubtopicsCAPS(m.subject, m.grade, key)
     : listSubtopicsFallback(m.subject, key);
 
+  return await showSubtopicMenu(user, subs);
+}
+
+async function showSubtopicMenu(user, subs) {
+  const m = user.context.examTopicPractice;
   if (!subs || subs.length === 0) {
     m.subtopic = m.topic;
-    m.stage = "loop";
-    m.q_index = 0;
-    m.current_question = null;
-    return await ensureQuestion(user, true);
+    return await startSubtopicPractice(user);
   }
 
   m._subtopics = subs.slice(0, 8);
@@ -730,7 +1218,7 @@ async function handleTopicSelect(user, text) {
   const subList = m._subtopics
     .map((s, i) => `${numberToEmoji(i + 1)} 🧩 ${s}`)
     .join("\n");
-  const content = `Nice. ${m.topic}.\n\nPick a sub-topic:\n\n${subList}`;
+  const content = `Nice. ${m.topic}.\n\nPick a sub-topic:\n\n${subList}${PLACEMENT_OFFER}`;
   return formatResponseWithEnhancedSeparation(
     content,
     `Reply with a number (e.g., 1)`,
@@ -738,9 +1226,64 @@ async function handleTopicSelect(user, text) {
   );
 }
 
+// A search hit: topics open their sub-topic menu, sub-topics start practice
+async function openTopicMatch(user, match) {
+  const m = user.context.examTopicPractice;
+  m.topic = match.topic;
+  m._topic_matches = null;
+  const subs = listSubtopicsCAPS(m.subject, m.grade, match.topic);
+  if (!match.subtopic) return await showSubtopicMenu(user, subs);
+
+  m._subtopics = subs.slice(0, 8);
+  m.subtopic = match.subtopic;
+  return await startSubtopicPractice(user);
+}
+
 async function handleTopicFree(user, text) {
   const m = user.context.examTopicPractice;
   const topicText = (text || "algebra").trim();
+
+  // Number picked from an earlier shortlist
+  const matches = m._topic_matches || [];
+  const pick = pickNumber(topicText, matches.length);
+  if (pick) return await openTopicMatch(user, matches[pick - 1]);
+
+  const { match, shortlist } = resolveTopicQuery(m.subject, m.grade, topicText);
+  analyticsModule
+    .trackEvent(user.id, "topic_searched", {
+      subject: m.subject,
+      grade: m.grade,
+      query: topicText.slice(0, 60),
+      results: shortlist.length,
+      matched: Boolean(match),
+    })
+    .catch(() => {});
+
+  if (match) return await openTopicMatch(user, match);
+  if (shortlist.length > 0) {
+    m._topic_matches = shortlist;
+    m.stage = "topic_free";
+    const list = shortlist
+      .map(
+        (r, i) =>
+          `${numberToEmoji(i + 1)} ${
+            r.subtopic ? `🧩 ${r.subtopic} (${r.topic})` : `📚 ${r.topic}`
+          }`
+      )
+      .join("\n");
+    const lead =
+      shortlist.length === 1
+        ? `🔎 Is this the topic you mean by "${topicText}"?`
+        : `🔎 A few topics match "${topicText}":`;
+    return formatResponseWithEnhancedSeparation(
+      `${lead}\n\n${list}`,
+      `Reply with a number, or type the topic another way`,
+      user.preferences.device_type
+    );
+  }
+
+  // Nothing in the CAPS tree: practise the typed topic as-is
+  m._topic_matches = null;
   m.topic = topicText
     .split(" ")
     .map((s) => s.charAt(0).toUpperCase() + s.slice(1))
@@ -755,31 +1298,13 @@ async function handleTopicFree(user, text) {
           topicText.toLowerCase().replace(/\s+/g, "_")
         );
 
-  if (!subs || subs.length === 0) {
-    m.subtopic = m.topic;
-    m.stage = "loop";
-    m.q_index = 0;
-    m.current_question = null;
-    return await ensureQuestion(user, true);
-  }
-
-  m._subtopics = subs.slice(0, 8);
-  m.stage = "subtopic_select";
-
-  const subList = m._subtopics
-    .map((s, i) => `${numberToEmoji(i + 1)} 🧩 ${s}`)
-    .join("\n");
-  const content = `Nice. ${m.topic}.\n\nPick a sub-topic:\n\n${subList}`;
-  return formatResponseWithEnhancedSeparation(
-    content,
-    `Reply with a number (e.g., 1)`,
-    user.preferences.device_type
-  );
+  return await showSubtopicMenu(user, subs);
 }
 
 async function handleSubtopicSelect(user, text) {
   const m = user.context.examTopicPractice;
   const subs = m._subtopics || [];
+  if (wantsPlacement(text)) return await startPlacement(user);
   const pick = pickNumber(text, subs.length);
 
   if (!pick) {
@@ -794,28 +1319,276 @@ async function handleSubtopicSelect(user, text) {
   }
 
   m.subtopic = subs[pick - 1];
+  return await startSubtopicPractice(user);
+}
+
+// Placement check: 2–4 diagnostic items across the topic's subtopics set the
+// starting level and the subtopic to practise first
+async function startPlacement(user) {
+  const m = user.context.examTopicPractice;
+  m.placement = diagnostics.buildPlacementPlan({
+    subject: m.subject,
+    grade: m.grade,
+    topic: m.topic,
+    subtopics: m._subtopics || [],
+  });
+  m.stage = "placement";
+
+  analyticsModule
+    .trackEvent(user.id, "placement_started", {
+      subject: m.subject,
+      grade: m.grade,
+      topic: m.topic,
+    })
+    .catch(() => {});
+  return await askPlacementItem(user);
+}
+
+async function askPlacementItem(user, lead = "") {
+  const m = user.context.examTopicPractice;
+  const plan = m.placement;
+  const next = diagnostics.nextPlacementItem(plan);
+  if (!next) return await finishPlacement(user, lead);
+
+  const question = await diagnostics.getDiagnosticQuestion(m.subject, m.topic, {
+    grade: m.grade,
+    subtopic: next.subtopic,
+    difficulty: next.difficulty,
+  });
+  // Practice after placement starts with a question not already asked
+  recordQuestionSeen(user, question);
+  plan.current = {
+    ...next,
+    question: {
+      questionText: question.questionText,
+      solution: question.solution,
+      source: question.source,
+    },
+  };
+
+  const content = `${lead}🧭 **Placement check** — ${m.topic} (question ${
+    plan.items.length + 1
+  })\n\n${question.questionText}`;
+  return formatResponseWithEnhancedSeparation(
+    content,
+    PLACEMENT_MENU,
+    user.preferences.device_type
+  );
+}
+
+async function handlePlacement(user, text) {
+  const m = user.context.examTopicPractice;
+  const plan = m.placement;
+  const t = (text || "").trim();
+
+  if (!plan || !plan.current || /^stop\b/i.test(t)) {
+    m.placement = null;
+    m.stage = "subtopic_select";
+    return await handleSubtopicSelect(user, "");
+  }
+
+  const skipped = /^(skip|pass)\b|haven'?t (learnt|learned|done)/i.test(t);
+  const analysis = skipped
+    ? { understanding: "struggling", verdict: VERDICTS.INCORRECT, feedback: "" }
+    : await diagnostics.analyzeDiagnosticAnswer(t, plan.current.question);
+  const item = plan.current;
+  plan.current = null;
+  diagnostics.recordPlacementAnswer(plan, item, analysis);
+
+  // Marked placement answers count as evidence for that subtopic's mastery
+  if (analysis.verdict) {
+    user.preferences.mastery = user.preferences.mastery || {};
+    mastery.recordOutcome(
+      user.preferences.mastery,
+      { ...masteryContext(m), subtopic: item.subtopic },
+      { verdict: analysis.verdict, level: item.level }
+    );
+  }
+  if (analysis.misconception) {
+    user.preferences.misconceptions = user.preferences.misconceptions || {};
+    misconceptions.recordMisconception(
+      user.preferences.misconceptions,
+      analysis.misconception,
+      { subject: m.subject, subtopic: item.subtopic }
+    );
+  }
+
+  const badge = {
+    strong: "✅",
+    partial: "🟡",
+    struggling: skipped ? "⏭️" : "❌",
+    unclear: "📝",
+  }[analysis.understanding];
+  const lead = skipped
+    ? `${badge} Skipped.\n\n`
+    : `${badge} ${analysis.feedback}\n\n`;
+  return await askPlacementItem(user, lead);
+}
+
+async function finishPlacement(user, lead = "") {
+  const m = user.context.examTopicPractice;
+  const plan = m.placement;
+  const { level, subtopic } = diagnostics.summarizePlacement(plan);
+  const icons = {
+    strong: "✅",
+    partial: "🟡",
+    struggling: "❌",
+    unclear: "📝",
+  };
+
+  const lines = plan.items
+    .map(
+      (it) =>
+        `${icons[it.understanding]} ${it.subtopic} — ${
+          getDifficulty(it.level).label
+        }`
+    )
+    .join("\n");
+  const summary = `${lead}🧭 **Placement result**\n${lines}\n\nStarting you at *${
+    getDifficulty(level).label
+  }* on *${subtopic}*.\n\n`;
+
+  analyticsModule
+    .trackEvent(user.id, "placement_completed", {
+      subject: m.subject,
+      grade: m.grade,
+      topic: m.topic,
+      items: plan.items.length,
+      level,
+      subtopic,
+    })
+    .catch(() => {});
+
+  m.placement = null;
+  m.subtopic = subtopic;
+  return await startSubtopicPractice(user, { level, lead: summary });
+}
+
+// "Your weakest subtopics" (lowest mastery first) for this subject and grade
+function handleWeakestView(user) {
+  const m = user.context.examTopicPractice;
+  const weakest = mastery.weakestSubtopics(user.preferences.mastery, {
+    subject: m.subject,
+    grade: m.grade,
+  });
+
+  if (weakest.length === 0) {
+    return formatResponseWithEnhancedSeparation(
+      `${header(user)}\n\n📊 No marked answers yet for ${m.subject} Grade ${m.grade}.\nAnswer a few questions and your weakest subtopics will show up here.`,
+      MENU,
+      user.preferences.device_type
+    );
+  }
+
+  m._weakest = weakest.map((e) => ({ topic: e.topic, subtopic: e.subtopic }));
+  m.stage = "weak_select";
+
+  const list = weakest
+    .map(
+      (e, i) =>
+        `${numberToEmoji(i + 1)} ${e.subtopic}\n     ${mastery.masteryBar(
+          e.percent
+        )} ${e.percent}% • ${e.attempts} question${e.attempts === 1 ? "" : "s"}`
+    )
+    .join("\n");
+  const content = `📊 **Your weakest subtopics** — ${m.subject} Grade ${m.grade}\n\n${list}\n\nPick one to practise it now.`;
+  return formatResponseWithEnhancedSeparation(
+    content,
+    `Reply with a number (1-${weakest.length}), or "next" to carry on`,
+    user.preferences.device_type
+  );
+}
+
+async function handleWeakestSelect(user, text) {
+  const m = user.context.examTopicPractice;
+  const options = m._weakest || [];
+  const pick = pickNumber(text, options.length);
   m.stage = "loop";
-  m.q_index = 0;
-  m.current_question = null;
-  return await ensureQuestion(user, true);
+
+  if (!pick) return await handleLoop(user, text);
+
+  m.topic = options[pick - 1].topic;
+  m.subtopic = options[pick - 1].subtopic;
+  return await startSubtopicPractice(user);
+}
+
+// Session report card on the way out; stored for students and parents
+function finishSession(user) {
+  const m = user.context.examTopicPractice;
+  if (!m?.session || m.session.questions.length === 0) return null;
+
+  const report = sessionReport.buildReport(m.session, {
+    masteryStore: user.preferences.mastery,
+    mistakes: user.preferences.misconceptions,
+  });
+  sessionReport.addToHistory(user.preferences, report);
+  saveSessionRecord(user.id, report).catch(() => {});
+  analyticsModule
+    .trackEvent(user.id, "practice_session_completed", {
+      subject: report.subject,
+      grade: report.grade,
+      minutes: report.minutes,
+      served: report.served,
+      attempted: report.attempted,
+      correct: report.correct,
+      hints: report.hints,
+      solutions: report.solutions,
+      subtopics: report.subtopics.length,
+    })
+    .catch(() => {});
+  return report;
 }
 
 async function handleLoop(user, text) {
   const m = user.context.examTopicPractice;
   const t = (text || "").trim();
 
-  if (wantsExit(t)) {
-    user.current_menu = "welcome";
-    user.context = {};
-    return `*Welcome to The GOAT.* I'm here help you study with calm and clarity.
+  const answered = explicitAnswer(t);
+  if (answered) return await handleAnswerAttempt(user, answered);
 
-*What do you need right now?*
+  if (wantsMcqMode(t)) return await setQuestionFormat(user, "mcq");
+  if (wantsTypedMode(t)) return await setQuestionFormat(user, "open");
 
-1️⃣ 📝 Topic Practice Questions
-2️⃣ 📚 Homework Help 🫶 ⚡  
-3️⃣ 🧮 Tips & Hacks
+  const q = m.current_question;
+  if (wantsNextStep(t)) return await handleEnhancedSolution(user);
+  if (inWalkThrough(q) && wantsFullSolution(t)) {
+    return await handleEnhancedSolution(user, { all: true });
+  }
+  if (inWalkThrough(q) && wantsHint(t)) {
+    m.lastHelpUsed = true;
+    if (m.session) sessionReport.recordAction(m.session, "hint");
+    const content = `${header(user)}\n\n💡 **Hint:** ${solutionSteps.stepHint(
+      q.stepProgress
+    )}`;
+    return formatResponseWithEnhancedSeparation(
+      content,
+      questionMenu(user, q),
+      user.preferences.device_type
+    );
+  }
 
-Just pick a number! ✨`;
+  if (
+    /^\s*skip\s*$/i.test(t) &&
+    q &&
+    q.structure &&
+    structured.currentPart(q)
+  ) {
+    const part = structured.currentPart(q);
+    const done = structured.recordPart(q, { verdict: "skipped" });
+    return await continueParts(
+      user,
+      `⏭️ Skipped ${part.label} (0/${part.marks})`,
+      done
+    );
+  }
+
+  if (wantsExit(t)) {
+    const report = finishSession(user);
+    user.current_menu = "welcome";
+    user.context = {};
+    return report
+      ? `${sessionReport.formatReport(report)}\n\n${welcomeMenuText(user)}`
+      : welcomeMenuText(user);
   }
 
   if (wantsChangeTopic(t)) {
@@ -838,13 +1611,17 @@ Just pick a number! ✨`;
     );
   }
 
+  if (wantsWeakest(t)) {
+    return handleWeakestView(user);
+  }
+
   if (wantsHarder(t)) {
-    updateProgression(m, "harder");
+    updateProgression(user, "harder");
     return await ensureQuestion(user, true);
   }
 
   if (wantsEasier(t)) {
-    updateProgression(m, "easier");
+    updateProgression(user, "easier");
     return await ensureQuestion(user, true);
   }
 
@@ -853,29 +1630,459 @@ Just pick a number! ✨`;
   }
 
   if (wantsHint(t)) {
-    const q = m.current_question;
     if (!q) return await ensureQuestion(user, false);
-    updateProgression(m, "hint");
-    const hint = firstHint(q.solution);
-    const content = `${header(user)}\n\n💡 **Hint:** ${hint}`;
+    updateProgression(user, "hint");
+    const part = q.structure ? structured.currentPart(q) : null;
+    const hint = hintLadder.nextHint(q, { part, subtopic: m.subtopic });
+    analyticsModule
+      .trackEvent(user.id, "hint_level_shown", {
+        subject: m.subject,
+        subtopic: m.subtopic,
+        level: hint.level,
+        rung: hint.key,
+        part: part ? part.label : null,
+        content_id: q.contentId,
+      })
+      .catch(() => {});
+    const content = `${header(user)}\n\n${hintLadder.formatHint(hint, {
+      partLabel: part ? part.label : "",
+    })}`;
     return formatResponseWithEnhancedSeparation(
       content,
-      MENU,
+      questionMenu(user, q),
       user.preferences.device_type
     );
   }
 
   if (wantsNext(t)) {
-    updateProgression(m, "next");
     return await ensureQuestion(user, true);
   }
 
-  const content = `${header(
-    user
-  )}\n\nI can show the solution or give a hint — or send the next question.`;
+  // Anything else is an answer attempt
+  return await handleAnswerAttempt(user, t);
+}
+
+// Name and count the mistake behind a wrong or partial answer
+function noteMisconception(user, question, answerText, result) {
+  if (![VERDICTS.INCORRECT, VERDICTS.PARTIAL].includes(result.verdict)) {
+    return null;
+  }
+  const m = user.context.examTopicPractice;
+  const found = result.misconception
+    ? {
+        id: result.misconception,
+        label: misconceptions.labelFor(result.misconception),
+      }
+    : misconceptions.classifyMisconception(answerText, question, {
+        subtopic: m.subtopic,
+      });
+  if (!found) return null;
+
+  user.preferences.misconceptions = user.preferences.misconceptions || {};
+  const entry = misconceptions.recordMisconception(
+    user.preferences.misconceptions,
+    found,
+    { subject: m.subject, subtopic: m.subtopic }
+  );
+  analyticsModule
+    .trackEvent(user.id, "misconception_detected", {
+      subject: m.subject,
+      subtopic: m.subtopic,
+      misconception: found.id,
+      count: entry.count,
+      content_id: question.contentId,
+    })
+    .catch(() => {});
+  return { ...found, entry };
+}
+
+async function handleAnswerAttempt(user, answerText) {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+  if (!q) return await ensureQuestion(user, false);
+  if (q.structure) return await handlePartAnswer(user, answerText);
+  if (inWalkThrough(q) && !(q.mcq && mcq.parseChoice(answerText))) {
+    return handleStepAttempt(user, answerText);
+  }
+
+  // A letter on an item that couldn't be made multiple-choice isn't an
+  // answer: remind instead of marking it wrong
+  if (
+    !q.mcq &&
+    user.preferences.question_format === "mcq" &&
+    mcq.parseChoice(answerText)
+  ) {
+    return formatResponseWithEnhancedSeparation(
+      `${header(user)}\n\n✍️ This one needs a typed answer — there are no A–D options for it. Type your answer (e.g. "x = 5").`,
+      questionMenu(user, q),
+      user.preferences.device_type
+    );
+  }
+
+  // A–D replies on multiple-choice items are graded against the options
+  const choice = q.mcq ? mcq.parseChoice(answerText) : null;
+  const result = choice
+    ? mcq.gradeChoice(q.mcq, choice)
+    : gradeAnswer(answerText, q);
+  q.attempts = (q.attempts || 0) + 1;
+  q.lastVerdict = result.verdict;
+
+  // Only the first marked answer on a question updates mastery
+  if (result.verdict !== VERDICTS.UNGRADED) {
+    updateProgression(user, result.verdict);
+  }
+  if (result.verdict === VERDICTS.CORRECT) q.answeredCorrectly = true;
+  const mistake = noteMisconception(user, q, answerText, result);
+  const entry = mastery.getMastery(user.preferences.mastery, masteryContext(m));
+  const percent = mastery.masteryPercent(entry);
+
+  analyticsModule
+    .trackEvent(user.id, "exam_answer_marked", {
+      subject: m.subject,
+      topic: m.topic,
+      subtopic: m.subtopic,
+      verdict: result.verdict,
+      score: result.score,
+      attempts: q.attempts,
+      help_used: Boolean(m.lastHelpUsed),
+      mastery: percent,
+      level: m.progression,
+      format: choice ? "mcq" : "open",
+      option: choice,
+      misconception: mistake ? mistake.id : null,
+      content_id: q.contentId,
+    })
+    .catch(() => {});
+
+  const badge = {
+    [VERDICTS.CORRECT]: "✅ **Correct!**",
+    [VERDICTS.PARTIAL]: "🟡 **Partly right**",
+    [VERDICTS.INCORRECT]: "❌ **Not quite**",
+    [VERDICTS.UNGRADED]: "📝 **Answer noted**",
+  }[result.verdict];
+
+  const nextStep = {
+    [VERDICTS.CORRECT]: "Reply 3 for the next question.",
+    [VERDICTS.PARTIAL]:
+      "Have another go, or reply 1 to compare with the solution.",
+    [VERDICTS.INCORRECT]: choice
+      ? "Pick another option, or reply 1 for the worked solution."
+      : "Try again, or reply 2 for a hint.",
+    [VERDICTS.UNGRADED]: "Reply 1 to see the solution.",
+  }[result.verdict];
+
+  const masteryLine =
+    entry.attempts > 0
+      ? `\n\n📈 ${m.subtopic} mastery: ${mastery.masteryBar(percent)} ${percent}%`
+      : "";
+  // Option feedback already explains the trap behind an A–D pick
+  const mistakeLine =
+    mistake && !choice
+      ? `\n${misconceptions.formatMisconception(mistake, mistake.entry)}`
+      : "";
+  const content = `${header(user)}\n\n${badge}\n${result.feedback}${mistakeLine}${masteryLine}\n\n${nextStep}`;
+  return formatResponseWithEnhancedSeparation(
+    content,
+    questionMenu(user, q),
+    user.preferences.device_type
+  );
+}
+
+// Multi-part items: one answer per sub-question, marked against its memo
+async function handlePartAnswer(user, answerText) {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+  if (!structured.currentPart(q)) {
+    return await continueParts(
+      user,
+      "🏁 All parts of this question are marked.",
+      true
+    );
+  }
+
+  const result = structured.gradePart(q, answerText);
+  if (result.verdict === VERDICTS.UNGRADED) {
+    return await continueParts(user, `📝 ${result.feedback}`, false);
+  }
+  q.attempts = (q.attempts || 0) + 1;
+  const part = structured.currentPart(q);
+  const mistake = noteMisconception(
+    user,
+    {
+      questionText: [q.structure.stem, part.context, part.text]
+        .filter(Boolean)
+        .join("\n"),
+      solution: part.memo,
+      contentId: q.contentId,
+    },
+    answerText,
+    result
+  );
+  const done = structured.recordPart(q, result);
+
+  analyticsModule
+    .trackEvent(user.id, "exam_answer_marked", {
+      subject: m.subject,
+      topic: m.topic,
+      subtopic: m.subtopic,
+      verdict: result.verdict,
+      score: result.score,
+      part: result.label,
+      marks_awarded: result.awarded,
+      marks: result.marks,
+      help_used: Boolean(m.lastHelpUsed),
+      level: m.progression,
+      format: "structured",
+      misconception: mistake ? mistake.id : null,
+      content_id: q.contentId,
+    })
+    .catch(() => {});
+
+  const badge = {
+    [VERDICTS.CORRECT]: "✅",
+    [VERDICTS.PARTIAL]: "🟡",
+    [VERDICTS.INCORRECT]: "❌",
+  }[result.verdict];
+  // Parts build on each other, so a missed part shows the memo answer
+  const memoLine =
+    result.verdict === VERDICTS.CORRECT
+      ? result.feedback
+      : `${
+          result.verdict === VERDICTS.PARTIAL
+            ? result.feedback
+            : "That doesn't match the memo."
+        }\n📝 Memo: ${result.expected.replace(/\s*✓/g, "")}${
+          mistake
+            ? `\n${misconceptions.formatMisconception(mistake, mistake.entry)}`
+            : ""
+        }`;
+  return await continueParts(
+    user,
+    `${badge} **${result.label}** — ${result.awarded}/${result.marks}\n${memoLine}`,
+    done
+  );
+}
+
+// Feedback for the last part, then the next part or the question total
+async function continueParts(user, feedback, done) {
+  const m = user.context.examTopicPractice;
+  const q = m.current_question;
+
+  if (!done) {
+    const content = `${header(user)}\n\n${feedback}\n\n${structured.formatPartPrompt(q, { withStem: false })}`;
+    return formatResponseWithEnhancedSeparation(
+      content,
+      questionMenu(user, q),
+      user.preferences.device_type
+    );
+  }
+
+  // Whole question done → one mastery update from the marks earned
+  const verdict = structured.overallVerdict(q);
+  const firstCompletion = !q.masteryRecorded;
+  updateProgression(user, verdict);
+  if (verdict === VERDICTS.CORRECT) q.answeredCorrectly = true;
+  const { awarded, total } = structured.runningTotal(q);
+  const entry = mastery.getMastery(user.preferences.mastery, masteryContext(m));
+  const percent = mastery.masteryPercent(entry);
+
+  if (firstCompletion) {
+    analyticsModule
+      .trackEvent(user.id, "structured_question_completed", {
+        subject: m.subject,
+        subtopic: m.subtopic,
+        parts: q.structure.parts.length,
+        awarded,
+        total,
+        verdict,
+        content_id: q.contentId,
+      })
+      .catch(() => {});
+  }
+
+  const masteryLine =
+    entry.attempts > 0
+      ? `\n\n📈 ${m.subtopic} mastery: ${mastery.masteryBar(percent)} ${percent}%`
+      : "";
+  const content = `${header(user)}\n\n${feedback}\n\n🏁 **Question total: ${awarded}/${total}** (${Math.round(
+    (awarded / total) * 100
+  )}%)${masteryLine}\n\nReply 3 for the next question, or 1 for the full memo.`;
+  return formatResponseWithEnhancedSeparation(
+    content,
+    questionMenu(user, q),
+    user.preferences.device_type
+  );
+}
+
+// Mock exam / class test flow
+async function handleMockStart(user, text) {
+  const m = user.context.examTopicPractice;
+  const { paper, mode } = mockExam.parsePaperChoice(text);
+  // Drop paper/mode words so "P1" or "paper 2" isn't read as a grade
+  const cleaned = String(text || "")
+    .replace(/\bp(?:aper)?\s*[12]\b/gi, " ")
+    .replace(/\b(mock|class|test|exam|timed|paper)\b/gi, " ");
+  const { subject, grade } = parseSubjectGrade(cleaned);
+
+  const exam = mockExam.buildPaperPlan({ subject, grade, paper, mode });
+  user.preferences.mock_exam = exam;
+  m.subject = subject;
+  m.grade = grade;
+  m.stage = "mock";
+
+  analyticsModule
+    .trackEvent(user.id, "mock_exam_started", {
+      subject,
+      grade,
+      paper,
+      mode,
+      total_marks: exam.totalMarks,
+      duration_minutes: exam.durationMinutes,
+    })
+    .catch(() => {});
+
+  const intro = `🕒 **${exam.title}**\n${exam.items.length} questions • ${
+    exam.totalMarks
+  } marks • ${mockExam.formatDuration(
+    exam.durationMinutes * 60000
+  )}\n\nThe clock is running. Your script and memo come at the end.`;
+  return await presentMockQuestion(user, intro);
+}
+
+async function presentMockQuestion(user, lead = "") {
+  const exam = user.preferences.mock_exam;
+  const item = await mockExam.loadQuestion(
+    exam,
+    exam.currentIndex,
+    user.id
+  );
+  const q = item.question;
+  const parts =
+    q.parts.length > 1
+      ? `\n\n_${q.parts.map((p) => `${p.label} (${p.marks})`).join(" • ")}_`
+      : "";
+  const remaining = mockExam.formatDuration(mockExam.timeRemainingMs(exam));
+
+  const content = `${lead ? `${lead}\n\n` : ""}**QUESTION ${item.number}** (${
+    item.marks
+  } marks) • ${item.topic}\n\n${
+    q.questionText
+  }${parts}\n\n⏱️ ${remaining} left • Q${item.number} of ${exam.items.length}`;
   return formatResponseWithEnhancedSeparation(
     content,
-    MENU,
+    MOCK_MENU,
+    user.preferences.device_type
+  );
+}
+
+async function handleMockExam(user, text) {
+  const m = user.context.examTopicPractice;
+  const exam = user.preferences.mock_exam;
+  const t = (text || "").trim();
+  if (!exam) return await screenStart(user);
+  m.stage = "mock";
+  m.subject = exam.subject;
+  m.grade = exam.grade;
+
+  if (exam.status === "paused") {
+    if (wantsSubmit(t)) return finishMockExam(user, "🏁 **Submitted.**");
+    if (!wantsResume(t)) {
+      return formatResponseWithEnhancedSeparation(
+        `⏸️ *${exam.title}* is paused with ${mockExam.formatDuration(
+          mockExam.timeRemainingMs(exam)
+        )} left.`,
+        `Type "resume" to carry on, or "submit" to finish now`,
+        user.preferences.device_type
+      );
+    }
+    mockExam.resumeExam(exam);
+    return await presentMockQuestion(user, "▶️ **Resumed.** Clock is running.");
+  }
+
+  if (mockExam.isTimeUp(exam)) {
+    return finishMockExam(user, "⏰ **Time's up!** Pens down.");
+  }
+
+  if (wantsResume(t)) return await presentMockQuestion(user);
+
+  if (/^\s*pause\b/i.test(t)) {
+    mockExam.pauseExam(exam);
+    return formatResponseWithEnhancedSeparation(
+      `⏸️ **Paused** — the clock has stopped with ${mockExam.formatDuration(
+        mockExam.timeRemainingMs(exam)
+      )} left.\n\nYour answers so far are saved.`,
+      `Type "resume" when you're ready`,
+      user.preferences.device_type
+    );
+  }
+
+  if (wantsSubmit(t)) {
+    return finishMockExam(user, "🏁 **Submitted.**");
+  }
+
+  if (/^\s*time\b/i.test(t)) {
+    return await presentMockQuestion(user);
+  }
+
+  const item = exam.items[exam.currentIndex];
+  if (!item.question) await mockExam.loadQuestion(exam, exam.currentIndex, user.id);
+  const skipped = /^\s*skip\b/i.test(t);
+  if (!skipped) {
+    if (!t) return await presentMockQuestion(user);
+    item.response = mockExam.markResponse(item, t);
+  }
+
+  exam.currentIndex++;
+  if (exam.currentIndex >= exam.items.length) {
+    return finishMockExam(user, "🏁 **That was the last question.**");
+  }
+
+  return await presentMockQuestion(
+    user,
+    skipped ? `⏭️ Q${item.number} skipped.` : `✅ Q${item.number} answer saved.`
+  );
+}
+
+function finishMockExam(user, lead) {
+  const m = user.context.examTopicPractice;
+  const exam = user.preferences.mock_exam;
+  const result = mockExam.finishExam(exam);
+  const script = mockExam.buildMarkedScript(exam);
+
+  const history = user.preferences.mock_exam_history || [];
+  history.push({
+    id: exam.id,
+    title: exam.title,
+    subject: exam.subject,
+    grade: exam.grade,
+    paper: exam.paper,
+    mode: exam.mode,
+    awarded: result.awarded,
+    total: result.total,
+    percentage: result.percentage,
+    completed_at: exam.completedAt,
+  });
+  user.preferences.mock_exam_history = history.slice(-10);
+  delete user.preferences.mock_exam;
+
+  analyticsModule
+    .trackEvent(user.id, "mock_exam_completed", {
+      subject: exam.subject,
+      grade: exam.grade,
+      paper: exam.paper,
+      mode: exam.mode,
+      awarded: result.awarded,
+      total: result.total,
+      percentage: result.percentage,
+      answered: exam.items.filter((it) => it.response).length,
+      time_used_ms: result.timeUsedMs,
+    })
+    .catch(() => {});
+
+  m.stage = "subject_grade";
+  return formatResponseWithEnhancedSeparation(
+    `${lead}\n\n${script}`,
+    `Type a subject + grade to practise, or "mock …" for another paper`,
     user.preferences.device_type
   );
 }
@@ -891,9 +2098,9 @@ function parseSubjectGrade(text) {
   const detected = checkSubjectAvailability(parts[0] || raw);
   const subject = detected.detected || "Mathematics";
   const gMatch = raw.match(/\b(gr(?:ade)?\s*)?(\d{1,2})\b/i);
-  const g = gMatch ? parseInt(gMatch[2], 10) : 10;
-  const grade = Math.max(8, Math.min(11, isFinite(g) ? g : 10));
-  return { subject, grade };
+  const requestedGrade = (gMatch && normalizeGrade(gMatch[2])) || 10;
+  const grade = resolveCapsGrade(subject, requestedGrade) || requestedGrade;
+  return { subject, grade, requestedGrade };
 }
 
 function listTopicsCAPS(subject, grade) {
@@ -949,7 +2156,9 @@ module.exports = async (req, res) => {
     const flow = user.context.examTopicPractice?.stage || "subject_grade";
     let response;
 
-    if (!user.context.examTopicPractice) {
+    if (user.context.reviewRequested) {
+      response = await startReviewSession(user);
+    } else if (!user.context.examTopicPractice) {
       response = await screenStart(user);
     } else if (flow === "subject_grade") {
       response = await handleSubjectGrade(user, message);
@@ -961,6 +2170,12 @@ module.exports = async (req, res) => {
       response = await handleSubtopicSelect(user, message);
     } else if (flow === "loop") {
       response = await handleLoop(user, message);
+    } else if (flow === "placement") {
+      response = await handlePlacement(user, message);
+    } else if (flow === "weak_select") {
+      response = await handleWeakestSelect(user, message);
+    } else if (flow === "mock") {
+      response = await handleMockExam(user, message);
     } else {
       response = await screenStart(user);
     }
@@ -1013,6 +2228,27 @@ module.exports = async (req, res) => {
 };
 
 // Flow screens
+// "Review due" from the welcome menu: due items through the practice loop
+async function startReviewSession(user) {
+  delete user.context.reviewRequested;
+  const due = reviewQueue.dueItems(user.preferences.review_queue);
+  if (due.length === 0) return await screenStart(user);
+
+  user.current_menu = "exam_prep_conversation";
+  user.context.examTopicPractice = {
+    stage: "loop",
+    progression: 0,
+    q_index: 0,
+    current_question: null,
+    review: { ids: due.slice(0, 10).map((it) => it.id), index: 0 },
+  };
+
+  analyticsModule
+    .trackEvent(user.id, "review_started", { due: due.length })
+    .catch(() => {});
+  return await ensureQuestion(user, true);
+}
+
 async function screenStart(user) {
   user.current_menu = "exam_prep_conversation";
   user.context = user.context || {};
@@ -1022,9 +2258,14 @@ async function screenStart(user) {
     q_index: 0,
     current_question: null,
   };
-  const content =
+  let content =
     `📝 **Topic Practice**\nUnlimited practice to master any topic.\n\n` +
-    `What subject and grade?\nExamples: "Mathematics 10", "Physical Sciences 11", "Geography 9"`;
+    `What subject and grade?\nExamples: "Mathematics 12", "Physical Sciences 11", "Geography 9"\n\n` +
+    `🕒 **Mock exam:** type "mock Mathematics 12 P1" for a timed paper (add "test" for a shorter class test)`;
+  const paused = user.preferences.mock_exam;
+  if (paused) {
+    content += `\n\n⏸️ You have an unfinished *${paused.title}* — type "resume" to carry on.`;
+  }
   const menu = `Reply: Subject + Grade (e.g., "Mathematics 10")`;
   return formatResponseWithEnhancedSeparation(
     content,
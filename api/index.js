@@ -3,6 +3,14 @@
  * Updated: 2025-08-24 14:05:00 UTC
  * Developer: DithetoMokgabudi
  * Change: Fix menu option routing; rename to “Exam/Test Help”; add state tracking.
+ * Updates (2026-10-19 14:40:00 UTC):
+ * - "Review due" (4) appears on the welcome menu while review items are due
+ * Updates (2026-10-19 19:40:00 UTC):
+ * - Starts the background preloader that warms the practice question cache
+ * Updates (2026-10-19 21:40:00 UTC):
+ * - Content moderation: student text is screened before routing (flagged
+ *   messages get a safe response with SA helplines) and every reply is
+ *   screened before it is sent
  */
 
 const {
@@ -20,6 +28,11 @@ const homeworkHelp = require("./homework.js");
 const examPrep = require("./exam-prep.js");
 const memoryHacks = require("./memory-hacks.js");
 const networkResilience = require("../lib/utils/network-resilience");
+const moderation = require("../lib/core/moderation");
+const reviewQueue = require("../lib/features/exam-prep/review-queue");
+const {
+  startQuestionPreloader,
+} = require("../lib/features/exam-prep/questions");
 
 setupStateCleanup();
 
@@ -28,6 +41,8 @@ networkResilience.startRetryScheduler({
   stateModule,
 });
 
+startQuestionPreloader();
+
 
 
 async function handleWebhook(req, res, start) {
@@ -76,6 +91,17 @@ async function handleWebhook(req, res, start) {
     userStates.set(subscriberId, user);
   }
 
+  // Safety first: flagged messages never reach the study flows
+  const flagged = await moderation.screenInbound(subscriberId, message);
+  if (flagged) {
+    userStates.set(subscriberId, user);
+    return res
+      .status(200)
+      .json(
+        formatGoatResponse(flagged.message, { moderation: flagged.category })
+      );
+  }
+
   // Route images to Homework Help
   if (imageInfo) {
     console.log(`🖼️ Image detected, routing to homework handler`);
@@ -125,6 +151,22 @@ async function handleWebhook(req, res, start) {
     }
   }
 
+  // "Review due" only exists while items are due
+  if (
+    trimmed === "4" &&
+    user.current_menu === "welcome" &&
+    reviewQueue.dueItems(user.preferences?.review_queue).length > 0
+  ) {
+    user.current_menu = "exam_prep_conversation";
+    user.context = { reviewRequested: true };
+    userStates.set(subscriberId, user);
+    trackManyState(subscriberId, {
+      type: "exam_prep_conversation",
+      current_menu: "exam_prep_conversation",
+    });
+    return await examPrep(req, res);
+  }
+
   // Fall back to command parser
   const command = parseGoatCommand(message, user, { imageInfo });
   console.log(`🎯 Command parsed:`, command.type);
@@ -225,6 +267,7 @@ async function showWelcomeMenu(user, subscriberId) {
   const welcomeBack = user.preferences.last_subject
     ? `\n\n👋 Welcome back!* Ready to master more *${user.preferences.last_subject}*?`
     : "";
+  const reviewLine = reviewQueue.reviewMenuLine(user.preferences.review_queue);
 
   return `*Welcome to The GOAT.* I'm here help you study with calm and clarity.${welcomeBack}
 
@@ -232,7 +275,7 @@ async function showWelcomeMenu(user, subscriberId) {
 
 1️⃣ 📝 Topic Practice Questions
 2️⃣ 📚 Homework Help 🫶 ⚡  
-3️⃣ 🧮 Tips & Hacks
+3️⃣ 🧮 Tips & Hacks${reviewLine ? `\n${reviewLine}` : ""}
 
 Just pick a number! ✨`;
 }
@@ -245,6 +288,11 @@ module.exports = async (req, res) => {
     } | ${new Date().toISOString()}`
   );
 
+  // Replies are screened on their way out, whichever handler sends them
+  const guard = moderation.guardResponse(res, {
+    userId: req.body?.psid || req.body?.subscriber_id || "default_user",
+  });
+
   try {
     const query = req.query || {};
     const endpoint = query.endpoint || "webhook";
@@ -263,7 +311,7 @@ module.exports = async (req, res) => {
     }
   } catch (error) {
     console.error("❌ GOAT Bot fatal error:", error);
-    if (!res.headersSent) {
+    if (!res.headersSent && !guard.responded()) {
       return res.status(500).json(
         formatGoatResponse(
           "Sorry, I encountered an error. Please try typing 'menu' to restart! 🔄",
@@ -275,5 +323,8 @@ module.exports = async (req, res) => {
         )
       );
     }
+  } finally {
+    await guard.settled();
+    guard.restore();
   }
 };
@@ -0,0 +1,318 @@
+/**
+ * LLM Gateway
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:10:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * One entry point for every chat-completion call in the bot:
+ * - Providers share one interface: complete(request) → { text, usage, model }
+ *   • openai      – api.openai.com (OPENAI_API_KEY)
+ *   • compatible  – any OpenAI-compatible server, e.g. llama.cpp
+ *                   (LLM_BASE_URL, optional LLM_API_KEY)
+ *   • fake        – deterministic offline stand-in for tests and demos
+ * - LLM_PROVIDER picks the provider (default: openai, or compatible when
+ *   LLM_BASE_URL is set)
+ * - Each feature has its own model, temperature, token limit, timeout and
+ *   retry policy; env vars override them without touching feature code:
+ *   LLM_MODEL (all features), LLM_<FEATURE>_MODEL, LLM_<FEATURE>_TEMPERATURE,
+ *   LLM_<FEATURE>_TIMEOUT_MS, LLM_<FEATURE>_RETRIES
+ *   (e.g. LLM_EXAM_QUESTION_MODEL=gpt-4o-mini)
+ * - Only transient failures are retried (timeouts, 429, 5xx, connection errors)
+ * Updates (2026-10-19 20:40:00 UTC):
+ * - createRecordedProvider replays saved replies (optionally recording misses
+ *   from a live provider) so prompt evaluations are repeatable offline
+ */
+
+const crypto = require("crypto");
+const OpenAI = require("openai");
+const usageMeter = require("./usage-meter");
+
+const DEFAULT_MODEL = "gpt-3.5-turbo";
+
+const DEFAULT_POLICY = {
+  temperature: 0.3,
+  maxTokens: 300,
+  timeout: 30000,
+  retries: 1,
+  retryDelay: 500,
+};
+
+// Per-feature defaults (merged over DEFAULT_POLICY)
+const FEATURES = {
+  exam_question: { temperature: 0.4, maxTokens: 200 },
+  exam_solution: { temperature: 0.3, maxTokens: 450 },
+  homework_hint: {
+    temperature: 0.1,
+    maxTokens: 60,
+    timeout: 10000,
+    retries: 0,
+  },
+  homework_answer: { temperature: 0.3, maxTokens: 350 },
+  moderation: { temperature: 0, maxTokens: 5, timeout: 5000, retries: 0 },
+};
+
+const overrides = {};
+
+function createOpenAIProvider({ apiKey, baseURL, name = "openai" } = {}) {
+  const client = new OpenAI(baseURL ? { apiKey, baseURL } : { apiKey });
+  return {
+    name,
+    async complete({ model, messages, maxTokens, temperature }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      });
+      return {
+        text: (response?.choices?.[0]?.message?.content || "").trim(),
+        usage: response?.usage || {},
+        model: response?.model || model,
+      };
+    },
+  };
+}
+
+/**
+ * Deterministic provider: the same request always gets the same reply
+ * @param {object} options - { respond(request) → string }
+ */
+function createFakeProvider({ respond } = {}) {
+  return {
+    name: "fake",
+    async complete(request) {
+      const lastUser =
+        [...request.messages].reverse().find((m) => m.role === "user")
+          ?.content || "";
+      const text = respond
+        ? String(respond(request))
+        : `Fake reply ${crypto
+            .createHash("md5")
+            .update(`${request.model}|${lastUser}`)
+            .digest("hex")
+            .substring(0, 8)}: ${lastUser.slice(0, 80)}`;
+      const words = (s) => String(s).split(/\s+/).filter(Boolean).length;
+      const prompt = request.messages.reduce((n, m) => n + words(m.content), 0);
+      return {
+        text,
+        usage: {
+          prompt_tokens: prompt,
+          completion_tokens: words(text),
+          total_tokens: prompt + words(text),
+        },
+        model: request.model,
+      };
+    },
+  };
+}
+
+function requestKey({ model, messages }) {
+  return crypto
+    .createHash("md5")
+    .update(`${model}|${JSON.stringify(messages)}`)
+    .digest("hex");
+}
+
+/**
+ * Replays recorded replies keyed by model + messages
+ * @param {object} options - { recordings: { key: { text, usage, model } },
+ *   fallback: provider asked (and recorded) on a miss }
+ */
+function createRecordedProvider({ recordings = {}, fallback = null } = {}) {
+  return {
+    name: "recorded",
+    recordings,
+    async complete(request) {
+      const key = requestKey(request);
+      if (recordings[key]) return { ...recordings[key] };
+      if (!fallback) throw new Error(`No recorded reply for request ${key}`);
+      const result = await fallback.complete(request);
+      recordings[key] = {
+        text: result.text,
+        usage: result.usage,
+        model: result.model,
+      };
+      return result;
+    },
+  };
+}
+
+function createDefaultProvider() {
+  const kind = (
+    process.env.LLM_PROVIDER ||
+    (process.env.LLM_BASE_URL ? "compatible" : "openai")
+  ).toLowerCase();
+
+  if (kind === "fake") return createFakeProvider();
+  if (kind === "compatible") {
+    if (!process.env.LLM_BASE_URL) {
+      console.warn("⚠️ LLM_PROVIDER=compatible needs LLM_BASE_URL");
+      return null;
+    }
+    return createOpenAIProvider({
+      name: "compatible",
+      baseURL: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY || "local",
+    });
+  }
+  if (!process.env.OPENAI_API_KEY) return null;
+  return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+}
+
+let provider = null;
+try {
+  provider = createDefaultProvider();
+  if (provider) {
+    console.log(`🧠 LLM gateway ready (provider: ${provider.name})`);
+  } else {
+    console.log("⚠️ No LLM provider configured, features use fallbacks");
+  }
+} catch (error) {
+  console.error("❌ LLM provider initialization error:", error);
+}
+
+function isAvailable() {
+  return Boolean(provider);
+}
+
+// Swap the provider (tests, admin tooling); returns the previous one
+function setProvider(next) {
+  const previous = provider;
+  provider = next;
+  return previous;
+}
+
+function getProviderName() {
+  return provider ? provider.name : null;
+}
+
+function configureFeature(feature, policy) {
+  overrides[feature] = { ...(overrides[feature] || {}), ...policy };
+}
+
+function envNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Effective policy for a feature (defaults < feature < code < env)
+ * @param {string} feature - e.g. "exam_question"
+ * @returns {object} - { model, temperature, maxTokens, timeout, retries, retryDelay }
+ */
+function getFeatureConfig(feature) {
+  const prefix = `LLM_${String(feature).toUpperCase()}_`;
+  const fromEnv = {
+    model: process.env[`${prefix}MODEL`],
+    temperature: envNumber(`${prefix}TEMPERATURE`),
+    timeout: envNumber(`${prefix}TIMEOUT_MS`),
+    retries: envNumber(`${prefix}RETRIES`),
+  };
+  const config = {
+    ...DEFAULT_POLICY,
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    ...(FEATURES[feature] || {}),
+    ...(overrides[feature] || {}),
+  };
+  for (const [key, value] of Object.entries(fromEnv)) {
+    if (value !== undefined) config[key] = value;
+  }
+  return config;
+}
+
+function isTransient(error) {
+  if (error.isTimeout) return true;
+  if (error.status === 429 || error.status >= 500) return true;
+  if (error.name === "APIConnectionError") return true;
+  return ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN"].includes(
+    error.code
+  );
+}
+
+function withTimeout(promise, ms, feature) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`LLM request timeout (${feature}, ${ms}ms)`);
+      error.isTimeout = true;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a chat completion for a feature
+ * @param {string} feature - Feature key (selects model and policy)
+ * @param {object} request - { messages, maxTokens, temperature, userId }
+ * @returns {Promise<object>} - { text, usage, cost, model, provider, feature, attempts }
+ */
+async function complete(
+  feature,
+  { messages, maxTokens, temperature, userId = null } = {}
+) {
+  if (!provider) throw new Error("LLM provider not configured");
+  const budget = await usageMeter.checkBudget(userId, feature);
+  if (!budget.allowed) {
+    const error = new Error(
+      `Daily ${budget.scope} token budget reached (${budget.used}/${budget.limit})`
+    );
+    error.isBudgetExceeded = true;
+    throw error;
+  }
+
+  const config = getFeatureConfig(feature);
+  const request = {
+    model: config.model,
+    messages,
+    maxTokens: maxTokens ?? config.maxTokens,
+    temperature: temperature ?? config.temperature,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await withTimeout(
+        provider.complete(request),
+        config.timeout,
+        feature
+      );
+      const { cost } = usageMeter.recordUsage({
+        userId,
+        feature,
+        model: result.model,
+        provider: provider.name,
+        usage: result.usage,
+      });
+      return {
+        ...result,
+        cost,
+        provider: provider.name,
+        feature,
+        attempts: attempt,
+      };
+    } catch (error) {
+      if (attempt > config.retries || !isTransient(error)) throw error;
+      console.warn(
+        `⚠️ LLM ${feature} attempt ${attempt} failed (${error.message}), retrying`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, config.retryDelay * attempt)
+      );
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  FEATURES,
+  createOpenAIProvider,
+  createFakeProvider,
+  createRecordedProvider,
+  createDefaultProvider,
+  isAvailable,
+  setProvider,
+  getProviderName,
+  configureFeature,
+  getFeatureConfig,
+  complete,
+};
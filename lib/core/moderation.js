@@ -0,0 +1,361 @@
+/**
+ * Content Moderation
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 21:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Screens what students send and what the bot replies before it reaches a
+ * minor on WhatsApp:
+ * - Pluggable classifiers: classify(text, { direction }) → [{ category,
+ *   score, match }]; they run in order and the first one that flags wins
+ *   • keywords – regex baseline (always on)
+ *   • model    – LLM check via the moderation_check prompt, for text the
+ *                baseline passed (MODERATION_MODEL_CHECKS=true)
+ * - Categories: self_harm, abuse, explicit
+ * - Flagged student messages get a safe response with SA helplines instead
+ *   of the normal flow; flagged replies are replaced before sending
+ * - Every flag is written to an audit log (memory + moderation_audit table)
+ *   and tracked as a moderation_flagged analytics event (without the text)
+ * Updates (2026-10-19 23:59:00 UTC):
+ * - Audit entries keep only a hash of the flagged text, never the words of a
+ *   minor's disclosure
+ */
+
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+const llm = require("./llm-gateway");
+const { renderPrompt } = require("./prompt-registry");
+const analyticsModule = require("../utils/analytics");
+const {
+  OUTBOUND_REPLACEMENT,
+  safeResponse,
+} = require("../data/safety-responses");
+
+let supabase = null;
+try {
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY
+    );
+  }
+} catch (error) {
+  console.error("❌ Moderation Supabase init error:", error);
+}
+
+const CATEGORIES = {
+  SELF_HARM: "self_harm",
+  ABUSE: "abuse",
+  EXPLICIT: "explicit",
+};
+
+// Most urgent first: decides the response when several categories match
+const PRIORITY = [CATEGORIES.SELF_HARM, CATEGORIES.ABUSE, CATEGORIES.EXPLICIT];
+
+const INBOUND = ["inbound"];
+const BOTH = ["inbound", "outbound"];
+
+// Phrases rather than single words, so schoolwork ("the graph cuts the
+// x-axis", "sexual reproduction") is not flagged
+const RULES = [
+  {
+    category: CATEGORIES.SELF_HARM,
+    directions: INBOUND,
+    pattern: /\b(suicid(e|al)|selfmoord|self[- ]?harm(ing)?)\b/i,
+  },
+  {
+    category: CATEGORIES.SELF_HARM,
+    directions: INBOUND,
+    pattern: /\b(kill|hurt|harm|cut)(ing)?\s+my\s?self\b/i,
+  },
+  {
+    category: CATEGORIES.SELF_HARM,
+    directions: INBOUND,
+    pattern:
+      /\b(want|wanna|going|gonna|plan(ning)?|ready)\s+to\s+(die|end it all|end my life)\b/i,
+  },
+  {
+    category: CATEGORIES.SELF_HARM,
+    directions: INBOUND,
+    pattern:
+      /\b((end|ending|take|taking)\s+my\s+(own\s+)?life|better off dead|no (reason|point) (to|in) liv(e|ing)|don'?t want to (live|be alive))\b/i,
+  },
+  {
+    category: CATEGORIES.SELF_HARM,
+    directions: BOTH,
+    pattern: /\b(kill|hurt|harm|cut)\s+yourself\b/i,
+  },
+  {
+    category: CATEGORIES.ABUSE,
+    directions: INBOUND,
+    pattern:
+      /\b(he|she|they|my\s+\w+)\s+(keeps?\s+)?(hits?|beats?|touch(es)?|abuses?|rapes?|raped|molest(s|ed)?)\s+me\b/i,
+  },
+  {
+    category: CATEGORIES.ABUSE,
+    directions: INBOUND,
+    pattern:
+      /\b(being|been|was|got|am|i'?m)\s+(abused|raped|molested|beaten up|assaulted)\b/i,
+  },
+  {
+    category: CATEGORIES.ABUSE,
+    directions: INBOUND,
+    pattern: /\b(sexually|physically)\s+(abused|assaulted)\b/i,
+  },
+  {
+    category: CATEGORIES.EXPLICIT,
+    directions: BOTH,
+    pattern:
+      /\b(porn\w*|nudes|sexting|horny|blow ?jobs?|(naked|nude) (pics?|photos?|selfies?|videos?))\b/i,
+  },
+  {
+    category: CATEGORIES.EXPLICIT,
+    directions: BOTH,
+    pattern: /\b((have|having|want|wanna)\s+sex|sex\s+(with|chat))\b/i,
+  },
+];
+
+const keywordClassifier = {
+  name: "keywords",
+  async classify(text, { direction }) {
+    return RULES.filter(
+      (rule) => rule.directions.includes(direction) && rule.pattern.test(text)
+    ).map((rule) => ({
+      category: rule.category,
+      score: 1,
+      match: text.match(rule.pattern)[0],
+    }));
+  },
+};
+
+/**
+ * LLM-backed classifier (moderation gateway feature)
+ * @returns {object} - Classifier
+ */
+function createModelClassifier() {
+  return {
+    name: "model",
+    async classify(text, { direction }) {
+      if (!llm.isAvailable()) return [];
+      const prompt = renderPrompt("moderation_check", { text, direction });
+      const response = await llm.complete(prompt.feature, {
+        messages: prompt.messages,
+      });
+      const category = (response.text.match(/[a-z_]+/i) || [""])[0]
+        .toLowerCase()
+        .trim();
+      return PRIORITY.includes(category) ? [{ category, score: 0.9 }] : [];
+    },
+  };
+}
+
+function defaultClassifiers() {
+  return process.env.MODERATION_MODEL_CHECKS === "true"
+    ? [keywordClassifier, createModelClassifier()]
+    : [keywordClassifier];
+}
+
+let classifiers = defaultClassifiers();
+
+// Swap the classifier chain (tests, tuning); returns the previous one
+function setClassifiers(next) {
+  const previous = classifiers;
+  classifiers = next || defaultClassifiers();
+  return previous;
+}
+
+/**
+ * Classify one message
+ * @param {string} text - Message text
+ * @param {object} options - { direction: "inbound" | "outbound" }
+ * @returns {Promise<object>} - { flagged, category, categories, classifier, findings }
+ */
+async function moderate(text, { direction = "inbound" } = {}) {
+  const clean = {
+    flagged: false,
+    category: null,
+    categories: [],
+    classifier: null,
+    findings: [],
+  };
+  const content = String(text || "").trim();
+  // Menu numbers and one-word replies carry nothing to classify
+  if (content.length < 4 || /^[\d\s.,]+$/.test(content)) return clean;
+
+  for (const classifier of classifiers) {
+    let findings = [];
+    try {
+      findings = await classifier.classify(content, { direction });
+    } catch (error) {
+      console.error(
+        `❌ Moderation classifier ${classifier.name} failed:`,
+        error.message
+      );
+      continue;
+    }
+    if (findings.length === 0) continue;
+
+    const categories = PRIORITY.filter((category) =>
+      findings.some((finding) => finding.category === category)
+    );
+    return {
+      flagged: true,
+      category: categories[0],
+      categories,
+      classifier: classifier.name,
+      findings,
+    };
+  }
+  return clean;
+}
+
+const MAX_AUDIT_ENTRIES = 500;
+const auditLog = [];
+
+/**
+ * Record a flagged message for safeguarding review
+ * @param {object} event - { userId, direction, result, action, text }
+ * @returns {object} - Audit entry
+ */
+function recordAudit({ userId, direction, result, action, text }) {
+  const entry = {
+    userID: userId || "unknown",
+    direction,
+    category: result.category,
+    categories: result.categories,
+    classifier: result.classifier,
+    action,
+    text_hash: crypto
+      .createHash("sha256")
+      .update(String(text || ""))
+      .digest("hex")
+      .substring(0, 16),
+    created_at: new Date().toISOString(),
+  };
+  auditLog.push(entry);
+  if (auditLog.length > MAX_AUDIT_ENTRIES) auditLog.shift();
+
+  console.log(
+    `🛡️ Moderation flag (${direction}, ${entry.category}) for ${entry.userID}: ${action}`
+  );
+  analyticsModule
+    .trackEvent(entry.userID, "moderation_flagged", {
+      direction,
+      category: entry.category,
+      categories: entry.categories,
+      classifier: entry.classifier,
+      action,
+    })
+    .catch(() => {});
+
+  if (supabase) {
+    setImmediate(async () => {
+      try {
+        const { error } = await supabase.from("moderation_audit").insert(entry);
+        if (error) throw error;
+      } catch (error) {
+        console.error("❌ Moderation audit save failed:", error.message);
+      }
+    });
+  }
+  return entry;
+}
+
+function getAuditLog({ userId, limit = 50 } = {}) {
+  return auditLog
+    .filter((entry) => !userId || entry.userID === userId)
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Screen a student's message before it enters the flows
+ * @param {string} userId - Student
+ * @param {string} text - Inbound message
+ * @returns {Promise<object|null>} - { category, message } to send instead, or null
+ */
+async function screenInbound(userId, text) {
+  const result = await moderate(text, { direction: "inbound" });
+  if (!result.flagged) return null;
+  recordAudit({
+    userId,
+    direction: "inbound",
+    result,
+    action: "safe_response",
+    text,
+  });
+  return { category: result.category, message: safeResponse(result.category) };
+}
+
+/**
+ * Screen a response body before it is sent; flagged text is replaced
+ * @param {object} body - Response payload ({ message, echo, … })
+ * @param {object} context - { userId }
+ * @returns {Promise<object>} - Payload to send
+ */
+async function screenOutbound(body, { userId } = {}) {
+  if (!body || typeof body.message !== "string" || body.moderation) {
+    return body;
+  }
+  const result = await moderate(body.message, { direction: "outbound" });
+  if (!result.flagged) return body;
+  recordAudit({
+    userId,
+    direction: "outbound",
+    result,
+    action: "replaced",
+    text: body.message,
+  });
+  return {
+    ...body,
+    message: OUTBOUND_REPLACEMENT,
+    echo: OUTBOUND_REPLACEMENT,
+    moderation: result.category,
+  };
+}
+
+/**
+ * Route every res.json() through screenOutbound until restore() is called
+ * @param {object} res - Response object
+ * @param {object} context - { userId }
+ * @returns {object} - { settled(), responded(), restore() }
+ */
+function guardResponse(res, context = {}) {
+  const ownJson = Object.prototype.hasOwnProperty.call(res, "json");
+  const json = res.json;
+  let pending = Promise.resolve();
+  let responded = false;
+
+  res.json = (body) => {
+    responded = true;
+    pending = screenOutbound(body, context)
+      .catch((error) => {
+        console.error("❌ Outbound moderation failed:", error.message);
+        return body;
+      })
+      .then((safeBody) => json.call(res, safeBody));
+    return res;
+  };
+
+  return {
+    settled: () => pending,
+    responded: () => responded,
+    restore() {
+      if (ownJson) res.json = json;
+      else delete res.json;
+    },
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  keywordClassifier,
+  createModelClassifier,
+  setClassifiers,
+  moderate,
+  recordAudit,
+  getAuditLog,
+  screenInbound,
+  screenOutbound,
+  guardResponse,
+};
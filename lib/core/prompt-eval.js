@@ -0,0 +1,246 @@
+/**
+ * Prompt Evaluation Runner
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Offline comparison of prompt versions before rollout:
+ * - Replays a fixture set of student profiles (data/prompts/fixtures.json)
+ *   through a provider – fake, recorded or live – for each version
+ * - Scores every reply 0–1 for format (schema checks), length (word range)
+ *   and CAPS alignment (topic/focus terms used, no other grade named)
+ * - Static prompts (no feature) are scored on their rendered text
+ */
+
+const fs = require("fs");
+const path = require("path");
+const llm = require("./llm-gateway");
+const registry = require("./prompt-registry");
+const { tokenize } = require("../data/topic-search");
+
+const FIXTURES_PATH = path.join(__dirname, "../data/prompts/fixtures.json");
+const PASS_SCORE = 0.8;
+
+function loadFixtures(file = FIXTURES_PATH) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function lengthScore(words, schema) {
+  if (words < schema.minWords) return words / schema.minWords;
+  if (words > schema.maxWords) return schema.maxWords / words;
+  return 1;
+}
+
+// Share of the fixture's topic/focus terms the output uses; naming a
+// different grade halves the score
+function capsScore(text, vars) {
+  const keywords = [
+    ...new Set(tokenize(`${vars.topic || ""} ${vars.focus || ""}`)),
+  ].filter((word) => word.length > 2);
+  if (keywords.length === 0) return null;
+
+  const words = tokenize(text);
+  const used = keywords.filter((keyword) =>
+    words.some(
+      (word) =>
+        word === keyword ||
+        (keyword.length >= 5 && word.startsWith(keyword.slice(0, 5)))
+    )
+  );
+  let score = used.length / keywords.length;
+
+  const grades = [...String(text).matchAll(/\bgrade\s*(\d{1,2})\b/gi)].map(
+    (m) => parseInt(m[1], 10)
+  );
+  if (vars.grade && grades.some((g) => g !== parseInt(vars.grade, 10))) {
+    score /= 2;
+  }
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Score one output against a prompt's schema and the fixture profile
+ * @returns {object} - { format, length, caps, overall, words, failures }
+ */
+function scoreOutput(promptId, text, vars, { version } = {}) {
+  const definition = registry.getPrompt(promptId, version);
+  const check = registry.checkOutput(promptId, text, vars, {
+    version: definition.version,
+  });
+  const scores = {
+    format: Math.round((check.passed / check.checks) * 100) / 100,
+    length:
+      Math.round(
+        lengthScore(check.words, registry.outputSchema(definition, vars)) * 100
+      ) / 100,
+    caps: capsScore(text, vars),
+  };
+  const present = Object.values(scores).filter((value) => value !== null);
+  return {
+    ...scores,
+    overall:
+      Math.round(
+        (present.reduce((sum, value) => sum + value, 0) / present.length) * 100
+      ) / 100,
+    words: check.words,
+    failures: check.failures,
+  };
+}
+
+async function runCase(promptId, version, fixture, provider) {
+  const rendered = registry.renderPrompt(promptId, fixture.vars, { version });
+  if (!rendered.feature) {
+    return { output: rendered.text, tokens: 0 };
+  }
+  const config = llm.getFeatureConfig(rendered.feature);
+  const result = await provider.complete({
+    model: config.model,
+    messages: rendered.messages,
+    maxTokens: rendered.maxTokens ?? config.maxTokens,
+    temperature: config.temperature,
+  });
+  return { output: result.text, tokens: result.usage?.total_tokens || 0 };
+}
+
+function average(values) {
+  const present = values.filter((value) => value !== null);
+  if (present.length === 0) return null;
+  const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+  return Math.round(mean * 100) / 100;
+}
+
+function summarize(cases) {
+  return {
+    cases: cases.length,
+    format: average(cases.map((c) => c.scores.format)),
+    length: average(cases.map((c) => c.scores.length)),
+    caps: average(cases.map((c) => c.scores.caps)),
+    overall: average(cases.map((c) => c.scores.overall)),
+    passRate: average(
+      cases.map((c) =>
+        c.scores.overall >= PASS_SCORE && c.scores.failures.length === 0 ? 1 : 0
+      )
+    ),
+    tokens: cases.reduce((sum, c) => sum + c.tokens, 0),
+  };
+}
+
+/**
+ * Replay fixtures through each version of a prompt
+ * @param {object} options - { promptId, versions (default: all),
+ *   provider (default: fake), fixtures (default: data/prompts/fixtures.json) }
+ * @returns {Promise<object>} - { promptId, provider, versions: [{ version,
+ *   status, summary, cases }], best }
+ */
+async function runEvaluation({
+  promptId,
+  versions,
+  provider = llm.createFakeProvider(),
+  fixtures = loadFixtures(),
+} = {}) {
+  const chosen =
+    versions || registry.listPrompts().find((p) => p.id === promptId)?.versions;
+  if (!chosen) throw new Error(`Unknown prompt: ${promptId}`);
+
+  const results = [];
+  for (const version of chosen) {
+    const definition = registry.getPrompt(promptId, version);
+    const usable = fixtures.filter((fixture) =>
+      definition.variables.every(
+        (name) => fixture.vars[name] !== undefined && fixture.vars[name] !== ""
+      )
+    );
+
+    const cases = [];
+    for (const fixture of usable) {
+      try {
+        const { output, tokens } = await runCase(
+          promptId,
+          version,
+          fixture,
+          provider
+        );
+        cases.push({
+          fixture: fixture.id,
+          output,
+          tokens,
+          scores: scoreOutput(promptId, output, fixture.vars, { version }),
+        });
+      } catch (error) {
+        cases.push({
+          fixture: fixture.id,
+          output: null,
+          tokens: 0,
+          error: error.message,
+          scores: {
+            format: 0,
+            length: 0,
+            caps: 0,
+            overall: 0,
+            failures: ["error"],
+          },
+        });
+      }
+    }
+    results.push({
+      version,
+      status: definition.status,
+      summary: summarize(cases),
+      cases,
+    });
+  }
+
+  const ranked = [...results].sort(
+    (a, b) => (b.summary.overall ?? 0) - (a.summary.overall ?? 0)
+  );
+  return {
+    promptId,
+    provider: provider.name,
+    versions: results,
+    best: ranked[0]?.version ?? null,
+  };
+}
+
+// Plain-text table for the CLI
+function formatReport(report) {
+  const lines = [
+    `📋 ${report.promptId} (provider: ${report.provider})`,
+    "version  status  cases  format  length  caps  overall  pass  tokens",
+  ];
+  for (const { version, status, summary } of report.versions) {
+    const cell = (value) => (value === null ? "-" : value.toFixed(2));
+    lines.push(
+      [
+        `v${version}`.padEnd(8),
+        status.padEnd(7),
+        String(summary.cases).padEnd(6),
+        cell(summary.format).padEnd(7),
+        cell(summary.length).padEnd(7),
+        cell(summary.caps).padEnd(5),
+        cell(summary.overall).padEnd(8),
+        cell(summary.passRate).padEnd(5),
+        String(summary.tokens),
+      ].join(" ")
+    );
+  }
+  lines.push(`🏆 Best: v${report.best}`);
+  for (const { version, cases } of report.versions) {
+    for (const c of cases) {
+      if (c.error || c.scores.failures.length > 0) {
+        lines.push(
+          `  v${version} ${c.fixture}: ${c.error || c.scores.failures.join(", ")}`
+        );
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  FIXTURES_PATH,
+  loadFixtures,
+  capsScore,
+  scoreOutput,
+  runEvaluation,
+  formatReport,
+};
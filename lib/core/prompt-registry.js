@@ -0,0 +1,229 @@
+/**
+ * Prompt Registry
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Versioned prompt templates (definitions live in data/prompts):
+ * - Each prompt has an id, a version, required/optional variables, the LLM
+ *   gateway feature it runs on (null = the rendered text is sent as-is) and
+ *   an expected output schema (format, word range, required/forbidden
+ *   patterns) used to check replies and score evaluations
+ * - The active version is the newest non-draft one; PROMPT_<ID>_VERSION or
+ *   setActiveVersion() pins another (e.g. to roll back)
+ * - Drafts (status: "draft") are never served, only evaluated
+ */
+
+const DEFINITIONS = [
+  ...require("../data/prompts/exam"),
+  ...require("../data/prompts/homework"),
+  ...require("../data/prompts/probing"),
+  ...require("../data/prompts/safety"),
+];
+
+// Format rules every reply must follow (WhatsApp renders no code blocks)
+const FORMAT_RULES = {
+  text: [
+    { label: "no code block", pattern: /```/ },
+    { label: "no heading", pattern: /^#{1,6}\s/m },
+  ],
+  markdown: [{ label: "no code block", pattern: /```/ }],
+};
+
+const prompts = new Map();
+const pinned = {};
+
+/**
+ * Add a prompt version to the registry
+ * @param {object} definition - { id, version, feature, variables, optionalVariables,
+ *   render(vars) → string | messages, output, maxTokens, status, description }
+ * @returns {object} - The stored definition
+ */
+function registerPrompt(definition) {
+  const { id, version, render } = definition || {};
+  if (!id || !Number.isInteger(version) || typeof render !== "function") {
+    throw new Error(
+      "Prompt definitions need an id, integer version and render()"
+    );
+  }
+  if (!prompts.has(id)) prompts.set(id, new Map());
+  const stored = {
+    feature: null,
+    variables: [],
+    optionalVariables: [],
+    output: {},
+    status: "active",
+    ...definition,
+  };
+  prompts.get(id).set(version, stored);
+  return stored;
+}
+
+function versionsOf(id) {
+  const versions = prompts.get(id);
+  if (!versions) throw new Error(`Unknown prompt: ${id}`);
+  return versions;
+}
+
+/**
+ * Version served for a prompt (env pin > code pin > newest non-draft)
+ * @param {string} id - Prompt id
+ * @returns {number}
+ */
+function activeVersion(id) {
+  const versions = versionsOf(id);
+  const fromEnv = parseInt(
+    process.env[`PROMPT_${id.toUpperCase()}_VERSION`],
+    10
+  );
+  if (versions.has(fromEnv)) return fromEnv;
+  if (versions.has(pinned[id])) return pinned[id];
+  const live = [...versions.values()]
+    .filter((definition) => definition.status !== "draft")
+    .map((definition) => definition.version);
+  if (live.length === 0) throw new Error(`Prompt ${id} has no active version`);
+  return Math.max(...live);
+}
+
+// Pin a version (null unpins); returns the previous pin
+function setActiveVersion(id, version) {
+  if (version != null && !versionsOf(id).has(version)) {
+    throw new Error(`Unknown prompt: ${id}@${version}`);
+  }
+  const previous = pinned[id] ?? null;
+  if (version == null) delete pinned[id];
+  else pinned[id] = version;
+  return previous;
+}
+
+function getPrompt(id, version) {
+  const chosen = version ?? activeVersion(id);
+  const definition = versionsOf(id).get(chosen);
+  if (!definition) throw new Error(`Unknown prompt: ${id}@${chosen}`);
+  return definition;
+}
+
+function listPrompts() {
+  return [...prompts.keys()].map((id) => {
+    const latest = getPrompt(id, Math.max(...versionsOf(id).keys()));
+    return {
+      id,
+      feature: latest.feature,
+      description: latest.description || "",
+      versions: [...versionsOf(id).keys()].sort((a, b) => a - b),
+      active: activeVersion(id),
+    };
+  });
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Render a prompt with its variables
+ * @param {string} id - Prompt id
+ * @param {object} vars - Variable values
+ * @param {object} options - { version } (defaults to the active version)
+ * @returns {object} - { id, version, ref, feature, messages, text, maxTokens }
+ */
+function renderPrompt(id, vars = {}, { version } = {}) {
+  const definition = getPrompt(id, version);
+  const ref = `${id}@${definition.version}`;
+  const missing = definition.variables.filter((name) => isMissing(vars[name]));
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${ref} missing variable(s): ${missing.join(", ")}`);
+  }
+
+  const rendered = definition.render(vars);
+  const messages = Array.isArray(rendered)
+    ? rendered
+    : [{ role: definition.role || "user", content: rendered }];
+  return {
+    id,
+    version: definition.version,
+    ref,
+    feature: definition.feature,
+    messages,
+    text: messages.map((message) => message.content).join("\n\n"),
+    maxTokens:
+      typeof definition.maxTokens === "function"
+        ? definition.maxTokens(vars)
+        : definition.maxTokens,
+  };
+}
+
+// Output schema for one rendering (schemas may depend on the variables)
+function outputSchema(definition, vars = {}) {
+  const schema =
+    typeof definition.output === "function"
+      ? definition.output(vars)
+      : definition.output;
+  return {
+    format: "text",
+    minWords: 0,
+    maxWords: Infinity,
+    require: [],
+    forbid: [],
+    ...schema,
+  };
+}
+
+function countWords(text = "") {
+  return String(text).split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Check a reply against the prompt's expected output
+ * @param {string} id - Prompt id
+ * @param {string} text - Model output (or rendered text for static prompts)
+ * @param {object} vars - Variables the prompt was rendered with
+ * @param {object} options - { version }
+ * @returns {object} - { ok, words, checks, passed, failures }
+ */
+function checkOutput(id, text, vars = {}, { version } = {}) {
+  const schema = outputSchema(getPrompt(id, version), vars);
+  const output = String(text || "");
+  const words = countWords(output);
+  const failures = [];
+
+  if (!output.trim()) failures.push("not empty");
+  for (const rule of FORMAT_RULES[schema.format] || []) {
+    if (rule.pattern.test(output)) failures.push(rule.label);
+  }
+  for (const rule of schema.require) {
+    if (!rule.pattern.test(output)) failures.push(rule.label);
+  }
+  for (const rule of schema.forbid) {
+    if (rule.pattern.test(output)) failures.push(rule.label);
+  }
+
+  const checks =
+    1 +
+    (FORMAT_RULES[schema.format] || []).length +
+    schema.require.length +
+    schema.forbid.length;
+  const inRange = words >= schema.minWords && words <= schema.maxWords;
+  return {
+    ok: failures.length === 0 && inRange,
+    words,
+    inRange,
+    checks,
+    passed: checks - failures.length,
+    failures,
+  };
+}
+
+DEFINITIONS.forEach(registerPrompt);
+
+module.exports = {
+  registerPrompt,
+  activeVersion,
+  setActiveVersion,
+  getPrompt,
+  listPrompts,
+  renderPrompt,
+  outputSchema,
+  countWords,
+  checkOutput,
+};
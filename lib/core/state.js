@@ -7,6 +7,9 @@
  *  - Treat network timeouts/abort as transient (do NOT open circuit breaker)
  *  - Debounce state persistence per-user to reduce pressure and retries
  *  - Align persistence timeout to outlive fetch timeout to avoid double timeouts
+ * Updates (2026-10-19 18:20:00 UTC):
+ *  - Practice session records (report cards) saved to / listed from
+ *    practice_sessions
  */
 
 const { createClient } = require("@supabase/supabase-js");
@@ -348,6 +351,68 @@ async function trackAnalytics(userId, type, details = {}) {
   }
 }
 
+/**
+ * Save a practice session record (report card)
+ * @param {string} userId - User identifier
+ * @param {object} record - Session report from session-report.buildReport
+ * @returns {Promise<boolean>} - True when stored
+ */
+async function saveSessionRecord(userId, record) {
+  if (!supabase || !userId || !record) return false;
+
+  try {
+    return await performDatabaseOperation(
+      async () => {
+        const { error } = await supabase.from("practice_sessions").insert({
+          userID: userId,
+          session_id: record.id,
+          subject: record.subject,
+          grade: record.grade,
+          started_at: record.started_at,
+          ended_at: record.ended_at,
+          summary: record,
+        });
+        if (error) throw error;
+        console.log(`📋 Session record saved for user ${userId}`);
+        return true;
+      },
+      () => false
+    );
+  } catch (error) {
+    console.error(`❌ Session record save error for ${userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Most recent practice session records for a user
+ * @param {string} userId - User identifier
+ * @param {number} limit - Records to return
+ * @returns {Promise<Array<object>>} - Session summaries, newest first
+ */
+async function listSessionRecords(userId, limit = 10) {
+  if (!supabase || !userId) return [];
+
+  try {
+    return await performDatabaseOperation(
+      async () => {
+        const { data, error } = await supabase
+          .from("practice_sessions")
+          .select("summary")
+          .eq("userID", userId)
+          .order("ended_at", { ascending: false })
+          .limit(limit);
+        if (error) throw error;
+        return (data || []).map((row) => row.summary);
+      },
+      () => []
+    );
+  } catch (error) {
+    console.error(`❌ Session record lookup error for ${userId}:`, error);
+    return [];
+  }
+}
+
 async function retrieveUserState(userId) {
   if (!supabase || !userId) return null;
 
@@ -438,4 +503,6 @@ module.exports = {
   retrieveUserState,
   getOrCreateUserState,
   trackAnalytics,
+  saveSessionRecord,
+  listSessionRecords,
 };
@@ -0,0 +1,333 @@
+/**
+ * LLM Usage Meter
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 21:10:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Token and cost accounting for every LLM gateway call:
+ * - Metered per user, feature and model; cost is estimated from PRICES
+ *   (USD per 1K prompt / completion tokens, LLM_PRICES adds or overrides
+ *   models as JSON); fake and unpriced local models cost nothing
+ * - Daily rollups (UTC day × user × feature × model) are kept in memory
+ *   for ROLLUP_DAYS and upserted to the llm_usage_daily table
+ * - Per-user daily token budgets, overall and per feature, so one heavy
+ *   user can't burn the API budget; over-budget calls are refused and the
+ *   features fall back to bank, template or rule-based content
+ *   • LLM_DAILY_TOKEN_BUDGET – per-user total (default 30000)
+ *   • LLM_<FEATURE>_DAILY_TOKENS – per-user cap for one feature
+ *   • setUserBudget() – one user's total (0 = no AI)
+ * - Calls without a user (preloader, scripts) are metered as "system" and
+ *   never budgeted
+ */
+
+const { createClient } = require("@supabase/supabase-js");
+const analyticsModule = require("../utils/analytics");
+
+let supabase = null;
+try {
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY
+    );
+  }
+} catch (error) {
+  console.error("❌ Usage meter Supabase init error:", error);
+}
+
+const SYSTEM_USER = "system";
+const ROLLUP_DAYS = 7;
+const DB_TIMEOUT = 2000;
+
+// USD per 1K tokens (matched by longest model prefix, e.g. gpt-4o-mini-2024-07-18)
+const PRICES = {
+  "gpt-3.5-turbo": { input: 0.0005, output: 0.0015 },
+  "gpt-4o-mini": { input: 0.00015, output: 0.0006 },
+  "gpt-4o": { input: 0.0025, output: 0.01 },
+  "gpt-4-turbo": { input: 0.01, output: 0.03 },
+  "gpt-4": { input: 0.03, output: 0.06 },
+};
+
+const DEFAULT_BUDGETS = {
+  daily_tokens: 30000,
+  features: {
+    exam_question: 8000,
+    exam_solution: 15000,
+    homework_hint: 3000,
+    homework_answer: 10000,
+  },
+};
+
+const rollups = new Map();
+const userBudgets = new Map();
+const hydrated = new Set();
+const warned = new Set();
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function priceTable() {
+  try {
+    return { ...PRICES, ...JSON.parse(process.env.LLM_PRICES || "{}") };
+  } catch (error) {
+    console.warn("⚠️ LLM_PRICES is not valid JSON, using defaults");
+    return PRICES;
+  }
+}
+
+function priceFor(model = "") {
+  const table = priceTable();
+  const match = Object.keys(table)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/**
+ * Estimated cost of one call
+ * @param {string} model - Model that served the call
+ * @param {object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {number} - USD
+ */
+function estimateCost(model, usage = {}) {
+  const price = priceFor(model);
+  if (!price) {
+    if (model && !warned.has(model)) {
+      warned.add(model);
+      console.warn(`⚠️ No price for model ${model}, costing it at 0`);
+    }
+    return 0;
+  }
+  const prompt = usage.prompt_tokens || 0;
+  // Providers that only report a total are costed at the output rate
+  const completion =
+    usage.completion_tokens ?? Math.max((usage.total_tokens || 0) - prompt, 0);
+  const cost = (prompt * price.input + completion * price.output) / 1000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function rowsFor(day) {
+  if (!rollups.has(day)) {
+    rollups.set(day, new Map());
+    const days = [...rollups.keys()].sort();
+    days.slice(0, -ROLLUP_DAYS).forEach((old) => rollups.delete(old));
+  }
+  return rollups.get(day);
+}
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error("Usage meter DB timeout")),
+      DB_TIMEOUT
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function persistRow(row) {
+  if (!supabase) return;
+  setImmediate(async () => {
+    try {
+      const { error } = await withTimeout(
+        supabase
+          .from("llm_usage_daily")
+          .upsert(row, { onConflict: "day,userID,feature,model" })
+      );
+      if (error) throw error;
+    } catch (error) {
+      console.error("❌ Usage rollup save failed:", error.message);
+    }
+  });
+}
+
+// Seed today's rollup for a user from the DB (usage survives restarts and
+// is shared between instances)
+async function hydrate(userId, day) {
+  const key = `${day}|${userId}`;
+  if (!supabase || hydrated.has(key)) return;
+  hydrated.add(key);
+  try {
+    const { data, error } = await withTimeout(
+      supabase
+        .from("llm_usage_daily")
+        .select("*")
+        .eq("day", day)
+        .eq("userID", userId)
+    );
+    if (error) throw error;
+    const rows = rowsFor(day);
+    for (const row of data || []) {
+      const rowKey = `${row.userID}|${row.feature}|${row.model}`;
+      if (!rows.has(rowKey)) rows.set(rowKey, { ...row });
+    }
+  } catch (error) {
+    console.error("❌ Usage rollup load failed:", error.message);
+  }
+}
+
+/**
+ * Meter one completed call
+ * @param {object} call - { userId, feature, model, provider, usage }
+ * @returns {object} - { tokens, cost }
+ */
+function recordUsage({ userId, feature, model, provider, usage = {} }) {
+  const day = dayKey();
+  const userID = userId || SYSTEM_USER;
+  const tokens =
+    usage.total_tokens ??
+    (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  const cost = provider === "fake" ? 0 : estimateCost(model, usage);
+
+  const rows = rowsFor(day);
+  const rowKey = `${userID}|${feature}|${model}`;
+  const row = rows.get(rowKey) || {
+    day,
+    userID,
+    feature,
+    model,
+    calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+  };
+  row.calls += 1;
+  row.prompt_tokens += usage.prompt_tokens || 0;
+  row.completion_tokens += usage.completion_tokens || 0;
+  row.total_tokens += tokens;
+  row.cost_usd = Math.round((row.cost_usd + cost) * 1e6) / 1e6;
+  row.updated_at = new Date().toISOString();
+  rows.set(rowKey, row);
+
+  persistRow(row);
+  return { tokens, cost };
+}
+
+function envNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+// Individual daily total (null restores the default)
+function setUserBudget(userId, tokens) {
+  if (tokens == null) userBudgets.delete(userId);
+  else userBudgets.set(userId, tokens);
+}
+
+/**
+ * Daily token limits that apply to a user and feature
+ * @returns {object} - { user, feature }
+ */
+function getBudget(userId, feature) {
+  const user = userBudgets.has(userId)
+    ? userBudgets.get(userId)
+    : (envNumber("LLM_DAILY_TOKEN_BUDGET") ?? DEFAULT_BUDGETS.daily_tokens);
+  const featureLimit =
+    envNumber(`LLM_${String(feature).toUpperCase()}_DAILY_TOKENS`) ??
+    DEFAULT_BUDGETS.features[feature] ??
+    Infinity;
+  return { user, feature: featureLimit };
+}
+
+function tokensUsed(userId, { feature, day = dayKey() } = {}) {
+  let total = 0;
+  for (const row of rowsFor(day).values()) {
+    if (row.userID !== userId) continue;
+    if (feature && row.feature !== feature) continue;
+    total += row.total_tokens;
+  }
+  return total;
+}
+
+/**
+ * Whether a user may make another call for a feature today
+ * @param {string} userId - User (falsy = system, never limited)
+ * @param {string} feature - Gateway feature
+ * @returns {Promise<object>} - { allowed, scope, used, limit }
+ */
+async function checkBudget(userId, feature) {
+  if (!userId || userId === SYSTEM_USER) {
+    return { allowed: true, scope: null, used: 0, limit: Infinity };
+  }
+  const day = dayKey();
+  await hydrate(userId, day);
+
+  const limits = getBudget(userId, feature);
+  const checks = [
+    { scope: "user", used: tokensUsed(userId, { day }), limit: limits.user },
+    {
+      scope: "feature",
+      used: tokensUsed(userId, { feature, day }),
+      limit: limits.feature,
+    },
+  ];
+  const exceeded = checks.find((check) => check.used >= check.limit);
+  if (!exceeded) return { allowed: true, ...checks[0] };
+
+  const flag = `${day}|${userId}|${feature}`;
+  if (!warned.has(flag)) {
+    warned.add(flag);
+    console.log(
+      `💸 Daily ${exceeded.scope} token budget reached for ${userId} (${feature}: ${exceeded.used}/${exceeded.limit})`
+    );
+    analyticsModule
+      .trackEvent(userId, "llm_budget_exceeded", {
+        feature,
+        scope: exceeded.scope,
+        used: exceeded.used,
+        limit: exceeded.limit,
+      })
+      .catch(() => {});
+  }
+  return { allowed: false, ...exceeded };
+}
+
+/**
+ * Daily aggregate for reporting
+ * @param {string} day - YYYY-MM-DD (default: today, UTC)
+ * @returns {object} - { day, calls, total_tokens, cost_usd, byFeature, byModel, byUser }
+ */
+function getDailyRollup(day = dayKey()) {
+  const rollup = {
+    day,
+    calls: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+    byFeature: {},
+    byModel: {},
+    byUser: {},
+  };
+  const add = (group, key, row) => {
+    const entry = group[key] || { calls: 0, total_tokens: 0, cost_usd: 0 };
+    entry.calls += row.calls;
+    entry.total_tokens += row.total_tokens;
+    entry.cost_usd = Math.round((entry.cost_usd + row.cost_usd) * 1e6) / 1e6;
+    group[key] = entry;
+  };
+
+  for (const row of rowsFor(day).values()) {
+    rollup.calls += row.calls;
+    rollup.total_tokens += row.total_tokens;
+    rollup.cost_usd += row.cost_usd;
+    add(rollup.byFeature, row.feature, row);
+    add(rollup.byModel, row.model, row);
+    add(rollup.byUser, row.userID, row);
+  }
+  rollup.cost_usd = Math.round(rollup.cost_usd * 1e6) / 1e6;
+  return rollup;
+}
+
+module.exports = {
+  PRICES,
+  DEFAULT_BUDGETS,
+  estimateCost,
+  recordUsage,
+  setUserBudget,
+  getBudget,
+  tokensUsed,
+  checkBudget,
+  getDailyRollup,
+};
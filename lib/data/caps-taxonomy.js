@@ -1,5 +1,5 @@
 /**
- * CAPS Curriculum Taxonomy (Grades 8–11)
+ * CAPS Curriculum Taxonomy (Grades 8–12)
  * Source-informed (CAPS-aligned references incl. Siyavula).
  * Used by Topic Practice flow for Subject → Grade → Topics → Sub-topics.
  */
@@ -139,6 +139,52 @@ const CAPS_TAXONOMY = {
         Statistics: ["Grouped data & ogives", "Standard deviation (intro)"],
       },
     },
+    12: {
+      topics: {
+        "Sequences & Series": [
+          "Arithmetic and geometric series",
+          "Sigma notation",
+          "Sum to infinity (convergence)",
+        ],
+        "Functions & Inverses": [
+          "Inverse functions (linear, quadratic, exponential)",
+          "Logarithmic functions",
+        ],
+        "Finance, Growth & Decay": [
+          "Future value annuities",
+          "Present value annuities (loans)",
+          "Sinking funds and deferred payments",
+        ],
+        "Differential Calculus": [
+          "Limits and first principles",
+          "Rules of differentiation",
+          "Equations of tangents",
+          "Cubic functions (sketching)",
+          "Optimisation and rates of change",
+        ],
+        Probability: [
+          "Fundamental counting principle",
+          "Dependent and independent events",
+        ],
+        Trigonometry: [
+          "Compound and double angle identities",
+          "Trig equations (general solution)",
+          "2D and 3D problems",
+        ],
+        "Euclidean Geometry": [
+          "Proportionality theorem",
+          "Similar triangles and Pythagoras proof",
+        ],
+        "Analytical Geometry": [
+          "Equation of a circle",
+          "Tangent to a circle",
+        ],
+        Statistics: [
+          "Regression and correlation (least squares)",
+          "Scatter plots and outliers",
+        ],
+      },
+    },
   },
 
   "Mathematical Literacy": {
@@ -181,6 +227,28 @@ const CAPS_TAXONOMY = {
         ],
       },
     },
+    12: {
+      topics: {
+        Finance: [
+          "Income tax and deductions",
+          "Inflation and exchange rates",
+          "Investments, loans and interest",
+        ],
+        Measurement: [
+          "Volume and surface area",
+          "Conversions in context",
+        ],
+        "Maps, Plans & Models": [
+          "Scale, plans and elevations",
+          "Models and packaging",
+        ],
+        "Data Handling": [
+          "Interpreting and critiquing data",
+          "Misleading graphs and statistics",
+        ],
+        Probability: ["Risk and expected outcomes", "Games and fairness"],
+      },
+    },
   },
 
   "Physical Sciences": {
@@ -221,6 +289,35 @@ const CAPS_TAXONOMY = {
         Electricity: ["DC circuits (internal resistance)", "Power and energy"],
       },
     },
+    12: {
+      topics: {
+        Mechanics: [
+          "Momentum and impulse",
+          "Vertical projectile motion",
+          "Work, energy and power",
+        ],
+        "Waves, Sound & Light": ["Doppler effect (applications)"],
+        "Electricity & Magnetism": [
+          "Electric circuits (internal resistance)",
+          "Electrodynamics (generators and motors)",
+        ],
+        "Optical Phenomena": [
+          "Photoelectric effect",
+          "Emission and absorption spectra",
+        ],
+        "Matter & Materials": [
+          "Organic molecules (naming, functional groups)",
+          "Physical properties of organic compounds",
+        ],
+        "Chemical Change": [
+          "Rates of reaction",
+          "Chemical equilibrium (Le Chatelier)",
+          "Acids and bases (pH, titrations)",
+          "Electrochemical reactions",
+        ],
+        "Chemical Systems": ["Fertiliser industry"],
+      },
+    },
   },
 
   Geography: {
@@ -297,6 +394,37 @@ const CAPS_TAXONOMY = {
         "Settlement & Economic Geography": ["Rural/urban", "Economic sectors"],
       },
     },
+    12: {
+      topics: {
+        "Climate & Weather": [
+          "Mid-latitude cyclones",
+          "Tropical cyclones",
+          "Local climates (valley, urban)",
+        ],
+        Geomorphology: [
+          "Drainage systems",
+          "Fluvial processes and river grading",
+          "Catchment and river management",
+        ],
+        "Rural & Urban Settlement": [
+          "Rural settlement issues",
+          "Urban hierarchy and structure",
+          "Urban issues and planning",
+        ],
+        "Economic Geography of SA": [
+          "Economic sectors",
+          "Agriculture and food security",
+          "Mining",
+          "Industrial regions and SDIs",
+          "Informal sector",
+        ],
+        "Mapwork & GIS": [
+          "Map calculations (distance, gradient, area)",
+          "Aerial photographs and orthophotos",
+          "GIS applications",
+        ],
+      },
+    },
   },
 
   History: {
@@ -349,6 +477,35 @@ const CAPS_TAXONOMY = {
         "Independent Africa": ["Challenges & successes"],
       },
     },
+    12: {
+      topics: {
+        "Cold War": [
+          "Origins of the Cold War",
+          "Case studies (Cuba, Vietnam)",
+        ],
+        "Independent Africa": [
+          "Case studies (Congo, Tanzania)",
+          "Africa in the Cold War (Angola)",
+        ],
+        "Civil Society Protests (1950s–1970s)": [
+          "US Civil Rights Movement",
+          "Black Power Movement",
+        ],
+        "Civil Resistance in SA (1970s–1980s)": [
+          "Black Consciousness Movement",
+          "1976 Soweto Uprising",
+          "Crisis of apartheid in the 1980s",
+        ],
+        "Coming of Democracy (1990s)": [
+          "Negotiations and the 1994 election",
+          "Truth and Reconciliation Commission",
+        ],
+        "End of the Cold War & Globalisation": [
+          "Collapse of the USSR",
+          "Globalisation (overview)",
+        ],
+      },
+    },
   },
 
   "Life Sciences": {
@@ -381,6 +538,375 @@ const CAPS_TAXONOMY = {
         ],
       },
     },
+    12: {
+      topics: {
+        "Molecular/Cell/Tissue": [
+          "DNA: the code of life",
+          "Meiosis",
+        ],
+        "Life Processes": [
+          "Reproduction in vertebrates",
+          "Human reproduction",
+          "Nervous system, eye and ear",
+          "Endocrine system and homeostasis",
+          "Plant responses to the environment",
+        ],
+        "Diversity, Change & Continuity": [
+          "Genetics and inheritance",
+          "Evolution by natural selection",
+          "Human evolution",
+        ],
+      },
+    },
+  },
+
+  English: {
+    8: {
+      topics: {
+        "Listening & Speaking": [
+          "Listening comprehension",
+          "Prepared and unprepared speeches",
+        ],
+        "Reading & Viewing": [
+          "Comprehension strategies",
+          "Summary writing",
+          "Literary texts (short stories, poetry)",
+        ],
+        "Writing & Presenting": [
+          "Narrative and descriptive essays",
+          "Friendly and formal letters",
+          "Diary entries and dialogues",
+        ],
+        "Language Structures & Conventions": [
+          "Parts of speech",
+          "Tenses and concord",
+          "Punctuation",
+          "Direct and indirect speech",
+        ],
+      },
+    },
+    9: {
+      topics: {
+        "Listening & Speaking": [
+          "Listening comprehension",
+          "Prepared and unprepared speeches",
+        ],
+        "Reading & Viewing": [
+          "Comprehension strategies",
+          "Summary writing",
+          "Literary texts (short stories, poetry)",
+        ],
+        "Writing & Presenting": [
+          "Narrative and descriptive essays",
+          "Friendly and formal letters",
+          "Reviews and reports",
+        ],
+        "Language Structures & Conventions": [
+          "Parts of speech",
+          "Tenses and concord",
+          "Punctuation",
+          "Direct and indirect speech",
+        ],
+      },
+    },
+    10: {
+      topics: {
+        "Reading & Comprehension": [
+          "Comprehension strategies",
+          "Summary writing",
+          "Visual literacy (cartoons, adverts)",
+        ],
+        Literature: [
+          "Poetry analysis",
+          "Short stories",
+          "Novel study",
+          "Drama",
+        ],
+        "Language Structures & Conventions": [
+          "Active and passive voice",
+          "Direct and indirect speech",
+          "Figures of speech",
+        ],
+        "Writing & Presenting": [
+          "Essays (narrative, descriptive, argumentative)",
+          "Transactional texts (letters, speeches, reports)",
+        ],
+      },
+    },
+    11: {
+      topics: {
+        "Reading & Comprehension": [
+          "Comprehension strategies",
+          "Summary writing",
+          "Visual literacy (cartoons, adverts)",
+        ],
+        Literature: [
+          "Poetry analysis",
+          "Novel study",
+          "Drama (Shakespeare)",
+        ],
+        "Language Structures & Conventions": [
+          "Critical language awareness (bias, manipulation)",
+          "Figures of speech",
+          "Sentence structure and concord",
+        ],
+        "Writing & Presenting": [
+          "Essays (argumentative, discursive, reflective)",
+          "Transactional texts (formal letter, obituary, agenda and minutes)",
+        ],
+      },
+    },
+    12: {
+      topics: {
+        "Reading & Comprehension": [
+          "Comprehension strategies",
+          "Summary writing",
+          "Visual literacy (cartoons, adverts)",
+        ],
+        Literature: [
+          "Poetry analysis",
+          "Novel study",
+          "Drama (Shakespeare)",
+        ],
+        "Language Structures & Conventions": [
+          "Parts of speech and concord",
+          "Active and passive voice",
+          "Direct and indirect speech",
+          "Figures of speech",
+        ],
+        "Writing & Presenting": [
+          "Essays (narrative, argumentative, discursive)",
+          "Transactional texts (formal letter, CV, report)",
+        ],
+      },
+    },
+  },
+
+  Economics: {
+    10: {
+      topics: {
+        Macroeconomics: [
+          "Basic concepts (scarcity, choice, opportunity cost)",
+          "Economic systems",
+          "Circular flow (intro)",
+          "Production possibility curves",
+        ],
+        Microeconomics: [
+          "Dynamics of markets (demand and supply)",
+          "Market equilibrium",
+        ],
+        "Economic Pursuits": [
+          "Economic history of South Africa",
+          "Population and labour force",
+          "Unemployment",
+        ],
+        "Contemporary Economic Issues": [
+          "Poverty",
+          "Globalisation (intro)",
+        ],
+      },
+    },
+    11: {
+      topics: {
+        Macroeconomics: [
+          "Economic systems (comparison)",
+          "Circular flow (open economy)",
+          "Money and banking",
+        ],
+        Microeconomics: [
+          "Dynamics of markets (elasticity)",
+          "Factors of production",
+        ],
+        "Economic Pursuits": [
+          "Economic growth and development",
+          "Industrialisation",
+          "Globalisation and international trade",
+        ],
+        "Contemporary Economic Issues": [
+          "Poverty and inequality",
+          "Economic redress (land, BEE)",
+        ],
+      },
+    },
+    12: {
+      topics: {
+        Macroeconomics: [
+          "Circular flow and national accounts",
+          "Business cycles",
+          "Public sector",
+          "Foreign exchange markets",
+        ],
+        Microeconomics: [
+          "Perfect markets",
+          "Imperfect markets (monopoly, oligopoly)",
+          "Market failures",
+        ],
+        "Economic Pursuits": [
+          "Economic growth and development",
+          "Industrial development policies",
+          "Economic and social performance indicators",
+        ],
+        "Contemporary Economic Issues": [
+          "Inflation",
+          "Tourism",
+          "Environmental sustainability",
+        ],
+      },
+    },
+  },
+
+  Accounting: {
+    10: {
+      topics: {
+        "Financial Accounting": [
+          "Accounting equation",
+          "Source documents and journals (CRJ, CPJ)",
+          "General ledger",
+          "Trial balance",
+        ],
+        "Sole Traders": [
+          "Year-end adjustments (intro)",
+          "Financial statements (income statement, balance sheet)",
+        ],
+        "Managing Resources": [
+          "Salaries and wages",
+          "VAT (intro)",
+          "Internal control",
+        ],
+        "Accounting Concepts & Ethics": [
+          "GAAP concepts",
+          "Ethics in accounting",
+        ],
+      },
+    },
+    11: {
+      topics: {
+        Partnerships: [
+          "Capital and current accounts",
+          "Appropriation of profits",
+          "Financial statements and notes",
+        ],
+        "Clubs & Non-profit Organisations": [
+          "Receipts and payments",
+          "Income and expenditure statement",
+        ],
+        "Managing Resources": [
+          "Fixed assets (depreciation, disposal)",
+          "Inventory systems (periodic vs perpetual)",
+        ],
+        "Interpretation of Financial Statements": [
+          "Financial indicators (partnerships)",
+        ],
+        "Managerial Accounting": [
+          "Cost accounting (intro)",
+          "Budgets (projected income statement)",
+        ],
+        Reconciliations: [
+          "Bank reconciliation",
+          "Creditors reconciliation",
+        ],
+      },
+    },
+    12: {
+      topics: {
+        "Financial Accounting of Companies": [
+          "Ledger accounts and year-end adjustments",
+          "Income statement",
+          "Balance sheet and notes",
+          "Cash flow statement",
+        ],
+        "Interpretation of Financial Statements": [
+          "Financial indicators (ratios)",
+          "Analysis and interpretation",
+        ],
+        "Managing Resources": [
+          "Fixed assets",
+          "Inventory valuation (FIFO, weighted average)",
+          "Internal control and audits",
+        ],
+        "Managerial Accounting": [
+          "Cost accounting (manufacturing)",
+          "Budgets (cash budget, projected income statement)",
+        ],
+        Reconciliations: [
+          "Bank reconciliation",
+          "Debtors and creditors reconciliation",
+        ],
+      },
+    },
+  },
+
+  "Business Studies": {
+    10: {
+      topics: {
+        "Business Environments": [
+          "Micro, market and macro environments",
+          "Interrelationship of the environments",
+          "Business sectors",
+        ],
+        "Business Ventures": [
+          "Entrepreneurial qualities",
+          "Business opportunities",
+          "Forms of ownership (intro)",
+          "Business plan",
+        ],
+        "Business Roles": [
+          "Self-management",
+          "Relationships and teamwork",
+        ],
+        "Business Operations": [
+          "Business functions (overview)",
+          "Quality concepts",
+        ],
+      },
+    },
+    11: {
+      topics: {
+        "Business Environments": [
+          "Challenges of the business environments",
+          "Adapting to challenges (PESTLE, SWOT)",
+        ],
+        "Business Ventures": [
+          "Starting a business venture",
+          "Business plan",
+          "Presentation of business information",
+        ],
+        "Business Roles": [
+          "Creative thinking",
+          "Stress and crisis management",
+          "Professionalism and ethics",
+        ],
+        "Business Operations": [
+          "Marketing function",
+          "Production function",
+          "Citizenship role (CSR)",
+        ],
+      },
+    },
+    12: {
+      topics: {
+        "Business Environments": [
+          "Business legislation (LRA, BCEA, EEA, B-BBEE)",
+          "Business strategies",
+        ],
+        "Business Ventures": [
+          "Investment: securities",
+          "Investment: insurance",
+          "Forms of ownership",
+          "Presentation of business information",
+        ],
+        "Business Roles": [
+          "Ethics and professionalism",
+          "Creative thinking and problem solving",
+          "Stress, crisis and change management",
+          "Team performance and conflict management",
+        ],
+        "Business Operations": [
+          "Human resources function",
+          "Quality of performance",
+        ],
+      },
+    },
   },
 };
 
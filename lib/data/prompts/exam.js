@@ -0,0 +1,142 @@
+/**
+ * Exam Practice Prompts
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Prompt definitions for AI practice questions and their memos
+ * (see core/prompt-registry for the definition format)
+ */
+
+const {
+  QUESTION_FORMAT_RULES,
+  MEMO_FORMAT_RULES,
+} = require("../../features/exam-prep/structured-questions");
+
+// Grade-specific framing for prompts (Grade 12 = NSC/matric standard)
+function gradeContextLine(grade) {
+  const g = parseInt(grade, 10);
+  if (g === 12) {
+    return `Level: Grade 12 (Matric). Pitch at NSC final-examination standard using NSC question wording and Grade 12 CAPS content only.`;
+  }
+  if (g >= 10) {
+    return `Level: Grade ${g} (FET Phase). Use Grade ${g} CAPS content; do not assume Grade 12 work.`;
+  }
+  return `Level: Grade ${g} (Senior Phase). Keep language simple and use Grade ${g} CAPS content only.`;
+}
+
+const PREAMBLE = {
+  label: "no preamble",
+  pattern: /^\s*(sure|certainly|here(?:'s| is))\b/i,
+};
+
+module.exports = [
+  {
+    id: "exam_question",
+    version: 1,
+    feature: "exam_question",
+    description: "One CAPS-aligned practice question for a topic focus",
+    variables: ["subject", "grade", "topic", "focus"],
+    optionalVariables: [
+      "difficulty",
+      "purpose",
+      "structured",
+      "common_mistakes",
+      "avoid_questions",
+    ],
+    maxTokens: (vars) => (vars.structured ? 350 : undefined),
+    render(vars) {
+      const purpose = vars.purpose || "topic_mastery";
+      const contextLine =
+        purpose === "topic_mastery"
+          ? `Purpose: Master the topic concept-by-concept. Avoid exam/test framing.`
+          : `Purpose: ${purpose}`;
+
+      return `Create ONE ${vars.structured ? "multi-part " : ""}${
+        vars.subject
+      } practice question for Grade ${vars.grade} aligned to South African CAPS.
+
+${gradeContextLine(vars.grade)}
+${contextLine}
+Topic: ${vars.topic}
+Focus: ${vars.focus}
+Difficulty: ${vars.difficulty || "mixed"}
+
+Requirements:
+- Be concise and specific to the focus
+- Use standard SA terminology
+- No extra commentary${vars.structured ? `\n${QUESTION_FORMAT_RULES}` : ""}${
+        vars.common_mistakes?.length
+          ? `\n- The student keeps making these mistakes: ${vars.common_mistakes.join(
+              ", "
+            )}. Prefer a question where they would show`
+          : ""
+      }${
+        vars.avoid_questions?.length
+          ? `\n- The student has already seen these; ask something different (new numbers or context):\n${vars.avoid_questions
+              .map((text) => `  • ${text.slice(0, 160)}`)
+              .join("\n")}`
+          : ""
+      }
+- Return ONLY the question text`;
+    },
+    output: (vars) => ({
+      format: "text",
+      minWords: 5,
+      maxWords: vars.structured ? 160 : 80,
+      require: vars.structured
+        ? [
+            { label: "numbered parts", pattern: /^\s*\**1\.1\b/m },
+            { label: "marks per part", pattern: /\(\d{1,2}\)/ },
+          ]
+        : [],
+      forbid: [
+        PREAMBLE,
+        { label: "no answer given", pattern: /^\s*\**answer\**\s*:/im },
+      ],
+    }),
+  },
+  {
+    id: "exam_solution",
+    version: 1,
+    feature: "exam_solution",
+    description: "Step-by-step memo for a generated practice question",
+    variables: ["subject", "grade", "question", "focus"],
+    optionalVariables: ["purpose", "structured"],
+    maxTokens: (vars) => (vars.structured ? 700 : undefined),
+    render(vars) {
+      return `Provide a step-by-step solution for the ${
+        vars.subject
+      } question (CAPS-aligned, Grade ${vars.grade}).
+
+Question: ${vars.question}
+Focus: ${vars.focus}
+Purpose: ${vars.purpose || "topic_mastery"}
+${gradeContextLine(vars.grade)}
+
+Instructions:
+- Be clear and educational
+- Bold the steps
+- Use proper mathematical notation and SA terminology
+${
+  vars.structured
+    ? MEMO_FORMAT_RULES
+    : "- End with one line: Answer: <final answer(s)>"
+}
+- No fluff`;
+    },
+    output: (vars) => ({
+      format: "markdown",
+      minWords: 10,
+      maxWords: vars.structured ? 400 : 250,
+      require: [
+        { label: "bold steps", pattern: /\*\*[^*\n]+\*\*/ },
+        ...(vars.structured
+          ? [{ label: "memo per part", pattern: /\*\*1\.1\*\*/ }]
+          : []),
+        { label: "answer line", pattern: /^\s*\**answer\**\s*:/im },
+      ],
+      forbid: [PREAMBLE],
+    }),
+  },
+];
@@ -0,0 +1,111 @@
+/**
+ * Homework Help Prompts
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Prompt definitions for AI hints and conversational answers
+ * (see core/prompt-registry for the definition format)
+ *
+ * Updates (2026-10-19 22:10:00 UTC):
+ * - homework_concept: concept-only explanation for uploads that look like a
+ *   live test or exam (homework/integrity-guard)
+ */
+
+const SYSTEM = `You are The GOAT: a calm, concise WhatsApp tutor for SA students (Grades 8–12).
+Rules:
+- Answer directly and simply (<= 120 words).
+- If user is confused, make it simpler; add one concrete example.
+- For problems, show short step-by-step.
+- Always end with one small follow-up option (practice? another example?).`;
+
+module.exports = [
+  {
+    id: "homework_hint",
+    version: 1,
+    feature: "homework_hint",
+    description: "Method hint for a stuck student, without the answer",
+    variables: ["question"],
+    optionalVariables: ["type", "struggle"],
+    render(vars) {
+      return `Student is stuck on: "${vars.struggle || ""}"
+Question: "${vars.question}"
+Question type: ${vars.type}
+
+Generate a brief educational hint that guides them toward the solution WITHOUT giving the direct answer. Focus on the method or approach they should use. Maximum 40 words.`;
+    },
+    output: {
+      format: "text",
+      minWords: 5,
+      maxWords: 40,
+      forbid: [
+        {
+          label: "no final answer",
+          pattern: /\b(the answer is|answer\s*:|so x\s*=\s*-?\d)/i,
+        },
+      ],
+    },
+  },
+  {
+    id: "homework_concept",
+    version: 1,
+    feature: "homework_hint",
+    description:
+      "Concept refresher for a question from a live assessment, never a hint",
+    variables: ["question"],
+    optionalVariables: ["type", "attempt"],
+    render(vars) {
+      const angle =
+        (vars.attempt || 1) > 1
+          ? "Explain the concept from a different angle than before, with a simple everyday comparison."
+          : "Explain the key concept and any formula it relies on.";
+      return `A student may be writing a test or exam right now, so you must NOT help with this specific question.
+Question (for topic only): "${vars.question}"
+Question type: ${vars.type || "unknown"}
+
+Name the general concept this question is about and teach it the way a textbook would. ${angle}
+Do NOT use the numbers, names or values from the question, do NOT give steps for it, and do NOT say how to start it. Maximum 60 words.`;
+    },
+    output: {
+      format: "text",
+      minWords: 10,
+      maxWords: 60,
+      forbid: [
+        {
+          label: "no final answer",
+          pattern: /\b(the answer is|answer\s*:|so x\s*=\s*-?\d)/i,
+        },
+        { label: "no worked steps", pattern: /\bstep\s*\d/i },
+      ],
+    },
+  },
+  {
+    id: "homework_answer",
+    version: 1,
+    feature: "homework_answer",
+    description: "Tutor system prompt and context for homework conversations",
+    variables: ["question"],
+    optionalVariables: ["classification", "depth", "intent", "conversation"],
+    render(vars) {
+      return [
+        { role: "system", content: SYSTEM },
+        {
+          role: "system",
+          content: `Context: classification=${
+            vars.classification || "general"
+          }, depth=${vars.depth ?? 0}, intent=${
+            vars.intent || "unknown"
+          }. If intent indicates confusion/explain_more, simplify and add a concrete example.`,
+        },
+        ...(vars.conversation || []).slice(-6),
+        { role: "user", content: vars.question },
+      ];
+    },
+    output: {
+      format: "markdown",
+      minWords: 10,
+      maxWords: 120,
+      require: [{ label: "follow-up offer", pattern: /\?\s*\W*$/ }],
+    },
+  },
+];
@@ -0,0 +1,114 @@
+/**
+ * Diagnostic Probe Prompts
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Templates for the questions that narrow down a student's struggle.
+ * They are sent as-is (no feature, so no LLM call); the registry still
+ * versions and checks them like the AI prompts.
+ */
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const PROBE_OUTPUT = {
+  format: "markdown",
+  minWords: 8,
+  maxWords: 90,
+  require: [{ label: "asks a question", pattern: /\?/ }],
+};
+
+module.exports = [
+  {
+    id: "probe_topic",
+    version: 1,
+    feature: null,
+    description: "Probe built from the topic's examples and common struggles",
+    variables: ["topic"],
+    optionalVariables: ["attempt", "examples", "common_struggles"],
+    render(vars) {
+      const { topic } = vars;
+      switch (vars.attempt) {
+        case 1:
+          const examples = (vars.examples || [])
+            .map((ex) => `• **${ex}**`)
+            .join("\n");
+          return `**${capitalize(
+            topic
+          )} troubles!** What about ${topic} specifically?
+
+${examples}
+
+**What specifically happens** when you try these?`;
+
+        case 2:
+          const struggles = (vars.common_struggles || [])
+            .map((s) => `• "${s}"`)
+            .join("\n");
+          return `**Let's narrow down your ${topic} struggle.**
+
+When you see a ${topic} problem, what's your **first reaction**?
+${struggles}`;
+
+        case 3:
+          return `**Final attempt to understand your ${topic} challenge.**
+
+**Think of the last ${topic} problem you tried.** What exactly made you get stuck?`;
+
+        default:
+          return `**Tell me about your ${topic} challenge** - what makes it difficult for you?`;
+      }
+    },
+    output: PROBE_OUTPUT,
+  },
+  {
+    id: "probe_subject",
+    version: 1,
+    feature: null,
+    description: "First probe when only the subject's common areas are known",
+    variables: ["topic", "subject", "areas"],
+    render(vars) {
+      const areas = vars.areas
+        .slice(0, 4)
+        .map((key) => `**${capitalize(key)}**`)
+        .join(", ");
+      return `**${capitalize(vars.topic)} troubles!** What about ${
+        vars.topic
+      } specifically?
+
+Common ${vars.subject} areas include: ${areas}
+
+**What specifically happens** when you try to work with ${vars.topic}?`;
+    },
+    output: PROBE_OUTPUT,
+  },
+  {
+    id: "probe_generic",
+    version: 1,
+    feature: null,
+    description: "Fallback probe for subjects without probing data",
+    variables: ["topic"],
+    optionalVariables: ["attempt"],
+    render(vars) {
+      const { topic } = vars;
+      switch (vars.attempt) {
+        case 1:
+          return `**${topic} troubles!** What specifically about ${topic}?
+
+**Tell me exactly what happens** when you try to work with ${topic}.`;
+
+        case 2:
+          return `**Let's get more specific about ${topic}.**
+
+When you see a ${topic} problem, what's your **first thought**? Do you:
+• Know what to do but get confused halfway?
+• Feel completely lost where to start?
+• Have a method but it doesn't work?`;
+
+        default:
+          return `**Tell me about your ${topic} challenge** - what makes it difficult for you?`;
+      }
+    },
+    output: PROBE_OUTPUT,
+  },
+];
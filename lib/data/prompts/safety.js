@@ -0,0 +1,47 @@
+/**
+ * Safety Prompts
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 21:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Prompt for the optional model-based moderation check
+ * (see core/prompt-registry for the definition format)
+ */
+
+module.exports = [
+  {
+    id: "moderation_check",
+    version: 1,
+    feature: "moderation",
+    description: "Classify a WhatsApp message for a school-age audience",
+    variables: ["text", "direction"],
+    render(vars) {
+      const source =
+        vars.direction === "outbound"
+          ? "a tutoring bot is about to send to a student (aged 13–18)"
+          : "a student (aged 13–18) sent to a tutoring bot";
+      return `Classify this WhatsApp message that ${source}.
+
+Message: """${String(vars.text).slice(0, 1500)}"""
+
+Categories:
+- self_harm: suicide, self-injury or wanting to die (including hints or encouragement)
+- abuse: the student is being hurt, abused, assaulted or bullied
+- explicit: sexual or pornographic content (school biology such as reproduction is fine)
+- none: anything else, including normal schoolwork
+
+Reply with ONE word: self_harm, abuse, explicit or none`;
+    },
+    output: {
+      format: "text",
+      minWords: 1,
+      maxWords: 3,
+      require: [
+        {
+          label: "known category",
+          pattern: /^\W*(self_harm|abuse|explicit|none)\b/i,
+        },
+      ],
+    },
+  },
+];
@@ -0,0 +1,1738 @@
+/**
+ * Mathematics Question Templates (CAPS Grades 8–12)
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 12:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Template shape (see lib/features/exam-prep/question-templates.js):
+ * - match: RegExp tested against the CAPS subtopic
+ * - topic: RegExp tested against the CAPS topic (topic-level requests)
+ * - grades: [min, max]
+ * - params(rng, h): random parameters
+ * - constraint(p): optional, reject unsuitable draws
+ * - solve(p, h): { question, steps, answer }
+ * - misconceptions(p, h): optional [{ id, answer, why }] wrong answers, used
+ *   as multiple-choice distractors
+ */
+
+const SPECIAL = {
+  sin: { 30: [1, 2], 150: [1, 2], 210: [-1, 2], 330: [-1, 2] },
+  cos: { 60: [1, 2], 300: [1, 2], 120: [-1, 2], 240: [-1, 2] },
+  tan: { 45: [1, 1], 225: [1, 1], 135: [-1, 1], 315: [-1, 1] },
+};
+
+const TRIPLES = [
+  [3, 4, 5],
+  [5, 12, 13],
+  [8, 15, 17],
+  [7, 24, 25],
+  [20, 21, 29],
+];
+
+// Reduction of a special angle to its reference angle (Q2, Q3, Q4)
+const REDUCTION = {
+  120: (fn, ref) => `${fn}(180° − ${ref}°) = ${fn === "sin" ? "" : "−"}${fn} ${ref}°`,
+  150: (fn, ref) => `${fn}(180° − ${ref}°) = ${fn === "sin" ? "" : "−"}${fn} ${ref}°`,
+  210: (fn, ref) => `${fn}(180° + ${ref}°) = −${fn} ${ref}°`,
+  240: (fn, ref) => `${fn}(180° + ${ref}°) = −${fn} ${ref}°`,
+  300: (fn, ref) => `${fn}(360° − ${ref}°) = ${fn === "cos" ? "" : "−"}${fn} ${ref}°`,
+  330: (fn, ref) => `${fn}(360° − ${ref}°) = ${fn === "cos" ? "" : "−"}${fn} ${ref}°`,
+};
+
+const sum = (list) => list.reduce((s, v) => s + v, 0);
+const coef = (n) => (n === 1 ? "" : `${n} `);
+
+module.exports = [
+  // -------------------------------------------------------------------------
+  // Numbers, operations & relationships
+  // -------------------------------------------------------------------------
+  {
+    id: "math-integers-bodmas",
+    match: /integers/i,
+    topic: /numbers, operations/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ a: r.int(-20, 20), b: r.nonZero(-9, 9), c: r.nonZero(-9, 9) }),
+    solve: ({ a, b, c }, h) => ({
+      question: `Calculate without a calculator: ${h.fmt(a)} + (${h.fmt(
+        b
+      )}) × (${h.fmt(c)})`,
+      steps: [
+        `Multiply first (BODMAS): (${h.fmt(b)}) × (${h.fmt(c)}) = ${h.fmt(b * c)}`,
+        `${h.fmt(a)} + (${h.fmt(b * c)}) = ${h.fmt(a + b * c)}`,
+      ],
+      answer: h.fmt(a + b * c),
+    }),
+  },
+  {
+    id: "math-percentage-change",
+    match: /fractions, decimals, percentages|ratio, rate/i,
+    topic: /numbers, operations/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 3,
+    misconceptions: ({ price, pct, up }, h) => {
+      const change = (price * pct) / 100;
+      return [
+        {
+          id: "change_only",
+          answer: h.money(change),
+          why: "That's only the change: it still has to be applied to the original price.",
+        },
+        {
+          id: "wrong_direction",
+          answer: h.money(up ? price - change : price + change),
+          why: `The price went ${up ? "up" : "down"}, so the change is ${up ? "added" : "subtracted"}.`,
+        },
+      ];
+    },
+    params: (r) => ({
+      price: r.int(6, 60) * 20,
+      pct: r.pick([5, 10, 12, 15, 20, 25, 30, 40]),
+      up: r.chance(),
+    }),
+    solve: ({ price, pct, up }, h) => {
+      const change = (price * pct) / 100;
+      const result = up ? price + change : price - change;
+      return {
+        question: `A pair of sneakers costs ${h.money(price)}. The price is ${
+          up ? "increased" : "decreased"
+        } by ${pct}%.\nCalculate the new price.`,
+        steps: [
+          `${pct}% of ${h.money(price)} = ${pct}/100 × ${price} = ${h.money(change)}`,
+          `New price = ${price} ${up ? "+" : "−"} ${h.fmt(change)} = ${h.money(result)}`,
+        ],
+        answer: h.money(result),
+      };
+    },
+  },
+  {
+    id: "math-ratio-share",
+    match: /ratio, rate and proportion/i,
+    topic: /numbers, operations/i,
+    grades: [8, 9],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ a: r.int(1, 7), b: r.int(2, 9), unit: r.int(5, 40) * 5 }),
+    constraint: ({ a, b }) => a !== b,
+    solve: ({ a, b, unit }, h) => {
+      const total = unit * (a + b);
+      return {
+        question: `Thabo and Lerato share ${h.money(total)} in the ratio ${a} : ${b}.\nHow much does each person receive?`,
+        steps: [
+          `Total parts = ${a} + ${b} = ${a + b}`,
+          `One part = ${total} ÷ ${a + b} = ${h.money(unit)}`,
+          `Thabo = ${a} × ${unit} and Lerato = ${b} × ${unit}`,
+        ],
+        answer: `Thabo = ${h.money(unit * a)}; Lerato = ${h.money(unit * b)}`,
+      };
+    },
+  },
+  {
+    id: "math-exponent-laws-intro",
+    match: /laws of exponents \(intro\)|exponents and scientific/i,
+    topic: /numbers, operations/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ m: r.int(2, 9), n: r.int(2, 9), k: r.int(2, 9) }),
+    constraint: ({ m, n, k }) => m + n - k >= 2,
+    solve: ({ m, n, k }, h) => ({
+      question: `Simplify: a${h.sup(m)} × a${h.sup(n)} ÷ a${h.sup(k)}`,
+      steps: [
+        `Same base: add exponents when multiplying → a${h.sup(m + n)}`,
+        `Subtract exponents when dividing → a${h.sup(m + n)} ÷ a${h.sup(k)} = a${h.sup(m + n - k)}`,
+      ],
+      answer: `a${h.sup(m + n - k)}`,
+    }),
+  },
+  {
+    id: "math-scientific-notation",
+    match: /scientific notation/i,
+    topic: /numbers, operations/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ digits: r.int(101, 999), e: r.int(5, 9) }),
+    constraint: ({ digits }) => digits % 10 !== 0,
+    solve: ({ digits, e }, h) => {
+      const value = digits * Math.pow(10, e - 2);
+      return {
+        question: `Write ${h.grouped(value, 0)} in scientific notation.`,
+        steps: [
+          `Move the decimal comma until one non-zero digit is in front: ${h.fmt(
+            digits / 100
+          )}`,
+          `The comma moved ${e} places to the left → × 10${h.sup(e)}`,
+        ],
+        answer: `${h.fmt(digits / 100)} × 10${h.sup(e)}`,
+      };
+    },
+  },
+  {
+    id: "math-surd-estimate",
+    match: /real number/i,
+    topic: /numbers, operations/i,
+    grades: [9, 10],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ n: r.int(3, 150) }),
+    constraint: ({ n }) => !Number.isInteger(Math.sqrt(n)),
+    solve: ({ n }) => {
+      const a = Math.floor(Math.sqrt(n));
+      return {
+        question: `Without a calculator, determine between which two consecutive integers √${n} lies.`,
+        steps: [
+          `Perfect squares around ${n}: ${a}² = ${a * a} and ${a + 1}² = ${(a + 1) * (a + 1)}`,
+          `${a * a} < ${n} < ${(a + 1) * (a + 1)} → √${a * a} < √${n} < √${(a + 1) * (a + 1)}`,
+        ],
+        answer: `${a} and ${a + 1}`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Algebra
+  // -------------------------------------------------------------------------
+  {
+    id: "math-substitution",
+    match: /substitution/i,
+    topic: /patterns, functions & algebra/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ a: r.nonZero(-5, 5), b: r.nonZero(-5, 5), k: r.int(2, 4) }),
+    solve: ({ a, b, k }, h) => {
+      const value = k * a * a - 3 * a * b + b;
+      return {
+        question: `If a = ${h.fmt(a)} and b = ${h.fmt(b)}, calculate the value of ${k}a² − 3ab + b.`,
+        steps: [
+          `Substitute with brackets: ${k}(${h.fmt(a)})² − 3(${h.fmt(a)})(${h.fmt(b)}) + (${h.fmt(b)})`,
+          `= ${h.fmt(k * a * a)} − (${h.fmt(3 * a * b)}) + (${h.fmt(b)})`,
+        ],
+        answer: h.fmt(value),
+      };
+    },
+  },
+  {
+    id: "math-expand-binomials",
+    match: /expressions \(expand|algebraic expressions|expressions \(simplify/i,
+    topic: /algebra/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ a: r.nonZero(-9, 9), b: r.nonZero(-9, 9), k: r.int(1, 3) }),
+    solve: ({ a, b, k }, h) => ({
+      question: `Expand and simplify: (${h.poly([[k, "x"], [a, ""]])})(x ${
+        b < 0 ? "−" : "+"
+      } ${Math.abs(b)})`,
+      steps: [
+        `Multiply each term: ${h.poly([
+          [k, "x²"],
+          [k * b, "x"],
+          [a, "x"],
+          [a * b, ""],
+        ])}`,
+        `Collect like terms in x: ${h.fmt(k * b)}x + (${h.fmt(a)}x) = ${h.fmt(
+          k * b + a
+        )}x`,
+      ],
+      answer: h.poly([
+        [k, "x²"],
+        [k * b + a, "x"],
+        [a * b, ""],
+      ]),
+    }),
+  },
+  {
+    id: "math-factorise-trinomial",
+    match: /factoris/i,
+    topic: /algebra/i,
+    grades: [9, 11],
+    difficulty: "mixed",
+    marks: 2,
+    params: (r) => ({ p: r.nonZero(-9, 9), q: r.nonZero(-9, 9) }),
+    constraint: ({ p, q }) => p + q !== 0,
+    solve: ({ p, q }, h) => ({
+      question: `Factorise fully: ${h.poly([
+        [1, "x²"],
+        [-(p + q), "x"],
+        [p * q, ""],
+      ])}`,
+      steps: [
+        `Find two numbers with product ${h.fmt(p * q)} and sum ${h.fmt(
+          -(p + q)
+        )}: ${h.fmt(-p)} and ${h.fmt(-q)}`,
+        `Write as a product of brackets`,
+      ],
+      answer: `${h.factor("x", p)}${h.factor("x", q)}`,
+    }),
+  },
+  {
+    id: "math-linear-equation",
+    match: /linear equation/i,
+    topic: /algebra/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 3,
+    misconceptions: ({ x, a, c, b }, h) => {
+      const d = (a - c) * x + b;
+      return [
+        {
+          id: "constant_sign",
+          answer: `x = ${h.fmt((d + b) / (a - c))}`,
+          why: "A term that moves across the = sign changes its sign.",
+        },
+        {
+          id: "added_x_terms",
+          answer: `x = ${h.fmt((d - b) / (a + c))}`,
+          why: "The x-term moved to the left must be subtracted, not added.",
+        },
+      ];
+    },
+    params: (r) => ({
+      x: r.int(-12, 12),
+      a: r.int(2, 9),
+      c: r.int(1, 8),
+      b: r.int(-15, 15),
+    }),
+    constraint: ({ a, c }) => a !== c,
+    solve: ({ x, a, c, b }, h) => {
+      const d = (a - c) * x + b;
+      return {
+        question: `Solve for x: ${h.poly([[a, "x"], [b, ""]])} = ${h.poly([
+          [c, "x"],
+          [d, ""],
+        ])}`,
+        steps: [
+          `Collect x-terms on the left and constants on the right: ${h.fmt(
+            a
+          )}x − ${h.fmt(c)}x = ${h.fmt(d)} − (${h.fmt(b)})`,
+          `${h.fmt(a - c)}x = ${h.fmt(d - b)}`,
+          `Divide both sides by ${h.fmt(a - c)}`,
+        ],
+        answer: `x = ${h.fmt(x)}`,
+      };
+    },
+  },
+  {
+    id: "math-quadratic-equation",
+    match: /quadratic equations/i,
+    topic: /algebra/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 3,
+    misconceptions: ({ p, q }, h) => [
+      {
+        id: "roots_from_brackets",
+        answer: `x = ${h.fmt(Math.min(-p, -q))} or x = ${h.fmt(Math.max(-p, -q))}`,
+        why: "The roots were copied off the brackets: (x − 3) = 0 gives x = 3, not −3.",
+      },
+    ],
+    params: (r) => ({ p: r.int(-9, 9), q: r.int(-9, 9), a: r.pick([1, 1, 2, 3]) }),
+    constraint: ({ p, q }) => p !== q && p + q !== 0,
+    solve: ({ p, q, a }, h) => ({
+      question: `Solve for x: ${h.poly([
+        [a, "x²"],
+        [-a * (p + q), "x"],
+        [a * p * q, ""],
+      ])} = 0`,
+      steps: [
+        ...(a > 1 ? [`Divide by ${a}: ${h.poly([[1, "x²"], [-(p + q), "x"], [p * q, ""]])} = 0`] : []),
+        `Factorise: ${h.factor("x", p)}${h.factor("x", q)} = 0`,
+        `Zero product: ${h.poly([[1, "x"], [-p, ""]])} = 0 or ${h.poly([
+          [1, "x"],
+          [-q, ""],
+        ])} = 0`,
+      ],
+      answer: `x = ${h.fmt(Math.min(p, q))} or x = ${h.fmt(Math.max(p, q))}`,
+    }),
+  },
+  {
+    id: "math-simultaneous-equations",
+    match: /simultaneous/i,
+    topic: /algebra/i,
+    grades: [9, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({
+      x: r.int(-6, 8),
+      y: r.int(-6, 8),
+      a1: r.int(1, 4),
+      b1: r.nonZero(-3, 3),
+      a2: r.nonZero(-3, 4),
+      b2: r.nonZero(-4, 4),
+    }),
+    constraint: ({ a1, b1, a2, b2 }) => a1 * b2 - a2 * b1 !== 0,
+    solve: ({ x, y, a1, b1, a2, b2 }, h) => {
+      const c1 = a1 * x + b1 * y;
+      const c2 = a2 * x + b2 * y;
+      return {
+        question: `Solve for x and y simultaneously:\n${h.poly([
+          [a1, "x"],
+          [b1, "y"],
+        ])} = ${h.fmt(c1)}\n${h.poly([
+          [a2, "x"],
+          [b2, "y"],
+        ])} = ${h.fmt(c2)}`,
+        steps: [
+          `Eliminate y: multiply the first equation by ${h.fmt(b2)} and the second by ${h.fmt(b1)}`,
+          `Subtract: ${h.fmt(a1 * b2 - a2 * b1)}x = ${h.fmt(c1 * b2 - c2 * b1)} → x = ${h.fmt(x)}`,
+          `Substitute x = ${h.fmt(x)} into the first equation → y = ${h.fmt(y)}`,
+        ],
+        answer: `x = ${h.fmt(x)}, y = ${h.fmt(y)}`,
+      };
+    },
+  },
+  {
+    id: "math-exponent-laws",
+    match: /laws of exponents \(incl|exponents & logarithms/i,
+    topic: /algebra/i,
+    grades: [10, 11],
+    difficulty: "mixed",
+    marks: 3,
+    misconceptions: ({ a, b, m, n }, h) => {
+      const power = (e) => (e === 1 ? "" : h.sup(e));
+      return [
+        {
+          id: "coefficient_not_squared",
+          answer: `${a * b}x${power(2 * m - n)}`,
+          why: "The coefficient is squared too: (ax)² = a²x².",
+        },
+        {
+          id: "added_power",
+          answer: `${a * a * b}x${power(m + 2 - n)}`,
+          why: "For a power of a power, multiply the exponents: (xᵐ)² = x²ᵐ.",
+        },
+        {
+          id: "negative_exponent",
+          answer: `${a * a * b}x${power(2 * m + n)}`,
+          why: "x⁻ⁿ divides by xⁿ, so its exponent is subtracted.",
+        },
+      ];
+    },
+    params: (r) => ({ a: r.int(2, 5), b: r.int(2, 6), m: r.int(2, 5), n: r.int(1, 6) }),
+    constraint: ({ m, n }) => 2 * m - n >= 1,
+    solve: ({ a, b, m, n }, h) => ({
+      question: `Simplify fully: (${a}x${h.sup(m)})² · ${b}x${h.sup(-n)}`,
+      steps: [
+        `Power of a product → (${a}x${h.sup(m)})² = ${a * a}x${h.sup(2 * m)}`,
+        `Multiply coefficients and add exponents → ${a * a * b}x${h.sup(
+          2 * m
+        )}${h.sup("-")}${h.sup(n)}`,
+      ],
+      answer: `${a * a * b}x${2 * m - n === 1 ? "" : h.sup(2 * m - n)}`,
+    }),
+  },
+  {
+    id: "math-exponential-equation",
+    match: /exponents & logarithms|laws of exponents \(incl/i,
+    topic: /algebra/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ b: r.pick([2, 3, 5]), k: r.int(2, 6), c: r.int(-3, 4) }),
+    constraint: ({ b, k }) => Math.pow(b, k) <= 1000,
+    solve: ({ b, k, c }, h) => ({
+      question: `Solve for x: ${b}^(${h.poly([[1, "x"], [c, ""]])}) = ${Math.pow(b, k)}`,
+      steps: [
+        `Write ${Math.pow(b, k)} as a power of ${b}: ${Math.pow(b, k)} = ${b}${h.sup(k)}`,
+        `Equate the exponents: ${h.poly([[1, "x"], [c, ""]])} = ${k}`,
+      ],
+      answer: `x = ${h.fmt(k - c)}`,
+    }),
+  },
+  {
+    id: "math-logarithm-evaluate",
+    match: /logarithm/i,
+    topic: /algebra|functions/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ b1: r.pick([2, 3, 5]), k1: r.int(2, 5), k2: r.int(1, 4) }),
+    solve: ({ b1, k1, k2 }, h) => ({
+      question: `Calculate without a calculator: log${h.sub(b1)} ${Math.pow(
+        b1,
+        k1
+      )} + log ${Math.pow(10, k2)}`,
+      steps: [
+        `log${h.sub(b1)} ${Math.pow(b1, k1)} = log${h.sub(b1)} ${b1}${h.sup(k1)} = ${k1}`,
+        `log ${Math.pow(10, k2)} = log 10${h.sup(k2)} = ${k2}`,
+      ],
+      answer: `${k1 + k2}`,
+    }),
+  },
+  {
+    id: "math-rational-expression",
+    match: /rational expressions/i,
+    topic: /algebra/i,
+    grades: [10, 11],
+    difficulty: "challenging",
+    marks: 3,
+    params: (r) => ({ p: r.nonZero(-8, 8), q: r.nonZero(-8, 8) }),
+    constraint: ({ p, q }) => p !== q && p + q !== 0,
+    solve: ({ p, q }, h) => ({
+      question: `Simplify: (${h.poly([
+        [1, "x²"],
+        [-(p + q), "x"],
+        [p * q, ""],
+      ])}) / ${h.factor("x", p)}`,
+      steps: [
+        `Factorise the numerator: ${h.factor("x", p)}${h.factor("x", q)}`,
+        `Cancel the common factor ${h.factor("x", p)} (x ≠ ${h.fmt(p)})`,
+      ],
+      answer: h.poly([
+        [1, "x"],
+        [-q, ""],
+      ]),
+    }),
+  },
+  {
+    id: "math-remainder-theorem",
+    match: /factor & remainder/i,
+    topic: /algebra/i,
+    grades: [11, 12],
+    difficulty: "challenging",
+    marks: 3,
+    params: (r) => ({
+      a: r.int(-4, 4),
+      b: r.int(-6, 6),
+      c: r.int(-9, 9),
+      k: r.nonZero(-3, 3),
+    }),
+    solve: ({ a, b, c, k }, h) => {
+      const f = k * k * k + a * k * k + b * k + c;
+      return {
+        question: `Given f(x) = ${h.poly([
+          [1, "x³"],
+          [a, "x²"],
+          [b, "x"],
+          [c, ""],
+        ])}\nCalculate the remainder when f(x) is divided by ${h.factor("x", k)}.`,
+        steps: [
+          `Remainder theorem: the remainder is f(${h.fmt(k)})`,
+          `f(${h.fmt(k)}) = (${h.fmt(k)})³ + (${h.fmt(a)})(${h.fmt(k)})² + (${h.fmt(
+            b
+          )})(${h.fmt(k)}) + (${h.fmt(c)})`,
+        ],
+        answer: `${h.fmt(f)}`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Patterns, sequences & series
+  // -------------------------------------------------------------------------
+  {
+    id: "math-linear-pattern",
+    match: /numeric patterns|arithmetic sequences/i,
+    topic: /pattern|sequence/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ a: r.int(-10, 15), d: r.nonZero(-7, 9), k: r.int(12, 40) }),
+    solve: ({ a, d, k }, h) => {
+      const terms = [0, 1, 2, 3].map((i) => h.fmt(a + i * d)).join("; ");
+      return {
+        question: `Given the linear pattern ${terms}; …\nDetermine the general term Tₙ and hence T${h.sub(k)}.`,
+        steps: [
+          `Common difference d = ${h.fmt(a + d)} − (${h.fmt(a)}) = ${h.fmt(d)}`,
+          `Tₙ = a + (n − 1)d = ${h.fmt(a)} + (${h.fmt(d)})(n − 1)`,
+          `T${h.sub(k)} = (${h.fmt(d)})(${k}) + (${h.fmt(a - d)})`,
+        ],
+        answer: `Tₙ = ${h.poly([
+          [d, "n"],
+          [a - d, ""],
+        ])}; T${h.sub(k)} = ${h.fmt(a + (k - 1) * d)}`,
+      };
+    },
+  },
+  {
+    id: "math-geometric-sequence",
+    match: /geometric sequences/i,
+    topic: /pattern|sequence/i,
+    grades: [10, 11],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ a: r.int(1, 5), ratio: r.pick([2, 3, -2]), k: r.int(5, 8) }),
+    solve: ({ a, ratio, k }, h) => ({
+      question: `Consider the geometric sequence ${[0, 1, 2]
+        .map((i) => h.fmt(a * Math.pow(ratio, i)))
+        .join("; ")}; …\nDetermine the common ratio and T${h.sub(k)}.`,
+      steps: [
+        `r = T₂/T₁ = ${h.fmt(a * ratio)}/${h.fmt(a)} = ${h.fmt(ratio)}`,
+        `Tₙ = arⁿ⁻¹ → T${h.sub(k)} = ${a}(${h.fmt(ratio)})${h.sup(k - 1)}`,
+      ],
+      answer: `r = ${h.fmt(ratio)}; T${h.sub(k)} = ${h.fmt(a * Math.pow(ratio, k - 1))}`,
+    }),
+  },
+  {
+    id: "math-arithmetic-series",
+    match: /arithmetic series|arithmetic and geometric series/i,
+    topic: /series/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 3,
+    misconceptions: ({ a, d, n }, h) => [
+      {
+        id: "n_not_n_minus_1",
+        answer: `S${h.sub(n)} = ${h.fmt((n / 2) * (2 * a + n * d))}`,
+        why: "The formula uses (n − 1)d, not nd.",
+      },
+      {
+        id: "term_not_sum",
+        answer: `S${h.sub(n)} = ${h.fmt(a + (n - 1) * d)}`,
+        why: "That's the last term Tₙ, not the sum Sₙ.",
+      },
+    ],
+    params: (r) => ({ a: r.int(-5, 12), d: r.nonZero(-4, 7), n: r.int(10, 30) }),
+    solve: ({ a, d, n }, h) => ({
+      question: `Calculate the sum of the first ${n} terms of the series ${[0, 1, 2]
+        .map((i) => (i > 0 && a + i * d < 0 ? `(${h.fmt(a + i * d)})` : h.fmt(a + i * d)))
+        .join(" + ")} + …`,
+      steps: [
+        `a = ${h.fmt(a)}, d = ${h.fmt(d)}, n = ${n}`,
+        `Sₙ = n/2 [2a + (n − 1)d] = ${n}/2 [2(${h.fmt(a)}) + ${n - 1}(${h.fmt(d)})]`,
+      ],
+      answer: `S${h.sub(n)} = ${h.fmt((n / 2) * (2 * a + (n - 1) * d))}`,
+    }),
+  },
+  {
+    id: "math-geometric-series",
+    match: /geometric series|arithmetic and geometric series/i,
+    topic: /series/i,
+    grades: [11, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ a: r.int(1, 6), ratio: r.pick([2, 3]), n: r.int(5, 9) }),
+    solve: ({ a, ratio, n }, h) => ({
+      question: `Determine the sum of the first ${n} terms of the series ${[0, 1, 2]
+        .map((i) => h.fmt(a * Math.pow(ratio, i)))
+        .join(" + ")} + …`,
+      steps: [
+        `a = ${a}, r = ${ratio}, n = ${n}`,
+        `Sₙ = a(rⁿ − 1)/(r − 1) = ${a}(${ratio}${h.sup(n)} − 1)/(${ratio} − 1)`,
+      ],
+      answer: `S${h.sub(n)} = ${h.grouped(
+        (a * (Math.pow(ratio, n) - 1)) / (ratio - 1),
+        0
+      )}`,
+    }),
+  },
+  {
+    id: "math-sum-to-infinity",
+    match: /sum to infinity/i,
+    topic: /series/i,
+    grades: [12, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ d: r.pick([2, 3, 4, 5]), m: r.int(2, 12) }),
+    solve: ({ d, m }, h) => {
+      const a = (d - 1) * m;
+      return {
+        question: `Consider the series ${h.frac(a)} + ${h.frac(a, d)} + ${h.frac(
+          a,
+          d * d
+        )} + …\nExplain why the sum to infinity exists and calculate it.`,
+        steps: [
+          `r = T₂/T₁ = 1/${d}`,
+          `−1 < r < 1, so the series converges`,
+          `S∞ = a/(1 − r) = ${a}/(1 − 1/${d})`,
+        ],
+        answer: `S∞ = ${h.fmt(d * m)}`,
+      };
+    },
+  },
+  {
+    id: "math-sigma-notation",
+    match: /sigma/i,
+    topic: /series/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ p: r.nonZero(-4, 6), q: r.int(-6, 8), n: r.int(8, 25) }),
+    solve: ({ p, q, n }, h) => {
+      const first = p + q;
+      const last = p * n + q;
+      return {
+        question: `Calculate: Σ (${h.poly([
+          [p, "k"],
+          [q, ""],
+        ])}) for k = 1 to ${n}`,
+        steps: [
+          `This is an arithmetic series: T₁ = ${h.fmt(first)}, d = ${h.fmt(p)}, n = ${n}`,
+          `Last term T${h.sub(n)} = ${h.fmt(last)}`,
+          `Sₙ = n/2 (a + l) = ${n}/2 (${h.fmt(first)} + (${h.fmt(last)}))`,
+        ],
+        answer: h.fmt((n / 2) * (first + last)),
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Functions & graphs
+  // -------------------------------------------------------------------------
+  {
+    id: "math-straight-line",
+    match: /straight-line|equation of a straight line|linear functions/i,
+    topic: /function|analytical/i,
+    grades: [9, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ m: r.nonZero(-4, 4), c: r.int(-8, 8), x1: r.int(-5, 2), dx: r.int(1, 4) }),
+    solve: ({ m, c, x1, dx }, h) => {
+      const x2 = x1 + dx;
+      return {
+        question: `Determine the equation of the straight line through A${h.point(
+          x1,
+          m * x1 + c
+        )} and B${h.point(x2, m * x2 + c)}.`,
+        steps: [
+          `m = (y₂ − y₁)/(x₂ − x₁) = (${h.fmt(m * x2 + c)} − (${h.fmt(
+            m * x1 + c
+          )}))/(${h.fmt(x2)} − (${h.fmt(x1)})) = ${h.fmt(m)}`,
+          `Substitute A into y = ${h.fmt(m)}x + c → c = ${h.fmt(c)}`,
+        ],
+        answer: `y = ${h.line(m, 1, c)}`,
+      };
+    },
+  },
+  {
+    id: "math-parabola-features",
+    match: /quadratic functions|quadratic, hyperbola/i,
+    topic: /function/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ a: r.pick([1, -1, 2, -2]), p: r.nonZero(-5, 5), q: r.int(-9, 9) }),
+    solve: ({ a, p, q }, h) => {
+      const b = -2 * a * p;
+      const c = a * p * p + q;
+      return {
+        question: `Given f(x) = ${h.poly([
+          [a, "x²"],
+          [b, "x"],
+          [c, ""],
+        ])}\nDetermine the coordinates of the turning point and the y-intercept.`,
+        steps: [
+          `Axis of symmetry x = −b/(2a) = −(${h.fmt(b)})/(2 × ${h.fmt(a)}) = ${h.fmt(p)}`,
+          `f(${h.fmt(p)}) = ${h.fmt(q)}`,
+          `y-intercept: f(0) = ${h.fmt(c)}`,
+        ],
+        answer: `turning point ${h.point(p, q)}; y-intercept = ${h.fmt(c)}`,
+      };
+    },
+  },
+  {
+    id: "math-hyperbola-asymptotes",
+    match: /hyperbol|quadratic, hyperbola/i,
+    topic: /function/i,
+    grades: [10, 12],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ a: r.nonZero(-6, 6), p: r.nonZero(-5, 5), q: r.nonZero(-6, 6) }),
+    solve: ({ a, p, q }, h) => ({
+      question: `Write down the equations of the asymptotes of g(x) = ${h.fmt(
+        a
+      )}/${h.factor("x", p)} ${q < 0 ? "−" : "+"} ${Math.abs(q)}`,
+      steps: [
+        `Vertical asymptote where the denominator is 0: ${h.poly([
+          [1, "x"],
+          [-p, ""],
+        ])} = 0`,
+        `Horizontal asymptote is the vertical shift q`,
+      ],
+      answer: `x = ${h.fmt(p)}; y = ${h.fmt(q)}`,
+    }),
+  },
+  {
+    id: "math-graph-shift",
+    match: /transformations/i,
+    topic: /function/i,
+    grades: [10, 11],
+    difficulty: "mixed",
+    marks: 2,
+    params: (r) => ({ p: r.nonZero(-5, 5), q: r.nonZero(-6, 6) }),
+    solve: ({ p, q }, h) => ({
+      question: `The graph of f(x) = x² is shifted ${Math.abs(p)} unit(s) ${
+        p > 0 ? "right" : "left"
+      } and ${Math.abs(q)} unit(s) ${q > 0 ? "up" : "down"} to form g.\nWrite down the equation of g.`,
+      steps: [
+        `A horizontal shift of ${h.fmt(p)} replaces x with ${h.factor("x", p)}`,
+        `A vertical shift adds ${h.fmt(q)} to the function`,
+      ],
+      answer: `g(x) = ${h.factor("x", p)}² ${q < 0 ? "−" : "+"} ${Math.abs(q)}`,
+    }),
+  },
+  {
+    id: "math-inverse-linear",
+    match: /inverse/i,
+    topic: /function/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ a: r.pick([2, 3, 4, 5, -2, -3]), b: r.nonZero(-9, 9) }),
+    solve: ({ a, b }, h) => ({
+      question: `Given f(x) = ${h.poly([
+        [a, "x"],
+        [b, ""],
+      ])}\nDetermine f⁻¹(x).`,
+      steps: [
+        `Swap x and y: x = ${h.poly([
+          [a, "y"],
+          [b, ""],
+        ])}`,
+        `Make y the subject: ${h.fmt(a)}y = ${h.poly([
+          [1, "x"],
+          [-b, ""],
+        ])}`,
+      ],
+      answer: `f⁻¹(x) = (${h.poly([
+        [1, "x"],
+        [-b, ""],
+      ])})/${a < 0 ? `(${h.fmt(a)})` : a}`,
+    }),
+  },
+
+  // -------------------------------------------------------------------------
+  // Trigonometry
+  // -------------------------------------------------------------------------
+  {
+    id: "math-trig-ratio-side",
+    match: /trig ratios/i,
+    topic: /trigonometry/i,
+    grades: [10, 10],
+    difficulty: "simplified",
+    marks: 3,
+    misconceptions: ({ hyp, angle }, h) => {
+      const rad = (angle * Math.PI) / 180;
+      return [
+        {
+          id: "used_cos",
+          answer: `BC = ${h.fmt(hyp * Math.cos(rad))} cm`,
+          why: "BC is opposite Â, so use sin (cos pairs the adjacent side with the hypotenuse).",
+        },
+        {
+          id: "divided_by_ratio",
+          answer: `BC = ${h.fmt(hyp / Math.sin(rad))} cm`,
+          why: "From sin Â = BC/AC, multiply by AC: BC = AC × sin Â.",
+        },
+      ];
+    },
+    params: (r) => ({ hyp: r.int(6, 30), angle: r.int(20, 70) }),
+    solve: ({ hyp, angle }, h) => {
+      const opp = hyp * Math.sin((angle * Math.PI) / 180);
+      return {
+        question: `In right-angled triangle ABC, B̂ = 90°, Â = ${angle}° and AC = ${hyp} cm.\nCalculate the length of BC (2 decimal places).`,
+        steps: [
+          `BC is opposite Â and AC is the hypotenuse → sin ${angle}° = BC/${hyp}`,
+          `BC = ${hyp} × sin ${angle}°`,
+        ],
+        answer: `BC = ${h.fmt(opp)} cm`,
+      };
+    },
+  },
+  {
+    id: "math-special-angles",
+    match: /special angles/i,
+    topic: /trigonometry/i,
+    grades: [10, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ a: r.int(1, 4), b: r.int(1, 4), c: r.int(1, 3) }),
+    solve: ({ a, b, c }, h) => ({
+      question: `Without using a calculator, determine the value of:\n${coef(
+        a
+      )}sin 30° + ${coef(b)}cos 60° + ${coef(c)}tan² 45°`,
+      steps: [
+        `sin 30° = 1/2, cos 60° = 1/2, tan 45° = 1`,
+        `${a}(1/2) + ${b}(1/2) + ${c}(1)²`,
+      ],
+      answer: h.frac(a + b + 2 * c, 2),
+    }),
+  },
+  {
+    id: "math-trig-equation",
+    match: /trig equations/i,
+    topic: /trigonometry/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => {
+      const fn = r.pick(["sin", "cos", "tan"]);
+      const sign = r.pick([1, -1]);
+      return { fn, sign, k: r.pick([2, 4]), b: r.int(-3, 3) };
+    },
+    solve: ({ fn, sign, k, b }, h) => {
+      const [num, den] = Object.values(SPECIAL[fn]).find(([n]) => n === sign);
+      const angles = Object.entries(SPECIAL[fn])
+        .filter(([, [n]]) => n === sign)
+        .map(([deg]) => Number(deg))
+        .sort((x, y) => x - y);
+      const rhs = (k * num) / den + b;
+      return {
+        question: `Solve for θ if ${k} ${fn} θ ${b < 0 ? "−" : "+"} ${Math.abs(
+          b
+        )} = ${h.fmt(rhs)} and θ ∈ [0°; 360°].`,
+        steps: [
+          `Isolate the ratio: ${fn} θ = ${h.frac(num, den)}`,
+          `Reference angle ${fn === "sin" ? 30 : fn === "cos" ? 60 : 45}°; ${fn} is ${
+            sign > 0 ? "positive" : "negative"
+          } in the quadrants of ${angles.join("° and ")}°`,
+        ],
+        answer: `θ = ${angles[0]}° or θ = ${angles[1]}°`,
+      };
+    },
+  },
+  {
+    id: "math-reduction-evaluate",
+    match: /reduction/i,
+    topic: /trigonometry/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({
+      s: r.pick([150, 210, 330]),
+      c: r.pick([120, 240, 300]),
+    }),
+    solve: ({ s, c }, h) => {
+      const [sn, sd] = SPECIAL.sin[s];
+      const [cn, cd] = SPECIAL.cos[c];
+      return {
+        question: `Without using a calculator, determine the value of:\nsin ${s}° · cos ${c}°`,
+        steps: [
+          `sin ${s}° = ${REDUCTION[s]("sin", 30)} = ${h.frac(sn, sd)}`,
+          `cos ${c}° = ${REDUCTION[c]("cos", 60)} = ${h.frac(cn, cd)}`,
+          `(${h.frac(sn, sd)})(${h.frac(cn, cd)})`,
+        ],
+        answer: h.frac(sn * cn, sd * cd),
+      };
+    },
+  },
+  {
+    id: "math-angle-of-depression",
+    match: /2d and 3d|trig ratios/i,
+    topic: /trigonometry/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ height: r.int(20, 150), angle: r.int(15, 65) }),
+    solve: ({ height, angle }, h) => {
+      const d = height / Math.tan((angle * Math.PI) / 180);
+      return {
+        question: `From the top of a cliff ${height} m high, the angle of depression to a boat is ${angle}°.\nCalculate the horizontal distance from the foot of the cliff to the boat (2 decimal places).`,
+        steps: [
+          `Angle of depression = angle of elevation from the boat = ${angle}° (alternate angles)`,
+          `tan ${angle}° = ${height}/d → d = ${height}/tan ${angle}°`,
+        ],
+        answer: `d = ${h.fmt(d)} m`,
+      };
+    },
+  },
+  {
+    id: "math-cosine-area-rule",
+    match: /sine\/cosine rule|area rule/i,
+    topic: /trigonometry/i,
+    grades: [11, 12],
+    difficulty: "challenging",
+    marks: 5,
+    params: (r) => ({ b: r.int(4, 15), c: r.int(4, 15), A: r.int(35, 120) }),
+    solve: ({ b, c, A }, h) => {
+      const rad = (A * Math.PI) / 180;
+      const a = Math.sqrt(b * b + c * c - 2 * b * c * Math.cos(rad));
+      const area = 0.5 * b * c * Math.sin(rad);
+      return {
+        question: `In ΔABC, AC = ${b} cm, AB = ${c} cm and Â = ${A}°.\nCalculate BC and the area of ΔABC (2 decimal places).`,
+        steps: [
+          `Cosine rule: BC² = ${b}² + ${c}² − 2(${b})(${c}) cos ${A}°`,
+          `BC = √${h.fmt(a * a)}`,
+          `Area = ½ × AC × AB × sin Â = ½(${b})(${c}) sin ${A}°`,
+        ],
+        answer: `BC = ${h.fmt(a)} cm; area = ${h.fmt(area)} cm²`,
+      };
+    },
+  },
+  {
+    id: "math-double-angle",
+    match: /compound and double angle/i,
+    topic: /trigonometry/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ triple: r.pick(TRIPLES), swap: r.chance() }),
+    solve: ({ triple, swap }, h) => {
+      const [p, q, hyp] = triple;
+      const opp = swap ? q : p;
+      const adj = swap ? p : q;
+      return {
+        question: `If sin A = ${opp}/${hyp} and A is acute, determine without a calculator:\nsin 2A and cos 2A`,
+        steps: [
+          `Sketch: y = ${opp}, r = ${hyp} → x = √(${hyp}² − ${opp}²) = ${adj}, so cos A = ${adj}/${hyp}`,
+          `sin 2A = 2 sin A cos A = 2(${opp}/${hyp})(${adj}/${hyp})`,
+          `cos 2A = cos² A − sin² A = (${adj * adj} − ${opp * opp})/${hyp * hyp}`,
+        ],
+        answer: `sin 2A = ${h.frac(2 * opp * adj, hyp * hyp)}; cos 2A = ${h.frac(
+          adj * adj - opp * opp,
+          hyp * hyp
+        )}`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Geometry & measurement
+  // -------------------------------------------------------------------------
+  {
+    id: "math-pythagoras",
+    match: /pythagoras/i,
+    topic: /space & shape|geometry/i,
+    grades: [8, 12],
+    difficulty: "simplified",
+    marks: 3,
+    misconceptions: ({ triple, k, findLeg }, h) => {
+      const [a, b, c] = triple.map((v) => v * k);
+      return findLeg
+        ? [
+            {
+              id: "added_squares",
+              answer: `QR = ${h.fmt(Math.sqrt(c * c + a * a))} cm`,
+              why: "To find a shorter side, subtract: QR² = PR² − PQ².",
+            },
+          ]
+        : [
+            {
+              id: "added_sides",
+              answer: `PR = ${a + b} cm`,
+              why: "Sides don't add directly: square them, add, then take the square root.",
+            },
+          ];
+    },
+    params: (r) => ({ triple: r.pick(TRIPLES), k: r.int(1, 3), findLeg: r.chance() }),
+    solve: ({ triple, k, findLeg }, h) => {
+      const [a, b, c] = triple.map((v) => v * k);
+      if (findLeg) {
+        return {
+          question: `In right-angled ΔPQR, Q̂ = 90°, PR = ${c} cm and PQ = ${a} cm.\nCalculate QR.`,
+          steps: [
+            `Pythagoras: PR² = PQ² + QR²`,
+            `QR² = ${c}² − ${a}² = ${c * c - a * a}`,
+          ],
+          answer: `QR = ${b} cm`,
+        };
+      }
+      return {
+        question: `In right-angled ΔPQR, Q̂ = 90°, PQ = ${a} cm and QR = ${b} cm.\nCalculate PR.`,
+        steps: [`Pythagoras: PR² = PQ² + QR²`, `PR² = ${a}² + ${b}² = ${c * c}`],
+        answer: `PR = ${c} cm`,
+      };
+    },
+  },
+  {
+    id: "math-polygon-angles",
+    match: /angle relationships and polygons|angles and parallel lines/i,
+    topic: /space & shape|geometry/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ n: r.pick([5, 6, 8, 9, 10, 12, 15, 18, 20]) }),
+    solve: ({ n }, h) => ({
+      question: `Calculate the size of one interior angle of a regular polygon with ${n} sides.`,
+      steps: [
+        `Sum of interior angles = 180°(n − 2) = 180°(${n - 2}) = ${180 * (n - 2)}°`,
+        `Each angle = ${180 * (n - 2)}° ÷ ${n}`,
+      ],
+      answer: `${h.fmt((180 * (n - 2)) / n)}°`,
+    }),
+  },
+  {
+    id: "math-triangle-angles",
+    match: /triangles and quadrilaterals|angle relationships/i,
+    topic: /space & shape|geometry/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ x: r.int(10, 30), a: r.int(-10, 20), b: r.int(-10, 20) }),
+    constraint: ({ x, a, b }) => {
+      const third = 180 - (x + a) - (2 * x + b);
+      return x + a > 0 && 2 * x + b > 0 && third > 0 && third !== x;
+    },
+    solve: ({ x, a, b }, h) => {
+      const third = 180 - (x + a) - (2 * x + b);
+      return {
+        question: `The angles of a triangle are (${h.poly([
+          [1, "x"],
+          [a, ""],
+        ])})°, (${h.poly([
+          [2, "x"],
+          [b, ""],
+        ])})° and ${third}°.\nCalculate x.`,
+        steps: [
+          `Angles in a triangle add up to 180°`,
+          `${h.poly([
+            [3, "x"],
+            [a + b, ""],
+          ])} + ${third} = 180`,
+          `3x = ${180 - third - a - b}`,
+        ],
+        answer: `x = ${x}°`,
+      };
+    },
+  },
+  {
+    id: "math-proportionality",
+    match: /proportionality|similarity|similar/i,
+    topic: /geometry/i,
+    grades: [9, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ ad: r.int(2, 9), db: r.int(2, 9), k: r.int(1, 4) }),
+    constraint: ({ ad, db }) => ad !== db,
+    solve: ({ ad, db, k }, h) => ({
+      question: `In ΔABC, D lies on AB and E lies on AC with DE ∥ BC.\nAD = ${ad} cm, DB = ${db} cm and AE = ${ad * k} cm.\nCalculate EC.`,
+      steps: [
+        `Line parallel to one side of a triangle: AD/DB = AE/EC`,
+        `${ad}/${db} = ${ad * k}/EC → EC = ${ad * k} × ${db}/${ad}`,
+      ],
+      answer: `EC = ${h.fmt(db * k)} cm`,
+    }),
+  },
+  {
+    id: "math-circle-area",
+    match: /perimeter and area|area\/perimeter|area\/volume/i,
+    topic: /measurement/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ radius: r.int(2, 25) }),
+    solve: ({ radius }, h) => ({
+      question: `A circular garden has a radius of ${radius} m.\nCalculate its area and circumference (2 decimal places).`,
+      steps: [
+        `Area = πr² = π × ${radius}²`,
+        `Circumference = 2πr = 2 × π × ${radius}`,
+      ],
+      answer: `area = ${h.fmt(Math.PI * radius * radius)} m²; circumference = ${h.fmt(
+        2 * Math.PI * radius
+      )} m`,
+    }),
+  },
+  {
+    id: "math-prism-volume",
+    match: /volume and surface area \(prisms\)|area\/volume/i,
+    topic: /measurement/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 4,
+    params: (r) => ({ l: r.int(2, 20), b: r.int(2, 15), hgt: r.int(2, 12) }),
+    solve: ({ l, b, hgt }) => ({
+      question: `A rectangular box is ${l} cm long, ${b} cm wide and ${hgt} cm high.\nCalculate its volume and total surface area.`,
+      steps: [
+        `Volume = l × b × h = ${l} × ${b} × ${hgt}`,
+        `Surface area = 2(lb + lh + bh) = 2(${l * b} + ${l * hgt} + ${b * hgt})`,
+      ],
+      answer: `V = ${l * b * hgt} cm³; SA = ${2 * (l * b + l * hgt + b * hgt)} cm²`,
+    }),
+  },
+  {
+    id: "math-cylinder",
+    match: /cylinder/i,
+    topic: /measurement/i,
+    grades: [9, 10],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ radius: r.int(2, 12), hgt: r.int(3, 30) }),
+    solve: ({ radius, hgt }, h) => ({
+      question: `A cylindrical water tank has a radius of ${radius} m and a height of ${hgt} m.\nCalculate its volume and total surface area (2 decimal places).`,
+      steps: [
+        `V = πr²h = π × ${radius}² × ${hgt}`,
+        `SA = 2πr² + 2πrh = 2π(${radius})² + 2π(${radius})(${hgt})`,
+      ],
+      answer: `V = ${h.fmt(Math.PI * radius * radius * hgt)} m³; SA = ${h.fmt(
+        2 * Math.PI * radius * radius + 2 * Math.PI * radius * hgt
+      )} m²`,
+    }),
+  },
+
+  // -------------------------------------------------------------------------
+  // Analytical geometry
+  // -------------------------------------------------------------------------
+  {
+    id: "math-distance-midpoint",
+    match: /distance, midpoint|distance to a point|cartesian plane/i,
+    topic: /analytical|functions & algebra/i,
+    grades: [9, 12],
+    difficulty: "simplified",
+    marks: 4,
+    params: (r) => ({
+      triple: r.pick(TRIPLES.slice(0, 3)),
+      x1: r.int(-6, 4),
+      y1: r.int(-6, 6),
+      sx: r.pick([1, -1]),
+      sy: r.pick([1, -1]),
+    }),
+    solve: ({ triple, x1, y1, sx, sy }, h) => {
+      const [dx, dy, d] = triple;
+      const x2 = x1 + sx * dx;
+      const y2 = y1 + sy * dy;
+      return {
+        question: `A${h.point(x1, y1)} and B${h.point(
+          x2,
+          y2
+        )} are points on the Cartesian plane.\nCalculate the length of AB and the coordinates of M, the midpoint of AB.`,
+        steps: [
+          `AB = √[(${h.fmt(x2)} − (${h.fmt(x1)}))² + (${h.fmt(y2)} − (${h.fmt(
+            y1
+          )}))²] = √${d * d}`,
+          `M = ((x₁ + x₂)/2; (y₁ + y₂)/2)`,
+        ],
+        answer: `AB = ${d}; M${h.point((x1 + x2) / 2, (y1 + y2) / 2)}`,
+      };
+    },
+  },
+  {
+    id: "math-perpendicular-line",
+    match: /parallel\/perpendicular|angle between lines/i,
+    topic: /analytical/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ m: r.pick([2, 3, -2, -3, 4]), c: r.int(-6, 6), t: r.int(-3, 3), y0: r.int(-8, 8) }),
+    solve: ({ m, c, t, y0 }, h) => {
+      const x0 = m * t;
+      // Perpendicular gradient −1/m through (x0; y0) → c' = y0 + x0/m
+      const cPerp = y0 + t;
+      return {
+        question: `Determine the equation of the line perpendicular to y = ${h.line(
+          m,
+          1,
+          c
+        )} that passes through ${h.point(x0, y0)}.`,
+        steps: [
+          `Perpendicular lines: m₁ × m₂ = −1 → m = −1/${m < 0 ? `(${h.fmt(m)})` : m}`,
+          `Substitute ${h.point(x0, y0)} into y = mx + c → c = ${h.fmt(cPerp)}`,
+        ],
+        answer: `y = ${h.line(-1, m, cPerp)}`,
+      };
+    },
+  },
+  {
+    id: "math-inclination",
+    match: /angle between lines|equation of a straight line/i,
+    topic: /analytical/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 2,
+    params: (r) => ({ m: r.nonZero(-5, 5), c: r.int(-6, 6) }),
+    solve: ({ m, c }, h) => {
+      let theta = (Math.atan(m) * 180) / Math.PI;
+      if (theta < 0) theta += 180;
+      return {
+        question: `Calculate the angle of inclination of the line y = ${h.line(
+          m,
+          1,
+          c
+        )} (1 decimal place).`,
+        steps: [
+          `tan θ = m = ${h.fmt(m)}`,
+          m < 0
+            ? `Negative gradient → θ is obtuse: θ = 180° + tan⁻¹(${h.fmt(m)})`
+            : `θ = tan⁻¹(${h.fmt(m)})`,
+        ],
+        answer: `θ = ${h.fmt(theta, 1)}°`,
+      };
+    },
+  },
+  {
+    id: "math-circle-centre-radius",
+    match: /equation of a circle/i,
+    topic: /analytical/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ a: r.int(-6, 6), b: r.int(-6, 6), radius: r.int(2, 9) }),
+    constraint: ({ a, b }) => a !== 0 && b !== 0,
+    solve: ({ a, b, radius }, h) => {
+      const k = radius * radius - a * a - b * b;
+      return {
+        question: `Determine the centre and radius of the circle\n${h.poly([
+          [1, "x²"],
+          [-2 * a, "x"],
+          [1, "y²"],
+          [-2 * b, "y"],
+        ])} = ${h.fmt(k)}`,
+        steps: [
+          `Complete the square in x and in y`,
+          `${h.factor("x", a)}² + ${h.factor("y", b)}² = ${h.fmt(k)} + ${a * a} + ${b * b} = ${radius * radius}`,
+        ],
+        answer: `centre ${h.point(a, b)}; r = ${radius}`,
+      };
+    },
+  },
+  {
+    id: "math-tangent-circle",
+    match: /tangent to a circle/i,
+    topic: /analytical/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ triple: r.pick(TRIPLES.slice(0, 3)), sx: r.pick([1, -1]), sy: r.pick([1, -1]) }),
+    solve: ({ triple, sx, sy }, h) => {
+      const [p, q, radius] = triple;
+      const x1 = sx * p;
+      const y1 = sy * q;
+      return {
+        question: `P${h.point(x1, y1)} lies on the circle x² + y² = ${radius * radius}.\nDetermine the equation of the tangent to the circle at P.`,
+        steps: [
+          `Gradient of radius OP = ${h.frac(y1, x1)}`,
+          `Tangent ⊥ radius → m = ${h.frac(-x1, y1)}`,
+          `Substitute P: c = ${h.frac(radius * radius, y1)}`,
+        ],
+        answer: `y = ${h.line(-x1, y1, radius * radius, y1)}`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Statistics & probability
+  // -------------------------------------------------------------------------
+  {
+    id: "math-central-tendency",
+    match: /mean, median|central tendency/i,
+    topic: /data|statistics/i,
+    grades: [8, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => {
+      const values = Array.from({ length: 6 }, () => r.int(2, 30));
+      values.push(values[r.int(0, 5)]);
+      return { values };
+    },
+    constraint: ({ values }) => {
+      const counts = values.reduce((m, v) => ({ ...m, [v]: (m[v] || 0) + 1 }), {});
+      return Object.values(counts).filter((c) => c === Math.max(...Object.values(counts))).length === 1;
+    },
+    solve: ({ values }, h) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const counts = values.reduce((m, v) => ({ ...m, [v]: (m[v] || 0) + 1 }), {});
+      const mode = Number(
+        Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0]
+      );
+      return {
+        question: `Calculate the mean, median and mode of the data set:\n${values.join("; ")}`,
+        steps: [
+          `Mean = ${sum(values)} ÷ ${values.length}`,
+          `Ordered: ${sorted.join("; ")} → the median is the 4th value`,
+          `Mode = most frequent value`,
+        ],
+        answer: `mean = ${h.fmt(sum(values) / values.length)}; median = ${sorted[3]}; mode = ${mode}`,
+      };
+    },
+  },
+  {
+    id: "math-range-iqr",
+    match: /dispersion/i,
+    topic: /statistics/i,
+    grades: [10, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ values: Array.from({ length: 7 }, () => r.int(10, 60)) }),
+    solve: ({ values }) => {
+      const s = [...values].sort((a, b) => a - b);
+      return {
+        question: `Determine the range and interquartile range (IQR) of the data:\n${values.join("; ")}`,
+        steps: [
+          `Ordered: ${s.join("; ")}`,
+          `Range = ${s[6]} − ${s[0]}`,
+          `Q₁ = ${s[1]} (median of the lower half), Q₃ = ${s[5]} (median of the upper half)`,
+        ],
+        answer: `range = ${s[6] - s[0]}; IQR = ${s[5] - s[1]}`,
+      };
+    },
+  },
+  {
+    id: "math-standard-deviation",
+    match: /standard deviation/i,
+    topic: /statistics/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ values: Array.from({ length: 5 }, () => r.int(2, 20)) }),
+    solve: ({ values }, h) => {
+      const mean = sum(values) / values.length;
+      const squares = values.map((v) => (v - mean) * (v - mean));
+      const sd = Math.sqrt(sum(squares) / values.length);
+      return {
+        question: `Calculate the mean and the standard deviation of the data set (2 decimal places):\n${values.join("; ")}`,
+        steps: [
+          `Mean = ${sum(values)}/${values.length} = ${h.fmt(mean)}`,
+          `Σ(x − x̄)² = ${h.fmt(sum(squares))}`,
+          `σ = √(${h.fmt(sum(squares))}/${values.length})`,
+        ],
+        answer: `mean = ${h.fmt(mean)}; σ = ${h.fmt(sd)}`,
+      };
+    },
+  },
+  {
+    id: "math-least-squares",
+    match: /regression|scatter/i,
+    topic: /statistics/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => {
+      const a = r.int(-5, 20);
+      const b = r.nonZero(-4, 6);
+      return { ys: [1, 2, 3, 4, 5].map((x) => a + b * x + r.int(-3, 3)) };
+    },
+    solve: ({ ys }, h) => {
+      const xs = [1, 2, 3, 4, 5];
+      const yBar = sum(ys) / 5;
+      const sxy = sum(xs.map((x, i) => (x - 3) * (ys[i] - yBar)));
+      const b = sxy / 10;
+      const a = yBar - b * 3;
+      return {
+        question: `Determine the equation of the least squares regression line ŷ = a + bx for the data:\nx: 1; 2; 3; 4; 5\ny: ${ys.map((y) => h.fmt(y)).join("; ")}`,
+        steps: [
+          `x̄ = 3 and ȳ = ${h.fmt(yBar)}`,
+          `b = Σ(x − x̄)(y − ȳ)/Σ(x − x̄)² = ${h.fmt(sxy)}/10`,
+          `a = ȳ − b·x̄ = ${h.fmt(yBar)} − (${h.fmt(b)})(3)`,
+        ],
+        answer: `a = ${h.fmt(a)}; b = ${h.fmt(b)}`,
+      };
+    },
+  },
+  {
+    id: "math-grouped-mean",
+    match: /grouped data/i,
+    topic: /statistics/i,
+    grades: [11, 11],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ freqs: Array.from({ length: 4 }, () => r.int(2, 12)) }),
+    solve: ({ freqs }, h) => {
+      const mids = [5, 15, 25, 35];
+      const n = sum(freqs);
+      const fx = sum(freqs.map((f, i) => f * mids[i]));
+      return {
+        question: `Estimate the mean of the grouped data:\n${["0 ≤ x < 10", "10 ≤ x < 20", "20 ≤ x < 30", "30 ≤ x < 40"]
+          .map((c, i) => `${c}: ${freqs[i]}`)
+          .join("\n")}`,
+        steps: [
+          `Class midpoints: 5; 15; 25; 35`,
+          `Σf·x = ${fx} and Σf = ${n}`,
+          `Estimated mean = ${fx} ÷ ${n}`,
+        ],
+        answer: `${h.fmt(fx / n)}`,
+      };
+    },
+  },
+  {
+    id: "math-pie-chart",
+    match: /bar, pie|representing/i,
+    topic: /data/i,
+    grades: [8, 9],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ total: r.pick([36, 40, 60, 72, 90, 120]), part: r.int(3, 30) }),
+    constraint: ({ total, part }) => part < total && Number.isInteger((part * 360) / total),
+    solve: ({ total, part }) => ({
+      question: `In a survey of ${total} learners, ${part} chose soccer as their favourite sport.\nCalculate the angle of the soccer sector in a pie chart.`,
+      steps: [`Fraction of learners = ${part}/${total}`, `Angle = ${part}/${total} × 360°`],
+      answer: `${(part * 360) / total}°`,
+    }),
+  },
+  {
+    id: "math-probability-bag",
+    match: /basic probability|counting outcomes|probability \(equally/i,
+    topic: /probability/i,
+    grades: [8, 10],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ red: r.int(1, 9), blue: r.int(1, 9), green: r.int(1, 9) }),
+    solve: ({ red, blue, green }, h) => {
+      const n = red + blue + green;
+      return {
+        question: `A bag contains ${red} red, ${blue} blue and ${green} green marbles. One marble is drawn at random.\nDetermine P(red) and P(not blue).`,
+        steps: [`Total marbles = ${n}`, `P(not blue) = 1 − P(blue) = 1 − ${blue}/${n}`],
+        answer: `P(red) = ${h.frac(red, n)}; P(not blue) = ${h.frac(n - blue, n)}`,
+      };
+    },
+  },
+  {
+    id: "math-independent-events",
+    match: /probability rules|dependent and independent/i,
+    topic: /probability/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ pa: r.int(1, 9) / 10, pb: r.int(1, 9) / 10 }),
+    solve: ({ pa, pb }, h) => {
+      const both = pa * pb;
+      return {
+        question: `A and B are independent events with P(A) = ${h.fmt(pa)} and P(B) = ${h.fmt(
+          pb
+        )}.\nCalculate P(A and B) and P(A or B).`,
+        steps: [
+          `Independent: P(A and B) = P(A) × P(B) = ${h.fmt(pa)} × ${h.fmt(pb)}`,
+          `P(A or B) = P(A) + P(B) − P(A and B)`,
+        ],
+        answer: `P(A and B) = ${h.fmt(both, 2)}; P(A or B) = ${h.fmt(pa + pb - both, 2)}`,
+      };
+    },
+  },
+  {
+    id: "math-venn-counts",
+    match: /venn/i,
+    topic: /probability|data/i,
+    grades: [9, 11],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ both: r.int(2, 10), aOnly: r.int(3, 15), bOnly: r.int(3, 15), neither: r.int(1, 10) }),
+    solve: ({ both, aOnly, bOnly, neither }, h) => {
+      const total = both + aOnly + bOnly + neither;
+      return {
+        question: `In a group of ${total} learners, ${aOnly + both} take Mathematics, ${
+          bOnly + both
+        } take Physical Sciences and ${both} take both.\nHow many learners take neither subject, and what is the probability that a learner takes Mathematics only?`,
+        steps: [
+          `Mathematics only = ${aOnly + both} − ${both} = ${aOnly}`,
+          `Physical Sciences only = ${bOnly + both} − ${both} = ${bOnly}`,
+          `Neither = ${total} − (${aOnly} + ${both} + ${bOnly})`,
+        ],
+        answer: `${neither}; ${h.frac(aOnly, total)}`,
+      };
+    },
+  },
+  {
+    id: "math-conditional-probability",
+    match: /conditional/i,
+    topic: /probability/i,
+    grades: [11, 12],
+    difficulty: "challenging",
+    marks: 3,
+    params: (r) => ({ pb: r.int(2, 9) / 10, share: r.int(1, 9) / 10 }),
+    solve: ({ pb, share }, h) => {
+      const both = pb * share;
+      return {
+        question: `P(B) = ${h.fmt(pb)} and P(A and B) = ${h.fmt(both, 3)}.\nCalculate P(A | B).`,
+        steps: [`P(A | B) = P(A and B)/P(B) = ${h.fmt(both, 3)}/${h.fmt(pb)}`],
+        answer: `${h.fmt(share)}`,
+      };
+    },
+  },
+  {
+    id: "math-counting-arrangements",
+    match: /fundamental counting|counting outcomes/i,
+    topic: /probability/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ n: r.int(4, 8) }),
+    solve: ({ n }) => {
+      const fact = (k) => (k <= 1 ? 1 : k * fact(k - 1));
+      return {
+        question: `${n} different books are arranged on a shelf.\na) In how many ways can they be arranged?\nb) In how many ways if two particular books must stand next to each other?`,
+        steps: [
+          `a) ${n}! = ${fact(n)}`,
+          `b) Treat the pair as one item: ${n - 1}! arrangements × 2 orders of the pair`,
+        ],
+        answer: `${fact(n)}; ${2 * fact(n - 1)}`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Finance & calculus (Grade 12)
+  // -------------------------------------------------------------------------
+  {
+    id: "math-future-value-annuity",
+    match: /future value|sinking fund/i,
+    topic: /finance/i,
+    grades: [12, 12],
+    difficulty: "mixed",
+    marks: 4,
+    misconceptions: ({ x, rate, years }, h) => {
+      const i = rate / 100;
+      return [
+        {
+          id: "yearly_not_monthly",
+          answer: h.money((x * (Math.pow(1 + i, years) - 1)) / i),
+          why: "Payments and compounding are monthly: i = r/12 and n = years × 12.",
+        },
+        {
+          id: "no_interest",
+          answer: h.money(x * years * 12),
+          why: "That ignores the interest the deposits earn: use the future value annuity formula.",
+        },
+      ];
+    },
+    params: (r) => ({ x: r.int(5, 40) * 100, rate: r.pick([6, 7, 8, 9, 10, 12]), years: r.int(3, 15) }),
+    solve: ({ x, rate, years }, h) => {
+      const i = rate / 100 / 12;
+      const n = years * 12;
+      const fv = (x * (Math.pow(1 + i, n) - 1)) / i;
+      return {
+        question: `Naledi deposits ${h.money(x)} at the end of every month into a savings account earning ${rate}% p.a. compounded monthly.\nHow much will she have after ${years} years?`,
+        steps: [
+          `i = ${rate}%/12 = ${h.fmt(i, 5)}, n = ${years} × 12 = ${n}`,
+          `F = x[(1 + i)ⁿ − 1]/i = ${x}[(1 + ${h.fmt(rate / 100)}/12)${h.sup(
+            n
+          )} − 1]/(${h.fmt(rate / 100)}/12)`,
+        ],
+        answer: h.money(fv),
+      };
+    },
+  },
+  {
+    id: "math-loan-repayment",
+    match: /present value/i,
+    topic: /finance/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    misconceptions: ({ loan, rate, years }, h) => [
+      {
+        id: "no_interest",
+        answer: h.money(loan / (years * 12)),
+        why: "That ignores interest: use the present value annuity formula.",
+      },
+      {
+        id: "simple_interest",
+        answer: h.money((loan * (1 + (rate / 100) * years)) / (years * 12)),
+        why: "Interest is compounded monthly on the balance, not simple interest on the loan.",
+      },
+    ],
+    params: (r) => ({ loan: r.int(5, 60) * 10000, rate: r.pick([8, 9, 10, 11, 12]), years: r.int(2, 20) }),
+    solve: ({ loan, rate, years }, h) => {
+      const i = rate / 100 / 12;
+      const n = years * 12;
+      const x = (loan * i) / (1 - Math.pow(1 + i, -n));
+      return {
+        question: `A loan of ${h.money(loan)} is repaid with equal monthly payments over ${years} years at ${rate}% p.a. compounded monthly. The first payment is made one month after the loan is granted.\nCalculate the monthly payment.`,
+        steps: [
+          `i = ${rate}%/12, n = ${n}`,
+          `P = x[1 − (1 + i)⁻ⁿ]/i → ${loan} = x[1 − (1 + ${h.fmt(
+            rate / 100
+          )}/12)${h.sup(-n)}]/(${h.fmt(rate / 100)}/12)`,
+        ],
+        answer: h.money(x),
+      };
+    },
+  },
+  {
+    id: "math-first-principles",
+    match: /first principles/i,
+    topic: /calculus/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 5,
+    params: (r) => ({ a: r.nonZero(-4, 5), b: r.int(-7, 7) }),
+    solve: ({ a, b }, h) => ({
+      question: `Determine f′(x) from first principles if f(x) = ${h.poly([
+        [a, "x²"],
+        [b, "x"],
+      ])}`,
+      steps: [
+        `f(x + h) = ${h.fmt(a)}(x + h)² + (${h.fmt(b)})(x + h)`,
+        `f(x + h) − f(x) = ${h.poly([
+          [2 * a, "xh"],
+          [a, "h²"],
+          [b, "h"],
+        ])}`,
+        `f′(x) = lim(h→0) [${h.poly([
+          [2 * a, "x"],
+          [a, "h"],
+          [b, ""],
+        ])}]`,
+      ],
+      answer: `f′(x) = ${h.poly([
+        [2 * a, "x"],
+        [b, ""],
+      ])}`,
+    }),
+  },
+  {
+    id: "math-derivative-rules",
+    match: /rules of differentiation/i,
+    topic: /calculus/i,
+    grades: [12, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ a: r.nonZero(-3, 4), b: r.int(-6, 6), c: r.int(-9, 9), d: r.int(-9, 9), k: r.int(-3, 3) }),
+    solve: ({ a, b, c, d, k }, h) => ({
+      question: `Given f(x) = ${h.poly([
+        [a, "x³"],
+        [b, "x²"],
+        [c, "x"],
+        [d, ""],
+      ])}\nDetermine f′(x) and hence f′(${k}).`,
+      steps: [
+        `Power rule: d/dx(axⁿ) = naxⁿ⁻¹`,
+        `f′(${k}) = ${h.fmt(3 * a)}(${h.fmt(k)})² + (${h.fmt(2 * b)})(${h.fmt(
+          k
+        )}) + (${h.fmt(c)})`,
+      ],
+      answer: `f′(x) = ${h.poly([
+        [3 * a, "x²"],
+        [2 * b, "x"],
+        [c, ""],
+      ])}; f′(${k}) = ${h.fmt(3 * a * k * k + 2 * b * k + c)}`,
+    }),
+  },
+  {
+    id: "math-tangent-equation",
+    match: /equations of tangents/i,
+    topic: /calculus/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ b: r.int(-6, 6), c: r.int(-9, 9), k: r.nonZero(-4, 4) }),
+    solve: ({ b, c, k }, h) => {
+      const m = 2 * k + b;
+      const y0 = k * k + b * k + c;
+      return {
+        question: `Determine the equation of the tangent to f(x) = ${h.poly([
+          [1, "x²"],
+          [b, "x"],
+          [c, ""],
+        ])} at x = ${k}.`,
+        steps: [
+          `f′(x) = ${h.poly([
+            [2, "x"],
+            [b, ""],
+          ])} → m = f′(${k}) = ${h.fmt(m)}`,
+          `Point of contact: f(${k}) = ${h.fmt(y0)}`,
+          `y − (${h.fmt(y0)}) = ${h.fmt(m)}${h.factor("x", k)}`,
+        ],
+        answer: `y = ${h.line(m, 1, y0 - m * k)}`,
+      };
+    },
+  },
+  {
+    id: "math-cubic-turning-points",
+    match: /cubic functions|optimisation/i,
+    topic: /calculus/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ p: r.int(-5, 5), q: r.int(-5, 5), d: r.int(-9, 9) }),
+    constraint: ({ p, q }) => p < q && (p + q) % 2 === 0,
+    solve: ({ p, q, d }, h) => ({
+      question: `Determine the x-coordinates of the turning points of f(x) = ${h.poly([
+        [1, "x³"],
+        [(-3 * (p + q)) / 2, "x²"],
+        [3 * p * q, "x"],
+        [d, ""],
+      ])}`,
+      steps: [
+        `Turning points where f′(x) = 0: ${h.poly([
+          [3, "x²"],
+          [-3 * (p + q), "x"],
+          [3 * p * q, ""],
+        ])} = 0`,
+        `Divide by 3 and factorise: ${h.factor("x", p)}${h.factor("x", q)} = 0`,
+      ],
+      answer: `x = ${h.fmt(p)} or x = ${h.fmt(q)}`,
+    }),
+  },
+];
@@ -0,0 +1,571 @@
+/**
+ * Physical Sciences Question Templates (CAPS Grades 10–12)
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 12:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Same template shape as mathematics.js. Constants follow the NSC data
+ * sheet: g = 9,8 m·s⁻², c = 3 × 10⁸ m·s⁻¹, h = 6,63 × 10⁻³⁴ J·s.
+ */
+
+const G = 9.8;
+const C = 3e8;
+const PLANCK = 6.63e-34;
+
+const ELEMENTS = [
+  { name: "sodium", symbol: "Na", Z: 11, A: 23 },
+  { name: "magnesium", symbol: "Mg", Z: 12, A: 24 },
+  { name: "aluminium", symbol: "Al", Z: 13, A: 27 },
+  { name: "chlorine", symbol: "Cl", Z: 17, A: 35 },
+  { name: "potassium", symbol: "K", Z: 19, A: 39 },
+  { name: "calcium", symbol: "Ca", Z: 20, A: 40 },
+  { name: "iron", symbol: "Fe", Z: 26, A: 56 },
+  { name: "copper", symbol: "Cu", Z: 29, A: 64 },
+  { name: "zinc", symbol: "Zn", Z: 30, A: 65 },
+];
+
+const COMPOUNDS = [
+  { formula: "H₂O", M: 18 },
+  { formula: "CO₂", M: 44 },
+  { formula: "NaCl", M: 58.5 },
+  { formula: "CaCO₃", M: 100 },
+  { formula: "NaOH", M: 40 },
+  { formula: "NH₃", M: 17 },
+  { formula: "H₂SO₄", M: 98 },
+  { formula: "MgO", M: 40 },
+];
+
+const FERTILISERS = [
+  { formula: "NH₄NO₃", M: 80, N: 2 },
+  { formula: "(NH₄)₂SO₄", M: 132, N: 2 },
+  { formula: "NH₃", M: 17, N: 1 },
+  { formula: "KNO₃", M: 101, N: 1 },
+  { formula: "CO(NH₂)₂ (urea)", M: 60, N: 2 },
+];
+
+// Standard reduction potentials (V) from the NSC data sheet
+const HALF_CELLS = [
+  { couple: "Zn²⁺/Zn", E: -0.76 },
+  { couple: "Fe²⁺/Fe", E: -0.44 },
+  { couple: "Ni²⁺/Ni", E: -0.27 },
+  { couple: "Pb²⁺/Pb", E: -0.13 },
+  { couple: "Cu²⁺/Cu", E: 0.34 },
+  { couple: "Ag⁺/Ag", E: 0.8 },
+  { couple: "Mg²⁺/Mg", E: -2.36 },
+  { couple: "Al³⁺/Al", E: -1.66 },
+];
+
+module.exports = [
+  // -------------------------------------------------------------------------
+  // Mechanics
+  // -------------------------------------------------------------------------
+  {
+    id: "phys-resultant-vectors",
+    match: /vectors and scalars/i,
+    topic: /mechanics/i,
+    grades: [10, 10],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ triple: r.pick([[3, 4, 5], [6, 8, 10], [5, 12, 13], [9, 12, 15]]) }),
+    solve: ({ triple }) => {
+      const [east, north, result] = triple;
+      return {
+        question: `Two forces act on an object: ${east} N east and ${north} N north.\nCalculate the magnitude of the resultant force.`,
+        steps: [
+          `The forces are perpendicular → use Pythagoras`,
+          `F_R² = ${east}² + ${north}² = ${result * result}`,
+        ],
+        answer: `F_R = ${result} N`,
+      };
+    },
+  },
+  {
+    id: "phys-uniform-acceleration",
+    match: /motion \(v, a\)|graphs of motion|equations of motion/i,
+    topic: /mechanics/i,
+    grades: [10, 12],
+    difficulty: "simplified",
+    marks: 4,
+    misconceptions: ({ vi, a, t }, h) => {
+      const vf = vi + a * t;
+      const dx = ((vi + vf) / 2) * t;
+      return [
+        {
+          id: "final_speed_times_time",
+          answer: `a = ${h.fmt(a)} m·s⁻²; Δx = ${h.fmt(vf * t)} m`,
+          why: "v_f × t assumes constant speed; use the average velocity ½(vᵢ + v_f).",
+        },
+        {
+          id: "final_not_change",
+          answer: `a = ${h.fmt(vf / t)} m·s⁻²; Δx = ${h.fmt(dx)} m`,
+          why: "Acceleration uses the change in velocity: Δv = v_f − vᵢ.",
+        },
+      ];
+    },
+    params: (r) => ({ vi: r.int(0, 10), a: r.int(1, 6) / 2, t: r.int(2, 12) }),
+    solve: ({ vi, a, t }, h) => {
+      const vf = vi + a * t;
+      const dx = ((vi + vf) / 2) * t;
+      return {
+        question: `A car moving at ${vi} m·s⁻¹ accelerates uniformly to ${h.fmt(vf)} m·s⁻¹ in ${t} s.\nCalculate the acceleration of the car and its displacement in this time.`,
+        steps: [
+          `a = Δv/Δt = (${h.fmt(vf)} − ${vi})/${t}`,
+          `Δx = ½(vᵢ + v_f)Δt = ½(${vi} + ${h.fmt(vf)})(${t})`,
+        ],
+        answer: `a = ${h.fmt(a)} m·s⁻²; Δx = ${h.fmt(dx)} m`,
+      };
+    },
+  },
+  {
+    id: "phys-newton-second-law",
+    match: /newton/i,
+    topic: /mechanics/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 4,
+    misconceptions: ({ m, applied, friction }, h) => [
+      {
+        id: "ignored_friction",
+        answer: `a = ${h.fmt(applied / m)} m·s⁻²`,
+        why: "F_net is the applied force minus friction, not the applied force alone.",
+      },
+      {
+        id: "added_friction",
+        answer: `a = ${h.fmt((applied + friction) / m)} m·s⁻²`,
+        why: "Friction opposes the motion, so it is subtracted to get F_net.",
+      },
+    ],
+    params: (r) => ({ m: r.int(2, 20), applied: r.int(10, 80), friction: r.int(2, 30) }),
+    constraint: ({ applied, friction }) => applied > friction,
+    solve: ({ m, applied, friction }, h) => ({
+      question: `A ${m} kg block is pulled across a horizontal surface by a horizontal force of ${applied} N. The frictional force on the block is ${friction} N.\nCalculate the acceleration of the block.`,
+      steps: [
+        `F_net = ma (Newton's Second Law)`,
+        `${applied} − ${friction} = ${m}a`,
+        `The acceleration is in the direction of the applied force`,
+      ],
+      answer: `a = ${h.fmt((applied - friction) / m)} m·s⁻²`,
+    }),
+  },
+  {
+    id: "phys-momentum-collision",
+    match: /momentum/i,
+    topic: /mechanics/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ m1: r.int(1, 6), m2: r.int(1, 6), v1: r.int(2, 10) }),
+    solve: ({ m1, m2, v1 }, h) => ({
+      question: `A ${m1} kg trolley moving east at ${v1} m·s⁻¹ collides with a stationary ${m2} kg trolley. The trolleys stick together.\nCalculate their common velocity after the collision.`,
+      steps: [
+        `Σpᵢ = Σp_f (conservation of linear momentum)`,
+        `(${m1})(${v1}) + (${m2})(0) = (${m1} + ${m2})v_f`,
+        `The trolleys move east together`,
+      ],
+      answer: `v_f = ${h.fmt((m1 * v1) / (m1 + m2))} m·s⁻¹`,
+    }),
+  },
+  {
+    id: "phys-impulse",
+    match: /momentum|impulse/i,
+    topic: /mechanics/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ m: r.int(1, 9) / 10, vi: r.int(10, 30), vf: r.int(5, 25), t: r.int(1, 9) / 100 }),
+    solve: ({ m, vi, vf, t }, h) => {
+      const dp = m * (vf + vi);
+      return {
+        question: `A ${h.fmt(m)} kg ball strikes a wall at ${vi} m·s⁻¹ and rebounds at ${vf} m·s⁻¹. It is in contact with the wall for ${h.fmt(t)} s.\nCalculate the magnitude of the average force exerted by the wall on the ball.`,
+        steps: [
+          `Take the rebound direction as positive: Δp = m(v_f − vᵢ) = ${h.fmt(m)}(${vf} − (−${vi}))`,
+          `Δp = ${h.fmt(dp)} kg·m·s⁻¹`,
+          `F_net Δt = Δp → F = ${h.fmt(dp)}/${h.fmt(t)}`,
+        ],
+        answer: `F = ${h.fmt(dp / t)} N`,
+      };
+    },
+  },
+  {
+    id: "phys-work-energy",
+    match: /work, energy/i,
+    topic: /mechanics/i,
+    grades: [11, 12],
+    difficulty: "simplified",
+    marks: 4,
+    params: (r) => ({ F: r.int(10, 80), dx: r.int(2, 20), angle: r.pick([0, 30, 45, 60]), t: r.int(2, 10) }),
+    solve: ({ F, dx, angle, t }, h) => {
+      const W = F * dx * Math.cos((angle * Math.PI) / 180);
+      return {
+        question: `A crate is pulled ${dx} m across a floor by a ${F} N force acting at ${angle}° to the horizontal. The pull lasts ${t} s.\nCalculate the work done by the force and the average power delivered.`,
+        steps: [
+          `W = FΔx cos θ = ${F} × ${dx} × cos ${angle}°`,
+          `P = W/Δt = ${h.fmt(W)}/${t}`,
+        ],
+        answer: `W = ${h.fmt(W)} J; P = ${h.fmt(W / t)} W`,
+      };
+    },
+  },
+  {
+    id: "phys-vertical-projectile",
+    match: /projectile/i,
+    topic: /mechanics/i,
+    grades: [12, 12],
+    difficulty: "mixed",
+    marks: 5,
+    params: (r) => ({ vi: r.int(5, 30) }),
+    solve: ({ vi }, h) => {
+      const t = vi / G;
+      const height = (vi * vi) / (2 * G);
+      return {
+        question: `A ball is thrown vertically upwards at ${vi} m·s⁻¹. Ignore air resistance.\nCalculate the time taken to reach maximum height and the maximum height reached.`,
+        steps: [
+          `Take upwards as positive: v_f = vᵢ + gΔt → 0 = ${vi} + (−9,8)Δt`,
+          `v_f² = vᵢ² + 2gΔy → 0 = ${vi}² + 2(−9,8)Δy`,
+        ],
+        answer: `Δt = ${h.fmt(t)} s; Δy = ${h.fmt(height)} m`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Waves, sound & light
+  // -------------------------------------------------------------------------
+  {
+    id: "phys-wave-equation",
+    match: /wave types|sound properties|interference|wave/i,
+    topic: /waves/i,
+    grades: [10, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ f: r.int(2, 40) * 25, v: r.pick([330, 340, 343]) }),
+    solve: ({ f, v }, h) => ({
+      question: `A sound wave with a frequency of ${f} Hz travels through air at ${v} m·s⁻¹.\nCalculate its wavelength and period.`,
+      steps: [`v = fλ → λ = ${v}/${f}`, `T = 1/f = 1/${f}`],
+      answer: `λ = ${h.fmt(v / f, 3)} m; T = ${h.fmt(1 / f, 4)} s`,
+    }),
+  },
+  {
+    id: "phys-light-frequency",
+    match: /light \(intro\)|emission and absorption/i,
+    topic: /waves|optical/i,
+    grades: [10, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ nm: r.int(40, 70) * 10 }),
+    solve: ({ nm }, h) => {
+      const lambda = nm * 1e-9;
+      const f = C / lambda;
+      const E = PLANCK * f;
+      const fMantissa = f / 1e14;
+      const eMantissa = E / 1e-19;
+      return {
+        question: `Light with a wavelength of ${nm} nm is emitted.\nCalculate the frequency of the light and the energy of one photon.`,
+        steps: [
+          `λ = ${nm} × 10⁻⁹ m`,
+          `c = fλ → f = (3 × 10⁸)/(${nm} × 10⁻⁹)`,
+          `E = hf = (6,63 × 10⁻³⁴)(${h.fmt(fMantissa)} × 10¹⁴)`,
+        ],
+        answer: `f = ${h.fmt(fMantissa)} × 10¹⁴ Hz; E = ${h.fmt(eMantissa)} × 10⁻¹⁹ J`,
+      };
+    },
+  },
+  {
+    id: "phys-doppler",
+    match: /doppler/i,
+    topic: /waves/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ fs: r.int(40, 120) * 10, vs: r.int(10, 40), towards: r.chance() }),
+    solve: ({ fs, vs, towards }, h) => {
+      const v = 340;
+      const fl = (v / (towards ? v - vs : v + vs)) * fs;
+      return {
+        question: `An ambulance siren emits sound at ${fs} Hz. The ambulance moves ${
+          towards ? "towards" : "away from"
+        } a stationary listener at ${vs} m·s⁻¹. Take the speed of sound as 340 m·s⁻¹.\nCalculate the frequency heard by the listener.`,
+        steps: [
+          `f_L = v/(v ${towards ? "−" : "+"} v_s) × f_s`,
+          `f_L = 340/(340 ${towards ? "−" : "+"} ${vs}) × ${fs}`,
+        ],
+        answer: `f_L = ${h.fmt(fl)} Hz`,
+      };
+    },
+  },
+  {
+    id: "phys-photoelectric",
+    match: /photoelectric/i,
+    topic: /optical/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ f: r.int(60, 120) / 10, w: r.int(20, 38) / 10 }),
+    constraint: ({ f, w }) => PLANCK * f * 1e14 > w * 1e-19 * 1.05,
+    solve: ({ f, w }, h) => {
+      const E = PLANCK * f * 1e14;
+      const Ek = E - w * 1e-19;
+      return {
+        question: `Light of frequency ${h.fmt(f)} × 10¹⁴ Hz shines on a metal with a work function of ${h.fmt(
+          w
+        )} × 10⁻¹⁹ J.\nCalculate the maximum kinetic energy of the ejected electrons. (h = 6,63 × 10⁻³⁴ J·s)`,
+        steps: [
+          `E = hf = (6,63 × 10⁻³⁴)(${h.fmt(f)} × 10¹⁴) = ${h.fmt(E / 1e-19, 3)} × 10⁻¹⁹ J`,
+          `E = W₀ + E_k(max) → E_k(max) = ${h.fmt(E / 1e-19, 3)} × 10⁻¹⁹ − ${h.fmt(w)} × 10⁻¹⁹`,
+        ],
+        answer: `E_k(max) = ${h.fmt(Ek / 1e-19, 3)} × 10⁻¹⁹ J`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Electricity & magnetism
+  // -------------------------------------------------------------------------
+  {
+    id: "phys-parallel-resistors",
+    match: /circuits \(series\/parallel\)|v, i, r/i,
+    topic: /electric/i,
+    grades: [10, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ r1: r.pick([2, 3, 4, 6, 12]), r2: r.pick([3, 4, 6, 12]) }),
+    solve: ({ r1, r2 }, h) => ({
+      question: `Resistors of ${r1} Ω and ${r2} Ω are connected in parallel.\nCalculate their equivalent resistance.`,
+      steps: [`1/Rₚ = 1/${r1} + 1/${r2}`, `Rₚ = (${r1} × ${r2})/(${r1} + ${r2})`],
+      answer: `Rₚ = ${h.fmt((r1 * r2) / (r1 + r2))} Ω`,
+    }),
+  },
+  {
+    id: "phys-ohms-law-series",
+    match: /ohm|v, i, r|circuits \(series/i,
+    topic: /electric/i,
+    grades: [10, 11],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ r1: r.int(1, 12), r2: r.int(1, 12), V: r.pick([6, 9, 12, 24]) }),
+    solve: ({ r1, r2, V }, h) => ({
+      question: `Resistors of ${r1} Ω and ${r2} Ω are connected in series to a ${V} V battery (ignore internal resistance).\nCalculate the total resistance and the current in the circuit.`,
+      steps: [`Rₛ = R₁ + R₂ = ${r1} + ${r2}`, `I = V/R = ${V}/${r1 + r2}`],
+      answer: `R = ${r1 + r2} Ω; I = ${h.fmt(V / (r1 + r2))} A`,
+    }),
+  },
+  {
+    id: "phys-internal-resistance",
+    match: /internal resistance/i,
+    topic: /electric/i,
+    grades: [11, 12],
+    difficulty: "challenging",
+    marks: 5,
+    params: (r) => ({ emf: r.pick([6, 9, 12, 18, 24]), rInt: r.int(1, 10) / 10, R: r.int(2, 20) }),
+    solve: ({ emf, rInt, R }, h) => {
+      const I = emf / (R + rInt);
+      return {
+        question: `A battery with an emf of ${emf} V and an internal resistance of ${h.fmt(
+          rInt
+        )} Ω is connected to an external resistor of ${R} Ω.\nCalculate the current in the circuit and the potential difference across the external resistor.`,
+        steps: [
+          `ε = I(R + r) → ${emf} = I(${R} + ${h.fmt(rInt)})`,
+          `I = ${emf}/${h.fmt(R + rInt)} = ${h.fmt(I, 3)} A`,
+          `V_ext = IR = ${h.fmt(I, 3)} × ${R}`,
+        ],
+        answer: `I = ${h.fmt(I)} A; V = ${h.fmt(I * R)} V`,
+      };
+    },
+  },
+  {
+    id: "phys-electrical-power",
+    match: /power and energy/i,
+    topic: /electric/i,
+    grades: [11, 11],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ P: r.pick([800, 1200, 1500, 2000, 2400, 3000]), hours: r.int(1, 6), tariff: r.int(150, 350) / 100 }),
+    solve: ({ P, hours, tariff }, h) => ({
+      question: `A kettle rated at ${P} W is connected to the 230 V mains and used for ${hours} h in a week. Electricity costs R${h.fmt(
+        tariff
+      )} per kW·h.\nCalculate the current drawn and the weekly cost.`,
+      steps: [
+        `P = VI → I = ${P}/230`,
+        `Energy = ${h.fmt(P / 1000)} kW × ${hours} h = ${h.fmt((P / 1000) * hours)} kW·h`,
+        `Cost = ${h.fmt((P / 1000) * hours)} × R${h.fmt(tariff)}`,
+      ],
+      answer: `I = ${h.fmt(P / 230)} A; cost = ${h.money((P / 1000) * hours * tariff)}`,
+    }),
+  },
+  {
+    id: "phys-ac-rms",
+    match: /electrodynamics/i,
+    topic: /electric/i,
+    grades: [12, 12],
+    difficulty: "mixed",
+    marks: 4,
+    params: (r) => ({ Vmax: r.int(10, 40) * 10, R: r.int(10, 100) }),
+    solve: ({ Vmax, R }, h) => {
+      const Vrms = Vmax / Math.SQRT2;
+      return {
+        question: `An AC generator produces a maximum potential difference of ${Vmax} V and is connected to a ${R} Ω resistor.\nCalculate the rms potential difference and the average power dissipated.`,
+        steps: [`V_rms = V_max/√2 = ${Vmax}/√2`, `P_ave = V_rms²/R = ${h.fmt(Vrms)}²/${R}`],
+        answer: `V_rms = ${h.fmt(Vrms)} V; P_ave = ${h.fmt((Vrms * Vrms) / R)} W`,
+      };
+    },
+  },
+
+  // -------------------------------------------------------------------------
+  // Matter, materials & chemical change
+  // -------------------------------------------------------------------------
+  {
+    id: "phys-atomic-structure",
+    match: /atomic structure/i,
+    topic: /matter/i,
+    grades: [10, 10],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ el: r.pick(ELEMENTS) }),
+    solve: ({ el }) => ({
+      question: `An atom of ${el.name} has mass number ${el.A} and atomic number ${el.Z}.\nHow many protons, electrons and neutrons does a neutral ${el.symbol} atom have?`,
+      steps: [
+        `Protons = atomic number = ${el.Z}`,
+        `Neutral atom → electrons = protons = ${el.Z}`,
+        `Neutrons = A − Z = ${el.A} − ${el.Z}`,
+      ],
+      answer: `${el.Z}; ${el.Z}; ${el.A - el.Z}`,
+    }),
+  },
+  {
+    id: "phys-moles-mass",
+    match: /stoichiometry|quantitative/i,
+    topic: /chemical/i,
+    grades: [10, 12],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ comp: r.pick(COMPOUNDS), n: r.int(1, 20) / 4 }),
+    solve: ({ comp, n }, h) => {
+      const mass = comp.M * n;
+      return {
+        question: `Calculate the number of moles in ${h.fmt(mass)} g of ${comp.formula}.`,
+        steps: [`M(${comp.formula}) = ${h.fmt(comp.M)} g·mol⁻¹`, `n = m/M = ${h.fmt(mass)}/${h.fmt(comp.M)}`],
+        answer: `n = ${h.fmt(n)} mol`,
+      };
+    },
+  },
+  {
+    id: "phys-concentration",
+    match: /stoichiometry|acids and bases/i,
+    topic: /chemical/i,
+    grades: [11, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ n: r.int(1, 20) / 20, V: r.pick([100, 200, 250, 500]) }),
+    solve: ({ n, V }, h) => ({
+      question: `${h.fmt(n)} mol of NaOH is dissolved in water to make ${V} cm³ of solution.\nCalculate the concentration of the solution.`,
+      steps: [`V = ${V} cm³ = ${h.fmt(V / 1000, 3)} dm³`, `c = n/V = ${h.fmt(n)}/${h.fmt(V / 1000, 3)}`],
+      answer: `c = ${h.fmt(n / (V / 1000))} mol·dm⁻³`,
+    }),
+  },
+  {
+    id: "phys-enthalpy-change",
+    match: /energy changes|energy & reactions/i,
+    topic: /chemical/i,
+    grades: [10, 11],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ reactants: r.int(10, 90) * 10, products: r.int(10, 90) * 10 }),
+    constraint: ({ reactants, products }) => reactants !== products,
+    solve: ({ reactants, products }, h) => {
+      const dH = products - reactants;
+      return {
+        question: `In a reaction the reactants have a total potential energy of ${reactants} kJ·mol⁻¹ and the products ${products} kJ·mol⁻¹.\nCalculate ΔH and state whether the reaction is exothermic or endothermic.`,
+        steps: [
+          `ΔH = E(products) − E(reactants) = ${products} − ${reactants}`,
+          `ΔH ${dH < 0 ? "< 0 → energy is released: exothermic" : "> 0 → energy is absorbed: endothermic"}`,
+        ],
+        answer: `ΔH = ${h.fmt(dH)} kJ·mol⁻¹`,
+      };
+    },
+  },
+  {
+    id: "phys-reaction-rate",
+    match: /rates of reaction/i,
+    topic: /chemical/i,
+    grades: [11, 12],
+    difficulty: "simplified",
+    marks: 2,
+    params: (r) => ({ start: r.int(40, 120) / 10, lost: r.int(5, 35) / 10, t: r.pick([30, 60, 90, 120]) }),
+    constraint: ({ start, lost }) => lost < start,
+    solve: ({ start, lost, t }, h) => ({
+      question: `The mass of a flask containing marble chips and acid decreases from ${h.fmt(start)} g to ${h.fmt(
+        start - lost
+      )} g in ${t} s as CO₂ escapes.\nCalculate the average rate of the reaction in g·s⁻¹.`,
+      steps: [`Mass of CO₂ lost = ${h.fmt(start)} − ${h.fmt(start - lost)} = ${h.fmt(lost)} g`, `Rate = Δm/Δt = ${h.fmt(lost)}/${t}`],
+      answer: `${h.fmt(lost / t, 4)} g·s⁻¹`,
+    }),
+  },
+  {
+    id: "phys-equilibrium-constant",
+    match: /equilibrium/i,
+    topic: /chemical/i,
+    grades: [12, 12],
+    difficulty: "challenging",
+    marks: 4,
+    params: (r) => ({ h2: r.int(1, 9) / 10, i2: r.int(1, 9) / 10, hi: r.int(2, 20) / 10 }),
+    solve: ({ h2, i2, hi }, h) => ({
+      question: `For the reaction H₂(g) + I₂(g) ⇌ 2HI(g) the equilibrium concentrations are:\n[H₂] = ${h.fmt(
+        h2
+      )} mol·dm⁻³, [I₂] = ${h.fmt(i2)} mol·dm⁻³, [HI] = ${h.fmt(hi)} mol·dm⁻³\nCalculate Kc.`,
+      steps: [`Kc = [HI]²/([H₂][I₂])`, `Kc = (${h.fmt(hi)})²/((${h.fmt(h2)})(${h.fmt(i2)}))`],
+      answer: `Kc = ${h.fmt((hi * hi) / (h2 * i2))}`,
+    }),
+  },
+  {
+    id: "phys-strong-acid-ph",
+    match: /acids and bases/i,
+    topic: /chemical/i,
+    grades: [12, 12],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ k: r.int(1, 4) }),
+    solve: ({ k }, h) => ({
+      question: `Calculate the pH of a ${h.fmt(Math.pow(10, -k), k)} mol·dm⁻³ HCl solution. (HCl ionises completely.)`,
+      steps: [
+        `HCl is a strong acid → [H₃O⁺] = ${h.fmt(Math.pow(10, -k), k)} mol·dm⁻³`,
+        `pH = −log[H₃O⁺] = −log(${h.fmt(Math.pow(10, -k), k)})`,
+      ],
+      answer: `pH = ${k}`,
+    }),
+  },
+  {
+    id: "phys-cell-emf",
+    match: /electrochemical/i,
+    topic: /chemical/i,
+    grades: [12, 12],
+    difficulty: "mixed",
+    marks: 3,
+    params: (r) => ({ a: r.pick(HALF_CELLS), b: r.pick(HALF_CELLS) }),
+    constraint: ({ a, b }) => a.couple !== b.couple,
+    solve: ({ a, b }, h) => {
+      const [anode, cathode] = a.E < b.E ? [a, b] : [b, a];
+      return {
+        question: `A galvanic cell is made from ${a.couple} and ${b.couple} half-cells under standard conditions.\nCalculate the initial emf of the cell.`,
+        steps: [
+          `The half-cell with the higher reduction potential is the cathode: ${cathode.couple} (${h.fmt(cathode.E)} V)`,
+          `E°cell = E°cathode − E°anode = ${h.fmt(cathode.E)} − (${h.fmt(anode.E)})`,
+        ],
+        answer: `E°cell = ${h.fmt(cathode.E - anode.E)} V`,
+      };
+    },
+  },
+  {
+    id: "phys-fertiliser-nitrogen",
+    match: /fertiliser/i,
+    topic: /chemical systems/i,
+    grades: [12, 12],
+    difficulty: "simplified",
+    marks: 3,
+    params: (r) => ({ f: r.pick(FERTILISERS) }),
+    solve: ({ f }, h) => ({
+      question: `Calculate the percentage of nitrogen by mass in ${f.formula}. (M = ${f.M} g·mol⁻¹)`,
+      steps: [`Mass of N in one mole = ${f.N} × 14 = ${f.N * 14} g`, `%N = ${f.N * 14}/${f.M} × 100`],
+      answer: `${h.fmt(((f.N * 14) / f.M) * 100)}%`,
+    }),
+  },
+];
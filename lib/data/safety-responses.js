@@ -0,0 +1,68 @@
+/**
+ * Safety Responses and Helplines
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 21:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * What the bot says when moderation flags a message:
+ * - South African helplines (free to call from any network)
+ * - One supportive template per category for student messages, and a
+ *   neutral replacement for generated replies that failed moderation
+ */
+
+const HELPLINES = {
+  sadag: "📞 *SADAG Suicide Crisis Line:* 0800 567 567 (free, 24/7)",
+  sadag_sms: "💬 *SADAG SMS line:* 31393 – they will call you back",
+  childline: "📞 *Childline South Africa:* 116 (free, 24/7)",
+  gbv: "📞 *GBV Command Centre:* 0800 428 428 (free, 24/7)",
+  lifeline: "📞 *Lifeline:* 0861 322 322",
+  police: "🚨 *In danger right now?* Call SAPS on 10111",
+};
+
+function helplineList(keys) {
+  return keys.map((key) => HELPLINES[key]).join("\n");
+}
+
+const INBOUND_TEMPLATES = {
+  self_harm: `💛 *I'm really glad you told me.* What you're feeling matters, and you don't have to carry it alone.
+
+Please reach out to someone who can help right now:
+${helplineList(["sadag", "sadag_sms", "childline", "police"])}
+
+Talking to a trusted adult – a parent, teacher or school counsellor – can help too.
+
+I'm a study buddy, so I can't give you the support you deserve, but I'll be here whenever you want to study. Type *menu* any time.`,
+
+  abuse: `💛 *Thank you for telling me.* Nobody has the right to hurt you, and it is not your fault.
+
+You can talk to someone safely and for free:
+${helplineList(["childline", "gbv", "police"])}
+
+If you can, tell a teacher, school counsellor or another adult you trust.
+
+I'll be here whenever you want to study. Type *menu* any time.`,
+
+  explicit: `🙅 *I can't help with that.* I'm here for schoolwork – practice questions, homework help and study tips.
+
+Type *menu* to see what we can do together.`,
+};
+
+const OUTBOUND_REPLACEMENT = `😅 Sorry, I couldn't put a proper answer together for that.
+
+Let's try again – rephrase your question or type *menu* to continue.`;
+
+/**
+ * Message to send instead of continuing the flow
+ * @param {string} category - Flagged category
+ * @returns {string}
+ */
+function safeResponse(category) {
+  return INBOUND_TEMPLATES[category] || INBOUND_TEMPLATES.explicit;
+}
+
+module.exports = {
+  HELPLINES,
+  INBOUND_TEMPLATES,
+  OUTBOUND_REPLACEMENT,
+  safeResponse,
+};
@@ -1,5 +1,5 @@
 /**
- * Subject Knowledge Database + CAPS Taxonomy (Grades 8–11)
+ * Subject Knowledge Database + CAPS Taxonomy (Grades 8–12)
  * GOAT Bot 2.0
  * Updated: 2025-08-28 13:45:00 UTC
  * Developer: DithetoMokgabudi
@@ -8,9 +8,14 @@
  * - Added CAPS_TAXONOMY with Subjects -> Grades -> Topics -> Sub-topics
  * - New helpers: getCapsTopics(subject, grade), getCapsSubtopics(subject, grade, topic)
  * - Existing SUBJECT_PROBING_DATABASE retained (examples/diagnostics fallback)
+ * - getCapsGrades/resolveCapsGrade snap grades a subject isn't offered in
+ *   (e.g. Accounting Grade 9) to the nearest CAPS grade
+ * - getCapsSubtopics falls back to the free-text topic search (synonyms,
+ *   abbreviations, typos) when no topic name matches
  */
 
 const { CAPS_TAXONOMY } = require("./caps-taxonomy");
+const { resolveTopicQuery } = require("./topic-search");
 
 // Subject availability status (unchanged)
 const SUBJECT_STATUS = {
@@ -184,10 +189,31 @@ function checkSubjectAvailability(subjectInput) {
 /**
  * CAPS helpers
  */
+const CAPS_GRADE_RANGE = { min: 8, max: 12 };
+
 function normalizeGrade(grade) {
   const g = parseInt(grade, 10);
   if (!Number.isFinite(g)) return null;
-  return Math.min(11, Math.max(8, g));
+  return Math.min(CAPS_GRADE_RANGE.max, Math.max(CAPS_GRADE_RANGE.min, g));
+}
+
+function getCapsGrades(subject) {
+  const subj = CAPS_TAXONOMY[subject] || {};
+  return Object.keys(subj)
+    .map((g) => parseInt(g, 10))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+// Nearest grade with a CAPS tree (e.g. Economics is FET-only → Grade 10)
+function resolveCapsGrade(subject, grade) {
+  const g = normalizeGrade(grade);
+  const grades = getCapsGrades(subject);
+  if (!g || grades.length === 0) return null;
+  if (grades.includes(g)) return g;
+  return grades.reduce((best, cur) =>
+    Math.abs(cur - g) < Math.abs(best - g) ? cur : best
+  );
 }
 
 function getCapsTopics(subject, grade) {
@@ -219,6 +245,10 @@ function getCapsSubtopics(subject, grade, topicNameOrKey) {
   );
   if (fuzzy) return topics[fuzzy];
 
+  // Free-text search ("trig", "parabolas", "sequnces")
+  const { match } = resolveTopicQuery(subject, g, topicNameOrKey);
+  if (match) return topics[match.topic];
+
   return [];
 }
 
@@ -227,6 +257,10 @@ module.exports = {
   SUBJECT_STATUS,
   SUBJECT_PROBING_DATABASE,
   checkSubjectAvailability,
+  CAPS_GRADE_RANGE,
+  normalizeGrade,
+  getCapsGrades,
+  resolveCapsGrade,
   getCapsTopics,
   getCapsSubtopics,
 };
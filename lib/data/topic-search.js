@@ -0,0 +1,274 @@
+/**
+ * CAPS Topic Search
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 19:10:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Free-text lookup over the CAPS taxonomy ("parabolas", "hyperbola graphs",
+ * "trig identities"):
+ * - One index per subject/grade holding every topic and sub-topic
+ * - Queries are also tried with synonyms/abbreviations swapped in
+ * - Words match exactly, by prefix or within a small edit distance (typos)
+ * - Results are ranked; a clear winner is returned as the match, otherwise
+ *   the caller offers the shortlist
+ * Updates (2026-10-19 23:57:00 UTC):
+ * - A single weak result is no longer picked automatically; it comes back
+ *   as a one-item shortlist so the student can confirm it
+ */
+
+const { CAPS_TAXONOMY } = require("./caps-taxonomy");
+
+// [phrases the student might type, wording the taxonomy uses]
+const SYNONYMS = [
+  [["parabola", "parabolas"], "quadratic functions parabola"],
+  [["hyperbola", "hyperbolas"], "hyperbolic hyperbola"],
+  [["straight line graph", "linear graph"], "linear functions"],
+  [["graph", "graphs"], "functions graphs"],
+  [["trig"], "trigonometry trig"],
+  [
+    ["calc", "calculus", "derivative", "derivatives"],
+    "differential calculus differentiation",
+  ],
+  [["stats"], "statistics"],
+  [["prob"], "probability"],
+  [["sim eq", "simultaneous"], "simultaneous linear equations"],
+  [["eq", "eqn", "eqns"], "equations"],
+  [["indices", "powers", "expo"], "exponents"],
+  [["log", "logs"], "logarithms"],
+  [["surd", "surds"], "exponents rational"],
+  [["coordinate geometry", "co-ordinate geometry"], "analytical geometry"],
+  [["circle geometry"], "euclidean geometry circle theorems"],
+  [
+    ["interest", "compound interest", "annuities", "annuity", "loans"],
+    "finance growth decay annuities",
+  ],
+  [["patterns", "number patterns"], "numeric patterns sequences"],
+  [["newton", "newtons"], "newton laws"],
+  [["projectile", "projectiles"], "vertical projectile motion"],
+  [["kinematics"], "motion"],
+  [["electricity", "circuits"], "electric circuits"],
+  [["moles", "mole"], "stoichiometry quantitative aspects"],
+  [["redox", "galvanic", "electrolytic"], "electrochemical reactions"],
+  [["organic chemistry", "organic"], "organic molecules"],
+  [["acid", "acids", "ph", "titration"], "acids bases"],
+  [["dna", "rna"], "nucleic acids dna"],
+  [["genetics", "heredity"], "genetics inheritance"],
+  [["cell division"], "mitosis meiosis"],
+  [["ecology"], "ecosystems biosphere"],
+  [["map work", "mapwork"], "mapwork"],
+];
+
+const STOPWORDS = new Set([
+  "and",
+  "of",
+  "the",
+  "in",
+  "a",
+  "an",
+  "to",
+  "for",
+  "with",
+  "on",
+  "incl",
+  "intro",
+  "etc",
+  "i",
+  "want",
+  "need",
+  "help",
+  "please",
+]);
+
+const MIN_SCORE = 0.5;
+const CONFIDENT_SCORE = 0.7;
+const CLEAR_LEAD = 0.12;
+// A lone result is taken as-is only when every typed word found it
+const LONE_MATCH_SCORE = 1;
+
+const indexCache = new Map();
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function tokenize(text = "") {
+  return String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Optimal string alignment distance (adjacent swaps count as one typo)
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function wordScore(query, word) {
+  if (query === word) return 1;
+  if (query.length >= 3 && word.startsWith(query)) return 0.85;
+  if (word.length >= 4 && query.startsWith(word)) return 0.85;
+  if (query.length < 4) return 0;
+  const allowed = query.length >= 7 ? 2 : 1;
+  return editDistance(query, word) <= allowed ? 0.75 : 0;
+}
+
+function buildIndex(subject, grade) {
+  const cacheKey = `${subject}|${grade}`;
+  if (indexCache.has(cacheKey)) return indexCache.get(cacheKey);
+
+  const topics = CAPS_TAXONOMY[subject]?.[grade]?.topics || {};
+  const entries = [];
+  for (const [topic, subtopics] of Object.entries(topics)) {
+    const topicTokens = tokenize(topic);
+    entries.push({ topic, subtopic: null, tokens: topicTokens, context: [] });
+    for (const subtopic of subtopics) {
+      entries.push({
+        topic,
+        subtopic,
+        tokens: tokenize(subtopic),
+        context: topicTokens,
+      });
+    }
+  }
+  indexCache.set(cacheKey, entries);
+  return entries;
+}
+
+// The query as typed, plus one version with every known synonym swapped in
+function queryVariants(query) {
+  const padded = ` ${tokenize(query).join(" ")} `;
+  let expanded = padded;
+  for (const [phrases, replacement] of SYNONYMS) {
+    for (const phrase of phrases) {
+      const key = ` ${tokenize(phrase).join(" ")} `;
+      if (expanded.includes(key)) {
+        expanded = expanded.replace(
+          key,
+          ` ${tokenize(replacement).join(" ")} `
+        );
+        break;
+      }
+    }
+  }
+  const variants = [padded.trim().split(" ")];
+  if (expanded !== padded) variants.push(expanded.trim().split(" "));
+  return variants.filter((tokens) => tokens[0]);
+}
+
+function scoreEntry(tokens, entry) {
+  const matched = new Set();
+  let total = 0;
+  for (const token of tokens) {
+    let best = 0;
+    let bestWord = null;
+    for (const word of entry.tokens) {
+      const s = wordScore(token, word);
+      if (s > best) [best, bestWord] = [s, word];
+    }
+    for (const word of entry.context) {
+      const s = wordScore(token, word) * 0.8;
+      if (s > best) [best, bestWord] = [s, null];
+    }
+    if (bestWord) matched.add(bestWord);
+    total += best;
+  }
+  // Small bonus for covering more of the entry (prefers the specific item)
+  const coverage = entry.tokens.length ? matched.size / entry.tokens.length : 0;
+  return total / tokens.length + coverage * 0.1;
+}
+
+/**
+ * Ranked topics and sub-topics for a free-text query
+ * @param {string} subject - CAPS subject name
+ * @param {number|string} grade - CAPS grade
+ * @param {string} query - What the student typed
+ * @param {object} options - { limit, topicsOnly }
+ * @returns {Array} - [{ topic, subtopic, score }] best first
+ */
+function searchTopics(subject, grade, query, options = {}) {
+  const { limit = 5, topicsOnly = false } = options;
+  const entries = buildIndex(subject, parseInt(grade, 10)).filter(
+    (entry) => !topicsOnly || !entry.subtopic
+  );
+  const variants = queryVariants(query);
+  if (variants.length === 0) return [];
+
+  return entries
+    .map((entry, order) => ({
+      topic: entry.topic,
+      subtopic: entry.subtopic,
+      score: Math.max(...variants.map((tokens) => scoreEntry(tokens, entry))),
+      order,
+    }))
+    .filter((result) => result.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ topic, subtopic, score }) => ({
+      topic,
+      subtopic,
+      score: Math.round(score * 100) / 100,
+    }));
+}
+
+/**
+ * Search and decide: one clear match, or a shortlist to choose from.
+ * When every close result sits in one topic ("trig", "sequences") the topic
+ * itself is the match so the student picks the sub-topic from its menu.
+ * @returns {object} - { match, shortlist }
+ */
+function resolveTopicQuery(subject, grade, query, options = {}) {
+  const { limit = 5 } = options;
+  const results = searchTopics(subject, grade, query, {
+    ...options,
+    limit: limit + 3,
+  });
+  const shortlist = results.slice(0, limit);
+  const [first] = results;
+  if (!first) return { match: null, shortlist };
+
+  const close = results.filter((r) => first.score - r.score < CLEAR_LEAD);
+  const oneTopic = close.every((r) => r.topic === first.topic);
+  let match = null;
+  // A lone partial hit (Grade 12 "parabolas" → Inverse functions) is still
+  // a guess: it goes back as a one-item shortlist to confirm
+  if (results.length === 1) {
+    if (first.score >= LONE_MATCH_SCORE) match = first;
+  } else if (first.score >= CONFIDENT_SCORE && oneTopic) {
+    match = close.length === 1 ? first : close.find((r) => !r.subtopic);
+  }
+  return { match: match || null, shortlist };
+}
+
+module.exports = {
+  SYNONYMS,
+  tokenize,
+  editDistance,
+  searchTopics,
+  resolveTopicQuery,
+};
@@ -3,20 +3,37 @@
  * GOAT Bot 2.0
  * Created: 2025-08-25 11:22:19 UTC
  * Developer: DithetoMokgabudi
+ * Updates (2026-10-19 15:10:00 UTC):
+ * - getDiagnosticQuestion takes grade/subtopic/difficulty for placement items
+ * - Gradable answers are analysed with the practice marker first
+ * - Placement quiz plan/scoring used by Topic Practice (2–4 items)
+ * Updates (2026-10-19 16:20:00 UTC):
+ * - A multi-part item is cut down to its first part (one answer per probe)
+ * Updates (2026-10-19 17:55:00 UTC):
+ * - Wrong marked answers are classified against the misconception catalogue;
+ *   the misconception joins specific_issues and the feedback targets it
  */
 
 const { SUBJECT_PROBING_DATABASE } = require("../../data/subject-database");
 const { generateExamQuestions } = require("./questions");
+const { gradeAnswer, VERDICTS } = require("./marking");
+const { classifyMisconception } = require("./misconceptions");
+
+const PLACEMENT_LEVELS = ["simplified", "mixed", "challenging", "expert"];
+const PLACEMENT = { minItems: 2, maxItems: 4, startLevel: 1 };
 
 /**
  * Get a diagnostic question for a specific subject and topic
  * @param {string} subject - The academic subject
  * @param {string} topic - The specific topic
+ * @param {object} options - { grade, subtopic, difficulty } (placement items)
  * @returns {Promise<object>} - A diagnostic question with solution
  */
-async function getDiagnosticQuestion(subject, topic) {
-  // Try to get a pre-defined diagnostic question
-  const diagnosticQuestion = getPreDefinedDiagnostic(subject, topic);
+async function getDiagnosticQuestion(subject, topic, options = {}) {
+  // Pre-defined diagnostics are topic-level; placement items target a subtopic
+  const diagnosticQuestion = options.subtopic
+    ? null
+    : getPreDefinedDiagnostic(subject, topic || "");
   if (diagnosticQuestion) {
     return {
       questionText: diagnosticQuestion.questionText,
@@ -29,20 +46,23 @@ async function getDiagnosticQuestion(subject, topic) {
   // If no pre-defined question, generate one
   try {
     const mockProfile = {
-      grade: 10, // Default grade
+      grade: options.grade || 10,
       subject: subject || "Mathematics",
       topic_struggles: topic || "general",
-      specific_failure: `understanding basic ${topic} concepts`,
+      specific_failure:
+        options.subtopic || `understanding basic ${topic} concepts`,
+      difficulty: options.difficulty,
       assessment_type: "diagnostic",
     };
 
     const generatedQuestion = await generateExamQuestions(mockProfile, 1);
 
     if (generatedQuestion.questions && generatedQuestion.questions.length > 0) {
+      const question = firstPartOnly(generatedQuestion.questions[0]);
       return {
-        ...generatedQuestion.questions[0],
+        ...question,
         purpose: "diagnostic",
-        source: "ai_diagnostic",
+        source: question.source === "ai" ? "ai_diagnostic" : question.source,
       };
     }
 
@@ -53,6 +73,21 @@ async function getDiagnosticQuestion(subject, topic) {
   }
 }
 
+// Probes take one answer, so a structured item keeps only its first part
+function firstPartOnly(question) {
+  if (!question.structure) return question;
+  const { structure, ...rest } = question;
+  const part = structure.parts[0];
+  return {
+    ...rest,
+    questionText: [structure.stem, part.context, part.text]
+      .filter(Boolean)
+      .join("\n"),
+    solution: part.memo,
+    marks: part.marks,
+  };
+}
+
 // Update generateDiagnosticQuestion to show personalization
 async function generateDiagnosticQuestion(user) {
   const { subject, grade, topic_struggles } = user.context.painpoint_profile;
@@ -176,6 +211,10 @@ function getGenericDiagnosticQuestion(subject, topic) {
  * @returns {object} - Analysis results
  */
 async function analyzeDiagnosticAnswer(studentAnswer, diagnosticQuestion) {
+  // Marked answer first: a memo with a final answer gives a clear verdict
+  const marked = markDiagnosticAnswer(studentAnswer, diagnosticQuestion);
+  if (marked) return marked;
+
   // Simple keyword analysis as fallback
   const keywordAnalysis = {
     confidence: 0,
@@ -220,6 +259,150 @@ async function analyzeDiagnosticAnswer(studentAnswer, diagnosticQuestion) {
   return keywordAnalysis;
 }
 
+function markDiagnosticAnswer(studentAnswer = "", diagnosticQuestion = {}) {
+  const errorPatterns = detectErrorPatterns(studentAnswer, diagnosticQuestion);
+  if (errorPatterns.includes("uncertainty_expressed")) {
+    return {
+      confidence: 0.8,
+      understanding: "struggling",
+      verdict: VERDICTS.INCORRECT,
+      score: 0,
+      specific_issues: errorPatterns,
+      feedback: generateFeedback("struggling", errorPatterns),
+    };
+  }
+
+  const result = gradeAnswer(studentAnswer, diagnosticQuestion);
+  if (result.verdict === VERDICTS.UNGRADED) return null;
+
+  const understanding = {
+    [VERDICTS.CORRECT]: "strong",
+    [VERDICTS.PARTIAL]: "partial",
+    [VERDICTS.INCORRECT]: "struggling",
+  }[result.verdict];
+
+  const misconception =
+    result.verdict === VERDICTS.CORRECT
+      ? null
+      : classifyMisconception(studentAnswer, diagnosticQuestion, {
+          subtopic: diagnosticQuestion.subtopic,
+        });
+  const issues = errorPatterns.filter((p) => p !== "too_brief");
+  const feedback = generateFeedback(understanding, errorPatterns);
+
+  return {
+    confidence: 0.9,
+    understanding,
+    verdict: result.verdict,
+    score: result.score,
+    specific_issues: misconception ? [misconception.id, ...issues] : issues,
+    misconception,
+    feedback: misconception
+      ? `${feedback} ${misconception.label}: ${misconception.why}`
+      : feedback,
+  };
+}
+
+/**
+ * Placement quiz record: subtopics to probe, starting at Standard level
+ * @param {object} opts - { subject, grade, topic, subtopics }
+ * @returns {object} - Placement record kept in practice state
+ */
+function buildPlacementPlan({ subject, grade, topic, subtopics = [] }) {
+  const pool = subtopics.length > 0 ? subtopics : [topic];
+  // Spread the probes across the subtopic list (first, middle, last …)
+  const picks = [];
+  for (let i = 0; i < PLACEMENT.maxItems; i++) {
+    const idx = Math.round((i * (pool.length - 1)) / (PLACEMENT.maxItems - 1));
+    picks.push(pool[Math.min(pool.length - 1, idx)]);
+  }
+
+  return {
+    subject,
+    grade,
+    topic,
+    probes: picks,
+    level: PLACEMENT.startLevel,
+    items: [],
+  };
+}
+
+/**
+ * Next placement item (staircase: up after a strong answer, down after a miss)
+ * @param {object} plan - Placement record
+ * @returns {object|null} - { subtopic, level, difficulty } or null when done
+ */
+function nextPlacementItem(plan) {
+  const answered = plan.items.length;
+  const recent = plan.items.slice(-2).map((it) => it.understanding);
+  const settled = recent.length === 2 && recent[0] === recent[1];
+
+  // Two matching results settle it; mixed results earn another item
+  if (answered >= PLACEMENT.maxItems) return null;
+  if (answered >= PLACEMENT.minItems && settled && recent[0] === "struggling") {
+    return null;
+  }
+  if (answered >= 3 && settled) return null;
+
+  const level = plan.level;
+  return {
+    subtopic: plan.probes[answered],
+    level,
+    difficulty: PLACEMENT_LEVELS[level],
+  };
+}
+
+/**
+ * Record an analysed answer and move the staircase
+ * @param {object} plan - Placement record (mutated)
+ * @param {object} item - { subtopic, level }
+ * @param {object} analysis - analyzeDiagnosticAnswer output
+ */
+function recordPlacementAnswer(plan, item, analysis) {
+  plan.items.push({
+    subtopic: item.subtopic,
+    level: item.level,
+    understanding: analysis.understanding,
+    verdict: analysis.verdict || null,
+  });
+  if (analysis.understanding === "strong") {
+    plan.level = Math.min(PLACEMENT_LEVELS.length - 1, plan.level + 1);
+  } else if (analysis.understanding === "struggling") {
+    plan.level = Math.max(0, plan.level - 1);
+  }
+}
+
+/**
+ * Placement outcome: starting level and the subtopic to practise first
+ * @param {object} plan - Completed placement record
+ * @returns {{level: number, subtopic: string}}
+ */
+function summarizePlacement(plan) {
+  const rank = { struggling: 0, unclear: 1, partial: 2, strong: 3 };
+  const weakest = [...plan.items].sort(
+    (a, b) => rank[a.understanding] - rank[b.understanding] || a.level - b.level
+  )[0];
+
+  // Everything strong → start on the first subtopic that wasn't probed
+  const allStrong = plan.items.every((it) => it.understanding === "strong");
+  const untested = plan.probes.find(
+    (s) => !plan.items.some((it) => it.subtopic === s)
+  );
+
+  // Highest level answered well, else where the staircase ended
+  const passed = plan.items
+    .filter((it) => it.understanding === "strong")
+    .map((it) => it.level);
+  const level =
+    passed.length > 0 ? Math.max(...passed) : Math.max(0, plan.level);
+
+  return {
+    level,
+    subtopic:
+      allStrong && untested ? untested : weakest?.subtopic || plan.topic,
+  };
+}
+
 /**
  * Extract key terms from text
  * @param {string} text - The text to analyze
@@ -325,8 +508,13 @@ function generateFeedback(understanding, issues) {
 }
 
 module.exports = {
+  PLACEMENT_LEVELS,
   getDiagnosticQuestion,
   analyzeDiagnosticAnswer,
+  buildPlacementPlan,
+  nextPlacementItem,
+  recordPlacementAnswer,
+  summarizePlacement,
   getPreDefinedDiagnostic,
   getGenericDiagnosticQuestion,
 };
@@ -0,0 +1,123 @@
+/**
+ * Graduated Hint Ladder
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 17:30:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Repeated "hint" requests on a practice item climb four levels:
+ * 1. Concept reminder and 2. strategy nudge — exam templates from the
+ *    homework hint system
+ * 3. Partial set-up — the memo's first step with its working blanked out
+ * 4. First step — the memo's first step as written
+ * - The ladder lives on the question (hintLadder) and restarts for each part
+ *   of a structured question
+ */
+
+const { generateExamHint } = require("../homework/hint-system");
+
+const HINT_LEVELS = [
+  { level: 1, key: "concept", label: "Concept reminder" },
+  { level: 2, key: "strategy", label: "Strategy" },
+  { level: 3, key: "setup", label: "Set-up" },
+  { level: 4, key: "first_step", label: "First step" },
+];
+
+const BLANK = "□";
+const GENERIC_SETUP =
+  "Write down what is given and what is asked, then the formula that links them — substitute before you simplify.";
+const GENERIC_FIRST_STEP =
+  "Identify the relationship, write the equation, then isolate the unknown.";
+
+/**
+ * First step of a memo: the "Step 1" line, else its first line
+ * @param {string} solution - Memo text
+ * @returns {string|null}
+ */
+function firstStep(solution = "") {
+  const lines = String(solution)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const step = lines.find((l) => /^\*{0,2}Step\s*1\b/i.test(l)) || lines[0];
+  return step ? step.replace(/\*\*/g, "").replace(/\s*✓/g, "").trim() : null;
+}
+
+/**
+ * The first step's set-up without its working: numbers in the result are
+ * blanked, or a chain "d = 9 − 5 = 4" stops before its final value
+ * @param {string} step - First step text
+ * @returns {string|null} - Null when nothing can be held back
+ */
+function partialSetup(step = "") {
+  const body = String(step)
+    .replace(/^step\s*\d+\s*[:.]\s*/i, "")
+    .trim();
+  const split = body.match(/^([^→:]+?)\s*[→:]\s*(.+)$/);
+  const move = split ? split[1] : "";
+  const result = split ? split[2] : body;
+
+  const sides = result.split("=").map((s) => s.trim());
+  let setup;
+  if (sides.length >= 3) {
+    setup = `${sides.slice(0, -1).join(" = ")} = …`;
+  } else {
+    setup = sides
+      .map((side) =>
+        side === "0" ? side : side.replace(/\d+(?:[.,]\d+)?/g, BLANK)
+      )
+      .join(" = ");
+  }
+  if (setup === result) return null;
+  return move ? `${move} → ${setup}` : setup;
+}
+
+/**
+ * Climb one rung for the current question (or part) and build its hint
+ * @param {object} question - Practice question (hintLadder is updated)
+ * @param {object} options - { part, subtopic }
+ * @returns {object} - { level, key, label, hint, last }
+ */
+function nextHint(question, { part = null, subtopic = "" } = {}) {
+  const key = part ? part.label : "";
+  if (!question.hintLadder || question.hintLadder.key !== key) {
+    question.hintLadder = { key, level: 0 };
+  }
+  const ladder = question.hintLadder;
+  ladder.level = Math.min(ladder.level + 1, HINT_LEVELS.length);
+  const rung = HINT_LEVELS[ladder.level - 1];
+
+  const solution = part ? part.memo : question.solution;
+  const text = [
+    question.structure?.stem,
+    part?.context,
+    part ? part.text : question.questionText,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  let hint;
+  if (rung.key === "concept" || rung.key === "strategy") {
+    hint = generateExamHint({ text, subtopic }, rung.key).hint;
+  } else if (rung.key === "setup") {
+    hint = partialSetup(firstStep(solution) || "") || GENERIC_SETUP;
+  } else {
+    hint = firstStep(solution) || GENERIC_FIRST_STEP;
+  }
+  return { ...rung, hint, last: ladder.level === HINT_LEVELS.length };
+}
+
+function formatHint(result, { partLabel = "" } = {}) {
+  const where = partLabel ? ` ${partLabel}` : "";
+  const more = result.last
+    ? "That's the last hint — reply 1 for the worked solution."
+    : "Still stuck? Reply 2 for a stronger hint.";
+  return `💡 **Hint${where} (${result.level}/${HINT_LEVELS.length}) — ${result.label}:** ${result.hint}\n\n${more}`;
+}
+
+module.exports = {
+  HINT_LEVELS,
+  firstStep,
+  partialSetup,
+  nextHint,
+  formatHint,
+};
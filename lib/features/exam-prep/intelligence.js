@@ -12,6 +12,7 @@ const {
 const {
   checkSubjectAvailability,
   SUBJECT_PROBING_DATABASE,
+  normalizeGrade,
   getCapsTopics,
   getCapsSubtopics,
 } = require("../../data/subject-database");
@@ -41,9 +42,7 @@ function parseSubjectGrade(text) {
   const subject = detected.detected || "Mathematics";
 
   const gradeMatch = raw.match(/\b(gr(?:ade)?\s*)?(\d{1,2})\b/i);
-  const grade = gradeMatch
-    ? Math.max(8, Math.min(11, parseInt(gradeMatch[2], 10)))
-    : 10;
+  const grade = (gradeMatch && normalizeGrade(gradeMatch[2])) || 10;
 
   return { subject, grade };
 }
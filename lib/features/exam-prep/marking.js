@@ -0,0 +1,381 @@
+/**
+ * Answer Marking for Topic Practice
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 09:05:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Grades a student's free-text reply against current_question.solution:
+ * - Pulls the final answer(s) out of the worked solution
+ * - Numeric tolerance (rounding, fractions vs decimals, SA number style)
+ * - Algebraic equivalence by sampling ((x−4)(2x+3) ≡ (2x+3)(x−4))
+ * - Partial credit for multi-part answers, extra values, unfactorised forms
+ *   and values that only appear in the working
+ */
+
+const {
+  normalizeMathText,
+  parseExpression,
+  collectVariables,
+  toNumber,
+  numbersClose,
+  roundingTolerance,
+  expressionsEquivalent,
+} = require("../../utils/math-expression");
+
+const VERDICTS = {
+  CORRECT: "correct",
+  PARTIAL: "partial",
+  INCORRECT: "incorrect",
+  UNGRADED: "ungraded",
+};
+
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "that",
+  "this",
+  "with",
+  "for",
+  "from",
+  "are",
+  "was",
+  "when",
+  "which",
+  "into",
+  "their",
+  "they",
+  "than",
+  "then",
+  "there",
+  "have",
+  "has",
+  "been",
+  "step",
+  "example",
+]);
+
+const UNIT_SUFFIX =
+  /\s*(m·s⁻[¹²12]|m\.s-[12]|m\/s(?:²|\^?2)?|km\/h|km|cm²|cm³|m²|m³|cm|mm|ml|kg|g|s|a|v|w|j|n|ω|ohms?|hz|kj·mol⁻¹|kj|mol·dm⁻³|mol\/dm3|mol|g·s⁻¹|%|degrees?|units?|rand)\.?$|(?<=\d)\s+m\.?$/i;
+
+// Strip markdown, step labels and part labels from a solution line
+function cleanLine(line) {
+  return String(line || "")
+    .replace(/\*\*/g, "")
+    .replace(/^\s*\*?(step\s*\d+)\s*[:.]\*?/i, "")
+    .replace(/^\s*[a-h]\)\s*/i, "")
+    .replace(/^\s*[•\-]\s+/, "")
+    .trim();
+}
+
+/**
+ * Extract the final answer text(s) from a worked solution
+ * @param {string} solution - Worked solution (memo)
+ * @returns {Array<string>} - One entry per answer line (multi-part aware)
+ */
+function extractFinalAnswers(solution = "") {
+  const rawLines = String(solution || "")
+    .split("\n")
+    .map((l) => l.replace(/\*\*/g, "").trim())
+    .filter(Boolean)
+    .filter((l) => !/^(mastery\s+)?check\b|^verify\b|^note\b/i.test(l));
+
+  if (rawLines.length === 0) return [];
+
+  // 1) Explicit conclusion markers, searched from the end
+  const marker =
+    /(?:therefore|final answer|answer|solutions?|hence)\s*[:\-]\s*|∴\s*/i;
+  for (let i = rawLines.length - 1; i >= 0; i--) {
+    const parts = rawLines[i].split(marker);
+    const tail = parts.length > 1 ? parts[parts.length - 1].trim() : "";
+    if (tail) return [tail];
+  }
+
+  // 2) Lettered parts (a) ... b) ...) → last value of each part
+  const lettered = rawLines.filter((l) => /^[a-h]\)/i.test(l));
+  if (lettered.length > 1) {
+    return lettered
+      .map((l) => cleanLine(l))
+      .filter((l) => l.includes("="))
+      .map((l) => l.split("→").pop().trim());
+  }
+
+  // 3) Last line that states a result
+  for (let i = rawLines.length - 1; i >= 0; i--) {
+    const line = cleanLine(rawLines[i]);
+    if (line.includes("=")) return [line.split("→").pop().trim()];
+  }
+
+  return [cleanLine(rawLines[rawLines.length - 1])];
+}
+
+/**
+ * Split an answer string into individual answer items
+ * @param {string} text - e.g. "x = 30°, 150°" or "7/20, 3/20 and 1/4"
+ * @returns {Array<object>} - Items { raw, label, value, number, ast }
+ */
+function parseAnswerItems(text = "") {
+  const cleaned = String(text || "")
+    .replace(/\*\*/g, "")
+    .replace(/\brespectively\b/gi, "")
+    .replace(/\([^()]*\b(?:since|because|as)\b[^()]*\)/gi, "")
+    .replace(/[.;]\s*$/, "")
+    // Coordinates: "turning point (2; −3)" / "M(1; 4)" → two values
+    .replace(
+      /(?:[a-z][a-z ]*)?\(\s*([−-]?\d[\d,.]*)\s*;\s*([−-]?\d[\d,.]*)\s*\)/gi,
+      "$1; $2"
+    )
+    // "and"/"or" inside brackets is notation, not a list: P(A and B)
+    .replace(/\([^()]*\)/g, (group) =>
+      group.replace(/\s+and\s+/gi, " ∧ ").replace(/\s+or\s+/gi, " ∨ ")
+    )
+    .trim();
+
+  if (!cleaned) return [];
+
+  return cleaned
+    .split(/\s*;\s*|,\s+(?:and\s+)?|,(?=\s*[a-z]\s*=)|\s+or\s+|\s+and\s+/i)
+    .map((piece) => piece.trim())
+    .filter(Boolean)
+    .map((piece) => {
+      const segments = piece.split("=").map((s) => s.trim());
+      const lhs = segments.length > 1 ? segments[0] : "";
+      const label = /^[a-z]{1,2}$/i.test(lhs) ? lhs : null;
+      let value = segments[segments.length - 1]
+        .replace(/[✓✔]/g, "")
+        .replace(/\bR\s?(?=[\d.])/g, "")
+        .trim()
+        .replace(UNIT_SUFFIX, "")
+        .trim();
+      // A second unit pass handles things like "50 m." after the dot strip
+      value = value.replace(UNIT_SUFFIX, "").trim();
+
+      const number = toNumber(value);
+      const ast = number === null ? parseExpression(value) : null;
+      return { raw: piece, label, value, number, ast };
+    })
+    .filter((item) => item.value);
+}
+
+function itemsMatch(expected, student) {
+  if (expected.number !== null && student.number !== null) {
+    // A decimal memo sets the precision ("0,012" → ± 0,0005); an exact memo
+    // (1/3, √2) accepts the student's own rounding
+    const absTol =
+      roundingTolerance(expected.value) ||
+      (Number.isInteger(expected.number)
+        ? 0
+        : roundingTolerance(student.value));
+    return numbersClose(expected.number, student.number, { absTol });
+  }
+  if (expected.ast && student.ast) {
+    return expressionsEquivalent(expected.ast, student.ast);
+  }
+  if (expected.number !== null && student.ast) {
+    // e.g. memo "12", student "3(4)" already numeric; variables → no match
+    return false;
+  }
+  return (
+    normalizeMathText(expected.value).toLowerCase().replace(/\s+/g, "") ===
+    normalizeMathText(student.value).toLowerCase().replace(/\s+/g, "")
+  );
+}
+
+function isMathItem(item) {
+  return (
+    item.number !== null ||
+    (item.ast && collectVariables(item.ast).length <= 3)
+  );
+}
+
+function extractKeyTerms(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\w\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 3 && !STOP_WORDS.has(w));
+}
+
+// Numbers that appear in the working but not in the question itself
+function workingNumbers(solution = "", questionText = "") {
+  const pick = (s) =>
+    (normalizeMathText(s).match(/-?\d+(?:\.\d+)?/g) || []).map(parseFloat);
+  const given = new Set(pick(questionText));
+  const working = String(solution)
+    .split("\n")
+    .filter((l) => !/^(\*\*)?(mastery\s+)?check\b/i.test(l.trim()))
+    .join("\n");
+  return pick(working).filter((n) => !given.has(n));
+}
+
+function gradeWrittenAnswer(studentAnswer, solution) {
+  const memoTerms = Array.from(new Set(extractKeyTerms(solution)));
+  const answerTerms = new Set(extractKeyTerms(studentAnswer));
+
+  if (memoTerms.length === 0) {
+    return {
+      verdict: VERDICTS.UNGRADED,
+      score: 0,
+      feedback:
+        "I can't auto-mark this one. Compare your answer with the solution (reply 1).",
+    };
+  }
+  if (answerTerms.size === 0) {
+    return {
+      verdict: VERDICTS.INCORRECT,
+      score: 0,
+      feedback:
+        "Give it a proper try in full sentences, or reply 2 for a hint to get started.",
+    };
+  }
+
+  const matched = memoTerms.filter((t) =>
+    Array.from(answerTerms).some((a) => a.startsWith(t) || t.startsWith(a))
+  ).length;
+  const coverage = Math.min(1, matched / Math.min(memoTerms.length, 10));
+
+  if (coverage >= 0.6) {
+    return {
+      verdict: VERDICTS.CORRECT,
+      score: 1,
+      feedback: "You've covered the key points in the memo.",
+    };
+  }
+  if (coverage >= 0.25) {
+    return {
+      verdict: VERDICTS.PARTIAL,
+      score: Math.round(coverage * 100) / 100,
+      feedback:
+        "Some key points are there, but the memo expects more. Add detail and use the subject terms.",
+    };
+  }
+  return {
+    verdict: VERDICTS.INCORRECT,
+    score: 0,
+    feedback:
+      "That misses the key points in the memo. Try a hint (reply 2) to get started.",
+  };
+}
+
+/**
+ * Grade a student's answer against the current question
+ * @param {string} studentAnswer - Free-text reply from the student
+ * @param {object} question - { questionText, solution }
+ * @returns {object} - { verdict, score, matched, total, expected, feedback }
+ */
+function gradeAnswer(studentAnswer, question = {}) {
+  const solution = question.solution || "";
+  const questionText = question.questionText || "";
+  const expectedTexts = extractFinalAnswers(solution);
+  const expected = expectedTexts.flatMap((t) => parseAnswerItems(t));
+  const student = parseAnswerItems(studentAnswer);
+  const expectedDisplay = expectedTexts.join("; ");
+
+  const base = { matched: 0, total: expected.length, expected: expectedDisplay };
+
+  if (!String(studentAnswer || "").trim()) {
+    return {
+      ...base,
+      verdict: VERDICTS.UNGRADED,
+      score: 0,
+      feedback: "Type your answer and I'll mark it.",
+    };
+  }
+
+  // Written (non-computational) answers → key-term coverage
+  if (expected.length === 0 || !expected.some(isMathItem)) {
+    return { ...base, ...gradeWrittenAnswer(studentAnswer, solution) };
+  }
+
+  const mathExpected = expected.filter(isMathItem);
+  const usedStudent = new Set();
+  let matched = 0;
+
+  for (const exp of mathExpected) {
+    let idx = student.findIndex(
+      (s, i) => !usedStudent.has(i) && itemsMatch(exp, s)
+    );
+    // One value may answer several equal parts (e.g. A = B = 57.5°)
+    if (idx === -1) {
+      idx = student.findIndex(
+        (s, i) => usedStudent.has(i) && !s.label && itemsMatch(exp, s)
+      );
+    }
+    if (idx !== -1) {
+      usedStudent.add(idx);
+      matched++;
+    }
+  }
+
+  const total = mathExpected.length;
+  const extras = student.length - usedStudent.size;
+  const result = { ...base, matched, total };
+
+  if (matched === total && extras === 0) {
+    const wantsFactorised = /factori[sz]e/i.test(questionText);
+    const unfactorised =
+      wantsFactorised &&
+      mathExpected.some((e) => e.value.includes("(")) &&
+      student.some((s) => s.ast && !s.value.includes("("));
+    if (unfactorised) {
+      return {
+        ...result,
+        verdict: VERDICTS.PARTIAL,
+        score: 0.5,
+        feedback:
+          "Your expression is equivalent, but it isn't fully factorised yet.",
+      };
+    }
+    return {
+      ...result,
+      verdict: VERDICTS.CORRECT,
+      score: 1,
+      feedback: "Spot on — that matches the memo.",
+    };
+  }
+
+  if (matched > 0) {
+    const score = Math.round((matched / (total + extras)) * 100) / 100;
+    return {
+      ...result,
+      verdict: VERDICTS.PARTIAL,
+      score,
+      feedback:
+        matched < total
+          ? `You've got ${matched} of ${total} parts right. Check the rest.`
+          : "The right value is there, but you've included extra values that don't fit.",
+    };
+  }
+
+  const inWorking = workingNumbers(solution, questionText);
+  const hitsWorking = student.some(
+    (s) =>
+      s.number !== null &&
+      inWorking.some((n) =>
+        numbersClose(n, s.number, { absTol: roundingTolerance(s.value) })
+      )
+  );
+  if (hitsWorking) {
+    return {
+      ...result,
+      verdict: VERDICTS.PARTIAL,
+      score: 0.25,
+      feedback:
+        "That value shows up in the working — you're on the right track, but it isn't the final answer yet.",
+    };
+  }
+
+  return {
+    ...result,
+    verdict: VERDICTS.INCORRECT,
+    score: 0,
+    feedback:
+      "That doesn't match the memo. Check your working, or reply 2 for a hint.",
+  };
+}
+
+module.exports = {
+  VERDICTS,
+  gradeAnswer,
+  extractFinalAnswers,
+  parseAnswerItems,
+};
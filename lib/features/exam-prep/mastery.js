@@ -0,0 +1,192 @@
+/**
+ * Per-Subtopic Mastery Model
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 14:05:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Elo-style estimate of a student's ability per (subject, grade, subtopic):
+ * - Each difficulty tier has a fixed rating; P(correct) = σ(ability − tier)
+ * - One outcome per question: unaided correct = 1, help lowers the credit,
+ *   opening the solution before answering counts as a miss
+ * - Large steps while a subtopic is new, smaller ones once it has history
+ * - Stored in user.preferences.mastery so it survives menu resets
+ * - Drives the difficulty tier and the "weakest subtopics" view
+ * Updates (2026-10-19 17:05:00 UTC):
+ * - Step-by-step solutions pass a stepHelp share (0–1); only the steps the
+ *   student worked out unaided earn credit
+ */
+
+// Tier ratings, indexed like the practice difficulty levels (0–3)
+const LEVEL_RATINGS = [-1, 0, 1, 2];
+const TARGET_SUCCESS = 0.7;
+const MAX_ENTRIES = 200;
+
+const OUTCOME_CREDIT = {
+  correct: 1,
+  partial: 0.5,
+  incorrect: 0,
+};
+const HINT_FACTOR = 0.6;
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function masteryKey(subject, grade, subtopic) {
+  return [subject, grade, subtopic]
+    .map((part) =>
+      String(part || "")
+        .trim()
+        .toLowerCase()
+    )
+    .join("|");
+}
+
+function newEntry({ subject, grade, topic, subtopic }) {
+  return {
+    subject,
+    grade: String(grade),
+    topic: topic || subtopic,
+    subtopic,
+    rating: 0,
+    attempts: 0,
+    correct: 0,
+    hints: 0,
+    solutions: 0,
+    updated_at: null,
+  };
+}
+
+/**
+ * Mastery entry for a subtopic (a fresh, unsaved one when never practised)
+ * @param {object} store - user.preferences.mastery
+ * @param {object} ctx - { subject, grade, topic, subtopic }
+ * @returns {object} - Entry
+ */
+function getMastery(store = {}, ctx = {}) {
+  return (
+    store[masteryKey(ctx.subject, ctx.grade, ctx.subtopic)] || newEntry(ctx)
+  );
+}
+
+/**
+ * Probability of an unaided correct answer at a difficulty level
+ * @param {object} entry - Mastery entry
+ * @param {number} level - 0 (Foundation) … 3 (Expert)
+ * @returns {number} - 0–1
+ */
+function expectedSuccess(entry, level = 1) {
+  const tier = LEVEL_RATINGS[Math.max(0, Math.min(3, level))];
+  return sigmoid((entry?.rating || 0) - tier);
+}
+
+// Mastery shown to students: expected success on a typical exam question
+function masteryPercent(entry) {
+  return Math.round(expectedSuccess(entry, 1) * 100);
+}
+
+/**
+ * Credit for one question
+ * @param {string} verdict - correct | partial | incorrect
+ * @param {object} help - { hintUsed, solutionViewed, stepHelp }
+ * @returns {number} - 0–1
+ */
+function outcomeCredit(
+  verdict,
+  { hintUsed = false, solutionViewed = false, stepHelp = 0 } = {}
+) {
+  if (solutionViewed) return 0;
+  const credit = OUTCOME_CREDIT[verdict] ?? 0;
+  const aided = hintUsed ? credit * HINT_FACTOR : credit;
+  return aided * (1 - Math.max(0, Math.min(1, stepHelp || 0)));
+}
+
+/**
+ * Record one question outcome and return the updated entry
+ * @param {object} store - user.preferences.mastery (mutated)
+ * @param {object} ctx - { subject, grade, topic, subtopic }
+ * @param {object} outcome - { verdict, level, hintUsed, solutionViewed,
+ *   stepHelp }
+ * @returns {object} - Updated entry
+ */
+function recordOutcome(store, ctx, outcome = {}) {
+  const key = masteryKey(ctx.subject, ctx.grade, ctx.subtopic);
+  const entry = store[key] || newEntry(ctx);
+
+  const level = Number.isInteger(outcome.level) ? outcome.level : 1;
+  const credit = outcomeCredit(outcome.verdict, outcome);
+  const k = entry.attempts < 5 ? 1.2 : 0.5;
+  entry.rating += k * (credit - expectedSuccess(entry, level));
+  entry.rating = Math.max(-3, Math.min(4, entry.rating));
+
+  entry.attempts += 1;
+  if (credit === 1) entry.correct += 1;
+  if (outcome.hintUsed || outcome.stepHelp > 0) entry.hints += 1;
+  if (outcome.solutionViewed) entry.solutions += 1;
+  entry.topic = ctx.topic || entry.topic;
+  entry.updated_at = new Date().toISOString();
+
+  store[key] = entry;
+  pruneStore(store);
+  return entry;
+}
+
+// Keep the most recently practised subtopics
+function pruneStore(store) {
+  const keys = Object.keys(store);
+  if (keys.length <= MAX_ENTRIES) return;
+  keys
+    .sort((a, b) =>
+      String(store[a].updated_at).localeCompare(String(store[b].updated_at))
+    )
+    .slice(0, keys.length - MAX_ENTRIES)
+    .forEach((k) => delete store[k]);
+}
+
+/**
+ * Hardest level the student is still expected to get right ~70% of the time
+ * @param {object} entry - Mastery entry
+ * @returns {number} - 0–3
+ */
+function recommendLevel(entry) {
+  let level = 0;
+  for (let l = 0; l < LEVEL_RATINGS.length; l++) {
+    if (expectedSuccess(entry, l) >= TARGET_SUCCESS) level = l;
+  }
+  return level;
+}
+
+/**
+ * Practised subtopics with the lowest mastery first
+ * @param {object} store - user.preferences.mastery
+ * @param {object} filter - { subject, grade, limit }
+ * @returns {Array<object>} - Entries with a `percent` field
+ */
+function weakestSubtopics(store = {}, { subject, grade, limit = 5 } = {}) {
+  return Object.values(store)
+    .filter((e) => e.attempts > 0)
+    .filter((e) => !subject || e.subject === subject)
+    .filter((e) => !grade || String(e.grade) === String(grade))
+    .map((e) => ({ ...e, percent: masteryPercent(e) }))
+    .sort((a, b) => a.percent - b.percent || b.attempts - a.attempts)
+    .slice(0, limit);
+}
+
+// ▓▓▓░░ style bar for chat
+function masteryBar(percent) {
+  const filled = Math.round(percent / 20);
+  return "▓".repeat(filled) + "░".repeat(5 - filled);
+}
+
+module.exports = {
+  LEVEL_RATINGS,
+  masteryKey,
+  getMastery,
+  expectedSuccess,
+  masteryPercent,
+  outcomeCredit,
+  recordOutcome,
+  recommendLevel,
+  weakestSubtopics,
+  masteryBar,
+};
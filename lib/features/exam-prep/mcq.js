@@ -0,0 +1,360 @@
+/**
+ * Multiple-Choice Practice Items
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 15:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Turns a question with a computable memo into an A–D item:
+ * - The memo's final answer is the key; each distractor is the answer a
+ *   student reaches through a known misconception
+ * - Templates can name their own misconceptions (wrong formula, n vs n − 1 …);
+ *   the catalogue below covers bank and AI items (sign errors, one root,
+ *   a forgotten ½ or √ …)
+ * - Distractors that mark as correct or repeat another option are dropped;
+ *   items without three good distractors stay open-ended
+ * - "A"–"D" replies are graded instantly and the misconception is explained
+ */
+
+const crypto = require("crypto");
+const { createRandom } = require("./question-templates");
+const { gradeAnswer, extractFinalAnswers, VERDICTS } = require("./marking");
+
+const LABELS = ["A", "B", "C", "D"];
+const MAX_OPTION_LENGTH = 80;
+
+// Numbers as written in memos: "−3", "2,5", "6 351,19", "7/20"
+const NUMBER =
+  /[−-]?\d{1,3}(?: \d{3})+(?:,\d+)?|[−-]?\d+(?:[.,]\d+)?(?:\/\d+)?/g;
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+// Exponent on a variable or bracket (x², (x − 1)²), not on a unit (cm²)
+const VARIABLE_POWER = /(?<=(?:^|[^a-z])[abknpxy]|\))[¹²³⁴⁵⁶⁷⁸⁹][⁰¹²³⁴⁵⁶⁷⁸⁹]*/i;
+
+function parseNumber(token) {
+  const clean = token.replace(/−/g, "-").replace(/ /g, "").replace(",", ".");
+  if (clean.includes("/")) {
+    const [n, d] = clean.split("/").map(Number);
+    return d ? n / d : NaN;
+  }
+  return Number(clean);
+}
+
+// Write a value back in the style of the token it replaces
+function formatNumber(value, token) {
+  const minus = value < 0 ? (token.startsWith("-") ? "-" : "−") : "";
+  const abs = Math.abs(value);
+
+  if (token.includes("/")) {
+    for (let d = 1; d <= 100; d++) {
+      const n = abs * d;
+      if (Math.abs(n - Math.round(n)) < 1e-9) {
+        return `${minus}${Math.round(n)}${d === 1 ? "" : `/${d}`}`;
+      }
+    }
+  }
+
+  const decimals = (token.match(/[.,](\d+)$/) || [null, ""])[1].length;
+  let text =
+    decimals > 0
+      ? abs.toFixed(decimals)
+      : String(Number(abs.toFixed(2))).replace(/\.0+$/, "");
+  let [whole, part] = text.split(".");
+  if (/\d \d{3}/.test(token))
+    whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+  text = part ? `${whole}${token.includes(".") ? "." : ","}${part}` : whole;
+  return `${minus}${text}`;
+}
+
+/**
+ * Apply fn to the numbers in an answer, keeping its wording and style
+ * @param {string} answer - e.g. "x = 2 or x = 3"
+ * @param {function} fn - value → new value (null leaves the answer unusable)
+ * @param {object} options - { first, last } only change that number
+ * @returns {string|null}
+ */
+function mapNumbers(answer, fn, { first = false, last = false } = {}) {
+  const matches = numberMatches(answer);
+  if (matches.length === 0) return null;
+
+  let targets = matches;
+  if (first) targets = matches.slice(0, 1);
+  else if (last) targets = matches.slice(-1);
+  let result = answer;
+  for (const m of [...targets].reverse()) {
+    const original = parseNumber(m[0]);
+    const value = fn(original);
+    if (value === null || !Number.isFinite(value)) return null;
+    if (value === 0 && original !== 0) return null;
+    const text = formatNumber(value, m[0]);
+    // Rounded away to nothing (0,001 → "0,00") is not a usable option
+    if (value !== 0 && !/[1-9]/.test(text)) return null;
+    result =
+      result.slice(0, m.index) + text + result.slice(m.index + m[0].length);
+  }
+  return result;
+}
+
+function numberMatches(answer) {
+  return [...answer.matchAll(NUMBER)].filter(
+    // The 10 in "× 10⁴" is notation, not a value
+    (m) => !(m[0] === "10" && SUPERSCRIPTS.includes(answer[m.index + 2]))
+  );
+}
+
+// "x = 3, y = −6" → "x = −6, y = 3"
+function swapNumbers(answer) {
+  const [first, second] = numberMatches(answer);
+  if (!first || !second || first[0] === second[0]) return null;
+  return (
+    answer.slice(0, first.index) +
+    second[0] +
+    answer.slice(first.index + first[0].length, second.index) +
+    first[0] +
+    answer.slice(second.index + second[0].length)
+  );
+}
+
+// Near miss: ±1 on small whole numbers, ±10% otherwise (±1 on R760 would
+// still mark as correct within rounding tolerance)
+function nudge(value, direction) {
+  const scaled = value * (1 + direction / 10);
+  if (!Number.isInteger(value)) return scaled;
+  return Math.abs(value) < 20 ? value + direction : Math.round(scaled);
+}
+
+const SLIP_WHY =
+  "Arithmetic slip: the method is right, but redo the last calculation.";
+
+// Quantities that are never negative (a minus sign would give the key away)
+const NON_NEGATIVE =
+  /\b(length|area|volume|distance|radius|probability|standard deviation|mass|speed|time|perimeter)\b|\bcm\b|\bP\(|Ω|\bHz\b|\bpH\b/i;
+const SIGNED =
+  /\b(solve|equation|expand|simplify|factori[sz]e|gradient|intercept|coordinates?|asymptotes?|turning point|displacement|velocity|acceleration|sequence|series|term)\b/;
+
+// Misconceptions that apply across subtopics, most telling first
+const MISCONCEPTIONS = [
+  {
+    id: "one_root",
+    applies: (c) => /\b[a-z]\s*=\s*[^;,]+\s+or\s+[a-z]\s*=/i.test(c.answer),
+    build: (a) => a.split(/\s+or\s+/i)[0],
+    why: "Only one root: a quadratic usually has two solutions, one from each factor.",
+  },
+  {
+    id: "sign_error",
+    applies: (c) =>
+      !c.money &&
+      (/ [−+] |−/.test(c.answer) ||
+        (SIGNED.test(c.text) && !NON_NEGATIVE.test(c.answer))),
+    // Binary signs flip ((x − 3) → (x + 3)); otherwise the values do
+    build: (a) =>
+      / [−+] /.test(a)
+        ? a.replace(/ ([−+]) /g, (_, s) => (s === "+" ? " − " : " + "))
+        : mapNumbers(a, (v) => (v === 0 ? null : -v)),
+    why: "Sign error: a negative was lost when a term moved across the = sign or a bracket was multiplied out.",
+  },
+  {
+    id: "swapped_values",
+    applies: (c) => c.numbers === 2 && /[=;]/.test(c.answer),
+    build: (a) => swapNumbers(a),
+    why: "The two values were swapped: check which variable (or coordinate) each one belongs to.",
+  },
+  {
+    id: "forgot_half",
+    applies: (c) =>
+      c.numbers === 1 &&
+      /\b(series|sum of the first|triangle|kinetic|midpoint|average|mean)\b|½/.test(
+        c.text
+      ),
+    build: (a) => mapNumbers(a, (v) => v * 2),
+    why: "The ½ (or n/2) in the formula was left out.",
+  },
+  {
+    id: "no_square_root",
+    applies: (c) =>
+      c.numbers === 1 &&
+      /\b(pythagoras|hypotenuse|right-angled|distance|radius|standard deviation|rms|resultant|magnitude)\b/.test(
+        c.text
+      ),
+    build: (a) => mapNumbers(a, (v) => v * v),
+    why: "That's the squared value: take the square root as the last step.",
+  },
+  {
+    id: "exponent_mixup",
+    applies: (c) => VARIABLE_POWER.test(c.answer),
+    build: (a) =>
+      a.replace(VARIABLE_POWER, (sup) => {
+        const n = Number([...sup].map((d) => SUPERSCRIPTS.indexOf(d)).join(""));
+        return String(n * 2)
+          .split("")
+          .map((d) => SUPERSCRIPTS[d])
+          .join("");
+      }),
+    why: "Exponent laws mixed up: add exponents when multiplying powers, multiply them only for a power of a power.",
+  },
+  {
+    id: "upside_down",
+    applies: (c) =>
+      c.numbers === 1 &&
+      /\b(ratio|gradient|slope|rate|tan|probability|frequency|period|resistance)\b/.test(
+        c.text
+      ),
+    build: (a) =>
+      mapNumbers(a, (v) => (v === 0 || Math.abs(v) === 1 ? null : 1 / v)),
+    why: "Upside down: the ratio was formed the wrong way round, so check which quantity goes on top.",
+  },
+  {
+    id: "power_of_ten",
+    applies: (c) =>
+      c.numbers === 1 &&
+      /\b(convert|scientific|kj|kg|km|mm|ml|mol)\b|×\s*10/.test(c.text),
+    build: (a) => mapNumbers(a, (v) => v * 10),
+    why: "Power-of-ten slip: check the unit conversion and where the decimal comma goes.",
+  },
+  {
+    id: "arithmetic_slip",
+    applies: () => true,
+    build: (a) => mapNumbers(a, (v) => nudge(v, 1), { last: true }),
+    why: SLIP_WHY,
+  },
+  {
+    id: "arithmetic_slip",
+    applies: () => true,
+    build: (a) => mapNumbers(a, (v) => nudge(v, -1), { first: true }),
+    why: SLIP_WHY,
+  },
+];
+
+function seedFor(text = "") {
+  return parseInt(
+    crypto.createHash("md5").update(String(text)).digest("hex").slice(0, 8),
+    16
+  );
+}
+
+// A distractor must be readable and must not mark as any existing option
+function isDistinct(text, options, question) {
+  if (!text || text.length > MAX_OPTION_LENGTH) return false;
+  return options.every(
+    (o) =>
+      gradeAnswer(text, {
+        questionText: question.questionText,
+        solution: `**Answer:** ${o.text}`,
+      }).verdict !== VERDICTS.CORRECT
+  );
+}
+
+/**
+ * Build A–D options for a question with a computable final answer
+ * @param {object} question - { questionText, solution, distractors }
+ * @param {object} profile - { specific_failure } (subtopic picks misconceptions)
+ * @returns {object|null} - { options: [{ label, text, correct, misconception, why }], answer }
+ */
+function buildMultipleChoice(question = {}, profile = {}) {
+  // Mark ticks (✓) in curated memos are not part of the answer
+  const key = extractFinalAnswers(question.solution || "")
+    .join("; ")
+    .replace(/\s*[✓✔]+/g, "")
+    .replace(/\.$/, "")
+    .trim();
+  if (!key || key.length > MAX_OPTION_LENGTH || !/\d/.test(key)) return null;
+
+  const ctx = {
+    answer: key,
+    numbers: numberMatches(key).length,
+    money: /R\s?\d/.test(key),
+    text: `${profile.specific_failure || ""} ${
+      question.questionText || ""
+    }`.toLowerCase(),
+  };
+
+  const candidates = [
+    ...(question.distractors || []).map((d) => ({
+      text: d.answer,
+      misconception: d.id || "template",
+      why: d.why,
+    })),
+    ...MISCONCEPTIONS.filter((mc) => mc.applies(ctx)).map((mc) => ({
+      text: mc.build(key, ctx),
+      misconception: mc.id,
+      why: mc.why,
+    })),
+  ];
+
+  const options = [
+    { text: key, correct: true, misconception: null, why: null },
+  ];
+  for (const candidate of candidates) {
+    if (options.length === LABELS.length) break;
+    if (isDistinct(candidate.text, options, question)) {
+      options.push({ ...candidate, correct: false });
+    }
+  }
+  if (options.length < LABELS.length) return null;
+
+  // Same question → same option order (reviews and re-sends stay stable)
+  const rng = createRandom(seedFor(question.questionText));
+  for (let i = options.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.next() * (i + 1));
+    [options[i], options[j]] = [options[j], options[i]];
+  }
+
+  const labelled = options.map((o, i) => ({ label: LABELS[i], ...o }));
+  return {
+    options: labelled,
+    answer: labelled.find((o) => o.correct).label,
+  };
+}
+
+// "B", "b)", "(c)", "option d" → letter; anything else → null
+function parseChoice(text = "") {
+  const m = String(text)
+    .trim()
+    .match(/^(?:option\s+)?\(?([a-d])\)?\.?$/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+/**
+ * Grade an A–D reply
+ * @param {object} mcq - question.mcq
+ * @param {string} letter - "A"–"D"
+ * @returns {object} - { verdict, score, feedback, choice, misconception }
+ */
+function gradeChoice(mcq, letter) {
+  const option = mcq.options.find((o) => o.label === letter);
+  if (!option) {
+    return {
+      verdict: VERDICTS.UNGRADED,
+      score: 0,
+      choice: letter,
+      misconception: null,
+      feedback: `Pick one of ${mcq.options.map((o) => o.label).join(", ")}.`,
+    };
+  }
+  if (option.correct) {
+    return {
+      verdict: VERDICTS.CORRECT,
+      score: 1,
+      choice: letter,
+      misconception: null,
+      feedback: `${letter}) ${option.text} is right.`,
+    };
+  }
+  return {
+    verdict: VERDICTS.INCORRECT,
+    score: 0,
+    choice: letter,
+    misconception: option.misconception,
+    feedback: `${letter}) ${option.text} is a common trap. ${option.why}`,
+  };
+}
+
+function formatOptions(mcq) {
+  return mcq.options.map((o) => `${o.label}) ${o.text}`).join("\n");
+}
+
+module.exports = {
+  MISCONCEPTIONS,
+  buildMultipleChoice,
+  parseChoice,
+  gradeChoice,
+  formatOptions,
+};
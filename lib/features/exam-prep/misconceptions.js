@@ -0,0 +1,408 @@
+/**
+ * Misconception Classification
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 17:55:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Names the mistake behind a wrong answer so feedback can target it:
+ * - The MCQ misconception catalogue (and a template's own distractors) is
+ *   replayed against the memo answer; a match names the misconception
+ * - Subject checks cover what a distractor can't: exponents distributed over
+ *   addition, unit conversions, SOH-CAH-TOA mix-ups and confused terms
+ *   (mitosis/meiosis, mass/weight …)
+ * - Counts are kept per user (preferences.misconceptions) for teachers and
+ *   the personalisation layer
+ *
+ * Updates (2026-10-19 23:55:00 UTC):
+ * - Unit conversions are only named when the memo or question has units;
+ *   an arithmetic slip needs working that reaches a memo value, not just a
+ *   final answer that is close; trig words must be whole words
+ */
+
+const {
+  gradeAnswer,
+  extractFinalAnswers,
+  parseAnswerItems,
+  VERDICTS,
+} = require("./marking");
+const { MISCONCEPTIONS } = require("./mcq");
+const {
+  expressionsEquivalent,
+  numbersClose,
+} = require("../../utils/math-expression");
+
+const RECURRING_MIN = 2;
+
+const LABELS = {
+  one_root: "Only one root",
+  sign_error: "Sign error",
+  swapped_values: "Swapped values",
+  forgot_half: "Missing ½",
+  no_square_root: "Missing square root",
+  exponent_mixup: "Exponent laws mixed up",
+  upside_down: "Upside down",
+  power_of_ten: "Power-of-ten slip",
+  exponent_over_addition: "Exponent over a sum",
+  unit_conversion: "Unit conversion",
+  wrong_unit: "Wrong unit",
+  trig_ratio_mixup: "SOH-CAH-TOA mix-up",
+  arithmetic_slip: "Arithmetic slip",
+};
+
+// Pairs of terms students swap for each other (either way round)
+const CONFUSED_TERMS = [
+  {
+    id: "mitosis_meiosis",
+    terms: ["mitosis", "meiosis"],
+    why: "Mitosis gives two identical diploid cells for growth and repair; meiosis gives four genetically different haploid gametes.",
+  },
+  {
+    id: "genotype_phenotype",
+    terms: ["genotype", "phenotype"],
+    why: "The genotype is the allele combination (e.g. Tt); the phenotype is the trait you can observe (e.g. tall).",
+  },
+  {
+    id: "dominant_recessive",
+    terms: ["dominant", "recessive"],
+    why: "A dominant allele shows whenever it is present; a recessive one only shows in the homozygous form.",
+  },
+  {
+    id: "haploid_diploid",
+    terms: ["haploid", "diploid"],
+    why: "Haploid (n) cells have one set of chromosomes (gametes); diploid (2n) cells have two.",
+  },
+  {
+    id: "thymine_uracil",
+    terms: ["thymine", "uracil"],
+    why: "DNA uses thymine; RNA replaces it with uracil.",
+  },
+  {
+    id: "transcription_translation",
+    terms: ["transcription", "translation"],
+    why: "Transcription copies DNA into mRNA in the nucleus; translation builds the protein at the ribosome.",
+  },
+  {
+    id: "mass_weight",
+    terms: ["mass", "weight"],
+    why: "Mass (kg) is the amount of matter; weight (N) is the gravitational force on it, w = mg.",
+  },
+  {
+    id: "distance_displacement",
+    terms: ["distance", "displacement"],
+    why: "Distance is the total path length; displacement is the straight-line change in position, with a direction.",
+  },
+  {
+    id: "series_parallel",
+    terms: ["series", "parallel"],
+    why: "In series the current is the same everywhere; in parallel the potential difference across each branch is the same.",
+  },
+];
+
+const CONVERSION_FACTORS = [10, 100, 1000, 60, 3600, 3.6];
+// A unit right after a number ("250 m", "90 km/h"), not a letter in a word
+const UNIT =
+  /\d\s*(k?m|cm|mm|k?g|s|min|h|N|J|kJ|W|kW|V|A|Ω|mol|dm³|cm³|m·s⁻¹|m\/s|km\/h|m·s⁻²)\b/;
+const TRIG = {
+  sin: (d) => Math.sin((d * Math.PI) / 180),
+  cos: (d) => Math.cos((d * Math.PI) / 180),
+  tan: (d) => Math.tan((d * Math.PI) / 180),
+};
+const INVERSE_TRIG = {
+  sin: (r) => (Math.abs(r) <= 1 ? (Math.asin(r) * 180) / Math.PI : NaN),
+  cos: (r) => (Math.abs(r) <= 1 ? (Math.acos(r) * 180) / Math.PI : NaN),
+  tan: (r) => (Math.atan(r) * 180) / Math.PI,
+};
+
+function labelFor(id = "") {
+  const term = CONFUSED_TERMS.find((t) => t.id === id);
+  if (term) {
+    const [a, b] = term.terms;
+    return `${a[0].toUpperCase()}${a.slice(1)} vs ${b}`;
+  }
+  if (LABELS[id]) return LABELS[id];
+  const text = id.replace(/_/g, " ");
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+}
+
+function numbers(text) {
+  return parseAnswerItems(text)
+    .map((i) => i.number)
+    .filter((n) => Number.isFinite(n));
+}
+
+function close(a, b) {
+  return numbersClose(a, b, { absTol: 0.01, relTol: 0.01 });
+}
+
+// Every number written in the text, working included ("2x = 12 → x = 7")
+function allNumbers(text = "") {
+  return [...String(text).matchAll(/[−-]?\d+(?:[.,]\d+)?/g)].map((m) =>
+    Number(m[0].replace("−", "-").replace(",", "."))
+  );
+}
+
+function unitOf(text = "") {
+  const m = String(text).match(UNIT);
+  return m ? m[1] : null;
+}
+
+// Subject checks, most specific first; each returns true on a match
+const CHECKS = [
+  {
+    id: "exponent_over_addition",
+    why: "A power doesn't share out over a sum: (a + b)² = a² + 2ab + b², not a² + b².",
+    matches: (c) => {
+      const m = c.questionText.match(/\(([^()]+?)\s*([+−-])\s*([^()]+?)\)\s*²/);
+      if (!m) return false;
+      const expr = c.answer.split("=").pop();
+      return ["+", "-"].some((sign) =>
+        expressionsEquivalent(expr, `(${m[1]})^2 ${sign} (${m[3]})^2`)
+      );
+    },
+  },
+  {
+    id: "trig_ratio_mixup",
+    why: "Check SOH-CAH-TOA: label the sides opposite, adjacent and hypotenuse from the angle you are using, then pick the ratio that links them.",
+    matches: (c) => {
+      if (!/\b(sin|cos|tan)(\b|(?=\d))|right-angled|\btrig/i.test(c.text)) {
+        return false;
+      }
+      const [student] = c.studentNumbers;
+      const [key] = c.keyNumbers;
+      if (!Number.isFinite(student) || !Number.isFinite(key)) return false;
+
+      const pairs = [];
+      for (const f of Object.keys(TRIG)) {
+        for (const g of Object.keys(TRIG)) if (f !== g) pairs.push([f, g]);
+      }
+      // Angle answers: the right ratio, inverted with the wrong function
+      if (/°/.test(c.key)) {
+        return pairs.some(([f, g]) =>
+          close(student, INVERSE_TRIG[g](TRIG[f](key)))
+        );
+      }
+      // Side answers: the given side times/over the wrong ratio (the 90°
+      // marking the right angle is not the angle being used)
+      const angles = [...c.questionText.matchAll(/(\d+(?:[.,]\d+)?)\s*°/g)]
+        .map((m) => Number(m[1].replace(",", ".")))
+        .filter((d) => d > 0 && d < 90);
+      return angles.some((d) =>
+        pairs.some(([f, g]) =>
+          [key / TRIG[f](d), key * TRIG[f](d)].some((side) =>
+            [side * TRIG[g](d), side / TRIG[g](d)].some((v) =>
+              close(student, v)
+            )
+          )
+        )
+      );
+    },
+  },
+  {
+    id: "unit_conversion",
+    why: "The value is off by a unit conversion: check the units the question gives against the units the answer needs (e.g. km → m is × 1 000, km/h → m/s is ÷ 3,6).",
+    // Only when units are in play: "x = 120" for "x = 2" is something else
+    matches: (c) =>
+      Boolean(unitOf(c.key) || unitOf(c.questionText)) &&
+      c.keyNumbers.length === 1 &&
+      c.studentNumbers.length === 1 &&
+      CONVERSION_FACTORS.some(
+        (f) =>
+          close(c.studentNumbers[0], c.keyNumbers[0] * f) ||
+          close(c.studentNumbers[0], c.keyNumbers[0] / f)
+      ),
+  },
+  {
+    id: "wrong_unit",
+    why: "The number is right but the unit isn't: give the answer in the unit the question asks for.",
+    matches: (c) => {
+      const key = unitOf(c.key);
+      const student = unitOf(c.answer);
+      return Boolean(
+        key &&
+        student &&
+        key !== student &&
+        c.keyNumbers.length > 0 &&
+        c.keyNumbers.every((n, i) => close(n, c.studentNumbers[i]))
+      );
+    },
+  },
+  ...CONFUSED_TERMS.map(({ id, terms: [a, b], why }) => ({
+    id,
+    why,
+    matches: (c) => {
+      const has = (text, term) => new RegExp(`\\b${term}`, "i").test(text);
+      return [
+        [a, b],
+        [b, a],
+      ].some(
+        ([right, wrong]) =>
+          has(c.key, right) &&
+          !has(c.key, wrong) &&
+          has(c.answer, wrong) &&
+          !has(c.answer, right)
+      );
+    },
+  })),
+  {
+    id: "arithmetic_slip",
+    why: "Arithmetic slip: the method is right, but redo the last calculation.",
+    // A final answer that is just a little off could be any mistake; it is a
+    // slip only when the student's working reaches a value from the memo's
+    matches: (c) => {
+      const finals = c.studentNumbers.slice(-c.keyNumbers.length);
+      return (
+        c.keyNumbers.length > 0 &&
+        finals.length === c.keyNumbers.length &&
+        c.keyNumbers.every(
+          (n, i) => Math.abs(n - finals[i]) <= Math.max(1, Math.abs(n) * 0.1)
+        ) &&
+        c.memoWorking.some((n) =>
+          c.studentWorking.some(
+            (s) => close(s, n) && !finals.some((f) => close(f, s))
+          )
+        )
+      );
+    },
+  },
+];
+
+// Does the student's answer mark as this wrong answer?
+function reaches(answer, wrongAnswer, questionText) {
+  if (!wrongAnswer) return false;
+  return (
+    gradeAnswer(answer, {
+      questionText,
+      solution: `**Answer:** ${wrongAnswer}`,
+    }).verdict === VERDICTS.CORRECT
+  );
+}
+
+/**
+ * Classify a wrong or partial answer against the misconception catalogue
+ * @param {string} answer - Student reply
+ * @param {object} question - { questionText, solution, distractors }
+ * @param {object} context - { subtopic }
+ * @returns {object|null} - { id, label, why } or null when nothing fits
+ */
+function classifyMisconception(answer = "", question = {}, context = {}) {
+  const key = extractFinalAnswers(question.solution || "")
+    .join("; ")
+    .replace(/\s*[✓✔]+/g, "")
+    .trim();
+  if (!key || !String(answer).trim()) return null;
+
+  const questionText = question.questionText || "";
+  const text = `${context.subtopic || ""} ${questionText}`.toLowerCase();
+  const found = (id, why) => ({ id, label: labelFor(id), why });
+
+  // 1. Template distractors, then the MCQ catalogue (slips are checked last)
+  for (const d of question.distractors || []) {
+    if (reaches(answer, d.answer, questionText)) {
+      return found(d.id || "template", d.why);
+    }
+  }
+  const mcqCtx = {
+    answer: key,
+    numbers: numbers(key).length,
+    money: /R\s?\d/.test(key),
+    text,
+  };
+  for (const mc of MISCONCEPTIONS) {
+    if (mc.id === "arithmetic_slip" || !mc.applies(mcqCtx)) continue;
+    if (reaches(answer, mc.build(key, mcqCtx), questionText)) {
+      return found(mc.id, mc.why);
+    }
+  }
+
+  // 2. Subject checks
+  const ctx = {
+    answer: String(answer),
+    key,
+    questionText,
+    text,
+    keyNumbers: numbers(key),
+    studentNumbers: numbers(answer),
+    // Values the memo works out on the way (not given, not the answer)
+    memoWorking: allNumbers(
+      String(question.solution || "").replace(/\bstep\s*\d+/gi, "")
+    ).filter(
+      (n) =>
+        !allNumbers(questionText).includes(n) && !allNumbers(key).includes(n)
+    ),
+    studentWorking: allNumbers(answer),
+  };
+  const check = CHECKS.find((c) => {
+    try {
+      return c.matches(ctx);
+    } catch (error) {
+      return false;
+    }
+  });
+  return check ? found(check.id, check.why) : null;
+}
+
+/**
+ * Count a misconception for the user
+ * @param {object} store - user.preferences.misconceptions (mutated)
+ * @param {object} misconception - { id, label }
+ * @param {object} context - { subject, subtopic }
+ * @returns {object} - Updated entry
+ */
+function recordMisconception(store, misconception, context = {}) {
+  const entry = (store[misconception.id] = store[misconception.id] || {
+    id: misconception.id,
+    label: misconception.label,
+    count: 0,
+    subjects: {},
+    subtopics: {},
+  });
+  entry.count += 1;
+  if (context.subject) {
+    entry.subjects[context.subject] =
+      (entry.subjects[context.subject] || 0) + 1;
+  }
+  if (context.subtopic) {
+    entry.subtopics[context.subtopic] =
+      (entry.subtopics[context.subtopic] || 0) + 1;
+  }
+  entry.last_seen = new Date().toISOString();
+  return entry;
+}
+
+/**
+ * Mistakes the user keeps making, most frequent first
+ * @param {object} store - user.preferences.misconceptions
+ * @param {object} options - { subject, min, limit }
+ * @returns {Array<object>} - Entries seen at least `min` times
+ */
+function recurringMisconceptions(
+  store = {},
+  { subject = null, min = RECURRING_MIN, limit = 3 } = {}
+) {
+  return Object.values(store || {})
+    .filter((e) => e.count >= min && (!subject || e.subjects[subject]))
+    .sort((a, b) => b.count - a.count || (b.last_seen > a.last_seen ? 1 : -1))
+    .slice(0, limit);
+}
+
+// Targeted feedback line; recurring mistakes are called out as a pattern
+function formatMisconception(misconception, entry) {
+  const again =
+    entry && entry.count >= RECURRING_MIN
+      ? ` (${entry.count}× so far — worth a close look)`
+      : "";
+  // Catalogue explanations often open with the label itself
+  const why = misconception.why.startsWith(`${misconception.label}: `)
+    ? misconception.why.slice(misconception.label.length + 2)
+    : misconception.why;
+  return `🔎 **${misconception.label}**${again}: ${why}`;
+}
+
+module.exports = {
+  CONFUSED_TERMS,
+  labelFor,
+  classifyMisconception,
+  recordMisconception,
+  recurringMisconceptions,
+  formatMisconception,
+};
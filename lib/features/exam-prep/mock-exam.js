@@ -0,0 +1,421 @@
+/**
+ * Mock Exam / Class Test Mode
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 10:10:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * - Paper plan built from CAPS_TAXONOMY topics (Maths P1/P2, Physical Sciences
+ *   P1 physics / P2 chemistry; other subjects split topics across papers)
+ * - Test vs Exam: fewer questions and less time for a class test
+ * - Marks per question and per sub-question (1.1, 1.2 …)
+ * - Timer with pause/resume, tracked on the exam record in user state
+ * - Questions are generated lazily (one at a time) to keep replies fast
+ * - Marked script, percentage and memo at the end
+ * Updates (2026-10-19 16:20:00 UTC):
+ * - Structured (multi-part) items keep their sub-questions, renumbered to
+ *   the paper, and each part is marked against its own memo section
+ */
+
+const { getCapsTopics, getCapsSubtopics } = require("../../data/subject-database");
+const { generateExamQuestions } = require("./questions");
+const { gradeAnswer, extractFinalAnswers } = require("./marking");
+
+const MODES = {
+  test: { label: "Class Test", questions: 4, minutes: 45 },
+  exam: { label: "Exam", questions: 6, minutes: 90 },
+};
+
+// Paper → topic filters (matched against CAPS topic names)
+const PAPER_BLUEPRINTS = {
+  Mathematics: {
+    1: /algebra|number|pattern|sequence|series|function|graph|finance|calculus|probab/i,
+    2: /trig|geometry|analytical|statistic|measurement|space|data/i,
+  },
+  "Physical Sciences": {
+    1: /mechanic|wave|sound|light|electric|magnet|momentum|motion|work|energy|optical/i,
+    2: /matter|material|chemical|chemistry|organic|reaction|equilibri|acid|electrochem/i,
+  },
+};
+
+// Marks by difficulty (papers climb from Foundation to Expert)
+const DIFFICULTY_LADDER = [
+  { key: "simplified", marks: 5 },
+  { key: "mixed", marks: 7 },
+  { key: "challenging", marks: 9 },
+  { key: "expert", marks: 10 },
+];
+
+/**
+ * Read paper number and mode from free text ("P1 exam", "paper 2 test")
+ * @param {string} text - Student input
+ * @returns {{paper: number, mode: string}}
+ */
+function parsePaperChoice(text = "") {
+  const t = String(text).toLowerCase();
+  const p = t.match(/\bp(?:aper)?\s*([12])\b/);
+  return {
+    paper: p ? parseInt(p[1], 10) : 1,
+    mode: /\btest\b/.test(t) ? "test" : "exam",
+  };
+}
+
+function pickPaperTopics(subject, grade, paper) {
+  const all = getCapsTopics(subject, grade) || [];
+  if (all.length === 0) return [];
+
+  const filter = PAPER_BLUEPRINTS[subject]?.[paper];
+  if (filter) {
+    const matched = all.filter((t) => filter.test(t));
+    if (matched.length > 0) return matched;
+  }
+
+  // Generic split: first half → P1, second half → P2
+  const half = Math.ceil(all.length / 2);
+  const slice = paper === 2 ? all.slice(half) : all.slice(0, half);
+  return slice.length > 0 ? slice : all;
+}
+
+/**
+ * Build a paper plan (topics, marks, time) without generating questions yet
+ * @param {object} opts - { subject, grade, paper, mode }
+ * @returns {object} - Exam record stored in user state
+ */
+function buildPaperPlan({ subject, grade, paper = 1, mode = "exam" }) {
+  const config = MODES[mode] || MODES.exam;
+  const topics = pickPaperTopics(subject, grade, paper);
+  const pool = topics.length > 0 ? topics : [subject];
+
+  const items = [];
+  for (let i = 0; i < config.questions; i++) {
+    const topic = pool[i % pool.length];
+    const subs = getCapsSubtopics(subject, grade, topic) || [];
+    const subtopic =
+      subs.length > 0 ? subs[Math.floor(Math.random() * subs.length)] : topic;
+    const rung =
+      DIFFICULTY_LADDER[
+        Math.min(
+          DIFFICULTY_LADDER.length - 1,
+          Math.floor((i / config.questions) * DIFFICULTY_LADDER.length)
+        )
+      ];
+
+    items.push({
+      number: i + 1,
+      topic,
+      subtopic,
+      difficulty: rung.key,
+      marks: rung.marks,
+      question: null,
+      response: null,
+    });
+  }
+
+  const now = Date.now();
+  return {
+    id: `mock_${now.toString(36)}`,
+    subject,
+    grade,
+    paper,
+    mode,
+    title: `${subject} P${paper} — Grade ${grade} (${config.label})`,
+    durationMinutes: config.minutes,
+    totalMarks: items.reduce((sum, it) => sum + it.marks, 0),
+    items,
+    currentIndex: 0,
+    status: "active",
+    startedAt: new Date(now).toISOString(),
+    resumedAt: now,
+    elapsedMs: 0,
+  };
+}
+
+/**
+ * Split question text into sub-questions (a), b) … → 1.1, 1.2 …) with marks
+ * @param {string} questionText - Generated question text
+ * @param {number} number - Question number on the paper
+ * @param {number} marks - Marks for the whole question
+ * @returns {Array<{label: string, marks: number}>}
+ */
+function splitIntoParts(questionText = "", number = 1, marks = 5) {
+  const letters = [];
+  const re = /^\s*\(?([a-h])[\).]\s+/gim;
+  let m;
+  while ((m = re.exec(questionText)) !== null) {
+    const letter = m[1].toLowerCase();
+    if (!letters.includes(letter)) letters.push(letter);
+  }
+
+  const count = Math.max(1, letters.length);
+  return shareMarks(marks, count).map((share, i) => ({
+    label: count === 1 ? `${number}` : `${number}.${i + 1}`,
+    marks: share,
+  }));
+}
+
+// Later parts are usually harder → they get the spare marks
+function shareMarks(marks, count) {
+  const base = Math.floor(marks / count);
+  const remainder = marks - base * count;
+  return Array.from(
+    { length: count },
+    (_, i) => base + (i >= count - remainder ? 1 : 0)
+  );
+}
+
+// "1.2 …" / "**1.2**" → "3.2 …" for a structured item placed as question 3.
+// The item's own "(2)" marks are dropped: the paper shares out its marks.
+function renumber(text = "", structure, number) {
+  const re = new RegExp(`^(\\s*\\*{0,2})${structure.number}(?=\\.\\d)`, "gm");
+  return String(text)
+    .replace(re, `$1${number}`)
+    .replace(/^(\s*\*{0,2}\d+\.\d.*?)\s*\(\d{1,2}\)\s*$/gm, "$1");
+}
+
+// Structured items keep their sub-questions and per-part memos; the paper's
+// marks for the item are shared out across them
+function partsFromStructure(structure, number, marks) {
+  const shares = shareMarks(marks, structure.parts.length);
+  return structure.parts.map((part, i) => ({
+    label: part.label.replace(/^\d+/, String(number)),
+    marks: shares[i],
+    memo: part.memo,
+  }));
+}
+
+/**
+ * Generate (once) the question for a paper item
+ * @param {object} exam - Exam record
+ * @param {number} index - Item index
+ * @param {string} userId - User identifier
+ * @returns {Promise<object>} - The item with its question populated
+ */
+async function loadQuestion(exam, index, userId = null) {
+  const item = exam.items[index];
+  if (!item || item.question) return item;
+
+  const profile = {
+    grade: exam.grade,
+    subject: exam.subject,
+    topic_struggles: item.topic,
+    specific_failure: item.subtopic,
+    difficulty: item.difficulty,
+    assessment_type: exam.mode,
+    purpose: `${exam.mode}_paper`,
+    // Never repeat a bank item on the same paper
+    exclude_bank_ids: exam.items
+      .map((it) => it.question?.bankId)
+      .filter(Boolean),
+  };
+
+  const result = await generateExamQuestions(profile, 1, userId);
+  const q = result?.questions?.[0] || {};
+
+  const structure = q.structure;
+  item.question = {
+    questionText: structure
+      ? renumber(q.questionText, structure, item.number)
+      : q.questionText || `Answer a ${item.subtopic} question.`,
+    solution: structure
+      ? renumber(q.solution, structure, item.number)
+      : q.solution || "",
+    contentId: q.contentId || null,
+    source: q.source || "fallback",
+    bankId: q.bankId || null,
+    parts: structure
+      ? partsFromStructure(structure, item.number, item.marks)
+      : splitIntoParts(q.questionText, item.number, item.marks),
+  };
+  return item;
+}
+
+/**
+ * Mark one answer message against a paper item
+ * - Multi-part: answers split by new line or ";" are matched part by part
+ *   when the memo has one final answer (or one memo section) per part
+ * - Otherwise the whole answer is graded and scaled to the question marks
+ * @param {object} item - Paper item with question
+ * @param {string} answerText - Student answer
+ * @returns {object} - { awarded, parts: [{label, marks, awarded, verdict}] }
+ */
+function markResponse(item, answerText = "") {
+  const q = item.question || {};
+  const parts = q.parts || [{ label: `${item.number}`, marks: item.marks }];
+  const memoParts = parts.every((p) => p.memo)
+    ? parts.map((p) => p.memo)
+    : extractFinalAnswers(q.solution || "");
+  const answerParts = String(answerText)
+    .split(/\n|;/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  let marked;
+  if (
+    parts.length > 1 &&
+    memoParts.length === parts.length &&
+    answerParts.length === parts.length
+  ) {
+    marked = parts.map((p, i) => {
+      const r = gradeAnswer(answerParts[i], {
+        questionText: q.questionText,
+        solution: memoParts[i],
+      });
+      return {
+        ...p,
+        verdict: r.verdict,
+        awarded: Math.round(r.score * p.marks),
+      };
+    });
+  } else {
+    const r = gradeAnswer(answerText, q);
+    let pool = Math.round(r.score * item.marks);
+    marked = parts.map((p) => {
+      const awarded = Math.min(p.marks, pool);
+      pool -= awarded;
+      return { ...p, verdict: r.verdict, awarded };
+    });
+  }
+
+  return {
+    answer: answerText,
+    awarded: marked.reduce((sum, p) => sum + p.awarded, 0),
+    parts: marked,
+  };
+}
+
+// Timer helpers (elapsedMs accumulates across pauses)
+function elapsedMs(exam, now = Date.now()) {
+  const running =
+    exam.status === "active" && exam.resumedAt ? now - exam.resumedAt : 0;
+  return (exam.elapsedMs || 0) + running;
+}
+
+function timeRemainingMs(exam, now = Date.now()) {
+  return Math.max(0, exam.durationMinutes * 60000 - elapsedMs(exam, now));
+}
+
+function isTimeUp(exam, now = Date.now()) {
+  return timeRemainingMs(exam, now) <= 0;
+}
+
+function pauseExam(exam, now = Date.now()) {
+  if (exam.status !== "active") return exam;
+  exam.elapsedMs = elapsedMs(exam, now);
+  exam.resumedAt = null;
+  exam.status = "paused";
+  return exam;
+}
+
+function resumeExam(exam, now = Date.now()) {
+  if (exam.status !== "paused") return exam;
+  exam.resumedAt = now;
+  exam.status = "active";
+  return exam;
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.ceil(ms / 60000);
+  if (totalMinutes < 60) return `${totalMinutes} min`;
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  return m ? `${h}h ${m}min` : `${h}h`;
+}
+
+/**
+ * Finish the exam and compute totals
+ * @param {object} exam - Exam record
+ * @returns {object} - Summary { awarded, total, percentage, timeUsedMs }
+ */
+function finishExam(exam, now = Date.now()) {
+  const timeUsedMs = Math.min(elapsedMs(exam, now), exam.durationMinutes * 60000);
+  exam.elapsedMs = timeUsedMs;
+  exam.resumedAt = null;
+  exam.status = "completed";
+  exam.completedAt = new Date(now).toISOString();
+
+  const awarded = exam.items.reduce(
+    (sum, it) => sum + (it.response?.awarded || 0),
+    0
+  );
+  const percentage = exam.totalMarks
+    ? Math.round((awarded / exam.totalMarks) * 100)
+    : 0;
+
+  exam.result = { awarded, total: exam.totalMarks, percentage, timeUsedMs };
+  return exam.result;
+}
+
+function verdictIcon(verdict) {
+  if (verdict === "correct") return "✅";
+  if (verdict === "partial") return "🟡";
+  if (verdict === "ungraded") return "📝";
+  return "❌";
+}
+
+/**
+ * Format the marked script + memo for WhatsApp
+ * @param {object} exam - Completed exam record
+ * @returns {string} - Script text
+ */
+function buildMarkedScript(exam) {
+  const result = exam.result || finishExam(exam);
+
+  const lines = exam.items.map((it) => {
+    const header = `**Q${it.number}** ${it.topic} — ${
+      it.response?.awarded || 0
+    }/${it.marks}`;
+    if (!it.response) return `${header} (not answered)`;
+    const parts =
+      it.response.parts.length > 1
+        ? "\n" +
+          it.response.parts
+            .map(
+              (p) =>
+                `   ${p.label}: ${p.awarded}/${p.marks} ${verdictIcon(
+                  p.verdict
+                )}`
+            )
+            .join("\n")
+        : ` ${verdictIcon(it.response.parts[0]?.verdict)}`;
+    return `${header}${parts}`;
+  });
+
+  const memo = exam.items
+    .filter((it) => it.question)
+    .map(
+      (it) =>
+        `**Q${it.number}** (${it.marks} marks)\n${
+          it.question.solution || "Memo unavailable."
+        }`
+    )
+    .join("\n\n");
+
+  return `📄 **${exam.title}** — Marked script
+
+${lines.join("\n")}
+
+🧮 **Total:** ${result.awarded}/${result.total} → **${result.percentage}%**
+⏱️ Time used: ${formatDuration(result.timeUsedMs)} of ${formatDuration(
+    exam.durationMinutes * 60000
+  )}
+
+📘 **Memo**
+
+${memo || "No questions were attempted."}`;
+}
+
+module.exports = {
+  MODES,
+  PAPER_BLUEPRINTS,
+  parsePaperChoice,
+  buildPaperPlan,
+  splitIntoParts,
+  loadQuestion,
+  markResponse,
+  timeRemainingMs,
+  isTimeUp,
+  pauseExam,
+  resumeExam,
+  finishExam,
+  formatDuration,
+  buildMarkedScript,
+};
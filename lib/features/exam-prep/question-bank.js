@@ -0,0 +1,196 @@
+/**
+ * Curated Past-Paper Question Bank
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 11:50:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * - Loads NSC/provincial-style items from versioned JSON files in
+ *   lib/data/question-bank (e.g. mathematics.v1.json)
+ * - A newer file version replaces items with the same id
+ * - Items are tagged by subject, grade, CAPS topic, subtopic, difficulty and
+ *   marks, and carry their memo
+ * - findBankQuestions ranks matches so generateExamQuestions can serve the
+ *   bank first and only ask the AI to fill gaps
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const BANK_DIR = path.join(__dirname, "../../data/question-bank");
+const DIFFICULTY_ORDER = ["simplified", "mixed", "challenging", "expert"];
+const REQUIRED_FIELDS = [
+  "id",
+  "subject",
+  "grade",
+  "topic",
+  "subtopic",
+  "difficulty",
+  "marks",
+  "question",
+  "memo",
+];
+
+let cachedBank = null;
+
+function normalizeTag(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tagsMatch(a, b) {
+  const x = normalizeTag(a);
+  const y = normalizeTag(b);
+  if (!x || !y) return false;
+  return x === y || x.includes(y) || y.includes(x);
+}
+
+/**
+ * Check one bank item against the schema
+ * @param {object} item - Raw item from a bank file
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateBankItem(item = {}) {
+  const problems = REQUIRED_FIELDS.filter(
+    (f) => item[f] === undefined || item[f] === null || item[f] === ""
+  ).map((f) => `missing ${f}`);
+
+  if (item.grade !== undefined && !Number.isInteger(item.grade)) {
+    problems.push("grade must be an integer");
+  }
+  if (item.marks !== undefined && !(item.marks > 0)) {
+    problems.push("marks must be positive");
+  }
+  if (item.difficulty && !DIFFICULTY_ORDER.includes(item.difficulty)) {
+    problems.push(`unknown difficulty "${item.difficulty}"`);
+  }
+  return problems;
+}
+
+function parseVersion(fileName, data) {
+  if (Number.isFinite(data?.version)) return data.version;
+  const m = fileName.match(/\.v(\d+)\.json$/i);
+  return m ? parseInt(m[1], 10) : 1;
+}
+
+/**
+ * Load every bank file (cached after the first call)
+ * @param {object} options - { dir, reload }
+ * @returns {Array<object>} - Valid items tagged with bankVersion/bankFile
+ */
+function loadQuestionBank({ dir = BANK_DIR, reload = false } = {}) {
+  if (cachedBank && !reload && dir === BANK_DIR) return cachedBank;
+
+  const byId = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (error) {
+    console.error("❌ Question bank directory unavailable:", error.message);
+  }
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (error) {
+      console.error(`❌ Question bank file ${file} is not valid JSON:`, error.message);
+      continue;
+    }
+
+    const version = parseVersion(file, data);
+    for (const item of data.items || []) {
+      const problems = validateBankItem(item);
+      if (problems.length > 0) {
+        console.error(
+          `⚠️ Skipping bank item ${item.id || "(no id)"} in ${file}: ${problems.join(", ")}`
+        );
+        continue;
+      }
+      const existing = byId.get(item.id);
+      if (existing && existing.bankVersion > version) continue;
+      byId.set(item.id, { ...item, bankVersion: version, bankFile: file });
+    }
+  }
+
+  const items = Array.from(byId.values());
+  if (dir === BANK_DIR) cachedBank = items;
+  console.log(`📚 Question bank loaded: ${items.length} items`);
+  return items;
+}
+
+/**
+ * Find bank items for a profile, best matches first
+ * - Subject, grade and subtopic must match (topic is enough for
+ *   topic-level requests)
+ * - Exact subtopic and difficulty rank higher; ties are shuffled
+ * @param {object} profile - { subject, grade, topic_struggles, specific_failure, difficulty }
+ * @param {object} options - { count, excludeIds, items }
+ * @returns {Array<object>} - Matching bank items
+ */
+function findBankQuestions(profile = {}, options = {}) {
+  const { count = 1, excludeIds = [], items = loadQuestionBank() } = options;
+  const grade = parseInt(profile.grade, 10);
+  const wantedDifficulty = DIFFICULTY_ORDER.indexOf(profile.difficulty);
+  const excluded = new Set(excludeIds);
+  // "Algebra fundamentals" style requests accept any subtopic in the topic
+  const topicLevel =
+    !profile.specific_failure ||
+    tagsMatch(profile.specific_failure, profile.topic_struggles);
+
+  const scored = items
+    .filter(
+      (item) =>
+        !excluded.has(item.id) &&
+        item.grade === grade &&
+        normalizeTag(item.subject) === normalizeTag(profile.subject)
+    )
+    .map((item) => {
+      const subtopicHit = tagsMatch(item.subtopic, profile.specific_failure);
+      const topicHit = tagsMatch(item.topic, profile.topic_struggles);
+      if (!subtopicHit && !(topicLevel && topicHit)) return null;
+
+      const gap =
+        wantedDifficulty === -1
+          ? 0
+          : Math.abs(DIFFICULTY_ORDER.indexOf(item.difficulty) - wantedDifficulty);
+      return {
+        item,
+        score: (subtopicHit ? 10 : 0) + (topicHit ? 3 : 0) - gap * 2,
+        tiebreak: Math.random(),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak);
+
+  return scored.slice(0, count).map((s) => s.item);
+}
+
+/**
+ * Convert a bank item into the question object used across exam prep
+ * @param {object} item - Bank item
+ * @returns {object} - { questionText, solution, marks, source: "bank", ... }
+ */
+function toExamQuestion(item) {
+  return {
+    questionText: item.question,
+    solution: item.memo,
+    explanation: `Exam-style item: ${item.subtopic}`,
+    marks: item.marks,
+    difficulty: item.difficulty,
+    source: "bank",
+    bankId: item.id,
+    bankVersion: item.bankVersion,
+    origin: item.origin || "curated",
+  };
+}
+
+module.exports = {
+  BANK_DIR,
+  validateBankItem,
+  loadQuestionBank,
+  findBankQuestions,
+  toExamQuestion,
+};
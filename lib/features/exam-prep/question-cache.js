@@ -0,0 +1,196 @@
+/**
+ * Practice Question Cache
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 19:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Read-through cache for generated practice questions on top of
+ * utils/offline-storage (memory + content_storage table):
+ * - Keyed by (subject, grade, topic, subtopic, difficulty, structured)
+ * - Each key holds a small pool of POOL_SIZE slots so students still get
+ *   variety; new AI questions overwrite the slots in rotation
+ * - Requests are counted per key so a background preloader can warm the
+ *   most popular subtopics before students ask for them
+ */
+
+const {
+  storeOfflineContent,
+  getOfflineContent,
+  preloadOfflineContent,
+} = require("../../utils/offline-storage");
+const { fingerprintQuestion } = require("./question-ledger");
+
+const POOL_SIZE = 5;
+const MAX_TRACKED_KEYS = 200;
+
+// Question fields worth caching (rendered images are rebuilt on serve)
+const CACHED_FIELDS = [
+  "explanation",
+  "marks",
+  "difficulty",
+  "source",
+  "verification",
+];
+
+const demand = new Map();
+const pools = new Map();
+
+/**
+ * offline-storage parameters for one slot; slot 0 without extras matches
+ * the keys preloadOfflineContent writes for curated content
+ */
+function cacheParams(profile, slot = 0) {
+  const params = {
+    subject: profile.subject,
+    grade: parseInt(profile.grade, 10) || null,
+    topic: profile.topic_struggles || null,
+    sub_topic: profile.specific_failure || null,
+    difficulty: profile.difficulty || null,
+  };
+  if (profile.structured) params.structured = true;
+  if (slot > 0) params.slot = slot;
+  return params;
+}
+
+function poolKey(profile) {
+  return JSON.stringify(cacheParams(profile));
+}
+
+function poolFor(profile) {
+  const key = poolKey(profile);
+  if (!pools.has(key)) pools.set(key, { next: 0, filled: new Set() });
+  return pools.get(key);
+}
+
+function recordDemand(profile) {
+  const key = poolKey(profile);
+  const entry = demand.get(key) || {
+    profile: {
+      subject: profile.subject,
+      grade: profile.grade,
+      topic_struggles: profile.topic_struggles,
+      specific_failure: profile.specific_failure,
+      difficulty: profile.difficulty,
+      structured: Boolean(profile.structured),
+    },
+    requests: 0,
+  };
+  entry.requests += 1;
+  demand.delete(key);
+  demand.set(key, entry);
+  if (demand.size > MAX_TRACKED_KEYS) demand.delete(demand.keys().next().value);
+}
+
+function fromCache(content) {
+  const stored = content.metadata?.question || {};
+  return {
+    ...stored,
+    questionText: content.questionText,
+    solution: content.solution,
+    source: "offline_storage",
+    cachedFrom: stored.source || null,
+    contentId: content.contentId,
+  };
+}
+
+/**
+ * First cached question for the profile the student hasn't seen
+ * @param {object} profile - Question profile
+ * @param {Set} seen - Fingerprints to skip
+ * @returns {Promise<object|null>}
+ */
+async function getCachedQuestion(profile, seen = new Set()) {
+  recordDemand(profile);
+  const slots = await Promise.all(
+    Array.from({ length: POOL_SIZE }, (_, slot) =>
+      getOfflineContent("question", cacheParams(profile, slot))
+    )
+  );
+  const hit = slots.find(
+    (content) =>
+      content?.questionText &&
+      content.solution &&
+      !seen.has(fingerprintQuestion(content.questionText))
+  );
+  return hit ? fromCache(hit) : null;
+}
+
+/**
+ * Store a generated question (with its memo) in the next pool slot
+ * @param {object} profile - Question profile it was generated for
+ * @param {object} question - Generated question
+ * @returns {Promise<boolean>}
+ */
+async function cacheQuestion(profile, question) {
+  if (!question?.questionText || !question.solution) return false;
+  const pool = poolFor(profile);
+  const slot = pool.next;
+  pool.next = (slot + 1) % POOL_SIZE;
+  pool.filled.add(slot);
+
+  const stored = {};
+  for (const field of CACHED_FIELDS) {
+    if (question[field] !== undefined) stored[field] = question[field];
+  }
+  return storeOfflineContent("question", cacheParams(profile, slot), {
+    questionText: question.questionText,
+    solution: question.solution,
+    metadata: { question: stored },
+  });
+}
+
+// Most requested profiles whose pool still has empty slots
+function popularProfiles(limit = 5) {
+  return [...demand.entries()]
+    .filter(
+      ([key]) => !pools.has(key) || pools.get(key).filled.size < POOL_SIZE
+    )
+    .sort((a, b) => b[1].requests - a[1].requests)
+    .slice(0, limit)
+    .map(([, entry]) => entry.profile);
+}
+
+/**
+ * Warm the cache for popular subtopics: curated content for each
+ * subject/grade, then one generated question per profile
+ * @param {function} generate - async (profile) => question
+ * @param {object} options - { limit }
+ * @returns {Promise<number>} - Questions cached
+ */
+async function preloadPopular(generate, { limit = 3 } = {}) {
+  const profiles = popularProfiles(limit);
+  const grades = new Set();
+  let cached = 0;
+
+  for (const profile of profiles) {
+    const gradeKey = `${profile.subject}|${profile.grade}`;
+    if (!grades.has(gradeKey)) {
+      grades.add(gradeKey);
+      await preloadOfflineContent(null, {
+        subject: profile.subject,
+        grade: profile.grade,
+      });
+    }
+
+    try {
+      const question = await generate(profile);
+      if (question?.source !== "ai") continue;
+      await cacheQuestion(profile, question);
+      cached++;
+    } catch (error) {
+      console.error("❌ Question preload failed:", error.message);
+    }
+  }
+
+  if (cached > 0) console.log(`🔥 Preloaded ${cached} practice question(s)`);
+  return cached;
+}
+
+module.exports = {
+  POOL_SIZE,
+  cacheParams,
+  getCachedQuestion,
+  cacheQuestion,
+  popularProfiles,
+  preloadPopular,
+};
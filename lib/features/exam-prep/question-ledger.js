@@ -0,0 +1,98 @@
+/**
+ * Seen-Question Ledger
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 18:45:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Remembers which practice questions a student has already been shown so
+ * generation can avoid repeats:
+ * - Keyed by a fingerprint of the normalised question text (case, spacing,
+ *   markdown, punctuation, dash/decimal-comma variants and filler words are
+ *   ignored), so near-identical wording counts as the same question
+ * - Lives in user.preferences.seen_questions as { fingerprint: seenAt }
+ * - Entries expire after MAX_AGE_DAYS and only the newest MAX_ENTRIES are kept
+ */
+
+const crypto = require("crypto");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 300;
+const MAX_AGE_DAYS = 60;
+
+const FILLER_WORDS = new Set(["a", "an", "the", "please", "following"]);
+
+function normalizeQuestionText(text = "") {
+  return String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[*_`#]/g, " ")
+    .replace(/[−–—]/g, "-")
+    .replace(/×/g, "*")
+    .replace(/÷/g, "/")
+    .replace(/(\d),(\d)/g, "$1.$2")
+    .replace(/(?<!\d)\.|\.(?!\d)/g, " ")
+    .replace(/[,;:!?"'“”‘’]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !FILLER_WORDS.has(word))
+    .join(" ");
+}
+
+/**
+ * Fingerprint for a question (or its text)
+ * @param {object|string} question - Question object or question text
+ * @returns {string|null} - 12-char hash, null for empty text
+ */
+function fingerprintQuestion(question) {
+  const text =
+    typeof question === "string" ? question : question?.questionText || "";
+  const normalized = normalizeQuestionText(text);
+  if (!normalized) return null;
+  return crypto
+    .createHash("md5")
+    .update(normalized)
+    .digest("hex")
+    .substring(0, 12);
+}
+
+/**
+ * Drop expired entries, then keep the newest MAX_ENTRIES
+ * @param {object} ledger - user.preferences.seen_questions (mutated)
+ * @param {number} now - Timestamp (ms)
+ * @returns {object} - The same ledger
+ */
+function pruneLedger(ledger = {}, now = Date.now()) {
+  const cutoff = now - MAX_AGE_DAYS * DAY_MS;
+  const entries = Object.entries(ledger).sort((a, b) => b[1] - a[1]);
+  entries.forEach(([fp, seenAt], index) => {
+    if (!(seenAt >= cutoff) || index >= MAX_ENTRIES) delete ledger[fp];
+  });
+  return ledger;
+}
+
+function recordSeen(ledger, question, now = Date.now()) {
+  const fp = fingerprintQuestion(question);
+  if (fp) ledger[fp] = now;
+  return pruneLedger(ledger, now);
+}
+
+function hasSeen(ledger = {}, question, now = Date.now()) {
+  const fp = fingerprintQuestion(question);
+  return Boolean(fp && ledger[fp] >= now - MAX_AGE_DAYS * DAY_MS);
+}
+
+// Unexpired fingerprints, for profile.seen_fingerprints
+function seenFingerprints(ledger = {}, now = Date.now()) {
+  const cutoff = now - MAX_AGE_DAYS * DAY_MS;
+  return Object.keys(ledger).filter((fp) => ledger[fp] >= cutoff);
+}
+
+module.exports = {
+  MAX_ENTRIES,
+  MAX_AGE_DAYS,
+  normalizeQuestionText,
+  fingerprintQuestion,
+  pruneLedger,
+  recordSeen,
+  hasSeen,
+  seenFingerprints,
+};
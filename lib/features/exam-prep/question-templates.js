@@ -0,0 +1,283 @@
+/**
+ * Parameterised Question Templates
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 12:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * - Offline question source used when AI generation is unavailable
+ * - Each template draws random parameters, rejects draws that break its
+ *   constraints (integer roots, positive angles …) and solves its own
+ *   question, so the memo is computed instead of stored
+ * - Seeded random numbers: a question can be rebuilt from templateId + seed
+ * - Templates live in lib/data/question-templates (one module per subject)
+ * Updates (2026-10-19 15:40:00 UTC):
+ * - Templates may list misconceptions (wrong answers with the reason); they
+ *   become the distractors of multiple-choice items
+ */
+
+const SUBJECT_TEMPLATES = {
+  Mathematics: require("../../data/question-templates/mathematics"),
+  "Physical Sciences": require("../../data/question-templates/physical-sciences"),
+};
+
+const DIFFICULTY_ORDER = ["simplified", "mixed", "challenging", "expert"];
+const MAX_ATTEMPTS = 50;
+
+/**
+ * Seeded random helpers (mulberry32)
+ * @param {number} seed - Any integer
+ * @returns {object} - { seed, next, int, nonZero, pick, chance }
+ */
+function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    seed,
+    next,
+    int,
+    nonZero: (min, max) => {
+      let n = 0;
+      while (n === 0) n = int(min, max);
+      return n;
+    },
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (p = 0.5) => next() < p,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Formatting helpers (SA conventions: decimal comma, "−" minus, "(x; y)")
+// ---------------------------------------------------------------------------
+
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a || 1;
+}
+
+function round(n, dp = 2) {
+  const f = Math.pow(10, dp);
+  return Math.round((n + Number.EPSILON) * f) / f;
+}
+
+// 2.5 → "2,5"; −3 → "−3"; rounds to dp decimals
+function fmt(n, dp = 2) {
+  const r = round(n, dp);
+  const text = String(Math.abs(r)).replace(".", ",");
+  return r < 0 ? `−${text}` : text;
+}
+
+// Thousands separated by spaces: 12345.6 → "12 345,60"
+function grouped(n, dp = 2) {
+  const [whole, part] = Math.abs(round(n, dp)).toFixed(dp).split(".");
+  const spaced = whole.replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+  return `${n < 0 ? "−" : ""}${spaced}${part ? `,${part}` : ""}`;
+}
+
+function money(n) {
+  return `R${grouped(n, 2)}`;
+}
+
+function sup(n) {
+  return String(n)
+    .split("")
+    .map((c) => (c === "-" ? "⁻" : SUPERSCRIPT_DIGITS[c] || c))
+    .join("");
+}
+
+function sub(n) {
+  return String(n)
+    .split("")
+    .map((c) => SUBSCRIPT_DIGITS[c] || c)
+    .join("");
+}
+
+// Fraction in lowest terms: (6, 8) → "3/4", (8, 4) → "2"
+function frac(num, den = 1) {
+  if (den < 0) {
+    num = -num;
+    den = -den;
+  }
+  const g = gcd(num, den);
+  const n = num / g;
+  const d = den / g;
+  if (d === 1) return fmt(n, 0);
+  return `${n < 0 ? "−" : ""}${Math.abs(n)}/${d}`;
+}
+
+// Polynomial from [coefficient, variable] pairs: [[2,"x²"],[-3,"x"],[1,""]]
+function poly(terms) {
+  const parts = terms
+    .filter(([c]) => c !== 0)
+    .map(([c, v], i) => {
+      const abs = Math.abs(c);
+      const body = v && abs === 1 ? v : `${fmt(abs)}${v}`;
+      if (i === 0) return c < 0 ? `−${body}` : body;
+      return c < 0 ? ` − ${body}` : ` + ${body}`;
+    });
+  return parts.length > 0 ? parts.join("") : "0";
+}
+
+// "(x + 3)" / "(x − 3)" style factor
+function factor(variable, root) {
+  if (root === 0) return variable;
+  return `(${variable} ${root > 0 ? "−" : "+"} ${Math.abs(root)})`;
+}
+
+// Straight line y = (mNum/mDen)x + (cNum/cDen) in a parseable form
+function line(mNum, mDen = 1, cNum = 0, cDen = 1) {
+  const g = gcd(mNum, mDen);
+  let n = mNum / g;
+  let d = mDen / g;
+  if (d < 0) {
+    n = -n;
+    d = -d;
+  }
+  let xTerm;
+  if (n === 0) xTerm = "";
+  else if (d === 1) xTerm = poly([[n, "x"]]);
+  else xTerm = `${n < 0 ? "−" : ""}${Math.abs(n) === 1 ? "" : Math.abs(n)}x/${d}`;
+
+  const c = cNum / cDen;
+  if (!xTerm) return frac(cNum, cDen);
+  if (c === 0) return xTerm;
+  const cText = frac(Math.abs(cNum), Math.abs(cDen));
+  return `${xTerm} ${c < 0 ? "−" : "+"} ${cText}`;
+}
+
+function point(x, y) {
+  return `(${fmt(x)}; ${fmt(y)})`;
+}
+
+const helpers = {
+  gcd,
+  round,
+  fmt,
+  grouped,
+  money,
+  sup,
+  sub,
+  frac,
+  poly,
+  factor,
+  line,
+  point,
+};
+
+// ---------------------------------------------------------------------------
+// Engine
+// ---------------------------------------------------------------------------
+
+function getTemplates(subject) {
+  return SUBJECT_TEMPLATES[subject] || [];
+}
+
+/**
+ * Templates that fit a subject/grade/subtopic
+ * - Subtopic matches win; topic-level matches are used when none fit
+ * @param {object} profile - { subject, grade, topic_struggles, specific_failure }
+ * @returns {Array<object>} - Matching templates
+ */
+function findTemplates(profile = {}) {
+  const grade = parseInt(profile.grade, 10);
+  const inGrade = getTemplates(profile.subject).filter(
+    (t) => !grade || (grade >= t.grades[0] && grade <= t.grades[1])
+  );
+
+  const subtopic = String(profile.specific_failure || "");
+  const topic = String(profile.topic_struggles || "");
+
+  const bySubtopic = subtopic ? inGrade.filter((t) => t.match.test(subtopic)) : [];
+  if (bySubtopic.length > 0) return bySubtopic;
+
+  return topic ? inGrade.filter((t) => t.topic && t.topic.test(topic)) : [];
+}
+
+/**
+ * Draw parameters until the template's constraint holds, then solve
+ * @param {object} template - Template definition
+ * @param {number} seed - Random seed
+ * @returns {object|null} - { question, steps, answer, params } or null
+ */
+function instantiateTemplate(template, seed = Date.now()) {
+  const rng = createRandom(seed);
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const params = template.params(rng, helpers);
+    if (template.constraint && !template.constraint(params)) continue;
+    const solved = template.solve(params, helpers);
+    return { ...solved, params };
+  }
+  console.error(`⚠️ Template ${template.id} found no valid parameters`);
+  return null;
+}
+
+// Memo in the Step/Answer layout the marker and solution views expect
+function buildMemo(steps = [], answer = "") {
+  return [
+    ...steps.map((s, i) => `**Step ${i + 1}:** ${s}`),
+    `**Answer:** ${answer}`,
+  ].join("\n");
+}
+
+/**
+ * Generate an offline question from the best-fitting template
+ * @param {object} profile - Question profile (subject, grade, topic, subtopic, difficulty)
+ * @param {object} options - { seed, templateId }
+ * @returns {object|null} - Question object (source: "template") or null
+ */
+function generateTemplateQuestion(profile = {}, options = {}) {
+  const seed = Number.isFinite(options.seed)
+    ? options.seed
+    : Math.floor(Math.random() * 2 ** 31);
+
+  let candidates = options.templateId
+    ? getTemplates(profile.subject).filter((t) => t.id === options.templateId)
+    : findTemplates(profile);
+  if (candidates.length === 0) return null;
+
+  // Prefer the requested difficulty when a template offers it
+  const sameLevel = candidates.filter((t) => t.difficulty === profile.difficulty);
+  if (sameLevel.length > 0) candidates = sameLevel;
+
+  const template = createRandom(seed ^ 0x5bd1e995).pick(candidates);
+  const instance = instantiateTemplate(template, seed);
+  if (!instance) return null;
+
+  const question = {
+    questionText: instance.question,
+    solution: buildMemo(instance.steps, instance.answer),
+    explanation: `Generated practice item: ${template.id}`,
+    marks: template.marks,
+    difficulty: template.difficulty,
+    source: "template",
+    templateId: template.id,
+    templateSeed: seed,
+  };
+  if (template.misconceptions) {
+    question.distractors = template.misconceptions(instance.params, helpers);
+  }
+  return question;
+}
+
+module.exports = {
+  DIFFICULTY_ORDER,
+  helpers,
+  createRandom,
+  getTemplates,
+  findTemplates,
+  instantiateTemplate,
+  buildMemo,
+  generateTemplateQuestion,
+};
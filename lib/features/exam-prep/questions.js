@@ -6,10 +6,47 @@
  * Fixes (2025-08-28 14:31:00 UTC):
  * - REMOVE invalid require('./questions_original') causing runtime crash
  * - Clean, single export of generation + fallback helpers
+ * Updates (2026-10-19 12:10:00 UTC):
+ * - Curated past-paper bank items are served before AI generation
+ * - Offline fallbacks come from parameterised templates when one fits
+ * Updates (2026-10-19 13:30:00 UTC):
+ * - AI memos for computable items are re-solved independently; a mismatch is
+ *   regenerated once, then dropped for an offline question
+ * - Every question carries a verification status (also sent to analytics)
+ * Updates (2026-10-19 15:40:00 UTC):
+ * - profile.format = "mcq" adds A–D options with misconception distractors
+ *   to items whose memo has a computable final answer
+ * Updates (2026-10-19 16:20:00 UTC):
+ * - profile.structured asks the AI for a CAPS-style multi-part question
+ *   (1.1, 1.2 … with marks and a memo per part)
+ * - Multi-part items (AI, bank or fallback) carry question.structure; AI
+ *   memos are verified part by part
+ * Updates (2026-10-19 17:55:00 UTC):
+ * - profile.common_mistakes (the student's recurring misconceptions) steers
+ *   AI questions towards items where those mistakes would show
+ * Updates (2026-10-19 18:45:00 UTC):
+ * - profile.seen_fingerprints (the student's seen-question ledger) keeps
+ *   repeats out: seen bank items are skipped, AI questions are regenerated
+ *   with the repeat named in the prompt, templates retry with a new seed
+ * Updates (2026-10-19 19:40:00 UTC):
+ * - Read-through question cache (offline storage): an unseen cached item for
+ *   the same subject/grade/topic/subtopic/difficulty is served before asking
+ *   the AI, and every AI question is stored with its memo
+ * - startQuestionPreloader() warms the cache for popular subtopics
+ * Updates (2026-10-19 20:10:00 UTC):
+ * - Questions and memos go through the LLM gateway (exam_question /
+ *   exam_solution features) instead of a local OpenAI client
+ * Updates (2026-10-19 20:40:00 UTC):
+ * - Question and memo prompts come from the prompt registry; AI questions
+ *   record the prompt versions they were generated with (question.prompts)
+ * Updates (2026-10-19 21:10:00 UTC):
+ * - AI calls are metered to the student (userId) and count against their
+ *   daily token budget; over budget, offline questions are served
+ * - tokens_used is summed into the metadata and the analytics event
  */
 
-const OpenAI = require("openai");
-let openai;
+const llm = require("../../core/llm-gateway");
+const prompts = require("../../core/prompt-registry");
 const latexRenderer = require("../../utils/latex-renderer");
 const graphRenderer = require("../../utils/graph-renderer");
 const {
@@ -17,91 +54,92 @@ const {
   adjustQuestionDifficulty,
 } = require("./personalization");
 const analyticsModule = require("../../utils/analytics");
-
-try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    console.log("🧠 OpenAI initialized for exam question generation");
-  } else {
-    console.log("⚠️ No OpenAI API key, using fallback question generation");
-  }
-} catch (error) {
-  console.error("❌ OpenAI initialization error:", error);
+const {
+  findBankQuestions,
+  loadQuestionBank,
+  toExamQuestion,
+} = require("./question-bank");
+const { generateTemplateQuestion } = require("./question-templates");
+const { verifySolution, VERIFICATION_STATUS } = require("./solution-verifier");
+const { buildMultipleChoice } = require("./mcq");
+const { fingerprintQuestion } = require("./question-ledger");
+const questionCache = require("./question-cache");
+const { structureQuestion } = require("./structured-questions");
+
+const MAX_VERIFY_ATTEMPTS = 2;
+const MAX_FRESH_ATTEMPTS = 3;
+const PRELOAD_INTERVAL = 15 * 60 * 1000;
+
+if (!llm.isAvailable()) {
+  console.log("⚠️ No LLM provider, using fallback question generation");
 }
 
 
 
 /**
  * Generate a targeted practice question (Mastery-focused when purpose provided)
+ * @param {object} profile - Question profile
+ * @param {string} userId - Student the tokens are metered (and budgeted) for
  */
-async function generateRealAIQuestion(profile) {
+async function generateRealAIQuestion(profile, userId = null) {
   console.log(`🤖 Generating AI question for:`, profile);
 
   try {
-    if (!openai) throw new Error("OpenAI not initialized");
-
-    const purpose = profile.purpose || "topic_mastery";
-    const contextLine =
-      purpose === "topic_mastery"
-        ? `Purpose: Master the topic concept-by-concept. Avoid exam/test framing.`
-        : `Purpose: ${purpose}`;
-
-    const questionPrompt = `Create ONE ${profile.subject} practice question for Grade ${profile.grade} aligned to South African CAPS.
-
-${contextLine}
-Topic: ${profile.topic_struggles}
-Focus: ${profile.specific_failure}
-Difficulty: ${profile.difficulty}
-
-Requirements:
-- Be concise and specific to the focus
-- Use standard SA terminology
-- No extra commentary
-- Return ONLY the question text`;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: questionPrompt }],
-      max_tokens: 200,
-      temperature: 0.4,
+    if (!llm.isAvailable()) throw new Error("LLM provider not configured");
+
+    const structured = Boolean(profile.structured);
+    const questionPrompt = prompts.renderPrompt("exam_question", {
+      subject: profile.subject,
+      grade: profile.grade,
+      topic: profile.topic_struggles,
+      focus: profile.specific_failure,
+      difficulty: profile.difficulty,
+      purpose: profile.purpose,
+      structured,
+      common_mistakes: profile.common_mistakes,
+      avoid_questions: profile.avoid_questions,
+    });
+    const response = await llm.complete(questionPrompt.feature, {
+      messages: questionPrompt.messages,
+      maxTokens: questionPrompt.maxTokens,
+      userId,
     });
 
-    const questionText = (response.choices?.[0]?.message?.content || "").trim();
-
-    const solutionPrompt = `Provide a step-by-step solution for the ${profile.subject} question (CAPS-aligned, Grade ${profile.grade}).
-
-Question: ${questionText}
-Focus: ${profile.specific_failure}
-Purpose: ${purpose}
-
-Instructions:
-- Be clear and educational
-- Bold the steps
-- Use proper mathematical notation and SA terminology
-- No fluff`;
+    const questionText = response.text;
 
-    const solutionResponse = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: solutionPrompt }],
-      max_tokens: 450,
-      temperature: 0.3,
+    const solutionPrompt = prompts.renderPrompt("exam_solution", {
+      subject: profile.subject,
+      grade: profile.grade,
+      question: questionText,
+      focus: profile.specific_failure,
+      purpose: profile.purpose,
+      structured,
+    });
+    const solutionResponse = await llm.complete(solutionPrompt.feature, {
+      messages: solutionPrompt.messages,
+      maxTokens: solutionPrompt.maxTokens,
+      userId,
     });
 
-    const solution = enhanceVisualFormatting(
-      (solutionResponse.choices?.[0]?.message?.content || "").trim()
-    );
+    const solution = enhanceVisualFormatting(solutionResponse.text);
 
-    return {
+    const question = {
       questionText: enhanceVisualFormatting(questionText),
       solution,
       explanation: `Mastery focus: ${profile.specific_failure}`,
       tokens_used:
         (response.usage?.total_tokens || 0) +
         (solutionResponse.usage?.total_tokens || 0),
+      prompts: [questionPrompt.ref, solutionPrompt.ref],
       source: "ai",
     };
+    return structured ? structureQuestion(question) : question;
   } catch (error) {
-    console.error("OpenAI question generation failed:", error);
+    if (error.isBudgetExceeded) {
+      console.log(`💸 ${error.message}, serving an offline question`);
+    } else {
+      console.error("AI question generation failed:", error);
+    }
     return generateFallbackQuestion(profile);
   }
 }
@@ -121,6 +159,13 @@ function generateFallbackQuestion(profile) {
     `🔄 Generating fallback question for: ${subject} ${topic} - ${struggle}`
   );
 
+  // Parameterised templates: fresh, solver-checked variants without network
+  const templated = generateTemplateQuestion(profile);
+  if (templated) {
+    console.log(`🧩 Template question ${templated.templateId}`);
+    return templated;
+  }
+
   const fallbacks = {
     Mathematics: getMathFallbackQuestion(topic, struggle, grade),
     "Mathematical Literacy": getMathLitFallbackQuestion(topic, struggle, grade),
@@ -198,6 +243,17 @@ c) Sketch the basic shape with key points`,
     };
   }
 
+  if (topic.includes("calculus") || struggle.includes("differentia")) {
+    return {
+      questionText: `Given f(x) = x³ − 3x² − 9x + 5,
+a) Determine f′(x)
+b) Find the x-coordinates of the turning points of f`,
+      solution: `**a)** f′(x) = 3x² − 6x − 9
+**b)** Set f′(x) = 0 → 3x² − 6x − 9 = 0 → x² − 2x − 3 = 0 → (x − 3)(x + 1) = 0 → x = 3 or x = −1`,
+      source: "fallback",
+    };
+  }
+
   if (
     topic.includes("trig") ||
     struggle.includes("sin") ||
@@ -477,6 +533,172 @@ function enhanceVisualFormatting(content) {
   return enhanced;
 }
 
+// Multi-part memos are checked part by part (one wrong part fails the item)
+function verifyQuestion(question) {
+  if (!question.structure) return verifySolution(question);
+
+  const { stem, parts } = question.structure;
+  const checks = parts.map((part) =>
+    verifySolution({
+      questionText: [stem, part.context, part.text].filter(Boolean).join("\n"),
+      solution: part.memo,
+      source: question.source,
+    })
+  );
+  const mismatch = checks.find(
+    (c) => c.status === VERIFICATION_STATUS.MISMATCH
+  );
+  if (mismatch) return mismatch;
+  return checks.every((c) => c.status === VERIFICATION_STATUS.VERIFIED)
+    ? { ...checks[0], method: "parts" }
+    : checks.find((c) => c.status !== VERIFICATION_STATUS.VERIFIED);
+}
+
+/**
+ * AI question whose memo survived independent verification
+ * - A mismatching memo is regenerated; after MAX_VERIFY_ATTEMPTS the item is
+ *   dropped and an offline (template/fallback) question is served instead
+ * @param {object} profile - Question profile
+ * @param {object} tally - Running { dropped, tokens } counters for analytics
+ *   (tally.userId meters the calls to that student)
+ * @returns {Promise<object>} - Question with a verification record
+ */
+async function generateVerifiedAIQuestion(
+  profile,
+  tally = { dropped: 0, tokens: 0 }
+) {
+  let last = null;
+
+  for (let attempt = 1; attempt <= MAX_VERIFY_ATTEMPTS; attempt++) {
+    const question = await generateRealAIQuestion(profile, tally.userId);
+    tally.tokens = (tally.tokens || 0) + (question.tokens_used || 0);
+    const verification = verifyQuestion(question);
+    question.verification = { ...verification, attempts: attempt };
+
+    if (question.source !== "ai") return question;
+    if (verification.status !== VERIFICATION_STATUS.MISMATCH) return question;
+
+    console.warn(
+      `⚠️ AI memo mismatch (${verification.method}, attempt ${attempt}): expected ${verification.expected.join(", ")}, memo says ${verification.found.join(", ")}`
+    );
+    last = question.verification;
+  }
+
+  tally.dropped += 1;
+  const replacement = generateFallbackQuestion(profile);
+  replacement.verification = {
+    ...verifySolution(replacement),
+    replaced: last,
+  };
+  return replacement;
+}
+
+// Regenerate items the student has already seen; the AI is told which
+// questions to avoid and fallbacks pick a new template seed on each call
+async function generateFreshQuestion(profile, tally, seen) {
+  const avoid = [];
+  let question;
+  for (let attempt = 1; attempt <= MAX_FRESH_ATTEMPTS; attempt++) {
+    question = await generateVerifiedAIQuestion(
+      avoid.length ? { ...profile, avoid_questions: avoid } : profile,
+      tally
+    );
+    if (!seen.has(fingerprintQuestion(question))) break;
+    console.log(`🔁 Already seen (${question.source}), regenerating`);
+    tally.repeats += 1;
+    avoid.push(question.questionText);
+  }
+  seen.add(fingerprintQuestion(question));
+  return question;
+}
+
+function freshFallbackQuestion(profile, tally, seen) {
+  let question;
+  for (let attempt = 1; attempt <= MAX_FRESH_ATTEMPTS; attempt++) {
+    question = generateFallbackQuestion(profile);
+    if (!seen.has(fingerprintQuestion(question))) break;
+    tally.repeats += 1;
+  }
+  seen.add(fingerprintQuestion(question));
+  return withVerification(question);
+}
+
+function withVerification(question) {
+  question.verification = question.verification || verifySolution(question);
+  return question;
+}
+
+function countVerification(questions) {
+  const counts = { verified: 0, unverifiable: 0, replaced: 0 };
+  for (const q of questions) {
+    const v = q.verification || {};
+    if (v.status === VERIFICATION_STATUS.VERIFIED) counts.verified++;
+    else counts.unverifiable++;
+    if (v.replaced) counts.replaced++;
+  }
+  return counts;
+}
+
+// Multiple-choice options where the memo allows; the rest stay open-ended.
+// Multi-part items are recognised first so they are never turned into A–D.
+function applyQuestionFormat(questions, profile) {
+  questions.forEach(structureQuestion);
+  if (profile.format !== "mcq") return questions;
+  for (const question of questions) {
+    if (question.structure) continue;
+    const options = buildMultipleChoice(question, profile);
+    if (options) question.mcq = options;
+  }
+  return questions;
+}
+
+// Graph (preferred) or LaTeX images for a question, LaTeX for its solution
+async function renderQuestionVisuals(question, label = "question") {
+  try {
+    const graph = await graphRenderer.processTextForGraph(question.questionText);
+    if (graph.needsRendering && graph.image) {
+      question.graphImage = graph.image;
+      question.hasGraph = true;
+    }
+  } catch (e) {
+    console.error(`Graph processing error (${label}):`, e.message);
+  }
+
+  if (
+    !question.hasGraph &&
+    latexRenderer.needsLatexRendering(question.questionText)
+  ) {
+    try {
+      const processedQuestion = await latexRenderer.processTextWithLatex(
+        question.questionText
+      );
+      if (processedQuestion.needsRendering) {
+        question.latexImage = processedQuestion.image;
+        question.hasLatex = true;
+      }
+    } catch (latexError) {
+      console.error("LaTeX rendering error:", latexError);
+    }
+  }
+
+  // Solution: only LaTeX (we avoid graphs in solution for Phase 2)
+  if (latexRenderer.needsLatexRendering(question.solution)) {
+    try {
+      const processedSolution = await latexRenderer.processTextWithLatex(
+        question.solution
+      );
+      if (processedSolution.needsRendering) {
+        question.solutionLatexImage = processedSolution.image;
+        question.hasSolutionLatex = true;
+      }
+    } catch (latexError) {
+      console.error("LaTeX solution rendering error:", latexError);
+    }
+  }
+
+  return question;
+}
+
 // Generate questions (with personalization and LaTeX handling)
 async function generateExamQuestions(profile, count = 3, userId = null) {
   console.log(`📝 Generating ${count} exam questions for:`, profile);
@@ -488,65 +710,59 @@ async function generateExamQuestions(profile, count = 3, userId = null) {
   }
 
   const questions = [];
+  const tally = { dropped: 0, repeats: 0, tokens: 0, userId };
+  const seen = new Set(profile.seen_fingerprints || []);
 
   try {
-    // Main question
-    const mainQuestion = await generateRealAIQuestion(enhancedProfile);
-    const adjustedQuestion = userId
-      ? adjustQuestionDifficulty(mainQuestion, enhancedProfile)
-      : mainQuestion;
-
-    // Phase 2: Graph detection (prefer graph for questions)
-    try {
-      const graph = await graphRenderer.processTextForGraph(
-        adjustedQuestion.questionText
+    // Curated bank first; AI only fills the remaining slots
+    const bankItems = findBankQuestions(enhancedProfile, {
+      count,
+      excludeIds: profile.exclude_bank_ids || [],
+      items: loadQuestionBank().filter(
+        (item) => !seen.has(fingerprintQuestion(item.question))
+      ),
+    });
+    for (const item of bankItems) {
+      seen.add(fingerprintQuestion(item.question));
+      const bankQuestion = await renderQuestionVisuals(
+        toExamQuestion(item),
+        "bank"
       );
-      if (graph.needsRendering && graph.image) {
-        adjustedQuestion.graphImage = graph.image;
-        adjustedQuestion.hasGraph = true;
-      }
-    } catch (e) {
-      console.error("Graph processing error (question):", e.message);
+      bankQuestion.verification = verifySolution(bankQuestion);
+      bankQuestion.contentId = generateContentId(
+        enhancedProfile.subject,
+        enhancedProfile.topic_struggles
+      );
+      questions.push(bankQuestion);
     }
-
-    // Phase 1: LaTeX processing (only if we didn't add a graph)
-    if (!adjustedQuestion.hasGraph) {
-      if (latexRenderer.needsLatexRendering(adjustedQuestion.questionText)) {
-        try {
-          const processedQuestion = await latexRenderer.processTextWithLatex(
-            adjustedQuestion.questionText
-          );
-          if (processedQuestion.needsRendering) {
-            adjustedQuestion.latexImage = processedQuestion.image;
-            adjustedQuestion.hasLatex = true;
-          }
-        } catch (latexError) {
-          console.error("LaTeX rendering error:", latexError);
-        }
-      }
+    if (bankItems.length > 0) {
+      console.log(`📚 Served ${bankItems.length} question(s) from the bank`);
     }
 
-    // Solution: only LaTeX (we avoid graphs in solution for Phase 2)
-    if (latexRenderer.needsLatexRendering(adjustedQuestion.solution)) {
-      try {
-        const processedSolution = await latexRenderer.processTextWithLatex(
-          adjustedQuestion.solution
-        );
-        if (processedSolution.needsRendering) {
-          adjustedQuestion.solutionLatexImage = processedSolution.image;
-          adjustedQuestion.hasSolutionLatex = true;
-        }
-      } catch (latexError) {
-        console.error("LaTeX solution rendering error:", latexError);
-      }
-    }
-
-    adjustedQuestion.contentId = generateContentId(
-      enhancedProfile.subject,
-      enhancedProfile.topic_struggles
-    );
+    // Main question: cached first (instant, and still there when OpenAI or
+    // the network is down), then the AI
+    if (questions.length === 0) {
+      const cached = await questionCache.getCachedQuestion(
+        enhancedProfile,
+        seen
+      );
+      if (cached) seen.add(fingerprintQuestion(cached));
+      const mainQuestion = cached
+        ? withVerification(cached)
+        : await generateFreshQuestion(enhancedProfile, tally, seen);
+      const adjustedQuestion = userId
+        ? adjustQuestionDifficulty(mainQuestion, enhancedProfile)
+        : mainQuestion;
+
+      await renderQuestionVisuals(adjustedQuestion, "question");
+
+      adjustedQuestion.contentId = generateContentId(
+        enhancedProfile.subject,
+        enhancedProfile.topic_struggles
+      );
 
-    questions.push(adjustedQuestion);
+      questions.push(adjustedQuestion);
+    }
 
     // Variations
     for (let i = questions.length; i < count; i++) {
@@ -556,58 +772,40 @@ async function generateExamQuestions(profile, count = 3, userId = null) {
           specific_failure: `${profile.specific_failure} (variation ${i})`,
         };
 
-        const question = await generateRealAIQuestion(variedProfile);
-
-        // Graph preferred if detected
-        try {
-          const graph = await graphRenderer.processTextForGraph(
-            question.questionText
-          );
-          if (graph.needsRendering && graph.image) {
-            question.graphImage = graph.image;
-            question.hasGraph = true;
-          }
-        } catch (e) {
-          console.error("Graph processing error (variation):", e.message);
-        }
-
-        // LaTeX only if no graph for the question
-        if (!question.hasGraph) {
-          if (latexRenderer.needsLatexRendering(question.questionText)) {
-            try {
-              const processedQuestion =
-                await latexRenderer.processTextWithLatex(question.questionText);
-              if (processedQuestion.needsRendering) {
-                question.latexImage = processedQuestion.image;
-                question.hasLatex = true;
-              }
-            } catch (latexError) {
-              console.error("LaTeX rendering error:", latexError);
-            }
-          }
-        }
-
-        if (latexRenderer.needsLatexRendering(question.solution)) {
-          try {
-            const processedSolution = await latexRenderer.processTextWithLatex(
-              question.solution
-            );
-            if (processedSolution.needsRendering) {
-              question.solutionLatexImage = processedSolution.image;
-              question.hasSolutionLatex = true;
-            }
-          } catch (latexError) {
-            console.error("LaTeX solution rendering error:", latexError);
-          }
-        }
+        const question = await generateFreshQuestion(
+          variedProfile,
+          tally,
+          seen
+        );
+        await renderQuestionVisuals(question, "variation");
 
         questions.push(question);
       } catch (error) {
         console.error(`Error generating question ${i + 1}:`, error);
-        questions.push(generateFallbackQuestion(enhancedProfile));
+        questions.push(freshFallbackQuestion(enhancedProfile, tally, seen));
       }
     }
 
+    for (const question of questions) {
+      if (question.source !== "ai") continue;
+      questionCache
+        .cacheQuestion(enhancedProfile, question)
+        .catch((err) => console.error("Question cache error:", err));
+    }
+
+    applyQuestionFormat(questions, enhancedProfile);
+
+    if (userId && tally.dropped > 0) {
+      analyticsModule
+        .trackEvent(userId, "ai_solution_rejected", {
+          subject: enhancedProfile.subject,
+          grade: enhancedProfile.grade,
+          topic: enhancedProfile.topic_struggles,
+          dropped: tally.dropped,
+        })
+        .catch((err) => console.error("Analytics error:", err));
+    }
+
     if (userId) {
       analyticsModule
         .trackEvent(userId, "exam_questions_generated", {
@@ -615,6 +813,15 @@ async function generateExamQuestions(profile, count = 3, userId = null) {
           grade: enhancedProfile.grade,
           topic: enhancedProfile.topic_struggles,
           count,
+          bank_served: questions.filter((q) => q.source === "bank").length,
+          cached: questions.filter((q) => q.source === "offline_storage")
+            .length,
+          verification: countVerification(questions),
+          repeats_avoided: tally.repeats,
+          tokens_used: tally.tokens,
+          format: enhancedProfile.format || "open",
+          mcq: questions.filter((q) => q.mcq).length,
+          structured: questions.filter((q) => q.structure).length,
           personalized: true,
           content_id: questions[0].contentId,
         })
@@ -622,9 +829,10 @@ async function generateExamQuestions(profile, count = 3, userId = null) {
     }
   } catch (error) {
     console.error("Failed to generate any AI questions:", error);
-    for (let i = 0; i < count; i++) {
-      questions.push(generateFallbackQuestion(enhancedProfile));
+    for (let i = questions.length; i < count; i++) {
+      questions.push(freshFallbackQuestion(enhancedProfile, tally, seen));
     }
+    applyQuestionFormat(questions, enhancedProfile);
   }
 
   return {
@@ -632,10 +840,20 @@ async function generateExamQuestions(profile, count = 3, userId = null) {
     metadata: {
       count: questions.length,
       ai_generated: questions.filter((q) => q.source === "ai").length,
-      fallback: questions.filter((q) => q.source !== "ai").length,
+      bank: questions.filter((q) => q.source === "bank").length,
+      cached: questions.filter((q) => q.source === "offline_storage").length,
+      fallback: questions.filter(
+        (q) => !["ai", "bank", "offline_storage"].includes(q.source)
+      ).length,
       latex_rendered: questions.filter((q) => q.hasLatex || q.hasSolutionLatex)
         .length,
       graphs_rendered: questions.filter((q) => q.hasGraph).length,
+      verification: countVerification(questions),
+      ai_rejected: tally.dropped,
+      repeats_avoided: tally.repeats,
+      tokens_used: tally.tokens,
+      mcq: questions.filter((q) => q.mcq).length,
+      structured: questions.filter((q) => q.structure).length,
       personalized: enhancedProfile !== profile,
       generated_at: new Date().toISOString(),
       profile: {
@@ -657,11 +875,40 @@ function generateContentId(subject, topic) {
   return `qst_${subjectCode}${topicCode}_${timestamp}${randomPart}`;
 }
 
+/**
+ * Generate AI questions for the most requested subtopics whose cache pool
+ * isn't full yet (no-op without an LLM provider)
+ * @param {object} options - { limit }
+ * @returns {Promise<number>} - Questions cached
+ */
+async function preloadPopularSubtopics(options = {}) {
+  if (!llm.isAvailable()) return 0;
+  return questionCache.preloadPopular(
+    (profile) => generateVerifiedAIQuestion(profile),
+    options
+  );
+}
+
+function startQuestionPreloader(interval = PRELOAD_INTERVAL) {
+  const timer = setInterval(() => {
+    preloadPopularSubtopics().catch((error) =>
+      console.error("❌ Error in question preloader:", error)
+    );
+  }, interval).unref();
+
+  console.log(
+    `🔥 Question preloader started (${Math.round(interval / 60000)} min interval)`
+  );
+  return timer;
+}
+
 module.exports = {
   // Core
   generateRealAIQuestion,
   generateFallbackQuestion,
   generateExamQuestions,
+  preloadPopularSubtopics,
+  startQuestionPreloader,
   // Helpers (exported for reuse/testing)
   getMathFallbackQuestion,
   getMathLitFallbackQuestion,
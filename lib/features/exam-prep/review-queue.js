@@ -0,0 +1,183 @@
+/**
+ * Spaced-Repetition Review Queue
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 14:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * SM-2 scheduling for practice questions a student missed or needed the
+ * solution for:
+ * - Items live in user.preferences.review_queue (survives menu resets)
+ * - First review after 1 day, then 6 days, then interval × easiness
+ * - Quality comes from the practice outcome (unaided correct = 5 … solution = 0)
+ * - Items retire once the interval passes RETIRE_AFTER_DAYS
+ * Updates (2026-10-19 15:40:00 UTC):
+ * - Multiple-choice options are kept so a review shows the same A–D item
+ * Updates (2026-10-19 16:20:00 UTC):
+ * - Multi-part items keep their structure (progress restarts on review)
+ * Updates (2026-10-19 23:56:00 UTC):
+ * - Item ids are the seen-question ledger's fingerprint, so both stores key
+ *   a question the same way (older ids still match by question text)
+ */
+
+const { fingerprintQuestion } = require("./question-ledger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITEMS = 100;
+const RETIRE_AFTER_DAYS = 60;
+const MIN_EASINESS = 1.3;
+
+// Question fields worth keeping (rendered images are rebuilt on review)
+const QUESTION_FIELDS = [
+  "questionText",
+  "solution",
+  "explanation",
+  "marks",
+  "difficulty",
+  "source",
+  "bankId",
+  "templateId",
+  "templateSeed",
+  "contentId",
+  "distractors",
+  "mcq",
+  "structure",
+];
+
+// Same key as the seen-question ledger
+function fingerprint(questionText = "") {
+  return fingerprintQuestion(questionText);
+}
+
+function slimQuestion(question = {}) {
+  const slim = {};
+  for (const field of QUESTION_FIELDS) {
+    if (question[field] !== undefined) slim[field] = question[field];
+  }
+  return slim;
+}
+
+/**
+ * SM-2 quality (0–5) for a practice outcome
+ * @param {string} verdict - correct | partial | incorrect | solution
+ * @param {object} help - { hintUsed }
+ * @returns {number}
+ */
+function qualityFromOutcome(verdict, { hintUsed = false } = {}) {
+  if (verdict === "correct") return hintUsed ? 3 : 5;
+  if (verdict === "partial") return 2;
+  if (verdict === "incorrect") return 1;
+  return 0;
+}
+
+/**
+ * Add (or re-arm) a missed question; it comes back after one day
+ * @param {Array} queue - user.preferences.review_queue (mutated)
+ * @param {object} question - Practice question object
+ * @param {object} ctx - { subject, grade, topic, subtopic }
+ * @param {string} reason - "incorrect" | "solution"
+ * @param {number} now - Timestamp (ms)
+ * @returns {object} - Queue item
+ */
+function addReviewItem(
+  queue,
+  question,
+  ctx = {},
+  reason = "incorrect",
+  now = Date.now()
+) {
+  const id = fingerprint(question.questionText);
+  let item = queue.find(
+    (it) => it.id === id || fingerprint(it.question?.questionText) === id
+  );
+
+  if (!item) {
+    item = {
+      id,
+      subject: ctx.subject,
+      grade: String(ctx.grade),
+      topic: ctx.topic,
+      subtopic: ctx.subtopic,
+      question: slimQuestion(question),
+      easiness: 2.5,
+      repetitions: 0,
+      interval_days: 0,
+      reviews: 0,
+      added_at: new Date(now).toISOString(),
+    };
+    queue.push(item);
+  }
+
+  item.reason = reason;
+  item.repetitions = 0;
+  item.interval_days = 1;
+  item.due_at = new Date(now + DAY_MS).toISOString();
+
+  // Oldest items make way once the queue is full
+  while (queue.length > MAX_ITEMS) queue.shift();
+  return item;
+}
+
+/**
+ * Reschedule an item after a review (SM-2)
+ * @param {Array} queue - Review queue (mutated; retired items are removed)
+ * @param {string} id - Item id
+ * @param {number} quality - 0–5
+ * @param {number} now - Timestamp (ms)
+ * @returns {object|null} - Updated item, or null if unknown/retired
+ */
+function scheduleReview(queue, id, quality, now = Date.now()) {
+  const index = queue.findIndex((it) => it.id === id);
+  if (index === -1) return null;
+  const item = queue[index];
+
+  if (quality < 3) {
+    item.repetitions = 0;
+    item.interval_days = 1;
+  } else {
+    item.repetitions += 1;
+    if (item.repetitions === 1) item.interval_days = 1;
+    else if (item.repetitions === 2) item.interval_days = 6;
+    else item.interval_days = Math.round(item.interval_days * item.easiness);
+  }
+  item.easiness = Math.max(
+    MIN_EASINESS,
+    item.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+  item.reviews += 1;
+  item.last_quality = quality;
+  item.last_reviewed_at = new Date(now).toISOString();
+  item.due_at = new Date(now + item.interval_days * DAY_MS).toISOString();
+
+  if (item.interval_days > RETIRE_AFTER_DAYS) {
+    queue.splice(index, 1);
+    return null;
+  }
+  return item;
+}
+
+/**
+ * Items due now, most overdue first
+ * @param {Array} queue - Review queue
+ * @param {number} now - Timestamp (ms)
+ * @returns {Array<object>}
+ */
+function dueItems(queue = [], now = Date.now()) {
+  return queue
+    .filter((it) => it.due_at && Date.parse(it.due_at) <= now)
+    .sort((a, b) => Date.parse(a.due_at) - Date.parse(b.due_at));
+}
+
+// Welcome-menu option, empty when nothing is due
+function reviewMenuLine(queue = [], now = Date.now()) {
+  const due = dueItems(queue, now).length;
+  return due > 0 ? `4️⃣ 🔁 Review due (${due})` : "";
+}
+
+module.exports = {
+  fingerprint,
+  qualityFromOutcome,
+  addReviewItem,
+  scheduleReview,
+  dueItems,
+  reviewMenuLine,
+};
@@ -0,0 +1,180 @@
+/**
+ * Practice Session Report Card
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 18:20:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Keeps a running log of one Topic Practice session and summarises it when
+ * the student leaves for the menu:
+ * - One entry per question served: best verdict, hint and solution use
+ * - The report counts attempts and outcomes, lists the subtopics covered,
+ *   the time spent and a suggested next focus (weakest covered subtopic,
+ *   else a recurring misconception)
+ * - Reports are saved as session records (database + the last few in
+ *   preferences) so students and parents can look back
+ */
+
+const { VERDICTS } = require("./marking");
+const mastery = require("./mastery");
+const { recurringMisconceptions } = require("./misconceptions");
+
+const MAX_QUESTIONS = 100;
+const HISTORY_LIMIT = 10;
+// Best verdict wins when a question is marked more than once
+const VERDICT_RANK = {
+  [VERDICTS.INCORRECT]: 1,
+  [VERDICTS.PARTIAL]: 2,
+  [VERDICTS.CORRECT]: 3,
+};
+
+/**
+ * Session log for the practice state, created on first use
+ * @param {object} m - user.context.examTopicPractice
+ * @returns {object} - { id, started_at, questions }
+ */
+function ensureSession(m) {
+  if (!m.session) {
+    const started = new Date();
+    m.session = {
+      id: `ps_${started.getTime().toString(36)}`,
+      started_at: started.toISOString(),
+      questions: [],
+    };
+  }
+  return m.session;
+}
+
+function recordServed(session, { subject, grade, topic, subtopic, level }) {
+  session.questions.push({
+    subject,
+    grade,
+    topic,
+    subtopic,
+    level,
+    verdict: null,
+    hint: false,
+    solution: false,
+  });
+  if (session.questions.length > MAX_QUESTIONS) session.questions.shift();
+}
+
+/**
+ * Note what happened on the current (last served) question
+ * @param {object} session - Session log
+ * @param {string} action - A verdict, "hint", "solution" or "steps"
+ */
+function recordAction(session, action) {
+  const current = session.questions[session.questions.length - 1];
+  if (!current) return;
+  if (action === "hint") current.hint = true;
+  else if (action === "solution" || action === "steps") current.solution = true;
+  else if (VERDICT_RANK[action] > (VERDICT_RANK[current.verdict] || 0)) {
+    current.verdict = action;
+  }
+}
+
+function suggestFocus(subtopics, { subject, grade, masteryStore, mistakes }) {
+  const weakest = mastery
+    .weakestSubtopics(masteryStore, { subject, grade, limit: 20 })
+    .find((e) => subtopics.includes(e.subtopic));
+  if (weakest && weakest.percent < 80) {
+    return {
+      type: "subtopic",
+      subtopic: weakest.subtopic,
+      percent: weakest.percent,
+    };
+  }
+  const [mistake] = recurringMisconceptions(mistakes, { subject, limit: 1 });
+  if (mistake) return { type: "misconception", label: mistake.label };
+  if (weakest) {
+    return {
+      type: "level_up",
+      subtopic: weakest.subtopic,
+      percent: weakest.percent,
+    };
+  }
+  return null;
+}
+
+/**
+ * Summarise a session
+ * @param {object} session - Session log
+ * @param {object} context - { masteryStore, mistakes, now }
+ * @returns {object} - Session record
+ */
+function buildReport(session, { masteryStore = {}, mistakes = {}, now } = {}) {
+  const ended = now ? new Date(now) : new Date();
+  const questions = session.questions;
+  const count = (fn) => questions.filter(fn).length;
+  const subtopics = [
+    ...new Set(questions.map((q) => q.subtopic).filter(Boolean)),
+  ];
+  const last = questions[questions.length - 1] || {};
+
+  return {
+    id: session.id,
+    subject: last.subject || null,
+    grade: last.grade || null,
+    started_at: session.started_at,
+    ended_at: ended.toISOString(),
+    minutes: Math.max(
+      0,
+      Math.round((ended - new Date(session.started_at)) / 60000)
+    ),
+    served: questions.length,
+    attempted: count((q) => q.verdict),
+    correct: count((q) => q.verdict === VERDICTS.CORRECT),
+    partial: count((q) => q.verdict === VERDICTS.PARTIAL),
+    incorrect: count((q) => q.verdict === VERDICTS.INCORRECT),
+    hints: count((q) => q.hint),
+    solutions: count((q) => q.solution),
+    subtopics,
+    next_focus: suggestFocus(subtopics, {
+      subject: last.subject,
+      grade: last.grade,
+      masteryStore,
+      mistakes,
+    }),
+  };
+}
+
+function formatFocus(focus) {
+  if (!focus) return "Pick any topic — you're building a good base.";
+  if (focus.type === "subtopic") {
+    return `${focus.subtopic} (${focus.percent}% mastery) — a few more questions there will pay off.`;
+  }
+  if (focus.type === "misconception") {
+    return `Watch for "${focus.label}" — it keeps coming up.`;
+  }
+  return `${focus.subtopic} is going well (${focus.percent}%) — try a harder level next time.`;
+}
+
+function formatReport(report) {
+  const time = report.minutes < 1 ? "under a minute" : `${report.minutes} min`;
+  const lines = [
+    "📋 **Session report**",
+    `📝 Questions: ${report.served} served • ${report.attempted} answered`,
+    `✅ ${report.correct} correct • 🟡 ${report.partial} partly right • ❌ ${report.incorrect} not yet`,
+    `💡 Hints on ${report.hints} • 📚 Solutions viewed on ${report.solutions}`,
+    `🧭 Covered: ${report.subtopics.join(", ") || "—"}`,
+    `⏱️ Time: ${time}`,
+    `🎯 Next focus: ${formatFocus(report.next_focus)}`,
+  ];
+  return lines.join("\n");
+}
+
+// Recent reports in preferences (newest first) for review without the DB
+function addToHistory(preferences, report) {
+  const history = preferences.session_history || [];
+  preferences.session_history = [report, ...history].slice(0, HISTORY_LIMIT);
+  return preferences.session_history;
+}
+
+module.exports = {
+  ensureSession,
+  recordServed,
+  recordAction,
+  buildReport,
+  formatReport,
+  addToHistory,
+};
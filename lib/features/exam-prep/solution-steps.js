@@ -0,0 +1,283 @@
+/**
+ * Step-by-Step Solution Reveal
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 17:05:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Splits a worked solution into discrete steps and reveals them one at a time:
+ * - "**Step n:**" and "**Answer:**" lines start steps; a memo without step
+ *   markers is split line by line; "**1.2**" headings label the steps under
+ *   them
+ * - Before a step is revealed the student may type it themselves
+ * - Help is tracked per step (revealed / hinted / worked out) and summarised
+ *   as a 0–1 help share for the mastery model
+ */
+
+const { VERDICTS, gradeAnswer } = require("./marking");
+const {
+  parseExpression,
+  collectVariables,
+  expressionsEquivalent,
+} = require("../../utils/math-expression");
+
+// Help weight per step: revealed = all help, hinted = part of it
+const REVEALED_WEIGHT = 1;
+const HINTED_WEIGHT = 0.4;
+
+const STEP_LINE = /^\*{0,2}step\s*(\d+)\s*[:.]?\*{0,2}\s*[:.]?\s*(.*)$/i;
+const ANSWER_LINE = /^\*{0,2}(?:final\s+)?answer\s*:?\*{0,2}\s*:?\s*(.*)$/i;
+const PART_HEADING = /^\*{0,2}(\d{1,2}(?:\.\d{1,2}){1,2})\*{0,2}$/;
+const CHECK_LINE =
+  /^\*{0,2}(mastery\s+)?check\b|^\*{0,2}verify\b|^\*{0,2}note\b/i;
+
+function clean(text = "") {
+  return String(text).replace(/\*\*/g, "").replace(/\s*✓/g, "").trim();
+}
+
+/**
+ * Split a worked solution into steps
+ * @param {string} solution - Memo text
+ * @returns {Array<{label: string, text: string}>}
+ */
+function splitSolutionSteps(solution = "") {
+  const lines = String(solution)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const marked = lines.some((l) => STEP_LINE.test(l) || ANSWER_LINE.test(l));
+
+  const steps = [];
+  let part = "";
+  for (const line of lines) {
+    const heading = line.match(PART_HEADING);
+    if (heading) {
+      part = heading[1];
+      continue;
+    }
+    const prefix = part ? `${part} · ` : "";
+    const step = line.match(STEP_LINE);
+    const answer = !step && line.match(ANSWER_LINE);
+    const last = steps[steps.length - 1];
+    const sameGroup = last && last.part === part;
+
+    if (step) {
+      steps.push({
+        label: `${prefix}Step ${step[1]}`,
+        text: clean(step[2]),
+        part,
+      });
+    } else if (answer) {
+      steps.push({ label: `${prefix}Answer`, text: clean(answer[1]), part });
+    } else if (sameGroup && (marked || CHECK_LINE.test(line))) {
+      // Working that belongs to the step above (or a closing check)
+      last.text = `${last.text}\n${clean(line)}`.trim();
+    } else {
+      const inGroup = steps.filter((s) => s.part === part).length;
+      steps.push({
+        label: `${prefix}Step ${inGroup + 1}`,
+        text: clean(line),
+        part,
+      });
+    }
+  }
+  return steps
+    .filter((s) => s.text)
+    .map(({ label, text }) => ({ label, text }));
+}
+
+/**
+ * Begin a step-by-step walk-through (nothing revealed yet)
+ * @param {string} solution - Memo text
+ * @returns {object|null} - Progress, or null when there is only one step
+ */
+function startSteps(solution = "") {
+  const steps = splitSolutionSteps(solution);
+  if (steps.length < 2) return null;
+  return {
+    steps,
+    shown: 0,
+    help: steps.map(() => ({ hinted: false, revealed: false, solved: false })),
+  };
+}
+
+function nextStep(progress) {
+  return progress && progress.shown < progress.steps.length
+    ? progress.steps[progress.shown]
+    : null;
+}
+
+function isComplete(progress) {
+  return Boolean(progress) && progress.shown >= progress.steps.length;
+}
+
+// Show the next step as help; "all" reveals every remaining step
+function revealStep(progress, { all = false } = {}) {
+  do {
+    progress.help[progress.shown].revealed = true;
+    progress.shown += 1;
+  } while (all && progress.shown < progress.steps.length);
+  return progress;
+}
+
+// Hint for the next step: the move it makes, never its result
+function stepHint(progress) {
+  const step = nextStep(progress);
+  if (!step) return null;
+  progress.help[progress.shown].hinted = true;
+
+  const [move] = step.text.split(/→|:/);
+  if (move && move.trim() !== step.text.trim() && move.trim().length > 2) {
+    return `${step.label}: ${move.trim()}`;
+  }
+  const words = step.text.split(/\s+/);
+  if (words.length <= 3) {
+    return `${step.label} is short: pick out the key term or value the question asks for.`;
+  }
+  const lead = words.slice(0, Math.max(2, Math.ceil(words.length / 3)));
+  return `${step.label} starts with "${lead.join(" ")} …"`;
+}
+
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+
+// What a step arrives at: its last line, after the last "→" or ":"
+function stepResult(text = "") {
+  const lines = String(text).split("\n");
+  const last = lines[lines.length - 1];
+  const parts = last.split(/→|:/);
+  return parts[parts.length - 1]
+    .replace(/[₀-₉]/g, (c) => String(SUBSCRIPT_DIGITS.indexOf(c)))
+    .replace(/ₙ/g, "n");
+}
+
+/**
+ * Equations in a variable as "(lhs)-(rhs)"; value results ("d = 4") → null
+ * @param {string} piece - One result, e.g. "x − 6 = 0"
+ * @returns {string|null}
+ */
+function equationForm(piece) {
+  const sides = piece
+    .split("=")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (sides.length < 2) return null;
+  const rhs = sides[sides.length - 1];
+  const rhsTree = parseExpression(rhs);
+  if (!rhsTree) return null;
+  if (rhs !== "0" && collectVariables(rhsTree).length === 0) return null;
+
+  const form = `(${sides[0]})-(${rhs})`;
+  const tree = parseExpression(form);
+  return tree && collectVariables(tree).length > 0 ? form : null;
+}
+
+function equationForms(text) {
+  return stepResult(text)
+    .split(/\s+or\s+|;|,\s*(?!\d)/i)
+    .map(equationForm)
+    .filter(Boolean);
+}
+
+// Same equations in any order; "0 = x − 6" counts as "x − 6 = 0"
+function sameEquations(expected, given) {
+  if (expected.length !== given.length) return false;
+  return expected.every((form) =>
+    given.some(
+      (g) =>
+        expressionsEquivalent(form, g) || expressionsEquivalent(form, `-(${g})`)
+    )
+  );
+}
+
+/**
+ * Check a student's own attempt at the next step
+ * - Steps that arrive at equations ("x − 6 = 0 or x + 1 = 0") need the same
+ *   equations; steps that arrive at values are marked like an answer
+ * @param {object} progress - Walk-through progress (advanced when correct)
+ * @param {string} attempt - Student reply
+ * @param {object} question - { questionText }
+ * @returns {object} - { solved, step, verdict }
+ */
+function attemptStep(progress, attempt, question = {}) {
+  const step = nextStep(progress);
+  if (!step) return { solved: false, step: null, verdict: VERDICTS.UNGRADED };
+
+  const expected = equationForms(step.text);
+  let verdict;
+  if (expected.length > 0) {
+    verdict = sameEquations(expected, equationForms(attempt))
+      ? VERDICTS.CORRECT
+      : VERDICTS.INCORRECT;
+  } else {
+    verdict = gradeAnswer(attempt, {
+      questionText: question.questionText,
+      solution: step.text,
+    }).verdict;
+  }
+  const solved = verdict === VERDICTS.CORRECT;
+  if (solved) {
+    progress.help[progress.shown].solved = true;
+    progress.shown += 1;
+  }
+  return { solved, step, verdict };
+}
+
+// The student reached the final answer: the remaining steps count as theirs
+function solveRemaining(progress) {
+  while (progress.shown < progress.steps.length) {
+    progress.help[progress.shown].solved = true;
+    progress.shown += 1;
+  }
+  return progress;
+}
+
+/**
+ * How much help the walk-through needed (0 = worked out alone, 1 = all shown)
+ * @param {object} progress - Walk-through progress
+ * @returns {number}
+ */
+function helpShare(progress) {
+  if (!progress || progress.steps.length === 0) return 0;
+  const total = progress.help.reduce((sum, h) => {
+    if (h.revealed) return sum + REVEALED_WEIGHT;
+    if (h.hinted) return sum + HINTED_WEIGHT;
+    return sum;
+  }, 0);
+  return Math.round((total / progress.steps.length) * 100) / 100;
+}
+
+function helpSummary(progress) {
+  const count = (key) => progress.help.filter((h) => h[key]).length;
+  return {
+    steps: progress.steps.length,
+    revealed: count("revealed"),
+    hinted: count("hinted"),
+    solved: count("solved"),
+    help_share: helpShare(progress),
+  };
+}
+
+// Steps shown so far; the newest one is highlighted
+function formatShownSteps(progress) {
+  return progress.steps
+    .slice(0, progress.shown)
+    .map((step, i) => {
+      const mark = progress.help[i].solved ? " ✅" : "";
+      const text = `${step.label}:${mark} ${step.text}`;
+      return i === progress.shown - 1 ? `👉 ${text}` : text;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  splitSolutionSteps,
+  startSteps,
+  nextStep,
+  isComplete,
+  revealStep,
+  stepHint,
+  attemptStep,
+  solveRemaining,
+  helpShare,
+  helpSummary,
+  formatShownSteps,
+};
@@ -0,0 +1,652 @@
+/**
+ * Solution Verifier for Generated Questions
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 13:30:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Independently recomputes the final answer of computable items and compares
+ * it with the memo the model wrote:
+ * - Equations: numeric root search (or substitution for simultaneous pairs)
+ * - Expressions: simplify/expand/factorise/exponent items by equivalence,
+ *   constant expressions by value
+ * - Sequences: arithmetic, quadratic and geometric Tₙ, Sₙ and general terms
+ * - Finance: simple/compound interest, depreciation, annuities and loans
+ * Anything it cannot read is "unverifiable" — only a confident disagreement
+ * is reported as a mismatch.
+ *
+ * Updates (2026-10-19 23:59:00 UTC):
+ * - Computed targets match a memo value only within its written precision
+ *   (plus 0,5% relative), so a memo several times off on a small quantity
+ *   is a mismatch
+ */
+
+const {
+  normalizeMathText,
+  parseExpression,
+  evaluateExpression,
+  collectVariables,
+  numbersClose,
+  roundingTolerance,
+  expressionsEquivalent,
+} = require("../../utils/math-expression");
+const { extractFinalAnswers, parseAnswerItems } = require("./marking");
+
+const VERIFICATION_STATUS = {
+  VERIFIED: "verified",
+  MISMATCH: "mismatch",
+  UNVERIFIABLE: "unverifiable",
+};
+
+const ROOT_SEARCH = { from: -100, to: 100, step: 0.01 };
+const KNOWN_WORDS = /^(sqrt|sin|cos|tan|log|ln|abs|pi)$/i;
+const TRIG = /\b(sin|cos|tan)\b|°|θ/i;
+const RESTRICTED =
+  /[<>≤≥]|∈|interval|positive|negative|integer|natural|whole number|correct to|nearest/i;
+
+function result(status, method, expected = [], found = []) {
+  return {
+    status,
+    method,
+    expected: expected.map((v) =>
+      typeof v === "number" ? Math.round(v * 10000) / 10000 : v
+    ),
+    found,
+  };
+}
+
+function unverifiable(method = null) {
+  return result(VERIFICATION_STATUS.UNVERIFIABLE, method);
+}
+
+// ---------------------------------------------------------------------------
+// Reading the question and the memo
+// ---------------------------------------------------------------------------
+
+// A candidate is "math" when it has no stray words left in it
+function isMathOnly(text) {
+  const words = normalizeMathText(text).match(/[a-z]{2,}/gi) || [];
+  return words.every((w) => KNOWN_WORDS.test(w));
+}
+
+// Drop the instruction words in front of the maths ("Solve 2x + 3 = 11")
+function stripLeadingWords(text) {
+  return String(text)
+    .replace(
+      /^\s*(?:\*\*)?(?:\d+(?:\.\d+)*|[a-h]\)|\([a-h]\))(?:\*\*)?\s+/i,
+      ""
+    )
+    .replace(/^(?:\s*(?!(?:sqrt|sin|cos|tan|log|ln)\b)[a-z]{2,}\b)+/i, "")
+    .replace(/^\s*[a-z]\s*(?=[:,])/i, "")
+    .replace(/^[\s:,]+/, "")
+    .replace(/[\s.]+$/, "")
+    .trim();
+}
+
+/**
+ * Equations stated in the question text
+ * @param {string} questionText - Question as shown to the student
+ * @returns {Array<object>} - { lhs, rhs, vars } with parsed sides
+ */
+function extractEquations(questionText = "") {
+  const equations = [];
+  const segments = String(questionText)
+    .replace(/\*\*/g, "")
+    .split(/\n|[:;]|,\s+(?=[a-z]{2,})|\b(?:if|where|given that|and)\b/i);
+
+  for (const segment of segments) {
+    if ((segment.match(/=/g) || []).length !== 1 || /[<>≤≥≠]/.test(segment)) {
+      continue;
+    }
+    const [rawLhs, rawRhs] = stripLeadingWords(segment).split("=");
+    const rhsText = String(rawRhs || "").replace(/[\s.]+$/, "");
+    if (!rawLhs || !rhsText || !isMathOnly(rawLhs) || !isMathOnly(rhsText)) {
+      continue;
+    }
+    // Function definitions such as f(x) = … are not equations to solve
+    if (/^\s*[a-z]\s*\(\s*[a-z]\s*\)\s*$/i.test(rawLhs)) continue;
+
+    const lhs = parseExpression(rawLhs);
+    const rhs = parseExpression(rhsText);
+    if (!lhs || !rhs) continue;
+
+    const vars = Array.from(
+      new Set([...collectVariables(lhs), ...collectVariables(rhs)])
+    ).sort();
+    if (vars.length > 0) equations.push({ lhs, rhs, vars });
+  }
+
+  return equations;
+}
+
+/**
+ * The single expression an instruction acts on ("Simplify: …")
+ * @param {string} questionText - Question text
+ * @returns {object|null} - Parsed expression or null
+ */
+function extractInstructionExpression(questionText = "") {
+  const lines = String(questionText)
+    .replace(/\*\*/g, "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (lines.length === 0) return null;
+
+  const instruction =
+    /^(?:simplify|expand|factori[sz]e|evaluate|calculate|determine the value of|find the value of|work out)\b/i;
+  const first = lines[0];
+  if (!instruction.test(first)) return null;
+
+  // Either "Simplify fully: <expr>" / "Simplify <expr>" or the next line
+  let text = first.includes(":")
+    ? first.split(":").slice(1).join(":")
+    : stripLeadingWords(first);
+  if (!text.trim() && lines.length === 2) text = lines[1];
+  if (lines.length > 2 || !text.trim()) return null;
+
+  text = text
+    .replace(/\((?:without|leave|give|show)[^)]*\)/gi, "")
+    .replace(/[\s.]+$/, "")
+    .trim();
+  if (!text || text.includes("=") || !isMathOnly(text)) return null;
+
+  return parseExpression(text);
+}
+
+/**
+ * Final answer items from the memo
+ * @param {string} solution - Worked solution
+ * @returns {Array<object>} - parseAnswerItems output (± expanded)
+ */
+function memoAnswerItems(solution = "") {
+  return extractFinalAnswers(solution).flatMap((line) =>
+    parseAnswerItems(line.replace(/±\s*([\d.,]+)/g, (m, n) => `${n} or −${n}`))
+  );
+}
+
+// Compare computed targets with the memo's numbers
+// - Every target found → verified
+// - A target missing while the memo states enough values → mismatch
+function compareTargets(method, targets, items) {
+  const numbers = items.filter((i) => i.number !== null);
+  const found = items.map((i) => i.raw);
+  if (numbers.length === 0) return unverifiable(method);
+
+  // Targets are exact; the memo may only round to the precision it shows
+  const agrees = (target, item) =>
+    numbersClose(target, item.number, {
+      absTol: roundingTolerance(item.value),
+      relTol: 0.005,
+    });
+  const expected = targets.map((t) => t.candidates[0]);
+  const missing = targets.filter(
+    (t) => !t.candidates.some((c) => numbers.some((i) => agrees(c, i)))
+  );
+
+  if (missing.length === 0) {
+    return result(VERIFICATION_STATUS.VERIFIED, method, expected, found);
+  }
+  if (numbers.length >= targets.length) {
+    return result(VERIFICATION_STATUS.MISMATCH, method, expected, found);
+  }
+  return unverifiable(method);
+}
+
+// ---------------------------------------------------------------------------
+// Equations
+// ---------------------------------------------------------------------------
+
+function residual(equation, scope) {
+  return (
+    evaluateExpression(equation.lhs, scope) -
+    evaluateExpression(equation.rhs, scope)
+  );
+}
+
+// Root satisfied exactly, or the sign changes within rounding distance
+function satisfies(equation, variable, value) {
+  const at = (x) => residual(equation, { [variable]: x });
+  const g = at(value);
+  if (!Number.isFinite(g)) return false;
+  const scale =
+    1 +
+    Math.abs(evaluateExpression(equation.lhs, { [variable]: value })) +
+    Math.abs(evaluateExpression(equation.rhs, { [variable]: value }));
+  if (Math.abs(g) <= 1e-6 * scale) return true;
+
+  const delta = Math.max(0.006, Math.abs(value) * 0.005);
+  const left = at(value - delta);
+  const right = at(value + delta);
+  return Number.isFinite(left) && Number.isFinite(right) && left * right <= 0;
+}
+
+/**
+ * Real roots of a one-variable equation inside the search window
+ * - Sign changes are refined by bisection; poles are discarded
+ * @param {object} equation - { lhs, rhs }
+ * @param {string} variable - Variable name
+ * @returns {Array<number>} - Sorted roots
+ */
+function findRoots(equation, variable, window = ROOT_SEARCH) {
+  const g = (x) => residual(equation, { [variable]: x });
+  const roots = [];
+  const push = (r) => {
+    if (!roots.some((x) => Math.abs(x - r) < 1e-6)) roots.push(r);
+  };
+
+  let prevX = window.from;
+  let prevG = g(prevX);
+  const steps = Math.round((window.to - window.from) / window.step);
+  for (let k = 1; k <= steps; k++) {
+    const x = window.from + k * window.step;
+    const gx = g(x);
+    if (Number.isFinite(gx) && gx === 0) push(x);
+    if (Number.isFinite(prevG) && Number.isFinite(gx) && prevG * gx < 0) {
+      let a = prevX;
+      let b = x;
+      let ga = prevG;
+      for (let i = 0; i < 60; i++) {
+        const mid = (a + b) / 2;
+        const gm = g(mid);
+        if (!Number.isFinite(gm)) break;
+        if (ga * gm <= 0) b = mid;
+        else {
+          a = mid;
+          ga = gm;
+        }
+      }
+      const root = (a + b) / 2;
+      if (Math.abs(g(root)) < 1e-6) push(root);
+    }
+    prevX = x;
+    prevG = gx;
+  }
+
+  // Touching roots (e.g. (x − 2)² = 0) never change sign: polish near-zeros
+  for (let k = 0; k <= steps; k++) {
+    const x = window.from + k * window.step;
+    const rounded = Math.round(x * 100) / 100;
+    const gx = g(rounded);
+    if (Number.isFinite(gx) && Math.abs(gx) < 1e-9) push(rounded);
+  }
+
+  return roots.sort((a, b) => a - b);
+}
+
+function verifySingleEquation(question, equation, items) {
+  const method = "equation";
+  const variable = equation.vars[0];
+  const memoItems = items.filter(
+    (i) => i.number !== null && (!i.label || i.label === variable)
+  );
+  const answerText = extractFinalAnswers(question.solution).join(" ");
+  const saysNoSolution = /no (?:real )?(?:solutions?|roots?)|non-real/i.test(
+    answerText
+  );
+  const restricted = RESTRICTED.test(question.questionText);
+  const roots = restricted ? [] : findRoots(equation, variable);
+  const found = items.map((i) => i.raw);
+
+  if (saysNoSolution) {
+    if (restricted) return unverifiable(method);
+    return result(
+      roots.length === 0
+        ? VERIFICATION_STATUS.VERIFIED
+        : VERIFICATION_STATUS.MISMATCH,
+      method,
+      roots,
+      found
+    );
+  }
+  if (memoItems.length === 0) return unverifiable(method);
+
+  const memoRoots = memoItems.map((i) => i.number);
+  const wrong = memoRoots.filter((r) => !satisfies(equation, variable, r));
+  const missing = roots.filter(
+    (r) => !memoRoots.some((m) => numbersClose(m, r, { absTol: 0.011 }))
+  );
+
+  const status =
+    wrong.length === 0 && missing.length === 0
+      ? VERIFICATION_STATUS.VERIFIED
+      : VERIFICATION_STATUS.MISMATCH;
+  return result(status, method, restricted ? memoRoots : roots, found);
+}
+
+// Simultaneous equations: substitute each (x; y) pair from the memo
+function verifySimultaneous(equations, items) {
+  const method = "simultaneous_equations";
+  const vars = equations[0].vars;
+  const found = items.map((i) => i.raw);
+
+  const solutions = [];
+  let current = {};
+  for (const item of items) {
+    if (!item.label || !vars.includes(item.label) || item.number === null) {
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(current, item.label)) {
+      solutions.push(current);
+      current = {};
+    }
+    current[item.label] = item.number;
+  }
+  solutions.push(current);
+
+  const complete = solutions.filter((s) => vars.every((v) => v in s));
+  if (complete.length === 0) return unverifiable(method);
+
+  const holds = (scope) =>
+    equations.every((eq) => {
+      const g = residual(eq, scope);
+      const scale =
+        1 +
+        Math.abs(evaluateExpression(eq.lhs, scope)) +
+        Math.abs(evaluateExpression(eq.rhs, scope));
+      return Number.isFinite(g) && Math.abs(g) <= 0.02 * scale;
+    });
+
+  const status = complete.every(holds)
+    ? VERIFICATION_STATUS.VERIFIED
+    : VERIFICATION_STATUS.MISMATCH;
+  return result(status, method, [], found);
+}
+
+function checkEquations(question, items) {
+  if (!/\bsolve\b/i.test(question.questionText)) return null;
+  if (TRIG.test(question.questionText)) return unverifiable("equation");
+
+  const equations = extractEquations(question.questionText);
+  if (equations.length === 0) return null;
+
+  if (equations.length === 1 && equations[0].vars.length === 1) {
+    return verifySingleEquation(question, equations[0], items);
+  }
+  const vars = equations[0].vars.join(",");
+  if (
+    equations.length === 2 &&
+    equations[0].vars.length === 2 &&
+    equations.every((eq) => eq.vars.join(",") === vars)
+  ) {
+    return verifySimultaneous(equations, items);
+  }
+  return unverifiable("equation");
+}
+
+// ---------------------------------------------------------------------------
+// Expressions (simplify / exponents / evaluate)
+// ---------------------------------------------------------------------------
+
+function checkExpression(question, items) {
+  const ast = extractInstructionExpression(question.questionText);
+  if (!ast) return null;
+
+  const method = "expression";
+  // "sin 2x" without brackets is ambiguous to the parser
+  if (TRIG.test(question.questionText)) return unverifiable(method);
+  const vars = collectVariables(ast);
+  const answer = items.find((i) => i.number !== null || i.ast);
+  if (!answer) return unverifiable(method);
+  const found = items.map((i) => i.raw);
+
+  if (vars.length === 0) {
+    const value = evaluateExpression(ast);
+    if (!Number.isFinite(value)) return unverifiable(method);
+    return compareTargets(method, [{ candidates: [value] }], items);
+  }
+  if (vars.length > 3 || !answer.ast) return unverifiable(method);
+
+  const status = expressionsEquivalent(ast, answer.ast)
+    ? VERIFICATION_STATUS.VERIFIED
+    : VERIFICATION_STATUS.MISMATCH;
+  return result(status, method, [], found);
+}
+
+// ---------------------------------------------------------------------------
+// Sequences and series
+// ---------------------------------------------------------------------------
+
+/**
+ * Recognise the pattern in a list of terms
+ * @param {Array<number>} terms - At least three terms
+ * @returns {object|null} - { kind, term(n), sum(n) }
+ */
+function analyseSequence(terms) {
+  if (terms.length < 3) return null;
+  const diffs = terms.slice(1).map((t, i) => t - terms[i]);
+  const a = terms[0];
+
+  if (diffs.every((d) => numbersClose(d, diffs[0], { absTol: 1e-9 }))) {
+    const d = diffs[0];
+    return {
+      kind: "arithmetic",
+      term: (n) => a + (n - 1) * d,
+      sum: (n) => (n / 2) * (2 * a + (n - 1) * d),
+    };
+  }
+
+  if (terms.every((t) => t !== 0)) {
+    const ratios = terms.slice(1).map((t, i) => t / terms[i]);
+    if (ratios.every((r) => numbersClose(r, ratios[0], { absTol: 1e-9 }))) {
+      const r = ratios[0];
+      return {
+        kind: "geometric",
+        term: (n) => a * Math.pow(r, n - 1),
+        sum: (n) => (r === 1 ? a * n : (a * (Math.pow(r, n) - 1)) / (r - 1)),
+      };
+    }
+  }
+
+  const second = diffs.slice(1).map((d, i) => d - diffs[i]);
+  if (
+    terms.length >= 4 &&
+    second.every((s) => numbersClose(s, second[0], { absTol: 1e-9 })) &&
+    second[0] !== 0
+  ) {
+    // Tₙ = an² + bn + c with 2a = second difference
+    const qa = second[0] / 2;
+    const qb = diffs[0] - 3 * qa;
+    const qc = a - qa - qb;
+    return {
+      kind: "quadratic",
+      term: (n) => qa * n * n + qb * n + qc,
+      sum: null,
+    };
+  }
+
+  return null;
+}
+
+function checkSequence(question, items) {
+  const text = normalizeMathText(
+    String(question.questionText).replace(/[₀-₉]/g, (c) =>
+      String("₀₁₂₃₄₅₆₇₈₉".indexOf(c))
+    )
+  );
+  const list = text.match(
+    /-?\d+(?:\.\d+)?(?:\s*[;,]\s*-?\d+(?:\.\d+)?){2,}(?=\s*[;,]?\s*(?:\.{3}|…))/
+  );
+  if (!list || !/sequence|pattern|series|term/i.test(text)) return null;
+
+  const method = "sequence";
+  const terms = list[0].split(/\s*[;,]\s*/).map(Number);
+  const pattern = analyseSequence(terms);
+  if (!pattern) return unverifiable(method);
+
+  const targets = [];
+  const termAsks = text.matchAll(
+    /\bT_?\(?(\d+)\)?|(\d+)(?:st|nd|rd|th)\s+term/gi
+  );
+  for (const m of termAsks) {
+    const n = parseInt(m[1] || m[2], 10);
+    if (n > terms.length || /(st|nd|rd|th)\s+term/i.test(m[0])) {
+      targets.push({ candidates: [pattern.term(n)] });
+    }
+  }
+  const sumAsks = text.matchAll(
+    /\bS_?\(?(\d+)\)?|sum of the first\s+(\d+)\s+terms/gi
+  );
+  for (const m of sumAsks) {
+    const n = parseInt(m[1] || m[2], 10);
+    if (pattern.sum) targets.push({ candidates: [pattern.sum(n)] });
+  }
+
+  if (targets.length > 0) return compareTargets(method, targets, items);
+
+  // General term: the memo's expression in n must reproduce the pattern
+  if (/general term|nth term|\bT_?n\b/i.test(text)) {
+    const formula = items.find((i) => i.ast);
+    if (!formula || collectVariables(formula.ast).join() !== "n") {
+      return unverifiable(method);
+    }
+    const ok = [1, 2, 3, 4, 5, 6].every((n) =>
+      numbersClose(evaluateExpression(formula.ast, { n }), pattern.term(n), {
+        absTol: 1e-6,
+      })
+    );
+    return result(
+      ok ? VERIFICATION_STATUS.VERIFIED : VERIFICATION_STATUS.MISMATCH,
+      method,
+      [1, 2, 3].map((n) => pattern.term(n)),
+      items.map((i) => i.raw)
+    );
+  }
+
+  return unverifiable(method);
+}
+
+// ---------------------------------------------------------------------------
+// Financial maths
+// ---------------------------------------------------------------------------
+
+const COMPOUNDING = [
+  [/daily/i, 365],
+  [/monthly|per month|each month|every month/i, 12],
+  [/quarterly|per quarter|every quarter/i, 4],
+  [/half[- ]yearly|semi[- ]annual/i, 2],
+];
+
+function compoundingPeriods(text) {
+  const compounded = text.match(/compounded\s+([a-z\- ]+)/i);
+  const phrase = compounded ? compounded[1] : "";
+  const hit = COMPOUNDING.find(([re]) => re.test(phrase));
+  return hit ? hit[1] : 1;
+}
+
+function readFinance(text) {
+  const amounts = Array.from(text.matchAll(/R\s?(\d+(?:\.\d+)?)/g)).map((m) =>
+    parseFloat(m[1])
+  );
+  const rates = Array.from(text.matchAll(/(\d+(?:\.\d+)?)\s*%/g)).map(
+    (m) => parseFloat(m[1]) / 100
+  );
+  const years = text.match(/(\d+(?:\.\d+)?)\s*years?/i);
+  const months = text.match(/(\d+)\s*months?\b/i);
+  let time = null;
+  if (years && !months) time = parseFloat(years[1]);
+  if (months && !years) time = parseInt(months[1], 10) / 12;
+  return { amounts, rates, time };
+}
+
+function checkFinance(question, items) {
+  const text = normalizeMathText(question.questionText);
+  if (!/interest|depreciat|annuit|loan|bond|invest|deposit|sav/i.test(text)) {
+    return null;
+  }
+
+  const method = "finance";
+  const { amounts, rates, time } = readFinance(text);
+  if (rates.length !== 1 || time === null || amounts.length === 0) {
+    return unverifiable(method);
+  }
+  const rate = rates[0];
+  const periodic =
+    /(?:every|each|per)\s+(?:month|quarter|year)|monthly\s+(?:payments?|deposits?|instal|repayments?)|annuit|sinking fund/i.test(
+      text
+    );
+
+  if (amounts.length !== 1) return unverifiable(method);
+  const P = amounts[0];
+  const targets = [];
+
+  if (/depreciat/i.test(text)) {
+    let value = null;
+    if (/straight[- ]line|linear/i.test(text)) value = P * (1 - rate * time);
+    else if (/reducing[- ]balance|diminishing/i.test(text)) {
+      value = P * Math.pow(1 - rate, time);
+    }
+    if (value === null) return unverifiable(method);
+    targets.push({ candidates: [value, P - value] });
+  } else if (/simple interest/i.test(text) && !periodic) {
+    const value = P * (1 + rate * time);
+    targets.push({ candidates: [value, value - P] });
+  } else if (/compound/i.test(text) && !periodic) {
+    const m = compoundingPeriods(text);
+    const value = P * Math.pow(1 + rate / m, time * m);
+    targets.push({ candidates: [value, value - P] });
+  } else if (periodic) {
+    const m = compoundingPeriods(text);
+    const payEvery = COMPOUNDING.find(([re]) =>
+      re.test(text.replace(/compounded\s+[a-z\- ]+/i, ""))
+    );
+    if ((payEvery ? payEvery[1] : 1) !== m) return unverifiable(method);
+    const i = rate / m;
+    const n = Math.round(time * m);
+    const growth = Math.pow(1 + i, n);
+
+    if (/loan|bond|borrow|mortgage|repay/i.test(text)) {
+      const instalment = (P * i) / (1 - 1 / growth);
+      targets.push({ candidates: [instalment, instalment * n] });
+    } else if (/present value/i.test(text)) {
+      const pv = (P * (1 - 1 / growth)) / i;
+      targets.push({ candidates: [pv] });
+    } else {
+      const fv = (P * (growth - 1)) / i;
+      // Payments at the start of each period (annuity due) are also common
+      targets.push({ candidates: [fv, fv * (1 + i)] });
+    }
+  } else {
+    return unverifiable(method);
+  }
+
+  return compareTargets(method, targets, items);
+}
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+const CHECKERS = [checkFinance, checkSequence, checkEquations, checkExpression];
+
+/**
+ * Recompute a question's final answer and compare it with its memo
+ * @param {object} question - { questionText, solution, source }
+ * @returns {object} - { status, method, expected, found }
+ */
+function verifySolution(question = {}) {
+  if (question.source === "template") {
+    return result(VERIFICATION_STATUS.VERIFIED, "template");
+  }
+  if (question.source === "bank") {
+    return result(VERIFICATION_STATUS.VERIFIED, "curated");
+  }
+  if (!question.questionText || !question.solution) return unverifiable();
+
+  try {
+    const items = memoAnswerItems(question.solution);
+    for (const check of CHECKERS) {
+      const outcome = check(question, items);
+      if (outcome) return outcome;
+    }
+  } catch (error) {
+    console.error("⚠️ Solution verification error:", error.message);
+  }
+  return unverifiable();
+}
+
+module.exports = {
+  VERIFICATION_STATUS,
+  verifySolution,
+  extractEquations,
+  findRoots,
+  analyseSequence,
+};
@@ -0,0 +1,304 @@
+/**
+ * Structured (Multi-Part) Questions
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 16:20:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * CAPS-paper style questions: a shared stem, ordered sub-parts (1.1, 1.2.1 …)
+ * with marks, and one memo section per part:
+ * - Parsed from numbered items ("1.1 Calculate T₂₀. (2)" + "**1.1**" memo
+ *   sections) or lettered a)/b) items whose memo is lettered the same way
+ * - questionText/solution stay flat, so the verifier, review queue and the
+ *   full-memo view keep working unchanged
+ * - Each part is marked on its own; the running mark total lives on the
+ *   question (partProgress) and is reset whenever the question is served
+ */
+
+const { VERDICTS, gradeAnswer } = require("./marking");
+
+// Prompt lines that make AI output parseable by parseStructuredQuestion
+const QUESTION_FORMAT_RULES = `- Structure it like a CAPS paper question: a short stem, then 2–4 sub-questions numbered 1.1, 1.2, … (use 1.2.1, 1.2.2 under a 1.2 heading only if needed)
+- Put each sub-question on its own line and end it with its marks in brackets, e.g. "1.1 Calculate the common difference. (2)"
+- Later sub-questions may build on earlier answers`;
+
+const MEMO_FORMAT_RULES = `- Give a separate memo for every sub-question: start each with its number in bold on its own line, e.g. **1.1**
+- End each sub-question's memo with one line: **Answer:** <final answer>`;
+
+const NUMBERED_LINE =
+  /^\s*\*{0,2}(\d{1,2}(?:\.\d{1,2}){1,2})\*{0,2}[.:)]?(?:\s+(.*))?$/;
+const LETTERED_LINE = /^\s*\*{0,2}\(?([a-h])[).]\*{0,2}(?:\s+(.*))?$/i;
+const MARKS_SUFFIX = /\s*(?:\((\d{1,2})\s*(?:marks?)?\)|\[(\d{1,2})\])\s*$/i;
+
+function readMarks(text = "") {
+  const m = text.match(MARKS_SUFFIX);
+  if (!m) return { text: text.trim(), marks: null };
+  return {
+    text: text.replace(MARKS_SUFFIX, "").trim(),
+    marks: parseInt(m[1] || m[2], 10),
+  };
+}
+
+// Unmarked parts share what is left of the total; later parts get the spare
+function fillMarks(parts, total) {
+  const missing = parts.filter((p) => !p.marks);
+  if (missing.length === 0) return;
+  const known = parts.reduce((sum, p) => sum + (p.marks || 0), 0);
+  const left = Math.max(missing.length, (total || 2 * parts.length) - known);
+  const base = Math.floor(left / missing.length);
+  const remainder = left - base * missing.length;
+  missing.forEach((p, i) => {
+    p.marks = base + (i >= missing.length - remainder ? 1 : 0);
+  });
+}
+
+/**
+ * Split question text into stem, headings and answerable parts
+ * @param {string} questionText - Flat question text
+ * @param {number} number - Question number used for lettered items
+ * @returns {object|null} - { stem, parts }
+ */
+function splitQuestionText(questionText = "", number = 1) {
+  const lines = String(questionText).split("\n");
+  let numbered = lines.map((l) => l.match(NUMBERED_LINE));
+  // Once parts carry marks, an unmarked "2.5 kg …" line is text, not a part
+  const labels = numbered.filter(Boolean).map((m) => m[1]);
+  if (numbered.some((m) => m && readMarks(m[2] || "").marks)) {
+    numbered = numbered.map((m) =>
+      m &&
+      (readMarks(m[2] || "").marks ||
+        labels.some((l) => l.startsWith(`${m[1]}.`)))
+        ? m
+        : null
+    );
+  }
+  const lettered = numbered.some(Boolean)
+    ? []
+    : lines.map((l) => l.match(LETTERED_LINE));
+  const isLettered = lettered.some(Boolean);
+
+  const stem = [];
+  const entries = [];
+  lines.forEach((line, i) => {
+    const match = numbered[i] || lettered[i];
+    if (match) {
+      const label = isLettered ? `${number}.${entries.length + 1}` : match[1];
+      entries.push({
+        label,
+        key: isLettered ? match[1].toLowerCase() : label,
+        ...readMarks(match[2] || ""),
+      });
+    } else if (entries.length === 0) {
+      stem.push(line);
+    } else if (line.trim()) {
+      const last = entries[entries.length - 1];
+      const extra = readMarks(line);
+      last.text = `${last.text}\n${extra.text}`.trim();
+      if (extra.marks && !last.marks) last.marks = extra.marks;
+    }
+  });
+
+  // A label with sub-labels under it (1.2 → 1.2.1) is a heading, not a part
+  const parts = [];
+  for (const entry of entries) {
+    const isHeading = entries.some((e) =>
+      e.label.startsWith(`${entry.label}.`)
+    );
+    if (isHeading) continue;
+    const parent = entry.label.split(".").slice(0, -1).join(".");
+    const heading = entries.find((e) => e.label === parent);
+    parts.push({
+      label: entry.label,
+      key: entry.key,
+      context: heading ? heading.text : "",
+      text: entry.text,
+      marks: entry.marks,
+    });
+  }
+
+  if (parts.length < 2) return null;
+  return { stem: stem.join("\n").trim(), parts };
+}
+
+// Memo sections keyed by part label ("1.2.1") or letter ("b")
+function splitMemo(solution = "", keys = []) {
+  const sections = {};
+  let current = null;
+  for (const line of String(solution).split("\n")) {
+    const match = [line.match(NUMBERED_LINE), line.match(LETTERED_LINE)].find(
+      (m) => m && keys.includes(m[1].toLowerCase())
+    );
+    const key = match ? match[1].toLowerCase() : null;
+    if (key && !sections[key]) {
+      current = key;
+      sections[key] = match[2] ? [match[2]] : [];
+      continue;
+    }
+    if (current && line.trim()) sections[current].push(line.trim());
+  }
+  return sections;
+}
+
+/**
+ * Parse a flat question + memo into the structured model
+ * @param {object} question - { questionText, solution, marks }
+ * @param {object} options - { number }
+ * @returns {object|null} - { number, stem, parts: [{ label, context, text,
+ *   marks, memo }], totalMarks }, or null when it isn't a multi-part item
+ *   with a memo for every part
+ */
+function parseStructuredQuestion(question = {}, { number = 1 } = {}) {
+  const split = splitQuestionText(question.questionText, number);
+  if (!split) return null;
+
+  const sections = splitMemo(
+    question.solution,
+    split.parts.map((p) => p.key)
+  );
+  if (split.parts.some((p) => !(sections[p.key] || []).length)) return null;
+
+  fillMarks(split.parts, question.marks);
+  const parts = split.parts.map(({ key, ...part }) => ({
+    ...part,
+    memo: sections[key].join("\n"),
+  }));
+  return {
+    number,
+    stem: split.stem,
+    parts,
+    totalMarks: parts.reduce((sum, p) => sum + p.marks, 0),
+  };
+}
+
+/**
+ * Attach question.structure when the item is multi-part
+ * @param {object} question - Practice question (mutated)
+ * @returns {object} - The same question
+ */
+function structureQuestion(question) {
+  if (!question || question.structure) return question;
+  const structure = parseStructuredQuestion(question);
+  if (structure) question.structure = structure;
+  return question;
+}
+
+// Fresh run through the parts (on every serve, including reviews)
+function startParts(question) {
+  question.partProgress = { index: 0, results: [] };
+  return question.partProgress;
+}
+
+function currentPart(question) {
+  const progress = question.partProgress || startParts(question);
+  return question.structure.parts[progress.index] || null;
+}
+
+/**
+ * Mark one part against its own memo section
+ * @param {object} question - Structured question
+ * @param {string} answerText - Student reply
+ * @returns {object} - gradeAnswer result + { label, marks, awarded }
+ */
+function gradePart(question, answerText) {
+  const part = currentPart(question);
+  const result = gradeAnswer(answerText, {
+    questionText: [question.structure.stem, part.context, part.text]
+      .filter(Boolean)
+      .join("\n"),
+    solution: part.memo,
+  });
+  // Full marks only for a fully correct answer
+  const awarded =
+    result.verdict === VERDICTS.CORRECT
+      ? part.marks
+      : Math.min(part.marks - 1, Math.round(result.score * part.marks));
+  return { ...result, label: part.label, marks: part.marks, awarded };
+}
+
+/**
+ * Record the outcome of the current part and move on
+ * @param {object} question - Structured question
+ * @param {object} outcome - { verdict, awarded } ("solution"/"skipped" → 0)
+ * @returns {boolean} - True once every part has an outcome
+ */
+function recordPart(question, { verdict, awarded = 0 }) {
+  const part = currentPart(question);
+  const progress = question.partProgress;
+  progress.results.push({
+    label: part.label,
+    verdict,
+    awarded,
+    marks: part.marks,
+  });
+  progress.index += 1;
+  return progress.index >= question.structure.parts.length;
+}
+
+function runningTotal(question) {
+  const results = question.partProgress?.results || [];
+  return {
+    awarded: results.reduce((sum, r) => sum + r.awarded, 0),
+    attempted: results.reduce((sum, r) => sum + r.marks, 0),
+    total: question.structure.totalMarks,
+  };
+}
+
+// Whole-question verdict for mastery once the last part is done
+function overallVerdict(question) {
+  const { awarded, total } = runningTotal(question);
+  if (awarded >= total) return VERDICTS.CORRECT;
+  return awarded > 0 ? VERDICTS.PARTIAL : VERDICTS.INCORRECT;
+}
+
+const RESULT_BADGE = {
+  [VERDICTS.CORRECT]: "✅",
+  [VERDICTS.PARTIAL]: "🟡",
+  [VERDICTS.INCORRECT]: "❌",
+  solution: "📚",
+  skipped: "⏭️",
+};
+
+function formatRunningTotal(question) {
+  const { awarded, attempted, total } = runningTotal(question);
+  return attempted === 0
+    ? `🧮 ${question.structure.parts.length} parts • ${total} marks`
+    : `🧮 Running total: ${awarded}/${attempted} so far (question out of ${total})`;
+}
+
+/**
+ * The current part as it appears under the question banner
+ * @param {object} question - Structured question
+ * @param {object} options - { withStem } (false when following feedback)
+ * @returns {string}
+ */
+function formatPartPrompt(question, { withStem = true } = {}) {
+  const part = currentPart(question);
+  const lines = [];
+  if (withStem && question.structure.stem) lines.push(question.structure.stem);
+
+  const done = (question.partProgress?.results || []).map(
+    (r) =>
+      `${RESULT_BADGE[r.verdict] || "•"} ${r.label} — ${r.awarded}/${r.marks}`
+  );
+  if (withStem && done.length) lines.push(done.join("\n"));
+
+  if (part) {
+    const context = part.context ? `${part.context}\n` : "";
+    lines.push(`${context}👉 *${part.label}* ${part.text} (${part.marks})`);
+  }
+  lines.push(formatRunningTotal(question));
+  return lines.join("\n\n");
+}
+
+module.exports = {
+  QUESTION_FORMAT_RULES,
+  MEMO_FORMAT_RULES,
+  parseStructuredQuestion,
+  structureQuestion,
+  startParts,
+  currentPart,
+  gradePart,
+  recordPart,
+  runningTotal,
+  overallVerdict,
+  formatPartPrompt,
+};
@@ -11,6 +11,7 @@ const {
 const {
   SUBJECT_PROBING_DATABASE,
   checkSubjectAvailability,
+  normalizeGrade,
 } = require("../../data/subject-database");
 const { generateExamQuestions } = require("./questions");
 
@@ -77,8 +78,7 @@ function parseSubjectGrade(text) {
   const subject = detected.detected || "Mathematics";
 
   const gMatch = raw.match(/\b(gr(?:ade)?\s*)?(\d{1,2})\b/i);
-  const g = gMatch ? parseInt(gMatch[2], 10) : 10;
-  const grade = Math.max(8, Math.min(11, isFinite(g) ? g : 10));
+  const grade = (gMatch && normalizeGrade(gMatch[2])) || 10;
 
   return { subject, grade };
 }
@@ -3,25 +3,20 @@
  * GOAT Bot 2.0
  * Updated: 2025-08-24 13:18:00 UTC
  * Developer: DithetoMokgabudi
+ * Updates (2026-10-19 20:10:00 UTC):
+ * - AI answers go through the LLM gateway (homework_answer feature)
+ * Updates (2026-10-19 20:40:00 UTC):
+ * - The tutor system prompt and context come from the prompt registry
+ *   (homework_answer)
+ * Updates (2026-10-19 21:10:00 UTC):
+ * - userContext.userId meters the AI answer to the student; over their
+ *   daily token budget the rule-based answers take over
  */
 
-const OpenAI = require("openai");
+const llm = require("../../core/llm-gateway");
+const prompts = require("../../core/prompt-registry");
 const { questionDetector } = require("../../utils/question-detector");
 
-// Initialize OpenAI (optional)
-let openai = null;
-try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    console.log("🧠 OpenAI initialized for homework answering");
-  } else {
-    console.log("⚠️ No OpenAI key; using fallback answering");
-  }
-} catch (e) {
-  console.error("❌ OpenAI init failed for answering:", e);
-  openai = null;
-}
-
 // Simple follow-up intent detector
 function detectFollowUpIntent(text = "") {
   const t = text.toLowerCase().trim();
@@ -209,41 +204,26 @@ Want another example or graded practice?`,
   return generic[d];
 }
 
-function systemPrompt() {
-  return `You are The GOAT: a calm, concise WhatsApp tutor for SA students (Grades 8–12).
-Rules:
-- Answer directly and simply (<= 120 words).
-- If user is confused, make it simpler; add one concrete example.
-- For problems, show short step-by-step.
-- Always end with one small follow-up option (practice? another example?).`;
-}
-
 async function generateAIAnswer(question, conversation = [], meta = {}) {
-  if (!openai) return null;
+  if (!llm.isAvailable()) return null;
 
   const depth = meta.depth ?? 0;
   const intent = meta.intent || "unknown";
   const classification = meta.classification || "general";
 
-  const messages = [
-    { role: "system", content: systemPrompt() },
-    {
-      role: "system",
-      content: `Context: classification=${classification}, depth=${depth}, intent=${intent}. If intent indicates confusion/explain_more, simplify and add a concrete example.`,
-    },
-    ...conversation.slice(-6),
-    { role: "user", content: question },
-  ];
-
   try {
-    const resp = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages,
-      max_tokens: 350,
-      temperature: 0.3,
+    const prompt = prompts.renderPrompt("homework_answer", {
+      question,
+      conversation,
+      depth,
+      intent,
+      classification,
     });
-
-    return (resp.choices?.[0]?.message?.content || "").trim();
+    const resp = await llm.complete(prompt.feature, {
+      messages: prompt.messages,
+      userId: meta.userId,
+    });
+    return resp.text;
   } catch (e) {
     console.error("AI answering failed:", e.message);
     return null;
@@ -270,6 +250,7 @@ async function generateHomeworkAnswer(latestUserText, userContext = {}) {
     depth,
     intent,
     classification,
+    userId: userContext?.userId,
   });
   if (ai) {
     return { answer: ai, classification, source: "ai" };
@@ -3,73 +3,30 @@
  * GOAT Bot 2.0
  * Updated: 2025-08-23 15:39:01 UTC
  * Developer: DithetoMokgabudi
+ *
+ * Updates (2026-10-19 17:30:00 UTC):
+ * - Exam-practice templates (concept reminder + strategy nudge per question
+ *   type) and generateExamHint for the exam-prep hint ladder
+ * Updates (2026-10-19 20:10:00 UTC):
+ * - AI hints go through the LLM gateway (homework_hint feature, 10s timeout);
+ *   without a provider the dynamic hints take over
+ * Updates (2026-10-19 20:40:00 UTC):
+ * - The AI hint prompt comes from the prompt registry (homework_hint)
+ * Updates (2026-10-19 21:10:00 UTC):
+ * - AI hints are metered to the student; over their daily token budget the
+ *   dynamic hints take over
+ * Updates (2026-10-19 22:10:00 UTC):
+ * - generateConceptHint for concept-only mode (uploads that look like a live
+ *   assessment): exam concept template first, then the homework_concept
+ *   prompt, never question-specific steps
+ * Updates (2026-10-19 23:40:00 UTC):
+ * - Exam template patterns match whole words ("Distance" is not tan, "Sinking
+ *   funds" is not sin); cubic / factor & remainder items get their own
+ *   template ahead of the quadratic one
  */
 
-const OpenAI = require("openai");
-
-// Initialize OpenAI with proper error handling
-let openai;
-try {
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn("⚠️ OpenAI API key not found, using mock implementation");
-    // Create mock OpenAI client with predefined responses
-    openai = {
-      chat: {
-        completions: {
-          create: async ({ messages }) => {
-            console.log("📝 Using mock OpenAI response");
-            // Extract the question type from the message to provide relevant hints
-            const message = messages[0]?.content || "";
-            let mockResponse =
-              "Focus on understanding the key concepts and applying the right formula.";
-
-            if (message.includes("linear_equation")) {
-              mockResponse =
-                "Move all variables to one side and constants to the other side. Then solve for the variable.";
-            } else if (message.includes("triangle_area")) {
-              mockResponse =
-                "Remember that the area of a triangle is (1/2) × base × height.";
-            } else if (message.includes("quadratic")) {
-              mockResponse =
-                "Try factoring or using the quadratic formula: x = (-b ± √(b² - 4ac)) ÷ 2a.";
-            }
-
-            return {
-              choices: [{ message: { content: mockResponse } }],
-              usage: { total_tokens: 0 },
-            };
-          },
-        },
-      },
-    };
-  } else {
-    console.log("🔄 Initializing OpenAI with API key");
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-} catch (error) {
-  console.error("❌ OpenAI initialization error:", error);
-  // Create mock OpenAI client as fallback
-  openai = {
-    chat: {
-      completions: {
-        create: async () => {
-          console.log("📝 Using fallback response due to initialization error");
-          return {
-            choices: [
-              {
-                message: {
-                  content:
-                    "Look for similar examples in your textbook and follow the same steps for this problem.",
-                },
-              },
-            ],
-            usage: { total_tokens: 0 },
-          };
-        },
-      },
-    },
-  };
-}
+const llm = require("../../core/llm-gateway");
+const prompts = require("../../core/prompt-registry");
 
 // Predefined instant hints database
 const instantHints = {
@@ -96,6 +53,161 @@ const instantHints = {
   // More hint types...
 };
 
+// Exam-practice templates: what to remember (concept), how to start (strategy)
+// (checked in order: the first match wins, so cubics come before quadratics)
+const examHintTemplates = {
+  cubic_polynomial: {
+    pattern: /\b(remainder|factor) theorems?|\bcubic|x³|x\^3/i,
+    concept:
+      "If f(a) = 0 then (x − a) is a factor of f(x); dividing f(x) by (x − a) leaves the remainder f(a).",
+    strategy:
+      "Try the factors of the constant term in f(x) until one gives 0, then divide to get a quadratic factor.",
+  },
+  quadratic_equation: {
+    pattern: /\bquadratic|x²|x\^2/i,
+    concept:
+      "A quadratic in standard form ax² + bx + c = 0 usually has two solutions.",
+    strategy:
+      "Get everything on one side equal to 0, then try to factorise before reaching for the formula.",
+  },
+  simultaneous_equations: {
+    pattern: /\bsimultaneous/i,
+    concept: "You need values that make BOTH equations true at the same time.",
+    strategy:
+      "Make one variable the subject of the simpler equation, then substitute it into the other.",
+  },
+  linear_equation: {
+    pattern: /\bsolve for\b|\blinear equation/i,
+    concept: "Whatever you do to one side of an equation, do to the other.",
+    strategy:
+      "Undo the operations around the unknown in reverse order until it stands alone.",
+  },
+  exponents: {
+    pattern: /\bexponent|\blogarithm|\blog\b/i,
+    concept:
+      "Exponent laws: multiply → add powers, divide → subtract powers, power of a power → multiply.",
+    strategy:
+      "Write every base as a power of the same prime, then compare or combine the exponents.",
+  },
+  arithmetic_sequence: {
+    pattern: /\barithmetic (sequence|series)|\bcommon difference/i,
+    concept:
+      "An arithmetic pattern adds the same d each time: Tₙ = a + (n − 1)d, Sₙ = n/2[2a + (n − 1)d].",
+    strategy: "Find a and d from the first terms before anything else.",
+  },
+  geometric_sequence: {
+    pattern: /\bgeometric|\bsum to infinity|\bcommon ratio/i,
+    concept:
+      "A geometric pattern multiplies by the same r each time: Tₙ = arⁿ⁻¹.",
+    strategy:
+      "Divide a term by the one before it to find r, then pick the Tₙ, Sₙ or S∞ formula the question needs.",
+  },
+  analytical_geometry: {
+    pattern:
+      /\bgradient|\bmidpoint|\bdistance (between|to a point)|\bcircles?\b|\btangents?\b/i,
+    concept:
+      "Distance, midpoint and gradient all come from the coordinates of the two points.",
+    strategy:
+      "Label the points (x₁; y₁) and (x₂; y₂) and write the formula down before substituting.",
+  },
+  trigonometry: {
+    pattern:
+      /\b(sin|cos|tan|sine|cosine|trig\w*)\b|\b(sin|cos|tan)(?=\d)|\b(special|compound|double) angles?\b|\bangle (between|of inclination)\b|\bidentit(y|ies)\b|\breduction (formula|rule)/i,
+    concept:
+      "SOH CAH TOA, and special angles come from the 30°-60°-90° and 45° triangles.",
+    strategy:
+      "Reduce every angle to an acute one (or a special angle) before you calculate.",
+  },
+  probability: {
+    pattern:
+      /\bprobabilit|\bvenn\b|\b(dependent|independent|mutually exclusive|complementary) events?\b|\bcounting (principle|outcomes)/i,
+    concept:
+      "P(A or B) = P(A) + P(B) − P(A and B); independent events multiply.",
+    strategy:
+      "Draw a Venn or tree diagram and fill in what the question gives you first.",
+  },
+  finance: {
+    pattern:
+      /\binterest\b|\bannuit|\bloans?\b|\binvest|\bdepreciat|\bsinking funds?\b/i,
+    concept:
+      "Compound growth: A = P(1 + i)ⁿ — match i and n to the compounding period.",
+    strategy: "Write down P, i (per period) and n before choosing the formula.",
+  },
+  calculus: {
+    pattern:
+      /\bderivative|\bdifferentiat|\bfirst principles|\boptimis|\brates? of change/i,
+    concept: "d/dx(xⁿ) = nxⁿ⁻¹; the derivative gives the gradient or rate.",
+    strategy:
+      "Rewrite roots and fractions as powers of x before differentiating.",
+  },
+  motion: {
+    pattern:
+      /\bvelocity|\bacceleration|\bprojectile|\bdisplacement|\bmomentum|\bimpulse/i,
+    concept:
+      "List the knowns (u, v, a, t, Δx) and pick the equation of motion that links them.",
+    strategy:
+      "Choose a positive direction first and give every vector quantity its sign.",
+  },
+  forces_energy: {
+    pattern: /\bforces?\b|\bnewton|\bwork\b|\benergy\b|\bpower\b/i,
+    concept:
+      "Fnet = ma; work is force × displacement in the force's direction.",
+    strategy:
+      "Draw a free-body diagram and list every force before calculating.",
+  },
+  circuits: {
+    pattern:
+      /\bcircuits?\b|\bresistors?\b|\b(internal|external|total|equivalent) resistance\b|\bohm|\bemf\b/i,
+    concept:
+      "V = IR; series resistors add, parallel ones combine as 1/R = 1/R₁ + 1/R₂.",
+    strategy:
+      "Simplify the parallel branches first, then work out the total current.",
+  },
+  chemistry: {
+    pattern:
+      /\bmol(es?|ar)?\b|\bstoichiometr|\bacids?\b|\bbases?\b|\bph\b|\btitration|\bconcentration/i,
+    concept: "n = m/M and c = n/V connect mass, moles and concentration.",
+    strategy:
+      "Write the balanced equation and use the mole ratio to cross from one substance to the other.",
+  },
+};
+
+/**
+ * Detect the exam-practice template that fits a question
+ * @param {string} text - Subtopic and question text
+ * @returns {string|null} - Template key
+ */
+function detectExamQuestionType(text = "") {
+  const match = Object.entries(examHintTemplates).find(([, t]) =>
+    t.pattern.test(text)
+  );
+  return match ? match[0] : null;
+}
+
+// Exam-practice hint at the concept or strategy level, falling back to the
+// instant and dynamic generators when no template fits
+function generateExamHint(question, level = "concept") {
+  // The subtopic name is the better signal; the question text is the backup
+  const type =
+    detectExamQuestionType(question.subtopic) ||
+    detectExamQuestionType(question.text);
+  const template = type ? examHintTemplates[type] : null;
+  if (template) {
+    return { hint: template[level], type: level, source: `exam:${type}` };
+  }
+
+  const quick =
+    level === "concept" &&
+    generateQuickHint(question.type, "formula_knowledge");
+  if (quick) return { hint: quick.hint, type: level, source: "instant" };
+
+  const dynamic = generateDynamicHint(
+    { text: question.text || "" },
+    level === "concept" ? "formula" : "start"
+  );
+  return { hint: dynamic.hint, type: level, source: dynamic.source };
+}
+
 // Generate quick hint from database
 function generateQuickHint(questionType, struggleType) {
   const instantHint = instantHints[questionType];
@@ -122,36 +234,24 @@ function generateQuickHint(questionType, struggleType) {
   return null;
 }
 
-// Generate AI-based hint
-async function generateAIHint(question, struggle) {
+// Generate AI-based hint (metered to userId when given)
+async function generateAIHint(question, struggle, userId = null) {
   try {
-    // Add timeout and better error handling
-    const generatePromise = openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "user",
-          content: `Student is stuck on: "${struggle}"
-Question: "${question.text}"
-Question type: ${question.type}
-
-Generate a brief educational hint that guides them toward the solution WITHOUT giving the direct answer. Focus on the method or approach they should use. Maximum 40 words.`,
-        },
-      ],
-      max_tokens: 60,
-      temperature: 0.1,
+    const prompt = prompts.renderPrompt("homework_hint", {
+      question: question.text,
+      type: question.type,
+      struggle,
     });
-
-    // Add timeout for API
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("AI hint generation timeout")), 10000);
+    // Timeout (10s) and retries come from the homework_hint policy
+    const response = await llm.complete(prompt.feature, {
+      messages: prompt.messages,
+      userId,
     });
 
-    const response = await Promise.race([generatePromise, timeoutPromise]);
     return {
-      hint: response.choices[0].message.content.trim(),
+      hint: response.text,
       type: "ai",
-      source: "openai",
+      source: response.provider,
     };
   } catch (error) {
     console.error("AI hint generation error:", error);
@@ -217,8 +317,46 @@ function generateDynamicHint(question, struggle) {
   };
 }
 
+// Concept-only help for questions from a live assessment: what the topic is
+// about, never how to start this question. Later attempts try a new angle.
+async function generateConceptHint(question, attempt = 1, userId = null) {
+  const type = detectExamQuestionType(question.text);
+  if (attempt === 1 && type) {
+    return {
+      hint: examHintTemplates[type].concept,
+      type: "concept",
+      source: `exam:${type}`,
+    };
+  }
+
+  try {
+    const prompt = prompts.renderPrompt("homework_concept", {
+      question: question.text,
+      type: question.type,
+      attempt,
+    });
+    const response = await llm.complete(prompt.feature, {
+      messages: prompt.messages,
+      userId,
+    });
+    return { hint: response.text, type: "concept", source: response.provider };
+  } catch (error) {
+    console.log("AI concept hint failed, using fallback:", error.message);
+    return {
+      hint: "Look up this topic in your textbook or notes: read the definition, the key formula and one worked example that is NOT from this paper.",
+      type: "concept",
+      source: "concept_fallback",
+    };
+  }
+}
+
 // Consolidated hint generation with fallback hierarchy
-async function generateHomeworkHint(question, struggle, struggleType) {
+async function generateHomeworkHint(
+  question,
+  struggle,
+  struggleType,
+  userId = null
+) {
   try {
     // Try instant hint first
     const quickHint = generateQuickHint(question.type, struggleType);
@@ -228,7 +366,7 @@ async function generateHomeworkHint(question, struggle, struggleType) {
 
     // Try AI hint
     try {
-      const aiHint = await generateAIHint(question, struggle);
+      const aiHint = await generateAIHint(question, struggle, userId);
       return aiHint;
     } catch (aiError) {
       console.log(
@@ -255,5 +393,9 @@ module.exports = {
   generateAIHint,
   generateDynamicHint,
   generateHomeworkHint,
+  examHintTemplates,
+  detectExamQuestionType,
+  generateExamHint,
+  generateConceptHint,
 };
 
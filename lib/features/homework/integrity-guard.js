@@ -0,0 +1,242 @@
+/**
+ * Academic Integrity Guard
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 22:10:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Estimates whether a homework upload is a formal assessment in progress
+ * (controlled test, exam paper) from its OCR text:
+ * - Weighted layout signals: assessment title, time allowed, total marks,
+ *   candidate instructions, mark allocations per question, QUESTION 1 /
+ *   1.1.2 numbering. A score of ASSESSMENT_THRESHOLD or more flags it
+ * - Flagged students get concept-only help for the rest of the sitting
+ *   (the paper's time allowed, or STRICT_WINDOW_MS), so re-cropping the
+ *   question does not switch the normal hints back on
+ * - Every flag is logged to integrity_events (for partner school reports)
+ *   and tracked as an integrity_flagged analytics event
+ * Updates (2026-10-19 23:58:00 UTC):
+ * - Title, time, marks and instruction signals are read from the header
+ *   (lines above the first numbered question) only, so a worksheet question
+ *   that mentions an examination or a time in hours doesn't count
+ */
+
+const { createClient } = require("@supabase/supabase-js");
+const analyticsModule = require("../../utils/analytics");
+
+let supabase = null;
+try {
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY
+    );
+  }
+} catch (error) {
+  console.error("❌ Integrity guard Supabase init error:", error);
+}
+
+const ASSESSMENT_THRESHOLD = 0.5;
+const STRICT_WINDOW_MS = 2 * 60 * 60 * 1000; // 2 hours
+
+// Single-match signals, read from the header: a worksheet may show one of
+// these, a test paper usually shows several
+const SIGNALS = [
+  {
+    id: "assessment_title",
+    weight: 0.4,
+    pattern:
+      /\b(controlled test|class test|common test|formal (test|assessment)|examination|(june|november|trial|final|mid-?year) exam(ination)?s?|assessment task|question paper)\b/i,
+  },
+  {
+    id: "time_allowed",
+    weight: 0.3,
+    pattern:
+      /\b(time( allowed| allocation)?|duration)\s*[:\-]?\s*(\d+(?:[.,]\d+)?|one|two|three|½)\s*(hours?|hrs?|h\b|minutes?|mins?)/i,
+  },
+  {
+    id: "total_marks",
+    weight: 0.3,
+    pattern:
+      /\b((total|max(imum)?)\s*(marks?\s*[:\-=]?\s*\d+|[:\-=]?\s*\d+\s*marks?)|marks?\s*[:\-=]\s*\d+)\b/i,
+  },
+  {
+    id: "candidate_instructions",
+    weight: 0.3,
+    pattern:
+      /\b(instructions (and information|to candidates)|answer all (the )?questions|this question paper consists of|examination number|invigilator|candidate'?s? (name|number))\b/i,
+  },
+];
+
+// Repeated-layout signals: counted over the whole page
+const LAYOUT_SIGNALS = [
+  {
+    id: "mark_allocations",
+    weight: 0.2,
+    min: 3,
+    // "(3)" at the end of a line, "[15]" section totals
+    pattern: /(\(\d{1,2}\)|\[\d{1,3}\])\s*$/gm,
+  },
+  {
+    id: "exam_numbering",
+    weight: 0.15,
+    min: 2,
+    pattern: /^\s*(QUESTION\s+\d+\b|\d+\.\d+(\.\d+)?\s)/gm,
+  },
+];
+
+const WORD_HOURS = { one: 1, two: 2, three: 3, "½": 0.5 };
+
+const HEADER_MAX_LINES = 10;
+// "QUESTION 1", "1.", "1.1.2", "2)", "(a)" at the start of a line
+const QUESTION_LINE =
+  /^\s*(QUESTION\s+\d+\b|\d+(\.\d+)+\s|\d+[.)]\s|\(?[a-h]\)\s)/i;
+
+// Lines above the first numbered question (at most HEADER_MAX_LINES)
+function headerText(content) {
+  const lines = content.split(/\r?\n/);
+  const first = lines.findIndex((line) => QUESTION_LINE.test(line));
+  const end = first === -1 ? HEADER_MAX_LINES : first;
+  return lines.slice(0, Math.min(end, HEADER_MAX_LINES)).join("\n");
+}
+
+// Time allowed on the paper in ms, or null
+function parseTimeAllowed(text) {
+  const match = text.match(SIGNALS[1].pattern);
+  if (!match) return null;
+  const amount =
+    WORD_HOURS[match[3].toLowerCase()] ??
+    parseFloat(match[3].replace(",", "."));
+  const hours = /^h/i.test(match[4]) ? amount : amount / 60;
+  return hours > 0 ? Math.round(hours * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Score how much an upload looks like a formal assessment
+ * @param {string} text - OCR text of the upload
+ * @returns {object} - { likely, score, signals, timeAllowedMs }
+ */
+function assessUpload(text = "") {
+  const content = String(text || "");
+  const header = headerText(content);
+  const signals = [];
+  let score = 0;
+
+  for (const signal of SIGNALS) {
+    if (signal.pattern.test(header)) {
+      signals.push(signal.id);
+      score += signal.weight;
+    }
+  }
+  for (const signal of LAYOUT_SIGNALS) {
+    const count = (content.match(signal.pattern) || []).length;
+    if (count >= signal.min) {
+      signals.push(signal.id);
+      score += signal.weight;
+    }
+  }
+
+  score = Math.min(1, Math.round(score * 100) / 100);
+  return {
+    likely: score >= ASSESSMENT_THRESHOLD,
+    score,
+    signals,
+    timeAllowedMs: parseTimeAllowed(header),
+  };
+}
+
+/**
+ * Decide the help mode for an upload and remember strict mode on the user
+ * @param {object} user - Homework user ({ id, integrity })
+ * @param {string} text - OCR text of the upload
+ * @param {object} details - { imageHash, questionCount }
+ * @returns {object} - { conceptOnly, assessment, carriedOver }
+ */
+function checkUpload(user, text, details = {}) {
+  const assessment = assessUpload(text);
+  const now = Date.now();
+  const active =
+    user.integrity && new Date(user.integrity.strictUntil).getTime() > now;
+
+  if (!assessment.likely && !active) {
+    return { conceptOnly: false, assessment, carriedOver: false };
+  }
+
+  if (assessment.likely) {
+    const window = Math.max(
+      assessment.timeAllowedMs || STRICT_WINDOW_MS,
+      STRICT_WINDOW_MS
+    );
+    user.integrity = {
+      flaggedAt: new Date(now).toISOString(),
+      strictUntil: new Date(now + window).toISOString(),
+      score: assessment.score,
+      signals: assessment.signals,
+    };
+  }
+
+  recordEvent(user.id, {
+    action: assessment.likely ? "concept_only" : "concept_only_carryover",
+    assessment,
+    ...details,
+  });
+  return { conceptOnly: true, assessment, carriedOver: !assessment.likely };
+}
+
+const MAX_EVENTS = 500;
+const events = [];
+
+// Log a flag for partner schools (memory + integrity_events table)
+function recordEvent(userId, { action, assessment, imageHash, questionCount }) {
+  const entry = {
+    userID: userId || "anonymous",
+    action,
+    score: assessment.score,
+    signals: assessment.signals,
+    image_hash: imageHash || null,
+    question_count: questionCount ?? null,
+    created_at: new Date().toISOString(),
+  };
+  events.push(entry);
+  if (events.length > MAX_EVENTS) events.shift();
+
+  console.log(
+    `📝 Integrity flag for ${entry.userID}: ${action} (score ${entry.score}, ${
+      entry.signals.join(", ") || "earlier upload"
+    })`
+  );
+  analyticsModule
+    .trackEvent(entry.userID, "integrity_flagged", {
+      action,
+      score: entry.score,
+      signals: entry.signals,
+      question_count: entry.question_count,
+    })
+    .catch(() => {});
+
+  if (supabase) {
+    setImmediate(async () => {
+      try {
+        const { error } = await supabase.from("integrity_events").insert(entry);
+        if (error) throw error;
+      } catch (error) {
+        console.error("❌ Integrity event save failed:", error.message);
+      }
+    });
+  }
+  return entry;
+}
+
+function getIntegrityEvents({ userId, limit = 50 } = {}) {
+  return events
+    .filter((entry) => !userId || entry.userID === userId)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  ASSESSMENT_THRESHOLD,
+  STRICT_WINDOW_MS,
+  assessUpload,
+  checkUpload,
+  getIntegrityEvents,
+};
@@ -9,6 +9,19 @@
  * - OCR extracts questions and we ALWAYS ask: “Which question here is giving you a hard time?”
  * - User replies with a number (e.g., 3) → We provide hints/tricks/clues ONLY. We NEVER provide full solutions.
  * - If user says “I don’t understand” or “more”, we provide a different approach (rotating hint strategies).
+ *
+ * Updates (2026-10-19 21:10:00 UTC):
+ * - AI hints are metered to (and budgeted for) the student via user.id
+ * Updates (2026-10-19 22:10:00 UTC):
+ * - Uploads that look like a live test/exam switch the session to concept-only
+ *   help (integrity-guard); the flag is logged for partner schools
+ * Updates (2026-10-19 22:40:00 UTC):
+ * - Multi-page sessions (session.js): each upload adds a page, questions are
+ *   merged and deduplicated with stable numbers and page tags; "done" closes
+ *   the session and "new session" starts over
+ * - Question selection matches the number shown in the list
+ * Updates (2026-10-19 23:59:00 UTC):
+ * - Text replies keep the open session alive (touchSession)
  */
 
 const { processHomeworkImage, imageProcessing } = require("./image-ocr");
@@ -16,7 +29,15 @@ const {
   generateHomeworkHint,
   generateAIHint,
   generateDynamicHint,
+  generateConceptHint,
 } = require("./hint-system");
+const { checkUpload } = require("./integrity-guard");
+const {
+  createSession,
+  isSessionOpen,
+  touchSession,
+  addPage,
+} = require("./session");
 const { questionDetector } = require("../../utils/question-detector");
 const https = require("https");
 const { URL } = require("url");
@@ -109,6 +130,19 @@ function reply(res, data) {
   return res.json(payload);
 }
 
+// Session commands
+const DONE_PATTERN = /^(done|finished|that'?s (all|it)|no more( pages)?)[.!]*$/;
+const NEW_SESSION_PATTERN =
+  /^(new|new (session|homework|worksheet)|start (again|over))[.!]*$/;
+
+// Earlier pages of an open session survive a failed upload
+function keepsSession(user) {
+  return (
+    isSessionOpen(user.context?.session) &&
+    user.context.session.questions.length > 0
+  );
+}
+
 // Helper: detect confusion/follow-up trigger
 function isConfusedOrMore(text = "") {
   const t = text.toLowerCase().trim();
@@ -132,6 +166,15 @@ async function provideNextHint(user, userText = "") {
   }
 
   user.context.hintCount = (user.context.hintCount || 0) + 1;
+
+  // Live assessment: explain the concept, never this question
+  if (user.context.conceptOnly) {
+    const res = await generateConceptHint(q, user.context.hintCount, user.id);
+    user.context.lastHintType = res.type;
+    user.context.lastHint = res.hint;
+    return res;
+  }
+
   const lastType = user.context.lastHintType || "none";
   const tryOrder = [];
 
@@ -158,7 +201,8 @@ async function provideNextHint(user, userText = "") {
         const res = await generateHomeworkHint(
           q,
           userText || "general",
-          user.context.struggleType || "general"
+          user.context.struggleType || "general",
+          user.id
         );
         user.context.lastHintType = res.type || "instant";
         user.context.lastHint = res.hint;
@@ -177,7 +221,8 @@ async function provideNextHint(user, userText = "") {
         // Ask AI to provide a different angle without solving
         const res = await generateAIHint(
           q,
-          userText || "Give a different simpler angle without solving"
+          userText || "Give a different simpler angle without solving",
+          user.id
         );
         user.context.lastHintType = res.type || "ai";
         user.context.lastHint = res.hint;
@@ -275,13 +320,32 @@ class ConsolidatedHomeworkHelp {
           });
         }
 
-        // Selection flow
-        if (user.state === HOMEWORK_STATES.QUESTIONS_DETECTED) {
-          const num = parseInt(text, 10);
-          const list = user.context?.questions || [];
-          if (Number.isInteger(num) && list[num - 1]) {
-            const selected = list[num - 1];
+        if (NEW_SESSION_PATTERN.test(t)) {
+          user.context = {};
+          user.state = HOMEWORK_STATES.AWAITING_IMAGE;
+          const msg =
+            "🆕 **New homework session.** Upload a photo of the first page.";
+          return reply(res, { message: msg, status: "success", echo: msg });
+        }
+
+        if (DONE_PATTERN.test(t) && user.context?.session) {
+          return this.closeSession(user, res);
+        }
 
+        // Picking questions and asking for hints counts as activity
+        touchSession(user.context?.session);
+
+        // Selection flow (numbers match the list, across pages)
+        const num = parseInt(text, 10);
+        const list = user.context?.questions || [];
+        const selected = Number.isInteger(num)
+          ? list.find((q) => q.number === num)
+          : null;
+        if (
+          user.state === HOMEWORK_STATES.QUESTIONS_DETECTED ||
+          (user.state === HOMEWORK_STATES.PROVIDING_HINT && selected)
+        ) {
+          if (selected) {
             // Set selected question context
             user.context.selectedQuestion = selected;
             user.state = HOMEWORK_STATES.PROVIDING_HINT;
@@ -290,9 +354,11 @@ class ConsolidatedHomeworkHelp {
 
             // Provide first hint immediately (no solution)
             const firstHint = await provideNextHint(user, "start");
-            const msg =
-              `🧩 **Hint:**\n\n${firstHint.hint}\n\n` +
-              "Reply 'more' or 'I don't understand' for a different approach.";
+            const msg = user.context.conceptOnly
+              ? `📘 **Concept refresher:**\n\n${firstHint.hint}\n\n` +
+                "Reply 'more' for another way to look at the idea."
+              : `🧩 **Hint:**\n\n${firstHint.hint}\n\n` +
+                "Reply 'more' or 'I don't understand' for a different approach.";
             return reply(res, {
               message: msg,
               status: "success",
@@ -313,9 +379,11 @@ class ConsolidatedHomeworkHelp {
         if (user.state === HOMEWORK_STATES.PROVIDING_HINT) {
           if (isConfusedOrMore(text)) {
             const nextHint = await provideNextHint(user, text);
-            const msg =
-              `🧩 **Another Hint:**\n\n${nextHint.hint}\n\n` +
-              "Reply 'more' if you want one more nudge.";
+            const msg = user.context.conceptOnly
+              ? `📘 **Another angle on the concept:**\n\n${nextHint.hint}\n\n` +
+                "Reply 'more' if you want one more."
+              : `🧩 **Another Hint:**\n\n${nextHint.hint}\n\n` +
+                "Reply 'more' if you want one more nudge.";
             return reply(res, {
               message: msg,
               status: "success",
@@ -359,7 +427,7 @@ class ConsolidatedHomeworkHelp {
       const result = await processHomeworkImage(imageData, user.id);
 
       if (!result.success) {
-        user.state = HOMEWORK_STATES.AWAITING_IMAGE;
+        if (!keepsSession(user)) user.state = HOMEWORK_STATES.AWAITING_IMAGE;
         user.context.ocrError = result.error;
         return reply(res, {
           message:
@@ -376,15 +444,23 @@ class ConsolidatedHomeworkHelp {
         confidence
       );
 
-      user.context = {
-        extractedText,
-        questions,
-        ocrConfidence: confidence,
-        imageHash: result.imageHash,
-        timestamp: new Date().toISOString(),
-      };
+      // Continue the open session, or start one (fresh context)
+      const continuing = isSessionOpen(user.context?.session);
+      if (!continuing) user.context = { session: createSession() };
+      const session = user.context.session;
 
       if (questions.length === 0) {
+        if (session.questions.length > 0) {
+          const msg =
+            "📸 I couldn't find a clear question on this page. Your earlier questions are still here:\n\n" +
+            `${this.formatQuestionList(session.questions)}\n\n` +
+            "👉 Reply with a number, retake the photo, or type *done*.";
+          return reply(res, {
+            message: msg,
+            status: "no_questions",
+            echo: msg,
+          });
+        }
         user.state = HOMEWORK_STATES.AWAITING_IMAGE;
         return reply(res, {
           message:
@@ -394,14 +470,70 @@ class ConsolidatedHomeworkHelp {
         });
       }
 
+      const added = addPage(session, {
+        imageHash: result.imageHash,
+        extractedText,
+        ocrConfidence: confidence,
+        questions,
+      });
+      user.context = {
+        ...user.context,
+        extractedText,
+        questions: session.questions,
+        ocrConfidence: confidence,
+        imageHash: result.imageHash,
+        timestamp: new Date().toISOString(),
+      };
+
       // ALWAYS ask user to choose which question is giving them a hard time
       user.state = HOMEWORK_STATES.QUESTIONS_DETECTED;
-      const list = this.formatQuestionList(questions);
+      const list = this.formatQuestionList(session.questions);
+      const more = "📄 More pages? Send the next photo, or type *done*.";
+
+      if (added.duplicatePage) {
+        const msg =
+          `📄 **I already have this page.**\n\n${list}\n\n` +
+          "👉 Reply with a question number, send the next page, or type *done*.";
+        return reply(res, {
+          message: msg,
+          status: "duplicate_page",
+          echo: msg,
+        });
+      }
+
+      const integrity = checkUpload(user, extractedText, {
+        imageHash: result.imageHash,
+        questionCount: added.added.length,
+      });
+      // One page of a live assessment makes the whole session concept-only
+      user.context.conceptOnly =
+        Boolean(user.context.conceptOnly) || integrity.conceptOnly;
+      if (user.context.conceptOnly) {
+        const strictMsg =
+          "📝 **This looks like a test or exam paper.** If you're writing it right now, the work has to be your own – so I'll only refresh the concepts behind a question, not how to answer it.\n\n" +
+          `${list}\n\n` +
+          "👉 **Which question's topic should we revise?** Reply with the number only.";
+        return reply(res, {
+          message: strictMsg,
+          status: "concept_only",
+          echo: strictMsg,
+        });
+      }
+
+      const header =
+        added.page === 1
+          ? `📚 **Found ${questions.length} question${
+              questions.length > 1 ? "s" : ""
+            }!**`
+          : `📄 **Page ${added.page} added:** ${added.added.length} new question${
+              added.added.length === 1 ? "" : "s"
+            }${
+              added.repeated ? ` (${added.repeated} already listed)` : ""
+            } – ${session.questions.length} in total.`;
       const msg =
-        `📚 **Found ${questions.length} question${
-          questions.length > 1 ? "s" : ""
-        }!**\n\n${list}\n\n` +
-        "👉 **Which question here is giving you a hard time?** Reply with the number only.";
+        `${header}\n\n${list}\n\n` +
+        "👉 **Which question here is giving you a hard time?** Reply with the number only.\n\n" +
+        more;
       return reply(res, {
         message: msg,
         status: "success",
@@ -410,7 +542,7 @@ class ConsolidatedHomeworkHelp {
     } catch (error) {
       console.error("OCR processing error:", error);
 
-      user.state = HOMEWORK_STATES.AWAITING_IMAGE;
+      if (!keepsSession(user)) user.state = HOMEWORK_STATES.AWAITING_IMAGE;
       let errorMessage =
         "📸 **Image processing failed.** Please try a clearer photo.";
 
@@ -448,12 +580,37 @@ class ConsolidatedHomeworkHelp {
     return user;
   }
 
+  // Page tags only once a session has more than one page
   formatQuestionList(questions) {
+    const multiPage = questions.some((q) => q.page > 1);
     return questions
-      .map((q, i) => `**${q.number || i + 1}.** ${q.text.substring(0, 80)}...`)
+      .map(
+        (q, i) =>
+          `**${q.number || i + 1}.** ${q.text.substring(0, 80)}...` +
+          (multiPage ? ` _(page ${q.page})_` : "")
+      )
       .join("\n\n");
   }
 
+  // "done": stop collecting pages, keep the questions to choose from
+  closeSession(user, res) {
+    const session = user.context.session;
+    session.closed = true;
+    if (session.questions.length === 0) {
+      user.state = HOMEWORK_STATES.AWAITING_IMAGE;
+      return this.sendUploadPrompt(res);
+    }
+    user.state = HOMEWORK_STATES.QUESTIONS_DETECTED;
+    const pages = session.pages.length;
+    const msg =
+      `✅ **All set – ${session.questions.length} question${
+        session.questions.length > 1 ? "s" : ""
+      } from ${pages} page${pages > 1 ? "s" : ""}.**\n\n` +
+      `${this.formatQuestionList(session.questions)}\n\n` +
+      "👉 **Which question here is giving you a hard time?** Reply with the number only.";
+    return reply(res, { message: msg, status: "success", echo: msg });
+  }
+
   sendUploadPrompt(res) {
     const message =
       "📚 **Homework Help**\n\nUpload a clear photo of your homework. I’ll extract the questions so you can pick the number and I’ll share hints to get you unstuck.";
@@ -0,0 +1,143 @@
+/**
+ * Multi-page Homework Sessions
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 22:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * A homework session collects the photos of one worksheet:
+ * - Each upload is a page; the same photo sent twice is ignored (image hash)
+ * - Questions are merged across pages and deduplicated on their normalised
+ *   text, so overlapping photos don't list a question twice (the more
+ *   complete reading wins)
+ * - Every question keeps the page it came from and a number that never
+ *   changes once shown: printed numbers are kept unless they clash with
+ *   earlier pages (e.g. page 2 restarts at 1), then the page continues
+ *   after the highest number so far
+ * - "done" closes the session; the next upload (or SESSION_IDLE_MS without
+ *   one) starts a new session
+ *
+ * Updates (2026-10-19 23:59:00 UTC):
+ * - Idle time runs from the last message that used the session (touchSession),
+ *   so working through hints on page 1 doesn't expire it before page 2
+ */
+
+const SESSION_IDLE_MS = 30 * 60 * 1000; // 30 minutes
+
+// Below this, containment is too weak a signal to call two questions equal
+const MIN_OVERLAP_CHARS = 20;
+
+function createSession() {
+  const now = new Date().toISOString();
+  return {
+    pages: [],
+    questions: [],
+    closed: false,
+    startedAt: now,
+    updatedAt: now,
+  };
+}
+
+function isSessionOpen(session, now = Date.now()) {
+  return Boolean(
+    session &&
+    !session.closed &&
+    now - new Date(session.updatedAt).getTime() < SESSION_IDLE_MS
+  );
+}
+
+// Any message that uses the session (question pick, hint) keeps it open
+function touchSession(session) {
+  if (session && !session.closed) {
+    session.updatedAt = new Date().toISOString();
+  }
+  return session;
+}
+
+// Comparable form of a question: case, spacing and punctuation ignored,
+// maths symbols kept so 2x + 5 and 2x − 5 stay different
+function questionKey(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/[−–]/g, "-")
+    .replace(/[^a-z0-9+\-=*/^²³√π<>]+/g, " ")
+    .trim();
+}
+
+function sameQuestion(a, b) {
+  if (a === b) return true;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= MIN_OVERLAP_CHARS && longer.includes(shorter);
+}
+
+/**
+ * Add one page's detected questions to the session
+ * @param {object} session - From createSession()
+ * @param {object} page - { imageHash, extractedText, ocrConfidence, questions }
+ * @returns {object} - { duplicatePage, page, added, repeated }
+ */
+function addPage(
+  session,
+  { imageHash, extractedText, ocrConfidence, questions }
+) {
+  if (imageHash && session.pages.some((p) => p.imageHash === imageHash)) {
+    return { duplicatePage: true, page: null, added: [], repeated: 0 };
+  }
+
+  const pageNumber = session.pages.length + 1;
+  const fresh = [];
+  let repeated = 0;
+
+  for (const question of questions) {
+    const key = questionKey(question.text);
+    const existing = [...session.questions, ...fresh].find((q) =>
+      sameQuestion(q.key, key)
+    );
+    if (existing) {
+      repeated++;
+      // A photo that cut the question off is replaced by the fuller one
+      if (key.length > existing.key.length) {
+        existing.text = question.text;
+        existing.key = key;
+      }
+      continue;
+    }
+    fresh.push({ ...question, key, page: pageNumber });
+  }
+
+  const used = new Set(session.questions.map((q) => q.number));
+  const clash = fresh.some(
+    (q, i) =>
+      !Number.isInteger(q.number) ||
+      used.has(q.number) ||
+      fresh.findIndex((other) => other.number === q.number) !== i
+  );
+  if (clash) {
+    const offset = Math.max(0, ...used);
+    fresh.forEach((q, i) => {
+      q.printedNumber = q.number;
+      q.number = offset + i + 1;
+    });
+  }
+
+  session.questions.push(...fresh);
+  session.questions.sort((a, b) => a.number - b.number);
+  session.pages.push({
+    page: pageNumber,
+    imageHash: imageHash || null,
+    extractedText,
+    ocrConfidence,
+    questionCount: fresh.length,
+  });
+  session.updatedAt = new Date().toISOString();
+
+  return { duplicatePage: false, page: pageNumber, added: fresh, repeated };
+}
+
+module.exports = {
+  SESSION_IDLE_MS,
+  createSession,
+  isSessionOpen,
+  touchSession,
+  questionKey,
+  addPage,
+};
@@ -149,7 +149,7 @@ const GENERAL_MEMORY_PRINCIPLES = [
     name: "Spaced Repetition",
     description: "Review material at increasing intervals",
     implementation:
-      "Study new concepts, then review after 1 day, 3 days, 1 week, etc.",
+      "Study new concepts, then review after 1 day, 6 days and longer gaps. Practice questions you miss come back under \"Review due\" on the main menu.",
   },
   {
     name: "Active Recall",
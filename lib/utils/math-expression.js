@@ -0,0 +1,385 @@
+/**
+ * Math Expression Utilities
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 08:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Small, dependency-free parser/evaluator for the maths students type on a
+ * phone keyboard (e.g. "2x² − 5x − 12", "(x-4)(2x+3)", "sqrt(16)", "7/20").
+ * - Implicit multiplication (2x, x(x+1), (a)(b))
+ * - Unicode operators and superscripts (−, ×, ÷, ², ³, √, π)
+ * - SA number style (decimal comma "2,5" and space thousands "4 640")
+ * - Trig functions work in degrees (CAPS convention)
+ *
+ * Updates (2026-10-19 23:59:00 UTC):
+ * - numbersClose has no fixed absolute floor (0,004 A is not 0,012 A);
+ *   roundingTolerance gives half a unit in a value's last written decimal
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  sin: (d) => Math.sin((d * Math.PI) / 180),
+  cos: (d) => Math.cos((d * Math.PI) / 180),
+  tan: (d) => Math.tan((d * Math.PI) / 180),
+  log: Math.log10,
+  ln: Math.log,
+  abs: Math.abs,
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+};
+
+const SUPERSCRIPTS = {
+  "⁰": "0",
+  "¹": "1",
+  "²": "2",
+  "³": "3",
+  "⁴": "4",
+  "⁵": "5",
+  "⁶": "6",
+  "⁷": "7",
+  "⁸": "8",
+  "⁹": "9",
+  "⁻": "-",
+};
+
+/**
+ * Normalise typed/pretty maths into plain ASCII the parser understands
+ * @param {string} text - Raw expression text
+ * @returns {string} - Normalised expression
+ */
+function normalizeMathText(text) {
+  let s = String(text || "");
+
+  s = s
+    .replace(/\*\*/g, "") // markdown bold
+    .replace(/[−–—]/g, "-")
+    .replace(/[×·⋅]/g, "*")
+    .replace(/÷/g, "/")
+    .replace(/√\s*\(/g, "sqrt(")
+    .replace(/√\s*([\d.]+|[a-z])/gi, "sqrt($1)")
+    .replace(/π/g, "pi")
+    .replace(/°/g, "")
+    // Scientific notation typed with a letter x: "7,78 x 10^-20"
+    .replace(/(\d)\s*[xX]\s*(?=10\s*(?:\^|[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]))/g, "$1*");
+
+  // Superscript runs → ^(...)
+  s = s.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, (run) => {
+    const plain = run
+      .split("")
+      .map((c) => SUPERSCRIPTS[c])
+      .join("");
+    return plain.length === 1 ? `^${plain}` : `^(${plain})`;
+  });
+
+  // SA number formatting: "4 640" → "4640", "2,5" → "2.5"
+  s = s.replace(/(\d) (?=\d{3}\b)/g, "$1");
+  s = s.replace(/(\d),(\d)/g, "$1.$2");
+
+  return s.trim();
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const s = normalizeMathText(text);
+  let i = 0;
+
+  while (i < s.length) {
+    const ch = s[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[\d.]/.test(ch)) {
+      const m = s.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!m) throw new Error(`Invalid number at ${i}`);
+      tokens.push({ type: "num", value: parseFloat(m[1]) });
+      i += m[1].length;
+      continue;
+    }
+
+    if (/[a-z]/i.test(ch)) {
+      const m = s.slice(i).match(/^[a-z]+/i);
+      let word = m[0];
+      // Peel known function/constant names off the front; the rest are
+      // single-letter variables multiplied together (e.g. "xy" → x·y)
+      while (word.length > 0) {
+        const lower = word.toLowerCase();
+        const fn = Object.keys(FUNCTIONS).find((f) => lower.startsWith(f));
+        const constant = Object.keys(CONSTANTS).find((c) =>
+          lower.startsWith(c)
+        );
+        if (fn) {
+          tokens.push({ type: "func", value: fn });
+          word = word.slice(fn.length);
+        } else if (constant) {
+          tokens.push({ type: "num", value: CONSTANTS[constant] });
+          word = word.slice(constant.length);
+        } else {
+          tokens.push({ type: "var", value: word[0] });
+          word = word.slice(1);
+        }
+      }
+      i += m[0].length;
+      continue;
+    }
+
+    if ("+-*/^()".includes(ch)) {
+      tokens.push({ type: "op", value: ch });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${ch}"`);
+  }
+
+  // Insert implicit multiplication
+  const out = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const prev = out[out.length - 1];
+    const cur = tokens[k];
+    const prevEndsOperand =
+      prev &&
+      (prev.type === "num" ||
+        prev.type === "var" ||
+        (prev.type === "op" && prev.value === ")"));
+    const curStartsOperand =
+      cur.type === "num" ||
+      cur.type === "var" ||
+      cur.type === "func" ||
+      (cur.type === "op" && cur.value === "(");
+    if (prevEndsOperand && curStartsOperand) {
+      out.push({ type: "op", value: "*" });
+    }
+    out.push(cur);
+  }
+
+  return out;
+}
+
+function buildParser(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek() && peek().type === "op" && peek().value === v;
+
+  function parseExpr() {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      node = { type: "bin", op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos++].value;
+      node = { type: "bin", op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp("-")) {
+      pos++;
+      return { type: "neg", arg: parseUnary() };
+    }
+    if (isOp("+")) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      pos++;
+      return { type: "bin", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (!tok) throw new Error("Unexpected end of expression");
+
+    if (tok.type === "num") {
+      pos++;
+      return { type: "num", value: tok.value };
+    }
+    if (tok.type === "var") {
+      pos++;
+      return { type: "var", name: tok.value };
+    }
+    if (tok.type === "func") {
+      pos++;
+      // Drop an implicit "*" inserted between a function and its argument
+      if (isOp("*")) pos++;
+      return { type: "call", fn: tok.value, arg: parsePower() };
+    }
+    if (isOp("(")) {
+      pos++;
+      const inner = parseExpr();
+      if (!isOp(")")) throw new Error("Missing closing bracket");
+      pos++;
+      return inner;
+    }
+    throw new Error(`Unexpected token ${tok.value}`);
+  }
+
+  return {
+    parse() {
+      const ast = parseExpr();
+      if (pos !== tokens.length) throw new Error("Trailing input");
+      return ast;
+    },
+  };
+}
+
+/**
+ * Parse an expression into an AST
+ * @param {string} text - Expression text
+ * @returns {object|null} - AST or null when the text is not an expression
+ */
+function parseExpression(text) {
+  try {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return null;
+    return buildParser(tokens).parse();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Evaluate an AST
+ * @param {object} ast - Parsed expression
+ * @param {object} scope - Variable values, e.g. { x: 2 }
+ * @returns {number} - Result (NaN when a variable is missing)
+ */
+function evaluateExpression(ast, scope = {}) {
+  if (!ast) return NaN;
+  switch (ast.type) {
+    case "num":
+      return ast.value;
+    case "var":
+      return Object.prototype.hasOwnProperty.call(scope, ast.name)
+        ? scope[ast.name]
+        : NaN;
+    case "neg":
+      return -evaluateExpression(ast.arg, scope);
+    case "call":
+      return FUNCTIONS[ast.fn](evaluateExpression(ast.arg, scope));
+    case "bin": {
+      const a = evaluateExpression(ast.left, scope);
+      const b = evaluateExpression(ast.right, scope);
+      if (ast.op === "+") return a + b;
+      if (ast.op === "-") return a - b;
+      if (ast.op === "*") return a * b;
+      if (ast.op === "/") return a / b;
+      if (ast.op === "^") return Math.pow(a, b);
+      return NaN;
+    }
+    default:
+      return NaN;
+  }
+}
+
+/**
+ * Collect the free variables of an AST
+ * @param {object} ast - Parsed expression
+ * @returns {Array<string>} - Sorted variable names
+ */
+function collectVariables(ast, acc = new Set()) {
+  if (!ast) return Array.from(acc).sort();
+  if (ast.type === "var") acc.add(ast.name);
+  if (ast.arg) collectVariables(ast.arg, acc);
+  if (ast.left) collectVariables(ast.left, acc);
+  if (ast.right) collectVariables(ast.right, acc);
+  return Array.from(acc).sort();
+}
+
+/**
+ * Evaluate a constant expression ("7/20", "R4 640", "2,5") to a number
+ * @param {string} text - Expression text
+ * @returns {number|null} - Value or null if not a finite constant
+ */
+function toNumber(text) {
+  const ast = parseExpression(text);
+  if (!ast || collectVariables(ast).length > 0) return null;
+  const value = evaluateExpression(ast);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Compare two numbers with absolute + relative tolerance
+ * (absTol is 0 unless the caller knows the precision, see roundingTolerance)
+ */
+function numbersClose(a, b, { absTol = 0, relTol = 0.005 } = {}) {
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+  // Float noise must not push an exact rounding boundary over the limit
+  const diff = Math.abs(a - b) - 1e-12 * Math.max(1, Math.abs(a), Math.abs(b));
+  return diff <= absTol || diff <= relTol * Math.max(Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Half a unit in the last decimal place of a single written number
+ * ("8,39 cm" → 0.005, "0,012 A" → 0.0005)
+ * @param {string} text - Value as written
+ * @returns {number} - 0 for whole numbers and anything that isn't one plain
+ *   decimal (fractions, surds, scientific notation)
+ */
+function roundingTolerance(text) {
+  const numbers = normalizeMathText(String(text || "")).match(/\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length !== 1) return 0;
+  const decimals = (numbers[0].split(".")[1] || "").length;
+  return decimals > 0 ? 0.5 * 10 ** -decimals : 0;
+}
+
+/**
+ * Check whether two expressions are algebraically equivalent by sampling
+ * @param {string} a - First expression
+ * @param {string} b - Second expression
+ * @returns {boolean} - True when both agree on every usable sample point
+ */
+function expressionsEquivalent(a, b) {
+  const astA = typeof a === "string" ? parseExpression(a) : a;
+  const astB = typeof b === "string" ? parseExpression(b) : b;
+  if (!astA || !astB) return false;
+
+  const vars = Array.from(
+    new Set([...collectVariables(astA), ...collectVariables(astB)])
+  );
+  const samples = [0.7, 1.3, 2.1, -1.6, 3.7, -0.45];
+
+  let usable = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const scope = {};
+    vars.forEach((v, k) => {
+      scope[v] = samples[(i + k) % samples.length] + k * 0.17;
+    });
+    const va = evaluateExpression(astA, scope);
+    const vb = evaluateExpression(astB, scope);
+    if (!Number.isFinite(va) || !Number.isFinite(vb)) continue;
+    if (!numbersClose(va, vb, { absTol: 1e-9, relTol: 1e-6 })) return false;
+    usable++;
+  }
+
+  return usable >= 3;
+}
+
+module.exports = {
+  normalizeMathText,
+  parseExpression,
+  evaluateExpression,
+  collectVariables,
+  toNumber,
+  numbersClose,
+  roundingTolerance,
+  expressionsEquivalent,
+};
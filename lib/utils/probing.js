@@ -2,63 +2,30 @@
  * Dynamic Probing System
  * GOAT Bot 2.0
  * Updated: 2025-08-23 15:21:03 UTC
+ * Updates (2026-10-19 20:40:00 UTC):
+ * - Probe wording comes from the prompt registry (probe_topic,
+ *   probe_subject, probe_generic)
  */
 
 const { SUBJECT_PROBING_DATABASE } = require("../data/subject-database");
+const { renderPrompt } = require("../core/prompt-registry");
 
 // Generate topic-specific probe
 function generateTopicSpecificProbe(topic, topicData, attempt) {
-  switch (attempt) {
-    case 1:
-      const examples = topicData.examples.map((ex) => `• **${ex}**`).join("\n");
-      return `**${
-        topic.charAt(0).toUpperCase() + topic.slice(1)
-      } troubles!** What about ${topic} specifically?
-
-${examples}
-
-**What specifically happens** when you try these?`;
-
-    case 2:
-      const struggles = topicData.common_struggles
-        .map((s) => `• "${s}"`)
-        .join("\n");
-      return `**Let's narrow down your ${topic} struggle.**
-
-When you see a ${topic} problem, what's your **first reaction**?
-${struggles}`;
-
-    case 3:
-      return `**Final attempt to understand your ${topic} challenge.**
-
-**Think of the last ${topic} problem you tried.** What exactly made you get stuck?`;
-
-    default:
-      return `**Tell me about your ${topic} challenge** - what makes it difficult for you?`;
-  }
+  return renderPrompt("probe_topic", {
+    topic,
+    attempt,
+    examples: topicData.examples,
+    common_struggles: topicData.common_struggles,
+  }).text;
 }
 
 // Hardcoded fallback probe
 function generateHardcodedProbe(userResponse, profile, attempt) {
-  const topic = profile.topic_struggles || "the topic";
-
-  switch (attempt) {
-    case 1:
-      return `**${topic} troubles!** What specifically about ${topic}?
-
-**Tell me exactly what happens** when you try to work with ${topic}.`;
-
-    case 2:
-      return `**Let's get more specific about ${topic}.**
-
-When you see a ${topic} problem, what's your **first thought**? Do you:
-• Know what to do but get confused halfway?
-• Feel completely lost where to start?
-• Have a method but it doesn't work?`;
-
-    default:
-      return `**Tell me about your ${topic} challenge** - what makes it difficult for you?`;
-  }
+  return renderPrompt("probe_generic", {
+    topic: profile.topic_struggles || "the topic",
+    attempt,
+  }).text;
 }
 
 // Generate targeted probe dynamically
@@ -97,21 +64,12 @@ async function generateDynamicTargetedProbe(userResponse, profile, attempt) {
       `⚠️ No topic match for ${topic}, using general ${subject} probing`
     );
     const generalTopicKeys = Object.keys(subjectData);
-    if (generalTopicKeys.length > 0) {
-      const generalExamples = generalTopicKeys
-        .slice(0, 4)
-        .map((key) => `**${key.charAt(0).toUpperCase() + key.slice(1)}**`)
-        .join(", ");
-
-      if (attempt === 1) {
-        return `**${
-          topic.charAt(0).toUpperCase() + topic.slice(1)
-        } troubles!** What about ${topic} specifically?
-
-Common ${subject} areas include: ${generalExamples}
-
-**What specifically happens** when you try to work with ${topic}?`;
-      }
+    if (generalTopicKeys.length > 0 && attempt === 1) {
+      return renderPrompt("probe_subject", {
+        topic,
+        subject,
+        areas: generalTopicKeys,
+      }).text;
     }
   }
 
@@ -127,4 +85,3 @@ module.exports = {
   generateTopicSpecificProbe,
   generateHardcodedProbe,
 };
-
@@ -0,0 +1,108 @@
+/**
+ * Prompt Evaluation Script
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ *
+ * Compare prompt versions on the fixture profiles before rollout:
+ *   node scripts/eval-prompts.js <prompt id | all> [options]
+ *     --versions 1,2        versions to compare (default: all registered)
+ *     --provider fake       fake (default) | recorded | live
+ *     --recordings <file>   recorded replies (JSON) for --provider recorded
+ *     --record              ask the live provider on a miss and save the reply
+ *     --fixtures <file>     fixture profiles (default: data/prompts/fixtures.json)
+ *     --json                print the full report as JSON
+ */
+
+const fs = require("fs");
+const llm = require("../lib/core/llm-gateway");
+const { listPrompts } = require("../lib/core/prompt-registry");
+const {
+  loadFixtures,
+  runEvaluation,
+  formatReport,
+} = require("../lib/core/prompt-eval");
+
+function parseArgs(argv) {
+  const args = { target: argv[0], flags: {} };
+  for (let i = 1; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args.flags[name] = true;
+    } else {
+      args.flags[name] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function buildProvider(flags) {
+  const kind = flags.provider || "fake";
+  if (kind === "fake") return llm.createFakeProvider();
+  if (kind === "live") return llm.createDefaultProvider();
+  if (kind === "recorded") {
+    const file = flags.recordings;
+    const recordings =
+      file && fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : {};
+    return llm.createRecordedProvider({
+      recordings,
+      fallback: flags.record ? llm.createDefaultProvider() : null,
+    });
+  }
+  throw new Error(`Unknown provider: ${kind}`);
+}
+
+async function main() {
+  const { target, flags } = parseArgs(process.argv.slice(2));
+  if (!target) {
+    console.error("Usage: node scripts/eval-prompts.js <prompt id | all>");
+    listPrompts().forEach((p) =>
+      console.error(
+        `  ${p.id} (v${p.versions.join(", v")}; active v${p.active})`
+      )
+    );
+    process.exit(1);
+  }
+
+  const provider = buildProvider(flags);
+  if (!provider) {
+    console.error("❌ No live LLM provider configured");
+    process.exit(1);
+  }
+  const fixtures = loadFixtures(flags.fixtures);
+  const versions = flags.versions
+    ? String(flags.versions).split(",").map(Number)
+    : undefined;
+  const ids =
+    target === "all" ? listPrompts().map((p) => p.id) : target.split(",");
+
+  const reports = [];
+  for (const promptId of ids) {
+    const report = await runEvaluation({
+      promptId,
+      versions,
+      provider,
+      fixtures,
+    });
+    reports.push(report);
+    if (!flags.json) console.log(`${formatReport(report)}\n`);
+  }
+  if (flags.json) console.log(JSON.stringify(reports, null, 2));
+
+  if (flags.record && flags.recordings) {
+    fs.writeFileSync(
+      flags.recordings,
+      JSON.stringify(provider.recordings, null, 2)
+    );
+    console.log(`💾 Saved recordings to ${flags.recordings}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Prompt evaluation failed:", error);
+  process.exit(1);
+});
@@ -3,6 +3,19 @@
  * GOAT Bot 2.0
  * Created: 2025-08-25 10:47:12 UTC
  * Developer: DithetoMokgabudi
+ * Updates (2026-10-19 18:20:00 UTC):
+ * - practice_sessions table for Topic Practice report cards
+ * Updates (2026-10-19 19:40:00 UTC):
+ * - content_storage table for the practice question cache (offline storage)
+ * Updates (2026-10-19 21:10:00 UTC):
+ * - llm_usage_daily table for per-user/feature/model token and cost rollups
+ * Updates (2026-10-19 21:40:00 UTC):
+ * - moderation_audit table for flagged student messages and bot replies
+ * Updates (2026-10-19 22:10:00 UTC):
+ * - integrity_events table for homework uploads that looked like a live
+ *   test/exam (partner school reports)
+ * Updates (2026-10-19 23:59:00 UTC):
+ * - moderation_audit no longer has an excerpt column (dropped where present)
  */
 
 const { createClient } = require("@supabase/supabase-js");
@@ -72,6 +85,143 @@ async function setupDatabase() {
 
     if (fkError) console.warn("⚠️ Foreign key creation error:", fkError);
 
+    console.log("📊 Creating practice_sessions table...");
+    const { error: sessionsError } = await supabase.rpc(
+      "create_practice_sessions_if_not_exists",
+      {
+        sql_command: `
+        CREATE TABLE IF NOT EXISTS practice_sessions (
+          id BIGSERIAL PRIMARY KEY,
+          userID TEXT NOT NULL,
+          session_id TEXT NOT NULL,
+          subject TEXT,
+          grade TEXT,
+          started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          ended_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          summary JSONB NOT NULL DEFAULT '{}'::JSONB,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+
+        -- Past sessions are listed per user, newest first
+        CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_ended ON practice_sessions(userID, ended_at DESC);
+      `,
+      }
+    );
+
+    if (sessionsError) throw sessionsError;
+
+    console.log("📊 Creating content_storage table...");
+    const { error: contentError } = await supabase.rpc(
+      "create_content_storage_if_not_exists",
+      {
+        sql_command: `
+        CREATE TABLE IF NOT EXISTS content_storage (
+          contentID TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          subject TEXT,
+          grade INTEGER,
+          topic TEXT,
+          sub_topic TEXT,
+          question_text TEXT,
+          solution_text TEXT,
+          metadata JSONB NOT NULL DEFAULT '{}'::JSONB,
+          quality_score REAL,
+          caps_aligned BOOLEAN,
+          sa_terminology BOOLEAN,
+          difficulty_level TEXT,
+          last_used TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+
+        -- Cached questions are looked up per subject/grade, most recent first
+        CREATE INDEX IF NOT EXISTS idx_content_storage_subject_grade ON content_storage(subject, grade, last_used DESC);
+      `,
+      }
+    );
+
+    if (contentError) throw contentError;
+
+    console.log("📊 Creating llm_usage_daily table...");
+    const { error: usageError } = await supabase.rpc(
+      "create_llm_usage_daily_if_not_exists",
+      {
+        sql_command: `
+        CREATE TABLE IF NOT EXISTS llm_usage_daily (
+          day DATE NOT NULL,
+          userID TEXT NOT NULL,
+          feature TEXT NOT NULL,
+          model TEXT NOT NULL,
+          calls INTEGER NOT NULL DEFAULT 0,
+          prompt_tokens INTEGER NOT NULL DEFAULT 0,
+          completion_tokens INTEGER NOT NULL DEFAULT 0,
+          total_tokens INTEGER NOT NULL DEFAULT 0,
+          cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (day, userID, feature, model)
+        );
+
+        -- Budgets read one user's day; reports read whole days
+        CREATE INDEX IF NOT EXISTS idx_llm_usage_daily_day ON llm_usage_daily(day);
+      `,
+      }
+    );
+
+    if (usageError) throw usageError;
+
+    console.log("📊 Creating moderation_audit table...");
+    const { error: auditError } = await supabase.rpc(
+      "create_moderation_audit_if_not_exists",
+      {
+        sql_command: `
+        CREATE TABLE IF NOT EXISTS moderation_audit (
+          id BIGSERIAL PRIMARY KEY,
+          userID TEXT NOT NULL,
+          direction TEXT NOT NULL,
+          category TEXT NOT NULL,
+          categories JSONB NOT NULL DEFAULT '[]'::JSONB,
+          classifier TEXT,
+          action TEXT NOT NULL,
+          text_hash TEXT,
+          reviewed_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+
+        -- Flags are identified by text_hash; earlier installs stored the
+        -- message text, which is removed here
+        ALTER TABLE moderation_audit DROP COLUMN IF EXISTS excerpt;
+
+        -- Safeguarding review works through the newest flags first
+        CREATE INDEX IF NOT EXISTS idx_moderation_audit_created ON moderation_audit(created_at DESC);
+      `,
+      }
+    );
+
+    if (auditError) throw auditError;
+
+    console.log("📊 Creating integrity_events table...");
+    const { error: integrityError } = await supabase.rpc(
+      "create_integrity_events_if_not_exists",
+      {
+        sql_command: `
+        CREATE TABLE IF NOT EXISTS integrity_events (
+          id BIGSERIAL PRIMARY KEY,
+          userID TEXT NOT NULL,
+          action TEXT NOT NULL,
+          score NUMERIC(4, 2) NOT NULL,
+          signals JSONB NOT NULL DEFAULT '[]'::JSONB,
+          image_hash TEXT,
+          question_count INTEGER,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        );
+
+        -- Partner school reports list a student's flags by date
+        CREATE INDEX IF NOT EXISTS idx_integrity_events_user ON integrity_events(userID, created_at DESC);
+      `,
+      }
+    );
+
+    if (integrityError) throw integrityError;
+
     console.log("✅ Database setup complete!");
 
     // Verify setup
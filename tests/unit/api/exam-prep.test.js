@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for the Topic Practice Loop (api/exam-prep)
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 23:10:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+// Memory-only state; questions come from the bank/templates (no AI)
+jest.mock("@supabase/supabase-js", () => ({ createClient: () => null }));
+
+const llm = require("../../../lib/core/llm-gateway");
+const { userStates } = require("../../../lib/core/state");
+const questionLedger = require("../../../lib/features/exam-prep/question-ledger");
+const examPrepHandler = require("../../../api/exam-prep");
+
+class MockResponse {
+  constructor() {
+    this.data = null;
+    this.statusCode = 200;
+  }
+
+  json(data) {
+    this.data = data;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+}
+
+async function send(psid, message) {
+  const res = new MockResponse();
+  await examPrepHandler({ body: { psid, message }, headers: {} }, res);
+  return res.data.message;
+}
+
+// Subject/grade → first topic → first subtopic → Question 1
+async function startLoop(psid, subjectGrade) {
+  for (const message of ["", subjectGrade, "1", "1"]) {
+    await send(psid, message);
+  }
+  const m = userStates.get(psid).context.examTopicPractice;
+  expect(m.stage).toBe("loop");
+  return m;
+}
+
+describe("Topic Practice Loop Tests", () => {
+  let original;
+
+  beforeAll(() => {
+    original = llm.setProvider(null);
+  });
+
+  afterAll(() => {
+    llm.setProvider(original);
+  });
+
+  test("keyword requests are not mistaken for answers", async () => {
+    const m = await startLoop("loop-answer", "Mathematics 10");
+    m.current_question = {
+      ...m.current_question,
+      questionText: "Solve for x: 3x = 15",
+      solution: "**Step 1:** Divide both sides by 3 → x = 5",
+      structure: null,
+      mcq: null,
+    };
+
+    for (const text of ["answer", "answers", "Answer please"]) {
+      const reply = await send("loop-answer", text);
+      expect(reply).not.toContain("Not quite");
+      expect(reply).toContain("Solution");
+      m.current_question.stepProgress = null;
+    }
+    expect(m.current_question.attempts || 0).toBe(0);
+
+    expect(await send("loop-answer", "answer: x = 5")).toContain("Correct");
+    expect(await send("loop-answer", "my answer is 4")).toContain("Not quite");
+  });
+
+  test("written answers that contain command words are marked", async () => {
+    const m = await startLoop("loop-words", "Biology 10");
+    const question = m.current_question;
+
+    for (const text of [
+      "It maintains the balance",
+      "The basic unit of life is the cell",
+      "Weak acids and advanced enzymes in the next domain",
+      "The solution is hypertonic, so water moves out",
+      "It is difficult to answer but osmosis",
+    ]) {
+      const reply = await send("loop-words", text);
+      expect(reply).not.toContain("Welcome to The GOAT");
+      expect(reply).not.toContain("Session report");
+      expect(reply).toMatch(/Not quite|Partly right|Answer noted|Correct/);
+      expect(m.current_question).toBe(question);
+      expect(userStates.get("loop-words").context.examTopicPractice).toBe(m);
+    }
+    expect(question.attempts).toBe(5);
+
+    // Whole-message commands still work
+    expect(await send("loop-words", "Main menu")).toContain(
+      "Welcome to The GOAT"
+    );
+  });
+
+  test("a paused mock exam can be submitted", async () => {
+    await send("mock-pause", "");
+    expect(await send("mock-pause", "class test Mathematics 10")).toContain(
+      "QUESTION 1"
+    );
+    expect(await send("mock-pause", "pause")).toContain("Paused");
+
+    const reply = await send("mock-pause", "submit");
+    expect(reply).toContain("Submitted");
+    expect(reply).toContain("Marked script");
+    const { preferences } = userStates.get("mock-pause");
+    expect(preferences.mock_exam).toBeUndefined();
+    expect(preferences.mock_exam_history).toHaveLength(1);
+  });
+
+  test("practice after placement starts with a new question", async () => {
+    for (const message of ["", "Mathematics 10", "1"]) {
+      await send("placed", message);
+    }
+    expect(await send("placed", "P")).toContain("Placement check");
+
+    const user = userStates.get("placed");
+    const m = user.context.examTopicPractice;
+    const asked = [];
+    while (m.stage === "placement") {
+      asked.push(m.placement.current.question.questionText);
+      await send("placed", "skip");
+    }
+
+    expect(m.stage).toBe("loop");
+    expect(asked).not.toContain(m.current_question.questionText);
+    for (const questionText of asked) {
+      expect(
+        questionLedger.hasSeen(user.preferences.seen_questions, {
+          questionText,
+        })
+      ).toBe(true);
+    }
+  });
+
+  test("a letter on a typed-only item in MCQ mode is not marked", async () => {
+    const m = await startLoop("mcq-typed", "Mathematics 10");
+    userStates.get("mcq-typed").preferences.question_format = "mcq";
+    m.current_question = {
+      ...m.current_question,
+      questionText: "Solve for x: 3x = 15",
+      solution: "**Step 1:** Divide both sides by 3 → x = 5",
+      structure: null,
+      mcq: null,
+    };
+
+    const reply = await send("mcq-typed", "C");
+    expect(reply).toContain("needs a typed answer");
+    expect(reply).not.toContain("Not quite");
+    expect(m.current_question.attempts || 0).toBe(0);
+    expect(await send("mcq-typed", "x = 5")).toContain("Correct");
+  });
+
+  test("the full solution keeps the question's own menu", async () => {
+    const m = await startLoop("full-solution", "Mathematics 10");
+    m.current_question = {
+      ...m.current_question,
+      solution: "**Step 1:** Divide both sides by 3 → x = 5",
+      structure: null,
+      mcq: null,
+      stepProgress: null,
+    };
+
+    const reply = await send("full-solution", "solution");
+    expect(reply).toContain("Solution (steps)");
+    expect(reply).toContain("Reply *MCQ* for multiple-choice questions");
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for the LLM Gateway
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:10:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const llm = require("../../../lib/core/llm-gateway");
+const {
+  generateHomeworkAnswer,
+} = require("../../../lib/features/homework/answering");
+const {
+  generateAIHint,
+} = require("../../../lib/features/homework/hint-system");
+
+function scriptedProvider(errors) {
+  const calls = [];
+  return {
+    name: "flaky",
+    calls,
+    async complete(request) {
+      calls.push(request);
+      const error = errors.shift();
+      if (error) throw error;
+      return { text: "ok", usage: { total_tokens: 3 }, model: request.model };
+    },
+  };
+}
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+describe("LLM Gateway Tests", () => {
+  let original;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    original = llm.setProvider(null);
+    llm.setProvider(original);
+  });
+
+  afterEach(() => {
+    llm.setProvider(original);
+    delete process.env.LLM_MODEL;
+    delete process.env.LLM_EXAM_QUESTION_MODEL;
+  });
+
+  test("features have their own policy, overridable by env", () => {
+    expect(llm.getProviderName()).toBe("openai");
+    expect(llm.getFeatureConfig("homework_hint")).toMatchObject({
+      model: llm.DEFAULT_MODEL,
+      temperature: 0.1,
+      maxTokens: 60,
+      timeout: 10000,
+      retries: 0,
+    });
+
+    process.env.LLM_MODEL = "local-llama";
+    process.env.LLM_EXAM_QUESTION_MODEL = "gpt-4o-mini";
+    expect(llm.getFeatureConfig("exam_question").model).toBe("gpt-4o-mini");
+    expect(llm.getFeatureConfig("exam_solution").model).toBe("local-llama");
+
+    llm.configureFeature("report_card", { temperature: 0, retries: 2 });
+    expect(llm.getFeatureConfig("report_card")).toMatchObject({
+      temperature: 0,
+      retries: 2,
+      maxTokens: 300,
+    });
+  });
+
+  test("the fake provider is deterministic", async () => {
+    const fake = llm.createFakeProvider();
+    const request = {
+      model: "m",
+      messages: [{ role: "user", content: "Explain photosynthesis" }],
+    };
+    const a = await fake.complete(request);
+    expect(await fake.complete(request)).toEqual(a);
+    expect(a.text).toContain("Explain photosynthesis");
+    expect(a.usage.total_tokens).toBeGreaterThan(a.usage.prompt_tokens);
+  });
+
+  test("transient failures are retried, others are not", async () => {
+    llm.configureFeature("retry_test", { retries: 2, retryDelay: 1 });
+
+    const flaky = scriptedProvider([httpError(503), httpError(429)]);
+    llm.setProvider(flaky);
+    const result = await llm.complete("retry_test", {
+      messages: [{ role: "user", content: "hi" }],
+    });
+    expect(result).toMatchObject({
+      text: "ok",
+      provider: "flaky",
+      feature: "retry_test",
+      attempts: 3,
+    });
+    expect(flaky.calls[0]).toMatchObject({ temperature: 0.3, maxTokens: 300 });
+
+    const broken = scriptedProvider([httpError(400)]);
+    llm.setProvider(broken);
+    await expect(llm.complete("retry_test", { messages: [] })).rejects.toThrow(
+      "HTTP 400"
+    );
+    expect(broken.calls).toHaveLength(1);
+
+    llm.configureFeature("slow_test", { timeout: 5, retries: 0 });
+    llm.setProvider({ name: "slow", complete: () => new Promise(() => {}) });
+    await expect(
+      llm.complete("slow_test", { messages: [] })
+    ).rejects.toMatchObject({ isTimeout: true });
+  });
+
+  test("feature code runs on whichever provider is configured", async () => {
+    llm.setProvider(
+      llm.createFakeProvider({ respond: () => "Divide both sides by 2." })
+    );
+    expect(await generateHomeworkAnswer("Solve 2x = 8")).toMatchObject({
+      answer: "Divide both sides by 2.",
+      source: "ai",
+    });
+    expect(
+      await generateAIHint(
+        { text: "Solve 2x = 8", type: "linear_equation" },
+        "stuck"
+      )
+    ).toMatchObject({ hint: "Divide both sides by 2.", source: "fake" });
+
+    llm.setProvider(null);
+    expect(llm.isAvailable()).toBe(false);
+    expect(await generateHomeworkAnswer("Solve 2x = 8")).toMatchObject({
+      source: expect.not.stringMatching(/^ai$/),
+    });
+    await expect(generateAIHint({ text: "x", type: "x" }, "")).rejects.toThrow(
+      "not configured"
+    );
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Content Moderation
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 21:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+// Audit log in memory only (no moderation_audit table in tests)
+jest.mock("@supabase/supabase-js", () => ({ createClient: () => null }));
+
+const llm = require("../../../lib/core/llm-gateway");
+const moderation = require("../../../lib/core/moderation");
+const analyticsModule = require("../../../lib/utils/analytics");
+const mainHandler = require("../../../api/index");
+
+class MockResponse {
+  constructor() {
+    this.data = null;
+    this.statusCode = 200;
+  }
+
+  json(data) {
+    this.data = data;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+}
+
+async function categoryOf(text, direction = "inbound") {
+  return (await moderation.moderate(text, { direction })).category;
+}
+
+describe("Moderation Tests", () => {
+  test("the keyword baseline flags each category but not schoolwork", async () => {
+    expect(await categoryOf("i just want to die honestly")).toBe("self_harm");
+    expect(await categoryOf("I've been thinking about suicide")).toBe(
+      "self_harm"
+    );
+    expect(await categoryOf("my uncle touches me when mom is out")).toBe(
+      "abuse"
+    );
+    expect(await categoryOf("send nudes")).toBe("explicit");
+    expect(
+      (await moderation.moderate("He hits me and I want to end my life"))
+        .categories
+    ).toEqual(["self_harm", "abuse"]);
+
+    for (const text of [
+      "The graph cuts the x-axis at 2",
+      "Explain sexual reproduction in flowering plants",
+      "How do I kill time before my exam?",
+      "Why did the Roman army die out?",
+      "2",
+    ]) {
+      expect(await categoryOf(text)).toBeNull();
+    }
+    // Replies may discuss history; only encouragement is screened
+    expect(
+      await categoryOf("Many soldiers saw suicide missions in WW2", "outbound")
+    ).toBeNull();
+    expect(await categoryOf("Just kill yourself", "outbound")).toBe(
+      "self_harm"
+    );
+  });
+
+  test("model checks run after the baseline and failures are ignored", async () => {
+    const original = llm.setProvider(
+      llm.createFakeProvider({ respond: () => "abuse" })
+    );
+    const model = moderation.createModelClassifier();
+    const spy = jest.spyOn(model, "classify");
+    const broken = {
+      name: "broken",
+      classify: async () => {
+        throw new Error("down");
+      },
+    };
+    const previous = moderation.setClassifiers([
+      broken,
+      moderation.keywordClassifier,
+      model,
+    ]);
+
+    expect(await moderation.moderate("send nudes")).toMatchObject({
+      category: "explicit",
+      classifier: "keywords",
+    });
+    expect(spy).not.toHaveBeenCalled();
+
+    expect(
+      await moderation.moderate("I'm scared to go home, he gets angry")
+    ).toMatchObject({ category: "abuse", classifier: "model" });
+
+    llm.setProvider(llm.createFakeProvider({ respond: () => "none" }));
+    expect(
+      (await moderation.moderate("Help me factorise x² + 5x + 6")).flagged
+    ).toBe(false);
+
+    moderation.setClassifiers(previous);
+    llm.setProvider(original);
+  });
+
+  test("the webhook answers flagged messages with helplines and audits them", async () => {
+    const track = jest.spyOn(analyticsModule, "trackEvent");
+    const res = new MockResponse();
+    await mainHandler(
+      {
+        method: "POST",
+        body: { psid: "moderation-user", message: "I want to kill myself" },
+        query: {},
+        headers: {},
+      },
+      res
+    );
+
+    expect(res.data.moderation).toBe("self_harm");
+    expect(res.data.message).toContain("0800 567 567");
+    expect(res.data.message).toContain("116");
+    expect(Object.prototype.hasOwnProperty.call(res, "json")).toBe(false);
+
+    const [entry] = moderation.getAuditLog({ userId: "moderation-user" });
+    expect(entry).toMatchObject({
+      direction: "inbound",
+      category: "self_harm",
+      classifier: "keywords",
+      action: "safe_response",
+    });
+    // The disclosure itself is never stored, only its hash
+    expect(entry).not.toHaveProperty("excerpt");
+    expect(JSON.stringify(entry)).not.toContain("kill myself");
+    expect(entry.text_hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(track).toHaveBeenCalledWith(
+      "moderation-user",
+      "moderation_flagged",
+      expect.not.objectContaining({ excerpt: expect.anything() })
+    );
+    track.mockRestore();
+  });
+
+  test("flagged replies are replaced before they are sent", async () => {
+    const res = new MockResponse();
+    const guard = moderation.guardResponse(res, { userId: "reply-user" });
+    res.status(200).json({ message: "Want to see porn?", echo: "x" });
+    expect(guard.responded()).toBe(true);
+    await guard.settled();
+    guard.restore();
+
+    expect(res.data).toMatchObject({ moderation: "explicit" });
+    expect(res.data.message).toContain("couldn't put a proper answer");
+    expect(res.data.echo).toBe(res.data.message);
+    expect(moderation.getAuditLog({ userId: "reply-user" })[0]).toMatchObject({
+      direction: "outbound",
+      action: "replaced",
+    });
+
+    const clean = new MockResponse();
+    const cleanGuard = moderation.guardResponse(clean);
+    clean.json({ message: "**Step 1:** x = 4" });
+    await cleanGuard.settled();
+    expect(clean.data).toEqual({ message: "**Step 1:** x = 4" });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the Prompt Evaluation Runner
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const llm = require("../../../lib/core/llm-gateway");
+const registry = require("../../../lib/core/prompt-registry");
+const {
+  loadFixtures,
+  capsScore,
+  scoreOutput,
+  runEvaluation,
+  formatReport,
+} = require("../../../lib/core/prompt-eval");
+
+const VARS = {
+  subject: "Mathematics",
+  grade: "10",
+  topic: "Algebraic expressions",
+  focus: "Factorising trinomials",
+};
+
+// Answers like a good memo for v1 and a chatty one for the draft
+function memoProvider() {
+  return llm.createFakeProvider({
+    respond: ({ messages }) =>
+      messages[0].content.startsWith("Memo")
+        ? "Sure! Here is the answer: (x + 2)(x + 3)"
+        : "**Step 1:** Factorise the trinomial: find factors of 6 that add to 5\n**Answer:** (x + 2)(x + 3)",
+  });
+}
+
+describe("Prompt Evaluation Tests", () => {
+  beforeAll(() => {
+    registry.registerPrompt({
+      id: "exam_solution",
+      version: 2,
+      status: "draft",
+      feature: "exam_solution",
+      variables: ["question"],
+      render: (vars) => `Memo for: ${vars.question}`,
+      output: registry.getPrompt("exam_solution", 1).output,
+    });
+  });
+
+  test("outputs are scored for format, length and CAPS alignment", () => {
+    expect(
+      capsScore("Factorise the trinomial x² + 5x + 6 (Grade 10)", VARS)
+    ).toBe(0.5);
+    expect(capsScore("Factorise the trinomial (Grade 12 work)", VARS)).toBe(
+      0.25
+    );
+
+    const good = scoreOutput(
+      "exam_solution",
+      "**Step 1:** Factorise the algebraic expression (a trinomial) into two brackets\n**Answer:** (x + 2)(x + 3)",
+      { ...VARS, question: "Factorise x² + 5x + 6" }
+    );
+    expect(good).toMatchObject({ format: 1, length: 1, failures: [] });
+    expect(good.caps).toBe(1);
+
+    const short = scoreOutput("exam_solution", "x = 2", VARS);
+    expect(short.length).toBe(0.3);
+    expect(short.failures).toEqual(["bold steps", "answer line"]);
+  });
+
+  test("versions are compared on the fixture profiles", async () => {
+    const fixtures = loadFixtures();
+    expect(fixtures.length).toBeGreaterThanOrEqual(6);
+
+    const report = await runEvaluation({
+      promptId: "exam_solution",
+      provider: memoProvider(),
+      fixtures,
+    });
+    const [v1, v2] = report.versions;
+    expect(v1).toMatchObject({ version: 1, status: "active" });
+    expect(v2).toMatchObject({ version: 2, status: "draft" });
+    expect(v1.summary.cases).toBe(fixtures.length);
+    expect(v1.summary.format).toBeGreaterThan(v2.summary.format);
+    expect(v2.cases[0].scores.failures).toContain("no preamble");
+    expect(report.best).toBe(1);
+    expect(formatReport(report)).toContain("🏆 Best: v1");
+
+    // Static prompts are scored on their own text, no provider needed
+    const probes = await runEvaluation({ promptId: "probe_generic", fixtures });
+    expect(probes.versions[0].summary).toMatchObject({ format: 1, tokens: 0 });
+  });
+
+  test("recorded replies replay without a live provider", async () => {
+    const live = memoProvider();
+    const spy = jest.spyOn(live, "complete");
+    const recorder = llm.createRecordedProvider({ fallback: live });
+    const fixtures = loadFixtures().slice(0, 2);
+
+    const first = await runEvaluation({
+      promptId: "exam_solution",
+      versions: [1],
+      provider: recorder,
+      fixtures,
+    });
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    const replay = llm.createRecordedProvider({
+      recordings: JSON.parse(JSON.stringify(recorder.recordings)),
+    });
+    const second = await runEvaluation({
+      promptId: "exam_solution",
+      versions: [1],
+      provider: replay,
+      fixtures,
+    });
+    expect(second.versions[0].summary).toEqual(first.versions[0].summary);
+
+    const missing = await runEvaluation({
+      promptId: "exam_solution",
+      versions: [2],
+      provider: replay,
+      fixtures,
+    });
+    expect(missing.versions[0].cases[0].error).toMatch(/No recorded reply/);
+  });
+});
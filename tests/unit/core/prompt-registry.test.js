@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for the Prompt Registry
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 20:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const registry = require("../../../lib/core/prompt-registry");
+const { generateDynamicTargetedProbe } = require("../../../lib/utils/probing");
+
+const PROFILE = {
+  subject: "Mathematics",
+  grade: "12",
+  topic: "Differential Calculus",
+  focus: "Rules of differentiation",
+  difficulty: "advanced",
+};
+
+describe("Prompt Registry Tests", () => {
+  afterEach(() => {
+    delete process.env.PROMPT_HOMEWORK_HINT_VERSION;
+    registry.setActiveVersion("homework_hint", null);
+  });
+
+  test("prompts render from their variables", () => {
+    expect(registry.listPrompts().map((p) => p.id)).toEqual([
+      "exam_question",
+      "exam_solution",
+      "homework_hint",
+      "homework_concept",
+      "homework_answer",
+      "probe_topic",
+      "probe_subject",
+      "probe_generic",
+      "moderation_check",
+    ]);
+
+    const prompt = registry.renderPrompt("exam_question", {
+      ...PROFILE,
+      structured: true,
+      avoid_questions: ["Determine f'(x) if f(x) = x³"],
+    });
+    expect(prompt).toMatchObject({
+      ref: "exam_question@1",
+      feature: "exam_question",
+      maxTokens: 350,
+    });
+    expect(prompt.messages).toHaveLength(1);
+    expect(prompt.text).toContain(
+      "Create ONE multi-part Mathematics practice question for Grade 12"
+    );
+    expect(prompt.text).toContain("Level: Grade 12 (Matric)");
+    expect(prompt.text).toContain("  • Determine f'(x) if f(x) = x³");
+
+    const answer = registry.renderPrompt("homework_answer", {
+      question: "What is a gradient?",
+      conversation: [{ role: "user", content: "hi" }],
+    });
+    expect(answer.messages.map((m) => m.role)).toEqual([
+      "system",
+      "system",
+      "user",
+      "user",
+    ]);
+    expect(answer.messages[1].content).toContain("classification=general");
+
+    expect(() =>
+      registry.renderPrompt("exam_solution", { subject: "Mathematics" })
+    ).toThrow("exam_solution@1 missing variable(s): grade, question, focus");
+  });
+
+  test("drafts are only served once pinned", () => {
+    registry.registerPrompt({
+      id: "homework_hint",
+      version: 2,
+      status: "draft",
+      feature: "homework_hint",
+      variables: ["question"],
+      render: (vars) => `Hint for: ${vars.question}`,
+    });
+    expect(registry.activeVersion("homework_hint")).toBe(1);
+    expect(
+      registry.renderPrompt("homework_hint", { question: "x" }, { version: 2 })
+        .text
+    ).toBe("Hint for: x");
+
+    expect(registry.setActiveVersion("homework_hint", 2)).toBeNull();
+    expect(registry.renderPrompt("homework_hint", { question: "x" }).ref).toBe(
+      "homework_hint@2"
+    );
+    process.env.PROMPT_HOMEWORK_HINT_VERSION = "1";
+    expect(registry.activeVersion("homework_hint")).toBe(1);
+    expect(() => registry.setActiveVersion("homework_hint", 9)).toThrow(
+      "Unknown prompt: homework_hint@9"
+    );
+  });
+
+  test("replies are checked against the output schema", () => {
+    const vars = { ...PROFILE, question: "Differentiate 3x³" };
+    expect(
+      registry.checkOutput(
+        "exam_solution",
+        "**Step 1:** Bring the power down: 3 × 3x² = 9x²\n**Answer:** f'(x) = 9x²",
+        vars
+      )
+    ).toMatchObject({ ok: true, failures: [] });
+
+    const bad = registry.checkOutput(
+      "exam_solution",
+      "Sure! ```f'(x) = 9x^2```",
+      vars
+    );
+    expect(bad.ok).toBe(false);
+    expect(bad.failures).toEqual([
+      "no code block",
+      "bold steps",
+      "answer line",
+      "no preamble",
+    ]);
+  });
+
+  test("probes keep their wording", async () => {
+    expect(
+      await generateDynamicTargetedProbe(
+        "",
+        { subject: "Art", topic_struggles: "Drawing" },
+        2
+      )
+    ).toBe(`**Let's get more specific about Drawing.**
+
+When you see a Drawing problem, what's your **first thought**? Do you:
+• Know what to do but get confused halfway?
+• Feel completely lost where to start?
+• Have a method but it doesn't work?`);
+    expect(
+      registry.renderPrompt("probe_subject", {
+        topic: "optics",
+        subject: "Physical Sciences",
+        areas: ["mechanics", "waves"],
+      }).text
+    ).toContain(
+      "Common Physical Sciences areas include: **Mechanics**, **Waves**"
+    );
+  });
+});
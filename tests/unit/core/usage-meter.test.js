@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for the LLM Usage Meter
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 21:10:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+// In-memory rollups only (no llm_usage_daily table in tests)
+jest.mock("@supabase/supabase-js", () => ({ createClient: () => null }));
+
+const llm = require("../../../lib/core/llm-gateway");
+const meter = require("../../../lib/core/usage-meter");
+const analyticsModule = require("../../../lib/utils/analytics");
+const {
+  generateHomeworkHint,
+} = require("../../../lib/features/homework/hint-system");
+const {
+  generateRealAIQuestion,
+} = require("../../../lib/features/exam-prep/questions");
+
+// Reports 40 prompt + 10 completion tokens per call
+const metered = {
+  name: "openai",
+  async complete({ messages }) {
+    return {
+      text: messages[0].content.startsWith("Provide")
+        ? "**Step 1:** 2x = 8\n**Answer:** x = 4"
+        : "Think about what undoes multiplying by 2.",
+      usage: { prompt_tokens: 40, completion_tokens: 10, total_tokens: 50 },
+      model: "gpt-4o-mini-2024-07-18",
+    };
+  },
+};
+
+const PROFILE = {
+  subject: "Mathematics",
+  grade: "9",
+  topic_struggles: "Algebra",
+  specific_failure: "Linear equations",
+};
+const QUESTION = { text: "Solve 2x = 8", type: "unknown_type" };
+
+describe("Usage Meter Tests", () => {
+  let original;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    original = llm.setProvider(metered);
+  });
+
+  afterEach(() => {
+    llm.setProvider(original);
+    delete process.env.LLM_PRICES;
+    delete process.env.LLM_HOMEWORK_HINT_DAILY_TOKENS;
+  });
+
+  test("costs come from the price table", () => {
+    const usage = { prompt_tokens: 1000, completion_tokens: 1000 };
+    expect(meter.estimateCost("gpt-3.5-turbo", usage)).toBe(0.002);
+    expect(meter.estimateCost("gpt-4o-mini-2024-07-18", usage)).toBe(0.00075);
+    expect(meter.estimateCost("gpt-4o", usage)).toBe(0.0125);
+    expect(meter.estimateCost("local-llama", usage)).toBe(0);
+
+    process.env.LLM_PRICES = JSON.stringify({
+      "local-llama": { input: 0.0001, output: 0.0001 },
+    });
+    expect(meter.estimateCost("local-llama", usage)).toBe(0.0002);
+  });
+
+  test("calls roll up by user, feature and model", async () => {
+    const result = await llm.complete("homework_hint", {
+      messages: [{ role: "user", content: "hint please" }],
+      userId: "rollup-a",
+    });
+    expect(result.cost).toBe(0.000012);
+    await llm.complete("homework_answer", {
+      messages: [{ role: "user", content: "explain" }],
+      userId: "rollup-a",
+    });
+    await llm.complete("homework_hint", {
+      messages: [{ role: "user", content: "hint" }],
+    });
+
+    const rollup = meter.getDailyRollup();
+    expect(rollup.byUser["rollup-a"]).toEqual({
+      calls: 2,
+      total_tokens: 100,
+      cost_usd: 0.000024,
+    });
+    expect(rollup.byUser.system.calls).toBe(1);
+    expect(rollup.byFeature.homework_hint.calls).toBeGreaterThanOrEqual(2);
+    expect(rollup.byModel["gpt-4o-mini-2024-07-18"].total_tokens).toBe(
+      rollup.total_tokens
+    );
+    expect(meter.tokensUsed("rollup-a", { feature: "homework_answer" })).toBe(
+      50
+    );
+  });
+
+  test("over-budget users get offline content", async () => {
+    const track = jest.spyOn(analyticsModule, "trackEvent");
+    meter.setUserBudget("heavy", 100);
+
+    const first = await generateRealAIQuestion(PROFILE, "heavy");
+    expect(first).toMatchObject({ source: "ai", tokens_used: 100 });
+
+    const second = await generateRealAIQuestion(PROFILE, "heavy");
+    expect(second.source).not.toBe("ai");
+    await expect(
+      llm.complete("homework_hint", { messages: [], userId: "heavy" })
+    ).rejects.toMatchObject({ isBudgetExceeded: true });
+    expect(track).toHaveBeenCalledWith(
+      "heavy",
+      "llm_budget_exceeded",
+      expect.objectContaining({ scope: "user", used: 100, limit: 100 })
+    );
+    // Other students and system jobs are unaffected
+    expect(await meter.checkBudget("light", "exam_question")).toMatchObject({
+      allowed: true,
+    });
+    expect((await generateRealAIQuestion(PROFILE)).source).toBe("ai");
+
+    // Feature caps apply on their own
+    process.env.LLM_HOMEWORK_HINT_DAILY_TOKENS = "50";
+    expect(
+      await generateHomeworkHint(QUESTION, "stuck", "general", "hinter")
+    ).toMatchObject({ type: "ai" });
+    expect(
+      await generateHomeworkHint(QUESTION, "stuck", "general", "hinter")
+    ).toMatchObject({ type: "dynamic" });
+    expect(await meter.checkBudget("hinter", "homework_answer")).toMatchObject({
+      allowed: true,
+    });
+    track.mockRestore();
+  });
+});
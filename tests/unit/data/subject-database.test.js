@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Subject Database + CAPS Taxonomy
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 11:20:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  SUBJECT_STATUS,
+  CAPS_TAXONOMY,
+  normalizeGrade,
+  resolveCapsGrade,
+  getCapsTopics,
+  getCapsSubtopics,
+} = require("../../../lib/data/subject-database");
+
+describe("Subject Database Tests", () => {
+  test("normalizeGrade keeps Grade 12 and clamps outside 8–12", () => {
+    expect(normalizeGrade(12)).toBe(12);
+    expect(normalizeGrade("12")).toBe(12);
+    expect(normalizeGrade(13)).toBe(12);
+    expect(normalizeGrade(7)).toBe(8);
+    expect(normalizeGrade("abc")).toBeNull();
+  });
+
+  test("Grade 12 topics exist for every subject in SUBJECT_STATUS", () => {
+    Object.values(SUBJECT_STATUS).forEach(({ name }) => {
+      expect(CAPS_TAXONOMY[name]?.[12]).toBeDefined();
+      expect(getCapsTopics(name, 12).length).toBeGreaterThan(0);
+    });
+  });
+
+  test("every available subject has a full CAPS taxonomy", () => {
+    const available = Object.values(SUBJECT_STATUS).filter((s) => s.available);
+
+    available.forEach(({ name }) => {
+      const tree = CAPS_TAXONOMY[name];
+      if (!tree) throw new Error(`${name} is available but has no taxonomy`);
+
+      // FET grades are the minimum for every subject we offer
+      [10, 11, 12].forEach((grade) => {
+        const topics = tree[grade]?.topics || {};
+        if (Object.keys(topics).length === 0) {
+          throw new Error(`${name} Grade ${grade} has no topics`);
+        }
+        Object.entries(topics).forEach(([topic, subtopics]) => {
+          if (!Array.isArray(subtopics) || subtopics.length === 0) {
+            throw new Error(`${name} Grade ${grade} "${topic}" has no subtopics`);
+          }
+          expect(subtopics.join(" ")).not.toMatch(/^Topic \d+$/);
+        });
+      });
+    });
+  });
+
+  test("resolveCapsGrade snaps to the nearest grade a subject is offered in", () => {
+    expect(resolveCapsGrade("Accounting", 9)).toBe(10);
+    expect(resolveCapsGrade("English", 9)).toBe(9);
+    expect(resolveCapsGrade("Unknown Subject", 10)).toBeNull();
+  });
+
+  test("Grade 12 returns matric topics, not Grade 11 ones", () => {
+    expect(getCapsTopics("Mathematics", 12)).toContain(
+      "Differential Calculus"
+    );
+    expect(getCapsTopics("Mathematics", 11)).not.toContain(
+      "Differential Calculus"
+    );
+    expect(
+      getCapsSubtopics("Mathematics", 12, "differential calculus")
+    ).toContain("Optimisation and rates of change");
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for CAPS Topic Search
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 19:10:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  editDistance,
+  searchTopics,
+  resolveTopicQuery,
+} = require("../../../lib/data/topic-search");
+const {
+  CAPS_TAXONOMY,
+  getCapsSubtopics,
+} = require("../../../lib/data/subject-database");
+
+function matchFor(subject, grade, query) {
+  const { match } = resolveTopicQuery(subject, grade, query);
+  return match && [match.topic, match.subtopic];
+}
+
+describe("Topic Search Tests", () => {
+  test("synonyms and abbreviations reach the CAPS wording", () => {
+    expect(matchFor("Mathematics", 10, "parabolas")).toEqual([
+      "Functions & Graphs",
+      "Quadratic functions (parabola)",
+    ]);
+    expect(matchFor("Mathematics", 10, "hyperbola graphs")).toEqual([
+      "Functions & Graphs",
+      "Hyperbolic and exponential (intro)",
+    ]);
+    expect(matchFor("Mathematics", 11, "trig identities")).toEqual([
+      "Trigonometry",
+      "Trig identities (fundamental)",
+    ]);
+    expect(matchFor("Mathematics", 12, "derivatives")).toEqual([
+      "Differential Calculus",
+      "Rules of differentiation",
+    ]);
+    expect(matchFor("Physical Sciences", 12, "redox")).toEqual([
+      "Chemical Change",
+      "Electrochemical reactions",
+    ]);
+  });
+
+  test("typos are tolerated and broad queries resolve to the topic", () => {
+    expect(editDistance("trignometry", "trigonometry")).toBe(1);
+    expect(matchFor("Mathematics", 10, "Trignometry")).toEqual([
+      "Trigonometry",
+      null,
+    ]);
+    expect(matchFor("Mathematics", 10, "sequences")).toEqual([
+      "Patterns, Sequences & Series",
+      null,
+    ]);
+    expect(matchFor("Mathematics", 12, "compound interest")).toEqual([
+      "Finance, Growth & Decay",
+      null,
+    ]);
+    expect(searchTopics("Mathematics", 10, "banana")).toEqual([]);
+  });
+
+  test("ambiguous queries return a ranked shortlist", () => {
+    const { match, shortlist } = resolveTopicQuery(
+      "Mathematics",
+      10,
+      "equations"
+    );
+    expect(match).toBeNull();
+    expect(shortlist.map((r) => r.subtopic)).toEqual([
+      "Quadratic equations (solve)",
+      "Simultaneous linear equations",
+      "Trig equations (basic)",
+      "Equation of a straight line",
+    ]);
+    shortlist.slice(1).forEach((r, i) => {
+      expect(r.score).toBeLessThanOrEqual(shortlist[i].score);
+    });
+  });
+
+  test("a lone weak result is offered, not picked", () => {
+    for (const [grade, query, subtopic] of [
+      [10, "newtons laws", "Laws of exponents (incl. rational exponents)"],
+      [12, "parabolas", "Inverse functions (linear, quadratic, exponential)"],
+    ]) {
+      const { match, shortlist } = resolveTopicQuery(
+        "Mathematics",
+        grade,
+        query
+      );
+      expect(match).toBeNull();
+      expect(shortlist.map((r) => r.subtopic)).toEqual([subtopic]);
+    }
+    expect(matchFor("Physical Sciences", 11, "newtons laws")).toEqual([
+      "Mechanics",
+      "Newton’s laws",
+    ]);
+  });
+
+  test("getCapsSubtopics falls back to the search", () => {
+    const topics = CAPS_TAXONOMY.Mathematics[10].topics;
+    expect(getCapsSubtopics("Mathematics", 10, "trig")).toEqual(
+      topics.Trigonometry
+    );
+    expect(getCapsSubtopics("Mathematics", 10, "parabolas")).toEqual(
+      topics["Functions & Graphs"]
+    );
+    expect(getCapsSubtopics("Mathematics", 10, "banana")).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for the Placement Check
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 15:25:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  analyzeDiagnosticAnswer,
+  buildPlacementPlan,
+  nextPlacementItem,
+  recordPlacementAnswer,
+  summarizePlacement,
+} = require("../../../../lib/features/exam-prep/diagnostics");
+
+const subtopics = [
+  "Laws of exponents",
+  "Expressions",
+  "Quadratic equations",
+  "Simultaneous equations",
+  "Rational expressions",
+];
+
+function newPlan() {
+  return buildPlacementPlan({
+    subject: "Mathematics",
+    grade: 10,
+    topic: "Algebra",
+    subtopics,
+  });
+}
+
+function answer(plan, understanding) {
+  const item = nextPlacementItem(plan);
+  recordPlacementAnswer(plan, item, { understanding });
+  return item;
+}
+
+describe("Placement Check Tests", () => {
+  test("probes are spread across the subtopics and start at Standard", () => {
+    const plan = newPlan();
+    expect(plan.probes).toHaveLength(4);
+    expect(plan.probes[0]).toBe(subtopics[0]);
+    expect(plan.probes[3]).toBe(subtopics[4]);
+
+    const first = nextPlacementItem(plan);
+    expect(first).toEqual({
+      subtopic: subtopics[0],
+      level: 1,
+      difficulty: "mixed",
+    });
+  });
+
+  test("the staircase moves with each answer and stops after 2–4 items", () => {
+    const struggling = newPlan();
+    answer(struggling, "struggling");
+    expect(answer(struggling, "struggling").level).toBe(0);
+    expect(nextPlacementItem(struggling)).toBeNull();
+
+    const strong = newPlan();
+    answer(strong, "strong");
+    answer(strong, "strong");
+    expect(nextPlacementItem(strong).level).toBe(3);
+    answer(strong, "strong");
+    expect(nextPlacementItem(strong)).toBeNull();
+
+    const mixed = newPlan();
+    ["strong", "struggling", "strong", "struggling"].forEach((u) =>
+      answer(mixed, u)
+    );
+    expect(mixed.items).toHaveLength(4);
+    expect(nextPlacementItem(mixed)).toBeNull();
+  });
+
+  test("the summary picks the weakest subtopic and the level passed", () => {
+    const mixed = newPlan();
+    ["strong", "struggling", "strong", "partial"].forEach((u) =>
+      answer(mixed, u)
+    );
+    expect(summarizePlacement(mixed)).toEqual({
+      level: 1,
+      subtopic: subtopics[1],
+    });
+
+    const strong = newPlan();
+    ["strong", "strong", "strong"].forEach((u) => answer(strong, u));
+    expect(summarizePlacement(strong)).toEqual({
+      level: 3,
+      subtopic: subtopics[4],
+    });
+
+    const struggling = newPlan();
+    ["struggling", "struggling"].forEach((u) => answer(struggling, u));
+    expect(summarizePlacement(struggling).level).toBe(0);
+  });
+
+  test("answers with a memo are marked before the keyword fallback", async () => {
+    const question = {
+      questionText: "Solve for x: x² − 5x + 6 = 0",
+      solution: "**Step 1:** (x − 2)(x − 3) = 0\n**Answer:** x = 2 or x = 3",
+    };
+
+    const right = await analyzeDiagnosticAnswer("x = 2 or x = 3", question);
+    expect(right.understanding).toBe("strong");
+    expect(right.verdict).toBe("correct");
+
+    const wrong = await analyzeDiagnosticAnswer("x = 5", question);
+    expect(wrong.understanding).toBe("struggling");
+
+    const unsure = await analyzeDiagnosticAnswer("I don't know", question);
+    expect(unsure.understanding).toBe("struggling");
+
+    // Nothing to mark against → keyword analysis
+    const unmarked = await analyzeDiagnosticAnswer("Prices rise", {
+      questionText: "Explain inflation.",
+      solution: "",
+    });
+    expect(unmarked.verdict).toBeUndefined();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for the Graduated Hint Ladder
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 17:30:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  firstStep,
+  partialSetup,
+  nextHint,
+  formatHint,
+} = require("../../../../lib/features/exam-prep/hint-ladder");
+const {
+  loadQuestionBank,
+  toExamQuestion,
+} = require("../../../../lib/features/exam-prep/question-bank");
+const {
+  structureQuestion,
+  startParts,
+  currentPart,
+  recordPart,
+} = require("../../../../lib/features/exam-prep/structured-questions");
+const {
+  detectExamQuestionType,
+  generateExamHint,
+} = require("../../../../lib/features/homework/hint-system");
+
+const QUADRATIC = {
+  questionText: "Solve for x: x² − 5x − 6 = 0",
+  solution:
+    "**Step 1:** Factorise → (x − 6)(x + 1) = 0\n**Answer:** x = 6 or x = −1",
+};
+
+describe("Hint Ladder Tests", () => {
+  test("repeated hints climb from concept to the first step", () => {
+    const question = { ...QUADRATIC };
+    const options = { subtopic: "Quadratic equations (solve)" };
+    const rungs = [1, 2, 3, 4, 5].map(() => nextHint(question, options));
+
+    expect(rungs.map((r) => r.key)).toEqual([
+      "concept",
+      "strategy",
+      "setup",
+      "first_step",
+      "first_step",
+    ]);
+    expect(rungs[0].hint).toContain("two solutions");
+    expect(rungs[2].hint).toBe("Factorise → (x − □)(x + □) = 0");
+    expect(rungs[3].hint).toBe("Step 1: Factorise → (x − 6)(x + 1) = 0");
+    // Nothing before the last rung gives the roots away
+    rungs.slice(0, 3).forEach((r) => expect(r.hint).not.toMatch(/x − 6/));
+
+    expect(formatHint(rungs[0])).toContain("(1/4) — Concept reminder");
+    expect(formatHint(rungs[4])).toContain("last hint");
+  });
+
+  test("the set-up holds back the working", () => {
+    expect(partialSetup("Step 1: d = 9 − 5 = 4")).toBe("d = 9 − 5 = …");
+    expect(partialSetup("Divide by 2: x² − 7x = 0")).toBe(
+      "Divide by 2 → x² − □x = 0"
+    );
+    expect(partialSetup("Mitosis produces two identical cells")).toBeNull();
+    expect(firstStep("Prophase first\n**Answer:** Telophase")).toBe(
+      "Prophase first"
+    );
+  });
+
+  test("structured items restart the ladder for each part", () => {
+    const item = loadQuestionBank().find(
+      (i) => i.id === "math-g10-seq-arith-02"
+    );
+    const question = structureQuestion(toExamQuestion(item));
+    startParts(question);
+
+    const hintFor = () =>
+      nextHint(question, {
+        part: currentPart(question),
+        subtopic: "Arithmetic sequences",
+      });
+
+    const first = hintFor();
+    expect(hintFor().level).toBe(2);
+    expect(first.hint).toContain("Tₙ = a + (n − 1)d");
+
+    recordPart(question, { verdict: "skipped" });
+    expect(hintFor().level).toBe(1);
+  });
+
+  test("exam templates match subtopic first, then fall back", () => {
+    expect(detectExamQuestionType("Arithmetic sequences")).toBe(
+      "arithmetic_sequence"
+    );
+    expect(detectExamQuestionType("Ohm’s Law (intro)")).toBe("circuits");
+    expect(
+      generateExamHint(
+        { subtopic: "Arithmetic series", text: "Solve for n: Sₙ = 400" },
+        "strategy"
+      ).source
+    ).toBe("exam:arithmetic_sequence");
+
+    const fallback = generateExamHint(
+      { text: "Explain why the sky looks blue." },
+      "strategy"
+    );
+    expect(fallback.source).toBe("dynamic");
+    expect(fallback.hint).toBeTruthy();
+  });
+
+  test("exam templates need whole words, specific types first", () => {
+    expect(
+      detectExamQuestionType("Electric circuits (internal resistance)")
+    ).toBe("circuits");
+    expect(detectExamQuestionType("Sinking funds and deferred payments")).toBe(
+      "finance"
+    );
+    expect(detectExamQuestionType("Distance to a point (line form)")).toBe(
+      "analytical_geometry"
+    );
+    for (const subtopic of [
+      "Standard deviation (intro)",
+      "Triangles and quadrilaterals",
+      "Proportionality in triangles",
+    ]) {
+      expect(detectExamQuestionType(subtopic)).toBeNull();
+    }
+    expect(detectExamQuestionType("Reduction formulae")).toBe("trigonometry");
+    expect(detectExamQuestionType("Solve sin2x = cos x for x")).toBe(
+      "trigonometry"
+    );
+
+    // Cubic items mention x² too
+    expect(detectExamQuestionType("Factor & remainder theorems")).toBe(
+      "cubic_polynomial"
+    );
+    expect(
+      generateExamHint(
+        {
+          text: "Given f(x) = x³ + 2x² − 5x − 6, show that (x + 1) is a factor",
+        },
+        "concept"
+      ).source
+    ).toBe("exam:cubic_polynomial");
+    expect(detectExamQuestionType("Solve for x: x² − 5x − 6 = 0")).toBe(
+      "quadratic_equation"
+    );
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Topic Practice Answer Marking
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 09:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  gradeAnswer,
+  extractFinalAnswers,
+} = require("../../../../lib/features/exam-prep/marking");
+
+describe("Answer Marking Tests", () => {
+  const linear = {
+    questionText: "Solve for x: 3x − 7 = 2x + 5",
+    solution:
+      "**Step 1:** Group like terms → 3x − 2x = 5 + 7 → x = 12\n**Check:** 3(12) − 7 = 29 and 2(12) + 5 = 29 ✓",
+  };
+
+  test("extractFinalAnswers ignores check lines", () => {
+    expect(extractFinalAnswers(linear.solution)).toEqual(["x = 12"]);
+  });
+
+  test("gradeAnswer accepts equivalent numeric answers", () => {
+    expect(gradeAnswer("x = 12", linear).verdict).toBe("correct");
+    expect(gradeAnswer("12", linear).verdict).toBe("correct");
+    expect(gradeAnswer("x = 13", linear).verdict).toBe("incorrect");
+  });
+
+  test("gradeAnswer applies numeric tolerance to fractions and decimals", () => {
+    const probability = {
+      questionText: "Find the probabilities.",
+      solution: "**Therefore:** 7/20, 3/20, and 1/4 respectively.",
+    };
+
+    expect(gradeAnswer("0.35; 0.15; 0.25", probability).verdict).toBe(
+      "correct"
+    );
+    expect(gradeAnswer("0,35; 0,15; 0,25", probability).verdict).toBe(
+      "correct"
+    );
+  });
+
+  test("gradeAnswer keeps small answers apart", () => {
+    const memo = (answer) => ({
+      questionText: "Calculate the value.",
+      solution: `**Step 1:** Working\n**Answer:** ${answer}`,
+    });
+
+    // No fixed 0,01 floor: the memo's own precision decides
+    expect(gradeAnswer("0,004 A", memo("0,012 A")).verdict).toBe("incorrect");
+    expect(gradeAnswer("0.001", memo("0.009")).verdict).toBe("incorrect");
+    expect(gradeAnswer("x = 0", memo("x = 0.008")).verdict).toBe("incorrect");
+    expect(gradeAnswer("0,02", memo("0,03")).verdict).toBe("incorrect");
+    expect(gradeAnswer("0,0123 A", memo("0,012 A")).verdict).toBe("correct");
+    expect(gradeAnswer("0.045", memo("0,045")).verdict).toBe("correct");
+    expect(gradeAnswer("8,385", memo("8,39")).verdict).toBe("correct");
+    // Exact memos accept the student's rounding
+    expect(gradeAnswer("0,33", memo("1/3")).verdict).toBe("correct");
+  });
+
+  test("gradeAnswer recognises equivalent algebraic forms", () => {
+    const factorise = {
+      questionText: "Factorise completely: 2x² − 5x − 12",
+      solution: "**Step 4:** Factor common binomial\n= (x − 4)(2x + 3)",
+    };
+
+    expect(gradeAnswer("(2x+3)(x-4)", factorise).verdict).toBe("correct");
+
+    const unfactorised = gradeAnswer("2x^2 - 5x - 12", factorise);
+    expect(unfactorised.verdict).toBe("partial");
+    expect(unfactorised.feedback).toContain("factorised");
+  });
+
+  test("gradeAnswer gives partial credit on multi-answer questions", () => {
+    const trig = {
+      questionText: "Solve for x in 0° ≤ x < 360°: sin x = 1/2",
+      solution: "Solutions: x = 30°, 150°.",
+    };
+
+    const half = gradeAnswer("x = 30°", trig);
+    expect(half.verdict).toBe("partial");
+    expect(half.matched).toBe(1);
+    expect(half.total).toBe(2);
+
+    expect(gradeAnswer("30° or 150°", trig).verdict).toBe("correct");
+    expect(gradeAnswer("30, 150, 210", trig).verdict).toBe("partial");
+  });
+
+  test("gradeAnswer marks written answers by key-term coverage", () => {
+    const written = {
+      questionText: "Explain the difference between weather and climate.",
+      solution:
+        "Weather: short-term conditions.\nClimate: long-term average (30+ years).",
+    };
+
+    expect(
+      gradeAnswer(
+        "Weather is the short-term conditions and climate is the long-term average",
+        written
+      ).verdict
+    ).toBe("correct");
+    expect(gradeAnswer("idk", written).verdict).toBe("incorrect");
+  });
+
+  test("gradeAnswer reads units, scientific notation and coordinates", () => {
+    const kinematics = {
+      solution: "**Answer:** a = 2,5 m·s⁻²; Δx = 80 m ✓",
+    };
+    expect(gradeAnswer("a = 2,5 m/s2; 80 m", kinematics).verdict).toBe(
+      "correct"
+    );
+
+    const photo = { solution: "**Answer:** E_k(max) = 7,78 × 10⁻²⁰ J ✓" };
+    expect(gradeAnswer("7,78 x 10^-20 J", photo).verdict).toBe("correct");
+
+    const parabola = {
+      solution: "**Answer:** turning point (−5; 9); y-intercept = 34",
+    };
+    expect(gradeAnswer("(-5;9) and 34", parabola).verdict).toBe("correct");
+
+    const probability = { solution: "**Answer:** P(A and B) = 0,15" };
+    expect(gradeAnswer("P(A and B) = 0,15", probability).verdict).toBe(
+      "correct"
+    );
+  });
+});
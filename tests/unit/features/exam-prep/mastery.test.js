@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for the Mastery Model
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 14:20:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  getMastery,
+  masteryPercent,
+  outcomeCredit,
+  recordOutcome,
+  recommendLevel,
+  weakestSubtopics,
+} = require("../../../../lib/features/exam-prep/mastery");
+
+const factorising = {
+  subject: "Mathematics",
+  grade: 10,
+  topic: "Algebra",
+  subtopic: "Factorisation",
+};
+const exponents = { ...factorising, subtopic: "Laws of exponents" };
+
+describe("Mastery Model Tests", () => {
+  test("new subtopics start at Foundation with 50% mastery", () => {
+    const entry = getMastery({}, factorising);
+    expect(entry.attempts).toBe(0);
+    expect(masteryPercent(entry)).toBe(50);
+    expect(recommendLevel(entry)).toBe(0);
+  });
+
+  test("help lowers the credit for an answer", () => {
+    expect(outcomeCredit("correct")).toBe(1);
+    expect(outcomeCredit("correct", { hintUsed: true })).toBeLessThan(1);
+    expect(outcomeCredit("partial")).toBe(0.5);
+    expect(outcomeCredit("correct", { solutionViewed: true })).toBe(0);
+  });
+
+  test("unaided correct answers raise mastery and the difficulty level", () => {
+    const store = {};
+    let entry;
+    for (let i = 0; i < 4; i++) {
+      entry = recordOutcome(store, factorising, {
+        verdict: "correct",
+        level: recommendLevel(getMastery(store, factorising)),
+      });
+    }
+    expect(entry.attempts).toBe(4);
+    expect(entry.correct).toBe(4);
+    expect(masteryPercent(entry)).toBeGreaterThan(70);
+    expect(recommendLevel(entry)).toBeGreaterThan(0);
+
+    const hinted = recordOutcome({}, factorising, {
+      verdict: "correct",
+      level: 0,
+      hintUsed: true,
+    });
+    const unaided = recordOutcome({}, factorising, {
+      verdict: "correct",
+      level: 0,
+    });
+    expect(hinted.rating).toBeLessThan(unaided.rating);
+  });
+
+  test("weakest subtopics are filtered by subject/grade and sorted", () => {
+    const store = {};
+    recordOutcome(store, factorising, { verdict: "correct", level: 0 });
+    recordOutcome(store, exponents, { verdict: "incorrect", level: 0 });
+    recordOutcome(store, exponents, {
+      verdict: "solution",
+      solutionViewed: true,
+    });
+    recordOutcome(
+      store,
+      { ...factorising, subject: "Physical Sciences" },
+      { verdict: "incorrect", level: 0 }
+    );
+
+    const weakest = weakestSubtopics(store, {
+      subject: "Mathematics",
+      grade: 10,
+    });
+    expect(weakest.map((e) => e.subtopic)).toEqual([
+      "Laws of exponents",
+      "Factorisation",
+    ]);
+    expect(weakest[0].solutions).toBe(1);
+    expect(weakest[0].percent).toBeLessThan(weakest[1].percent);
+  });
+});
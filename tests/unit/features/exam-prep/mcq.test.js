@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Multiple-Choice Practice Items
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 15:55:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  buildMultipleChoice,
+  parseChoice,
+  gradeChoice,
+  formatOptions,
+} = require("../../../../lib/features/exam-prep/mcq");
+const {
+  generateTemplateQuestion,
+} = require("../../../../lib/features/exam-prep/question-templates");
+const {
+  generateExamQuestions,
+} = require("../../../../lib/features/exam-prep/questions");
+
+function memo(answer) {
+  return `**Step 1:** Working\n**Answer:** ${answer}`;
+}
+
+describe("Multiple-Choice Tests", () => {
+  test("template items get misconception distractors in a stable order", () => {
+    const question = generateTemplateQuestion(
+      { subject: "Mathematics" },
+      { seed: 7, templateId: "math-quadratic-equation" }
+    );
+    const item = buildMultipleChoice(question);
+
+    expect(item.options.map((o) => o.label)).toEqual(["A", "B", "C", "D"]);
+    expect(item.options.filter((o) => o.correct)).toHaveLength(1);
+    const misconceptions = item.options.map((o) => o.misconception);
+    expect(misconceptions).toContain("roots_from_brackets");
+    expect(misconceptions).toContain("one_root");
+    item.options
+      .filter((o) => !o.correct)
+      .forEach((o) => expect(o.why).toBeTruthy());
+
+    expect(buildMultipleChoice(question)).toEqual(item);
+  });
+
+  test("generic misconceptions fit the answer", () => {
+    const series = buildMultipleChoice({
+      questionText: "Calculate the sum of the first 20 terms: 3 + 7 + 11 + …",
+      solution: memo("S₂₀ = 820 ✓"),
+    });
+    const texts = series.options.map((o) => o.text);
+    expect(texts).toContain("S₂₀ = 820");
+    expect(texts).toContain("S₂₀ = 1640");
+
+    // Lengths are never offered as negative values
+    const side = buildMultipleChoice({
+      questionText:
+        "In right-angled ΔPQR, PQ = 7 cm and QR = 24 cm. Calculate PR.",
+      solution: memo("PR = 25 cm"),
+    });
+    expect(side.options.some((o) => o.text.includes("−"))).toBe(false);
+    expect(side.options.map((o) => o.text)).toContain("PR = 625 cm");
+
+    // Nothing computable → stays open-ended
+    expect(
+      buildMultipleChoice({
+        questionText: "Explain what causes inflation.",
+        solution: memo("Demand-pull and cost-push pressure on prices"),
+      })
+    ).toBeNull();
+  });
+
+  test("A–D replies are graded and wrong picks are explained", () => {
+    const item = buildMultipleChoice({
+      questionText: "Solve for x: x² − 5x − 6 = 0",
+      solution: memo("x = 6 or x = −1"),
+    });
+    const right = item.answer;
+    const wrong = item.options.find((o) => o.misconception === "one_root");
+
+    expect(parseChoice(" b) ")).toBe("B");
+    expect(parseChoice("(c)")).toBe("C");
+    expect(parseChoice("option d")).toBe("D");
+    expect(parseChoice("x = 6")).toBeNull();
+
+    expect(gradeChoice(item, right).verdict).toBe("correct");
+    const result = gradeChoice(item, wrong.label);
+    expect(result.verdict).toBe("incorrect");
+    expect(result.misconception).toBe("one_root");
+    expect(result.feedback).toContain("two solutions");
+    expect(formatOptions(item).split("\n")).toHaveLength(4);
+  });
+
+  test("generateExamQuestions adds options when format is mcq", async () => {
+    const profile = {
+      subject: "Mathematics",
+      grade: "10",
+      topic_struggles: "Algebra",
+      specific_failure: "Quadratic equations (solve)",
+    };
+
+    const open = await generateExamQuestions(profile, 1);
+    expect(open.questions[0].mcq).toBeUndefined();
+
+    const { questions, metadata } = await generateExamQuestions(
+      { ...profile, format: "mcq" },
+      1
+    );
+    expect(questions[0].source).toBe("bank");
+    expect(questions[0].mcq.options).toHaveLength(4);
+    expect(metadata.mcq).toBe(1);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Misconception Classification
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 17:55:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  classifyMisconception,
+  recordMisconception,
+  recurringMisconceptions,
+  formatMisconception,
+} = require("../../../../lib/features/exam-prep/misconceptions");
+const {
+  generateTemplateQuestion,
+} = require("../../../../lib/features/exam-prep/question-templates");
+
+function memo(answer) {
+  return `**Step 1:** Working\n**Answer:** ${answer}`;
+}
+
+function classify(answer, questionText, solutionAnswer, context) {
+  const found = classifyMisconception(
+    answer,
+    { questionText, solution: memo(solutionAnswer) },
+    context
+  );
+  return found && found.id;
+}
+
+describe("Misconception Tests", () => {
+  test("wrong answers are matched to the misconception catalogue", () => {
+    const quadratic = "Solve for x: x² − 5x − 6 = 0";
+    expect(classify("x = −6 or x = 1", quadratic, "x = 6 or x = −1")).toBe(
+      "sign_error"
+    );
+    expect(classify("x = 6", quadratic, "x = 6 or x = −1")).toBe("one_root");
+    expect(classify("x² + 9", "Expand (x + 3)²", "x² + 6x + 9")).toBe(
+      "exponent_over_addition"
+    );
+    expect(
+      classify(
+        "QR = 6,43 cm",
+        "In right-angled ΔPQR, Q = 90°, P = 40° and PQ = 10 cm. Calculate QR.",
+        "QR = 8,39 cm"
+      )
+    ).toBe("trig_ratio_mixup");
+    expect(
+      classify("θ = 53,13°", "In ΔABC, tan θ = 3/4. Find θ.", "θ = 36,87°")
+    ).toBe("trig_ratio_mixup");
+    expect(
+      classify("25 m", "A car travels at 90 km/h for 10 s. How far?", "250 m")
+    ).toBe("unit_conversion");
+    expect(classify("5 kg", "What is the weight?", "5 N")).toBe("wrong_unit");
+    expect(
+      classify(
+        "Meiosis",
+        "Which division produces new skin cells?",
+        "Mitosis",
+        { subtopic: "Mitosis" }
+      )
+    ).toBe("mitosis_meiosis");
+    expect(classify("banana", "Solve for x: 2x + 3 = 15", "x = 6")).toBeNull();
+  });
+
+  test("slips, unit conversions and trig need evidence", () => {
+    // A slip needs working that reaches the memo's values
+    const linear = {
+      questionText: "Solve for x: 2x + 3 = 15",
+      solution: "**Step 1:** 2x = 12\n**Step 2:** x = 6\n**Answer:** x = 6",
+    };
+    expect(classifyMisconception("2x = 12, so x = 7", linear).id).toBe(
+      "arithmetic_slip"
+    );
+    expect(classifyMisconception("x = 7", linear)).toBeNull();
+    expect(classifyMisconception("2x = 18, so x = 7", linear)).toBeNull();
+
+    // No units anywhere: a factor of 60 is not a conversion
+    expect(classify("x = 120", "Solve for x: 5x + 3 = 13", "x = 2")).toBeNull();
+
+    // The "tan" in "instant" is not trigonometry
+    expect(
+      classify(
+        "θ = 30,96°",
+        "At the instant the ladder slips, find the angle θ it makes with the ground.",
+        "θ = 36,87°"
+      )
+    ).toBeNull();
+  });
+
+  test("a template's own misconceptions are recognised", () => {
+    const question = generateTemplateQuestion(
+      { subject: "Mathematics" },
+      { seed: 7, templateId: "math-quadratic-equation" }
+    );
+    const trap = question.distractors.find(
+      (d) => d.id === "roots_from_brackets"
+    );
+    const found = classifyMisconception(trap.answer, question);
+    expect(found.id).toBe("roots_from_brackets");
+    expect(found.label).toBe("Roots from brackets");
+  });
+
+  test("counts are kept per user and recurring mistakes surface", () => {
+    const store = {};
+    const sign = {
+      id: "sign_error",
+      label: "Sign error",
+      why: "Sign error: x",
+    };
+    recordMisconception(store, sign, {
+      subject: "Mathematics",
+      subtopic: "Quadratic equations (solve)",
+    });
+    expect(recurringMisconceptions(store)).toEqual([]);
+    expect(formatMisconception(sign, store.sign_error)).toBe(
+      "🔎 **Sign error**: x"
+    );
+
+    const entry = recordMisconception(store, sign, {
+      subject: "Mathematics",
+      subtopic: "Linear equations",
+    });
+    recordMisconception(
+      store,
+      { id: "mass_weight", label: "Mass vs weight" },
+      { subject: "Physical Sciences" }
+    );
+    expect(entry).toMatchObject({
+      count: 2,
+      subjects: { Mathematics: 2 },
+      subtopics: { "Quadratic equations (solve)": 1, "Linear equations": 1 },
+    });
+    expect(
+      recurringMisconceptions(store, { subject: "Mathematics" }).map(
+        (e) => e.id
+      )
+    ).toEqual(["sign_error"]);
+    expect(
+      recurringMisconceptions(store, { subject: "Physical Sciences" })
+    ).toEqual([]);
+    expect(formatMisconception(sign, entry)).toContain("2× so far");
+  });
+});
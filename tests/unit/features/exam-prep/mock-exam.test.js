@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for Mock Exam / Class Test Mode
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 10:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  MODES,
+  parsePaperChoice,
+  buildPaperPlan,
+  splitIntoParts,
+  markResponse,
+  timeRemainingMs,
+  isTimeUp,
+  pauseExam,
+  resumeExam,
+  finishExam,
+  buildMarkedScript,
+} = require("../../../../lib/features/exam-prep/mock-exam");
+
+describe("Mock Exam Tests", () => {
+  test("parsePaperChoice reads paper number and mode", () => {
+    expect(parsePaperChoice("mock maths 11 P2")).toEqual({
+      paper: 2,
+      mode: "exam",
+    });
+    expect(parsePaperChoice("class test paper 1")).toEqual({
+      paper: 1,
+      mode: "test",
+    });
+  });
+
+  test("buildPaperPlan uses CAPS topics for the chosen paper", () => {
+    const exam = buildPaperPlan({
+      subject: "Mathematics",
+      grade: 11,
+      paper: 2,
+      mode: "test",
+    });
+
+    expect(exam.items).toHaveLength(MODES.test.questions);
+    expect(exam.durationMinutes).toBe(MODES.test.minutes);
+    exam.items.forEach((it) => {
+      expect(it.topic).toMatch(/trig|geometry|statistic|measurement/i);
+      expect(it.marks).toBeGreaterThan(0);
+    });
+    expect(exam.totalMarks).toBe(
+      exam.items.reduce((sum, it) => sum + it.marks, 0)
+    );
+  });
+
+  test("splitIntoParts numbers sub-questions and keeps the mark total", () => {
+    const parts = splitIntoParts(
+      "Given f(x) = x² − 4:\na) Find the roots\nb) Find the turning point",
+      3,
+      7
+    );
+    expect(parts.map((p) => p.label)).toEqual(["3.1", "3.2"]);
+    expect(parts.reduce((sum, p) => sum + p.marks, 0)).toBe(7);
+
+    expect(splitIntoParts("Solve for x: 2x = 8", 1, 5)).toEqual([
+      { label: "1", marks: 5 },
+    ]);
+  });
+
+  test("markResponse awards marks per sub-question", () => {
+    const item = {
+      number: 2,
+      marks: 6,
+      question: {
+        questionText: "a) Solve 2x = 8\nb) Solve x + 1 = 4",
+        solution: "a) 2x = 8 → x = 4\nb) x + 1 = 4 → x = 3",
+        parts: [
+          { label: "2.1", marks: 3 },
+          { label: "2.2", marks: 3 },
+        ],
+      },
+    };
+
+    const marked = markResponse(item, "x = 4\nx = 5");
+    expect(marked.parts.map((p) => p.awarded)).toEqual([3, 0]);
+    expect(marked.awarded).toBe(3);
+  });
+
+  test("timer stops while paused and expires after the limit", () => {
+    const exam = buildPaperPlan({ subject: "Mathematics", grade: 10 });
+    const start = exam.resumedAt;
+    const limit = exam.durationMinutes * 60000;
+
+    pauseExam(exam, start + 10 * 60000);
+    expect(timeRemainingMs(exam, start + 60 * 60000)).toBe(limit - 10 * 60000);
+
+    resumeExam(exam, start + 60 * 60000);
+    expect(isTimeUp(exam, start + 60 * 60000 + limit - 10 * 60000)).toBe(true);
+  });
+
+  test("buildMarkedScript shows totals, percentage and memo", () => {
+    const exam = buildPaperPlan({ subject: "Mathematics", grade: 10 });
+    exam.items[0].question = {
+      questionText: "Solve for x: 2x = 8",
+      solution: "x = 4",
+      parts: [{ label: "1", marks: exam.items[0].marks }],
+    };
+    exam.items[0].response = markResponse(exam.items[0], "x = 4");
+
+    const result = finishExam(exam, exam.resumedAt + 5 * 60000);
+    expect(result.awarded).toBe(exam.items[0].marks);
+    expect(result.percentage).toBe(
+      Math.round((exam.items[0].marks / exam.totalMarks) * 100)
+    );
+
+    const script = buildMarkedScript(exam);
+    expect(script).toContain(`${result.percentage}%`);
+    expect(script).toContain("Memo");
+    expect(script).toContain("(not answered)");
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for the Curated Past-Paper Question Bank
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 12:20:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  validateBankItem,
+  loadQuestionBank,
+  findBankQuestions,
+  toExamQuestion,
+} = require("../../../../lib/features/exam-prep/question-bank");
+const { gradeAnswer } = require("../../../../lib/features/exam-prep/marking");
+
+const item = (overrides = {}) => ({
+  id: "math-g10-test-01",
+  subject: "Mathematics",
+  grade: 10,
+  topic: "Algebra",
+  subtopic: "Quadratic equations (solve)",
+  difficulty: "simplified",
+  marks: 3,
+  question: "Solve for x: x² − 5x − 6 = 0",
+  memo: "**Answer:** x = 6 or x = −1",
+  ...overrides,
+});
+
+describe("Question Bank Tests", () => {
+  test("validateBankItem reports missing and invalid fields", () => {
+    expect(validateBankItem(item())).toEqual([]);
+    expect(validateBankItem(item({ memo: "" }))).toContain("missing memo");
+    expect(validateBankItem(item({ grade: "ten" }))).toContain(
+      "grade must be an integer"
+    );
+    expect(validateBankItem(item({ difficulty: "hard" })).length).toBe(1);
+  });
+
+  test("loadQuestionBank lets a newer file version replace items", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-"));
+    try {
+      fs.writeFileSync(
+        path.join(dir, "maths.v1.json"),
+        JSON.stringify({ items: [item(), item({ id: "bad", marks: 0 })] })
+      );
+      fs.writeFileSync(
+        path.join(dir, "maths.v2.json"),
+        JSON.stringify({ items: [item({ marks: 4 })] })
+      );
+
+      const items = loadQuestionBank({ dir });
+      expect(items).toHaveLength(1);
+      expect(items[0].marks).toBe(4);
+      expect(items[0].bankVersion).toBe(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("findBankQuestions matches subject, grade and subtopic", () => {
+    const items = [
+      item(),
+      item({ id: "other-sub", subtopic: "Simultaneous linear equations" }),
+      item({ id: "other-grade", grade: 11 }),
+    ];
+    const profile = {
+      subject: "Mathematics",
+      grade: 10,
+      topic_struggles: "Algebra",
+      specific_failure: "Quadratic equations (solve)",
+    };
+
+    const found = findBankQuestions(profile, { count: 3, items });
+    expect(found.map((i) => i.id)).toEqual(["math-g10-test-01"]);
+
+    expect(
+      findBankQuestions(profile, {
+        count: 3,
+        items,
+        excludeIds: ["math-g10-test-01"],
+      })
+    ).toEqual([]);
+
+    // Topic-level requests accept any subtopic in the topic
+    const topicLevel = findBankQuestions(
+      { ...profile, specific_failure: "Algebra fundamentals" },
+      { count: 3, items }
+    );
+    expect(topicLevel).toHaveLength(2);
+  });
+
+  test("toExamQuestion keeps the memo and marks", () => {
+    const q = toExamQuestion({ ...item(), bankVersion: 1 });
+    expect(q).toMatchObject({
+      questionText: item().question,
+      solution: item().memo,
+      marks: 3,
+      source: "bank",
+      bankId: "math-g10-test-01",
+    });
+  });
+
+  test("every shipped bank item is valid and its memo marks as correct", () => {
+    const items = loadQuestionBank({ reload: true });
+    expect(items.length).toBeGreaterThan(0);
+
+    items
+      .filter((i) => ["Mathematics", "Physical Sciences"].includes(i.subject))
+      .forEach((i) => {
+        const answer = i.memo
+          .split("\n")
+          .pop()
+          .replace(/^\*\*Answer:\*\*\s*/, "");
+        const result = gradeAnswer(answer, {
+          questionText: i.question,
+          solution: i.memo,
+        });
+        if (result.verdict !== "correct") {
+          throw new Error(`${i.id} memo answer graded ${result.verdict}`);
+        }
+      });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for the Practice Question Cache
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 19:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+// Memory cache only (no content_storage table in tests)
+jest.mock("@supabase/supabase-js", () => ({ createClient: () => null }));
+
+const llm = require("../../../../lib/core/llm-gateway");
+const {
+  POOL_SIZE,
+  getCachedQuestion,
+  cacheQuestion,
+  popularProfiles,
+  preloadPopular,
+} = require("../../../../lib/features/exam-prep/question-cache");
+const {
+  fingerprintQuestion,
+} = require("../../../../lib/features/exam-prep/question-ledger");
+const {
+  generateExamQuestions,
+} = require("../../../../lib/features/exam-prep/questions");
+
+function profileFor(subtopic) {
+  return {
+    subject: "Mathematics",
+    grade: "10",
+    topic_struggles: "Algebra",
+    specific_failure: subtopic,
+    difficulty: "mixed",
+    structured: false,
+  };
+}
+
+describe("Question Cache Tests", () => {
+  const respond = jest.fn();
+  let original;
+
+  beforeAll(() => {
+    original = llm.setProvider(llm.createFakeProvider({ respond }));
+  });
+
+  afterAll(() => {
+    llm.setProvider(original);
+  });
+
+  test("cached questions are served unseen-first from a rotating pool", async () => {
+    const profile = profileFor("Pool test");
+    expect(await getCachedQuestion(profile)).toBeNull();
+
+    for (let i = 1; i <= POOL_SIZE + 1; i++) {
+      await cacheQuestion(profile, {
+        questionText: `Solve for x: x + ${i} = 10`,
+        solution: `**Step 1:** x = 10 − ${i}\n**Answer:** x = ${10 - i}`,
+        marks: 2,
+        source: "ai",
+      });
+    }
+
+    // Slot 0 was overwritten by the sixth question
+    const first = await getCachedQuestion(profile);
+    expect(first).toMatchObject({
+      questionText: `Solve for x: x + ${POOL_SIZE + 1} = 10`,
+      marks: 2,
+      source: "offline_storage",
+      cachedFrom: "ai",
+    });
+
+    const next = await getCachedQuestion(
+      profile,
+      new Set([fingerprintQuestion(first)])
+    );
+    expect(next.questionText).toBe("Solve for x: x + 2 = 10");
+    // Other difficulties are a different key
+    expect(
+      await getCachedQuestion({ ...profile, difficulty: "advanced" })
+    ).toBeNull();
+  });
+
+  test("AI questions are stored and served when the provider is down", async () => {
+    const profile = profileFor("Linear equations (cache test)");
+    respond
+      .mockReturnValueOnce("Solve for x: 5x + 2 = 17")
+      .mockReturnValueOnce("Step 1: 5x = 15\nAnswer: x = 3");
+
+    const first = await generateExamQuestions(profile, 1);
+    expect(first.questions[0].source).toBe("ai");
+
+    respond.mockClear();
+    respond.mockImplementation(() => {
+      throw new Error("network down");
+    });
+    const second = await generateExamQuestions(profile, 1);
+    expect(respond).not.toHaveBeenCalled();
+    expect(second.questions[0].source).toBe("offline_storage");
+    expect(second.questions[0].questionText).toContain("5x + 2 = 17");
+    expect(second.metadata.cached).toBe(1);
+
+    // Seen by this student → generated again (offline template here)
+    const third = await generateExamQuestions(
+      {
+        ...profile,
+        seen_fingerprints: [fingerprintQuestion("Solve for x: 5x + 2 = 17")],
+      },
+      1
+    );
+    expect(third.questions[0].source).not.toBe("offline_storage");
+    respond.mockReset();
+  });
+
+  test("the preloader warms the most requested subtopics", async () => {
+    const busy = profileFor("Preload busy");
+    const quiet = profileFor("Preload quiet");
+    for (let i = 0; i < 4; i++) await getCachedQuestion(busy);
+    await getCachedQuestion(quiet);
+
+    const popular = popularProfiles();
+    expect(popular[0].specific_failure).toBe("Preload busy");
+    expect(popular).toContainEqual(quiet);
+    // Full pools need no warming
+    expect(popular).not.toContainEqual(profileFor("Pool test"));
+
+    const generate = jest.fn(async (profile) => ({
+      questionText: `Warm-up for ${profile.specific_failure}`,
+      solution: "**Answer:** 1",
+      source: "ai",
+    }));
+    expect(await preloadPopular(generate, { limit: 1 })).toBe(1);
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect((await getCachedQuestion(busy)).questionText).toBe(
+      "Warm-up for Preload busy"
+    );
+  });
+});
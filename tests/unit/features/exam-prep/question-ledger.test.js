@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for the Seen-Question Ledger
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 18:45:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const llm = require("../../../../lib/core/llm-gateway");
+const {
+  MAX_ENTRIES,
+  fingerprintQuestion,
+  pruneLedger,
+  recordSeen,
+  hasSeen,
+  seenFingerprints,
+} = require("../../../../lib/features/exam-prep/question-ledger");
+const {
+  generateExamQuestions,
+} = require("../../../../lib/features/exam-prep/questions");
+const {
+  loadQuestionBank,
+} = require("../../../../lib/features/exam-prep/question-bank");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-10-19T18:45:00.000Z");
+
+describe("Question Ledger Tests", () => {
+  const respond = jest.fn(() => "Mock AI response");
+  let original;
+
+  beforeAll(() => {
+    original = llm.setProvider(llm.createFakeProvider({ respond }));
+  });
+
+  afterAll(() => {
+    llm.setProvider(original);
+  });
+
+  test("near-identical wording shares a fingerprint", () => {
+    const base = fingerprintQuestion("Solve for x: x² − 5x − 6 = 0");
+    expect(fingerprintQuestion("**Solve for x** x² - 5x - 6 = 0.")).toBe(base);
+    expect(
+      fingerprintQuestion({ questionText: "solve  for x:\nx² – 5x – 6 = 0" })
+    ).toBe(base);
+    expect(fingerprintQuestion("Solve for x: x² − 5x + 6 = 0")).not.toBe(base);
+
+    expect(fingerprintQuestion("Find the mean of 2,5 and 3,5")).toBe(
+      fingerprintQuestion("Find the mean of 2.5 and 3.5")
+    );
+    expect(fingerprintQuestion("")).toBeNull();
+  });
+
+  test("the ledger is bounded by age and size", () => {
+    const ledger = {};
+    recordSeen(ledger, "Old question", NOW - 61 * DAY_MS);
+    recordSeen(ledger, "Recent question", NOW - DAY_MS);
+    expect(hasSeen(ledger, "Old question", NOW)).toBe(false);
+    expect(hasSeen(ledger, "recent question.", NOW)).toBe(true);
+    expect(seenFingerprints(ledger, NOW)).toEqual([
+      fingerprintQuestion("Recent question"),
+    ]);
+
+    pruneLedger(ledger, NOW);
+    expect(Object.keys(ledger)).toHaveLength(1);
+
+    for (let i = 0; i <= MAX_ENTRIES; i++) {
+      recordSeen(ledger, `Question ${i}`, NOW + i);
+    }
+    expect(Object.keys(ledger)).toHaveLength(MAX_ENTRIES);
+    expect(hasSeen(ledger, "Recent question", NOW + MAX_ENTRIES)).toBe(false);
+    expect(hasSeen(ledger, `Question ${MAX_ENTRIES}`, NOW + MAX_ENTRIES)).toBe(
+      true
+    );
+  });
+
+  test("a repeated AI question is regenerated with the repeat named", async () => {
+    respond.mockClear();
+    respond
+      .mockReturnValueOnce("Solve for x: 2x + 3 = 15")
+      .mockReturnValueOnce("Step 1: 2x = 12\nAnswer: x = 6")
+      .mockReturnValueOnce("Solve for x: 4x − 1 = 11")
+      .mockReturnValueOnce("Step 1: 4x = 12\nAnswer: x = 3");
+
+    const { questions, metadata } = await generateExamQuestions(
+      {
+        subject: "Mathematics",
+        grade: "10",
+        topic_struggles: "Algebra",
+        specific_failure: "Linear equations (ledger test)",
+        seen_fingerprints: [fingerprintQuestion("Solve for x: 2x + 3 = 15")],
+      },
+      1
+    );
+
+    expect(respond).toHaveBeenCalledTimes(4);
+    expect(respond.mock.calls[2][0].messages[0].content).toContain(
+      "• Solve for x: 2x + 3 = 15"
+    );
+    expect(questions[0].questionText).toContain("4x");
+    expect(metadata.repeats_avoided).toBe(1);
+  });
+
+  test("bank items the student has seen are skipped", async () => {
+    const profile = {
+      subject: "Mathematics",
+      grade: "10",
+      topic_struggles: "Patterns, Sequences & Series",
+      specific_failure: "Arithmetic sequences",
+    };
+    const first = await generateExamQuestions(profile, 1);
+    expect(first.questions[0].source).toBe("bank");
+
+    const seen = loadQuestionBank().map((item) =>
+      fingerprintQuestion(item.question)
+    );
+    const second = await generateExamQuestions(
+      { ...profile, seen_fingerprints: seen },
+      1
+    );
+    expect(second.metadata.bank).toBe(0);
+  });
+});
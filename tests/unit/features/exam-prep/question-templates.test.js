@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Parameterised Question Templates
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 13:10:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  helpers,
+  getTemplates,
+  findTemplates,
+  instantiateTemplate,
+  buildMemo,
+  generateTemplateQuestion,
+} = require("../../../../lib/features/exam-prep/question-templates");
+const { gradeAnswer } = require("../../../../lib/features/exam-prep/marking");
+
+describe("Question Template Tests", () => {
+  test("formatting helpers follow SA conventions", () => {
+    expect(helpers.fmt(2.5)).toBe("2,5");
+    expect(helpers.fmt(-3)).toBe("−3");
+    expect(helpers.money(145409.357)).toBe("R145 409,36");
+    expect(helpers.frac(6, -8)).toBe("−3/4");
+    expect(helpers.poly([[1, "x²"], [-5, "x"], [6, ""]])).toBe("x² − 5x + 6");
+    expect(helpers.line(-1, 2, 6)).toBe("−x/2 + 6");
+  });
+
+  test("the same seed rebuilds the same question", () => {
+    const profile = {
+      subject: "Mathematics",
+      grade: 10,
+      topic_struggles: "Algebra",
+      specific_failure: "Quadratic equations (solve)",
+    };
+    const a = generateTemplateQuestion(profile, { seed: 42 });
+    const b = generateTemplateQuestion(profile, { seed: 42 });
+    const c = generateTemplateQuestion(profile, { seed: 43 });
+
+    expect(a.source).toBe("template");
+    expect(a.templateId).toBe("math-quadratic-equation");
+    expect(b.questionText).toBe(a.questionText);
+    expect(c.questionText).not.toBe(a.questionText);
+  });
+
+  test("findTemplates matches subtopic first, then topic, within grade", () => {
+    const bySubtopic = findTemplates({
+      subject: "Physical Sciences",
+      grade: 12,
+      topic_struggles: "Optical Phenomena",
+      specific_failure: "Photoelectric effect",
+    });
+    expect(bySubtopic.map((t) => t.id)).toEqual(["phys-photoelectric"]);
+
+    const byTopic = findTemplates({
+      subject: "Mathematics",
+      grade: 12,
+      topic_struggles: "Differential Calculus",
+      specific_failure: "Differential Calculus fundamentals",
+    });
+    expect(byTopic.length).toBeGreaterThan(1);
+
+    // Grade 12 calculus is not offered to Grade 10
+    expect(
+      findTemplates({
+        subject: "Mathematics",
+        grade: 10,
+        specific_failure: "Rules of differentiation",
+      })
+    ).toEqual([]);
+  });
+
+  test("every template's computed answer marks as correct against its memo", () => {
+    ["Mathematics", "Physical Sciences"].forEach((subject) => {
+      getTemplates(subject).forEach((template) => {
+        for (let seed = 1; seed <= 15; seed++) {
+          const instance = instantiateTemplate(template, seed);
+          if (!instance) throw new Error(`${template.id} found no parameters`);
+
+          const solution = buildMemo(instance.steps, instance.answer);
+          const text = instance.question + solution;
+          if (/NaN|undefined|Infinity/.test(text)) {
+            throw new Error(`${template.id} (seed ${seed}) rendered: ${text}`);
+          }
+          const result = gradeAnswer(instance.answer, {
+            questionText: instance.question,
+            solution,
+          });
+          if (result.verdict !== "correct") {
+            throw new Error(
+              `${template.id} (seed ${seed}) graded ${result.verdict}: ${instance.answer}`
+            );
+          }
+        }
+      });
+    });
+  });
+});
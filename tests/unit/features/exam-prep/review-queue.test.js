@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for the Spaced-Repetition Review Queue
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 14:55:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  qualityFromOutcome,
+  addReviewItem,
+  scheduleReview,
+  dueItems,
+  reviewMenuLine,
+} = require("../../../../lib/features/exam-prep/review-queue");
+const {
+  fingerprintQuestion,
+} = require("../../../../lib/features/exam-prep/question-ledger");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-10-19T08:00:00Z");
+const ctx = {
+  subject: "Mathematics",
+  grade: 10,
+  topic: "Algebra",
+  subtopic: "Quadratic equations (solve)",
+};
+const question = {
+  questionText: "Solve for x: x² − 5x − 6 = 0",
+  solution: "**Answer:** x = 6 or x = −1",
+  source: "bank",
+  latexImage: { data: "large-base64" },
+};
+
+describe("Review Queue Tests", () => {
+  test("missed questions come back after one day, without images", () => {
+    const queue = [];
+    const item = addReviewItem(queue, question, ctx, "incorrect", NOW);
+
+    expect(item.question.questionText).toBe(question.questionText);
+    expect(item.question.latexImage).toBeUndefined();
+    expect(dueItems(queue, NOW)).toHaveLength(0);
+    expect(reviewMenuLine(queue, NOW)).toBe("");
+    expect(dueItems(queue, NOW + DAY)).toHaveLength(1);
+    expect(reviewMenuLine(queue, NOW + DAY)).toContain("Review due (1)");
+
+    // The same question missed again is re-armed, not duplicated
+    addReviewItem(queue, { ...question }, ctx, "solution", NOW + DAY);
+    expect(queue).toHaveLength(1);
+    expect(queue[0].reason).toBe("solution");
+  });
+
+  test("SM-2 intervals grow with good reviews and reset on a miss", () => {
+    const queue = [];
+    const { id } = addReviewItem(queue, question, ctx, "incorrect", NOW);
+
+    expect(qualityFromOutcome("correct")).toBe(5);
+    expect(qualityFromOutcome("correct", { hintUsed: true })).toBe(3);
+    expect(qualityFromOutcome("solution")).toBe(0);
+
+    expect(scheduleReview(queue, id, 5, NOW).interval_days).toBe(1);
+    expect(scheduleReview(queue, id, 5, NOW).interval_days).toBe(6);
+    const third = scheduleReview(queue, id, 4, NOW);
+    expect(third.interval_days).toBe(Math.round(6 * third.easiness));
+
+    const missed = scheduleReview(queue, id, 1, NOW);
+    expect(missed.repetitions).toBe(0);
+    expect(missed.interval_days).toBe(1);
+    expect(missed.easiness).toBeGreaterThanOrEqual(1.3);
+    expect(Date.parse(missed.due_at)).toBe(NOW + DAY);
+  });
+
+  test("well-learnt items retire from the queue", () => {
+    const queue = [];
+    const { id } = addReviewItem(queue, question, ctx, "incorrect", NOW);
+    let item = {};
+    for (let i = 0; i < 10 && item; i++) {
+      item = scheduleReview(queue, id, 5, NOW);
+    }
+    expect(item).toBeNull();
+    expect(queue).toHaveLength(0);
+  });
+
+  test("items share the seen-question ledger's key", () => {
+    const queue = [{ id: "old-md5-id", question: { ...question } }];
+    const item = addReviewItem(queue, question, ctx, "solution", NOW);
+    expect(item.id).toBe("old-md5-id");
+    expect(queue).toHaveLength(1);
+
+    const reworded = addReviewItem(
+      [],
+      { questionText: "**Solve for x:**  x² – 5x – 6 = 0." },
+      ctx,
+      "incorrect",
+      NOW
+    );
+    expect(reworded.id).toBe(fingerprintQuestion(question));
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for the Practice Session Report Card
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 18:20:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  ensureSession,
+  recordServed,
+  recordAction,
+  buildReport,
+  formatReport,
+  addToHistory,
+} = require("../../../../lib/features/exam-prep/session-report");
+const { recordOutcome } = require("../../../../lib/features/exam-prep/mastery");
+const { saveSessionRecord } = require("../../../../lib/core/state");
+
+const QUADRATICS = {
+  subject: "Mathematics",
+  grade: "10",
+  topic: "Algebra",
+  subtopic: "Quadratic equations (solve)",
+};
+const SEQUENCES = {
+  ...QUADRATICS,
+  topic: "Patterns, Sequences & Series",
+  subtopic: "Arithmetic sequences",
+};
+
+function practiceSession() {
+  const m = {};
+  const session = ensureSession(m);
+  session.started_at = "2026-10-19T18:00:00.000Z";
+
+  recordServed(session, { ...QUADRATICS, level: 0 });
+  recordAction(session, "partial");
+  recordAction(session, "correct");
+  recordAction(session, "incorrect");
+
+  recordServed(session, { ...QUADRATICS, level: 0 });
+  recordAction(session, "hint");
+  recordAction(session, "solution");
+
+  recordServed(session, { ...SEQUENCES, level: 1 });
+  recordAction(session, "partial");
+  return m;
+}
+
+describe("Session Report Tests", () => {
+  test("the session log is created once per practice state", () => {
+    const m = practiceSession();
+    expect(ensureSession(m)).toBe(m.session);
+    expect(m.session.questions).toHaveLength(3);
+    // Best verdict per question
+    expect(m.session.questions.map((q) => q.verdict)).toEqual([
+      "correct",
+      null,
+      "partial",
+    ]);
+  });
+
+  test("the report counts outcomes and help, and suggests a focus", () => {
+    const { session } = practiceSession();
+    const masteryStore = {};
+    recordOutcome(masteryStore, QUADRATICS, { verdict: "correct", level: 1 });
+    recordOutcome(masteryStore, SEQUENCES, { verdict: "incorrect", level: 1 });
+
+    const report = buildReport(session, {
+      masteryStore,
+      now: "2026-10-19T18:25:00.000Z",
+    });
+    expect(report).toMatchObject({
+      subject: "Mathematics",
+      grade: "10",
+      minutes: 25,
+      served: 3,
+      attempted: 2,
+      correct: 1,
+      partial: 1,
+      incorrect: 0,
+      hints: 1,
+      solutions: 1,
+      subtopics: ["Quadratic equations (solve)", "Arithmetic sequences"],
+    });
+    expect(report.next_focus).toMatchObject({
+      type: "subtopic",
+      subtopic: "Arithmetic sequences",
+    });
+
+    const text = formatReport(report);
+    expect(text).toContain("3 served • 2 answered");
+    expect(text).toContain("⏱️ Time: 25 min");
+    expect(text).toContain("🎯 Next focus: Arithmetic sequences");
+  });
+
+  test("a recurring mistake is suggested when no subtopic needs work", () => {
+    const { session } = practiceSession();
+    const report = buildReport(session, {
+      mistakes: {
+        sign_error: {
+          id: "sign_error",
+          label: "Sign error",
+          count: 3,
+          subjects: { Mathematics: 3 },
+          subtopics: {},
+        },
+      },
+    });
+    expect(report.next_focus).toEqual({
+      type: "misconception",
+      label: "Sign error",
+    });
+  });
+
+  test("reports are kept in preferences and saved when a DB exists", async () => {
+    const preferences = {};
+    for (let i = 0; i < 12; i++) addToHistory(preferences, { id: `s${i}` });
+    expect(preferences.session_history).toHaveLength(10);
+    expect(preferences.session_history[0].id).toBe("s11");
+
+    // No Supabase credentials in tests → nothing stored, no throw
+    await expect(saveSessionRecord("user-1", { id: "s1" })).resolves.toBe(
+      false
+    );
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for Step-by-Step Solution Reveal
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 17:05:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const {
+  splitSolutionSteps,
+  startSteps,
+  nextStep,
+  isComplete,
+  revealStep,
+  stepHint,
+  attemptStep,
+  solveRemaining,
+  helpShare,
+  helpSummary,
+  formatShownSteps,
+} = require("../../../../lib/features/exam-prep/solution-steps");
+const { outcomeCredit } = require("../../../../lib/features/exam-prep/mastery");
+
+const QUADRATIC = {
+  questionText: "Solve for x: x² − 5x − 6 = 0",
+  solution:
+    "**Step 1:** Factorise → (x − 6)(x + 1) = 0\n**Step 2:** Zero product → x − 6 = 0 or x + 1 = 0\n**Answer:** x = 6 or x = −1 ✓",
+};
+
+describe("Solution Step Tests", () => {
+  test("memos are split into labelled steps", () => {
+    expect(splitSolutionSteps(QUADRATIC.solution)).toEqual([
+      { label: "Step 1", text: "Factorise → (x − 6)(x + 1) = 0" },
+      { label: "Step 2", text: "Zero product → x − 6 = 0 or x + 1 = 0" },
+      { label: "Answer", text: "x = 6 or x = −1" },
+    ]);
+
+    // Part headings label the steps under them
+    const parts = splitSolutionSteps(
+      "**1.1**\n**Answer:** 21\n**1.2**\nd = 4\nTₙ = 5 + (n − 1)(4)\n**Answer:** Tₙ = 4n + 1"
+    );
+    expect(parts.map((s) => s.label)).toEqual([
+      "1.1 · Answer",
+      "1.2 · Step 1",
+      "1.2 · Answer",
+    ]);
+    expect(parts[1].text).toBe("d = 4\nTₙ = 5 + (n − 1)(4)");
+
+    // Unmarked memos go line by line; a one-line memo has nothing to step
+    expect(splitSolutionSteps("Inflation rises\nPrices go up")).toHaveLength(2);
+    expect(startSteps("**Answer:** x = 4")).toBeNull();
+  });
+
+  test("steps can be revealed, hinted or worked out", () => {
+    const progress = startSteps(QUADRATIC.solution);
+    expect(nextStep(progress).label).toBe("Step 1");
+
+    revealStep(progress);
+    expect(formatShownSteps(progress)).toBe(
+      "👉 Step 1: Factorise → (x − 6)(x + 1) = 0"
+    );
+
+    expect(stepHint(progress)).toBe("Step 2: Zero product");
+    expect(
+      attemptStep(progress, "x − 4 = 0 or x + 9 = 0", QUADRATIC)
+    ).toMatchObject({ solved: false, verdict: "incorrect" });
+    expect(
+      attemptStep(progress, "x + 1 = 0, x - 6 = 0", QUADRATIC).solved
+    ).toBe(true);
+    expect(formatShownSteps(progress)).toContain("👉 Step 2: ✅ Zero product");
+
+    solveRemaining(progress);
+    expect(isComplete(progress)).toBe(true);
+    expect(helpSummary(progress)).toEqual({
+      steps: 3,
+      revealed: 1,
+      hinted: 1,
+      solved: 2,
+      help_share: 0.47,
+    });
+  });
+
+  test("help share lowers the mastery credit", () => {
+    const alone = startSteps(QUADRATIC.solution);
+    solveRemaining(alone);
+    expect(helpShare(alone)).toBe(0);
+
+    const shown = startSteps(QUADRATIC.solution);
+    revealStep(shown, { all: true });
+    expect(helpShare(shown)).toBe(1);
+
+    expect(outcomeCredit("correct", { stepHelp: 0 })).toBe(1);
+    expect(outcomeCredit("correct", { stepHelp: 0.47 })).toBeCloseTo(0.53);
+    expect(outcomeCredit("correct", { stepHelp: 1 })).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for the Solution Verifier
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 13:45:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const OpenAI = require("openai");
+const {
+  VERIFICATION_STATUS,
+  verifySolution,
+  findRoots,
+  extractEquations,
+} = require("../../../../lib/features/exam-prep/solution-verifier");
+const {
+  getTemplates,
+  generateTemplateQuestion,
+} = require("../../../../lib/features/exam-prep/question-templates");
+const {
+  generateExamQuestions,
+} = require("../../../../lib/features/exam-prep/questions");
+
+const { VERIFIED, MISMATCH, UNVERIFIABLE } = VERIFICATION_STATUS;
+
+function check(questionText, answer) {
+  return verifySolution({
+    questionText,
+    solution: `**Step 1:** Working\n**Answer:** ${answer}`,
+    source: "ai",
+  });
+}
+
+describe("Solution Verifier Tests", () => {
+  test("equations are re-solved, including missing and extra roots", () => {
+    const roots = findRoots(
+      extractEquations("Solve for x: x² − 5x + 6 = 0")[0],
+      "x"
+    );
+    expect(roots.map((r) => Math.round(r))).toEqual([2, 3]);
+
+    expect(check("Solve for x: x² − 5x + 6 = 0", "x = 2 or x = 3").status).toBe(
+      VERIFIED
+    );
+    expect(check("Solve for x: x² − 5x + 6 = 0", "x = 3").status).toBe(
+      MISMATCH
+    );
+    expect(check("Solve 2x + 3 = 11.", "x = 5").status).toBe(MISMATCH);
+    expect(check("Solve for x: (x − 2)² = 0", "x = 2").status).toBe(VERIFIED);
+    expect(check("Solve for x: 2^(x + 1) = 32", "x = 4").status).toBe(VERIFIED);
+    expect(check("Solve for x: x² + 4 = 0", "No real solutions").status).toBe(
+      VERIFIED
+    );
+    expect(
+      check("Solve for x and y: y = 2x − 1 and 3x + y = 9", "x = 2; y = 3")
+        .status
+    ).toBe(VERIFIED);
+    expect(
+      check("Solve for x and y: y = 2x − 1 and 3x + y = 9", "x = 3; y = 5")
+        .status
+    ).toBe(MISMATCH);
+  });
+
+  test("expressions, sequences and finance items are recomputed", () => {
+    expect(check("Simplify: (2x³)² × 3x⁻⁴", "12x²").status).toBe(VERIFIED);
+    expect(check("Simplify: (2x³)² × 3x⁻⁴", "6x²").status).toBe(MISMATCH);
+    expect(check("Evaluate: 8^(2/3) + 3⁰", "5").status).toBe(VERIFIED);
+
+    const arithmetic =
+      "Consider the arithmetic sequence 5; 9; 13; …\nDetermine T₂₀.";
+    expect(check(arithmetic, "T₂₀ = 81").status).toBe(VERIFIED);
+    expect(check(arithmetic, "T₂₀ = 85").status).toBe(MISMATCH);
+    expect(
+      check(
+        "Determine the general term of the pattern 3; 7; 11; …",
+        "Tₙ = 4n − 1"
+      ).status
+    ).toBe(VERIFIED);
+    expect(
+      check(
+        "Calculate the sum of the first 6 terms of the series 2 + 6 + 18 + … i.e. 2; 6; 18; …",
+        "S₆ = 728"
+      ).status
+    ).toBe(VERIFIED);
+
+    const invest =
+      "R5 000 is invested at 8% p.a. compounded monthly. Calculate the value of the investment after 3 years.";
+    expect(check(invest, "R6 351,19").status).toBe(VERIFIED);
+    expect(check(invest, "R6 200,00").status).toBe(MISMATCH);
+    expect(
+      check(
+        "A loan of R200 000 is repaid with monthly payments over 20 years at 10% p.a. compounded monthly. Calculate the monthly payment.",
+        "R1 930,04"
+      ).status
+    ).toBe(VERIFIED);
+  });
+
+  test("small quantities are compared at the memo's precision", () => {
+    const small = "Solve for x: 250x = 3";
+    expect(check(small, "x = 0,012").status).toBe(VERIFIED);
+    expect(check(small, "x = 0,01").status).toBe(VERIFIED);
+    expect(check(small, "x = 0,004").status).toBe(MISMATCH);
+    expect(check("Evaluate: 3/250", "0,004").status).toBe(MISMATCH);
+    expect(check("Solve for x: 3x = 1", "x = 0,33").status).toBe(VERIFIED);
+  });
+
+  test("anything it cannot read is unverifiable, never a mismatch", () => {
+    expect(
+      check("Explain the causes of inflation.", "Demand-pull and cost-push")
+        .status
+    ).toBe(UNVERIFIABLE);
+    expect(check("Solve for θ: 2 sin θ = 1", "θ = 30°").status).toBe(
+      UNVERIFIABLE
+    );
+    expect(check("Solve for x: x² = 9", "").status).toBe(UNVERIFIABLE);
+    expect(verifySolution({ source: "template" }).status).toBe(VERIFIED);
+  });
+
+  test("correct template memos are never reported as mismatches", () => {
+    for (const subject of ["Mathematics", "Physical Sciences"]) {
+      for (const template of getTemplates(subject)) {
+        for (let seed = 1; seed <= 5; seed++) {
+          const q = generateTemplateQuestion(
+            { subject },
+            { seed, templateId: template.id }
+          );
+          const { status } = verifySolution({ ...q, source: "ai" });
+          expect(`${template.id}:${status}`).not.toBe(
+            `${template.id}:${MISMATCH}`
+          );
+        }
+      }
+    }
+  });
+
+  test("generateExamQuestions regenerates, then drops a wrong AI memo", async () => {
+    const create = OpenAI.mock.results[0].value.chat.completions.create;
+    const wrong = [
+      {
+        choices: [{ message: { content: "Solve for x: 3x − 4 = 11" } }],
+        usage: {},
+      },
+      {
+        choices: [{ message: { content: "Step 1: 3x = 15\nAnswer: x = 6" } }],
+        usage: {},
+      },
+    ];
+    create
+      .mockResolvedValueOnce(wrong[0])
+      .mockResolvedValueOnce(wrong[1])
+      .mockResolvedValueOnce(wrong[0])
+      .mockResolvedValueOnce(wrong[1]);
+
+    const { questions, metadata } = await generateExamQuestions(
+      {
+        subject: "Mathematics",
+        grade: "10",
+        topic_struggles: "Algebra",
+        specific_failure: "Linear equations (verification test)",
+      },
+      1
+    );
+
+    expect(create).toHaveBeenCalledTimes(4);
+    expect(questions[0].source).not.toBe("ai");
+    expect(questions[0].verification.replaced.status).toBe(MISMATCH);
+    expect(questions[0].verification.replaced.expected).toEqual([5]);
+    expect(metadata.ai_rejected).toBe(1);
+  });
+});
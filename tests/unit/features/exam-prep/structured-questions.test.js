@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for Structured (Multi-Part) Questions
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 16:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+const OpenAI = require("openai");
+const {
+  parseStructuredQuestion,
+  structureQuestion,
+  startParts,
+  currentPart,
+  gradePart,
+  recordPart,
+  runningTotal,
+  overallVerdict,
+  formatPartPrompt,
+} = require("../../../../lib/features/exam-prep/structured-questions");
+const {
+  loadQuestionBank,
+  toExamQuestion,
+} = require("../../../../lib/features/exam-prep/question-bank");
+const {
+  generateExamQuestions,
+} = require("../../../../lib/features/exam-prep/questions");
+const {
+  markResponse,
+} = require("../../../../lib/features/exam-prep/mock-exam");
+
+function bankQuestion(id) {
+  const item = loadQuestionBank().find((i) => i.id === id);
+  return structureQuestion(toExamQuestion(item));
+}
+
+function aiReply(content) {
+  return { choices: [{ message: { content } }], usage: {} };
+}
+
+describe("Structured Question Tests", () => {
+  test("numbered bank items get a stem, parts, marks and per-part memos", () => {
+    const { structure } = bankQuestion("math-g10-seq-arith-02");
+
+    expect(structure.stem).toContain("5 ; 9 ; 13");
+    expect(structure.parts.map((p) => p.label)).toEqual([
+      "1.1",
+      "1.2",
+      "1.3",
+      "1.4",
+    ]);
+    expect(structure.parts.map((p) => p.marks)).toEqual([1, 2, 2, 2]);
+    expect(structure.totalMarks).toBe(7);
+    expect(structure.parts[2].memo).toContain("T₂₀ = 81");
+    expect(structure.parts[2].memo).not.toContain("n = 50");
+  });
+
+  test("headings, decimal lines and lettered items are handled", () => {
+    const nested = parseStructuredQuestion({
+      questionText:
+        "Given f(x) = x² − 4.\n2.5 is not a part label here\n1.1 Write down the y-intercept of f. (1)\n1.2 Consider g(x) = 2x.\n1.2.1 Calculate g(3). (1)\n1.2.2 Solve f(x) = g(x). (3)",
+      solution:
+        "**1.1**\n**Answer:** y = −4\n**1.2.1**\n**Answer:** 6\n**1.2.2**\nx² − 2x − 4 = 0\n**Answer:** x = 1 ± √5",
+    });
+    expect(nested.stem).toContain("2.5 is not a part label");
+    expect(nested.parts.map((p) => p.label)).toEqual(["1.1", "1.2.1", "1.2.2"]);
+    expect(nested.parts[2].context).toBe("Consider g(x) = 2x.");
+    expect(nested.totalMarks).toBe(5);
+
+    // Lettered items are renumbered and share the item's marks
+    const lettered = parseStructuredQuestion({
+      questionText:
+        "A rectangle has a perimeter of 20 cm.\na) Find x.\nb) Find the area.",
+      solution: "a) x = 4\nb) Area = 24 cm²",
+      marks: 5,
+    });
+    expect(lettered.parts.map((p) => [p.label, p.marks])).toEqual([
+      ["1.1", 2],
+      ["1.2", 3],
+    ]);
+
+    // Single questions and memos missing a part stay unstructured
+    expect(
+      parseStructuredQuestion({
+        questionText: "Solve for x: 2x = 8",
+        solution: "**Answer:** x = 4",
+      })
+    ).toBeNull();
+    expect(
+      parseStructuredQuestion({
+        questionText: "1.1 Solve 2x = 8. (2)\n1.2 Solve 3y = 9. (2)",
+        solution: "**1.1**\n**Answer:** x = 4",
+      })
+    ).toBeNull();
+  });
+
+  test("parts are marked one by one with a running total", () => {
+    const question = bankQuestion("math-g10-seq-arith-02");
+    startParts(question);
+    expect(formatPartPrompt(question)).toContain("👉 *1.1*");
+
+    const first = gradePart(question, "21");
+    expect(first).toMatchObject({ verdict: "correct", awarded: 1, marks: 1 });
+    recordPart(question, first);
+
+    recordPart(question, gradePart(question, "4n + 1"));
+    const wrong = gradePart(question, "T20 = 80");
+    expect(wrong.awarded).toBe(0);
+    recordPart(question, wrong);
+    expect(runningTotal(question)).toEqual({
+      awarded: 3,
+      attempted: 5,
+      total: 7,
+    });
+    expect(formatPartPrompt(question, { withStem: false })).toContain(
+      "Running total: 3/5"
+    );
+
+    expect(recordPart(question, { verdict: "solution" })).toBe(true);
+    expect(currentPart(question)).toBeNull();
+    expect(overallVerdict(question)).toBe("partial");
+  });
+
+  test("structured AI items are verified part by part", async () => {
+    const create = OpenAI.mock.results[0].value.chat.completions.create;
+    const question = aiReply(
+      "Solve the following equations.\n1.1 Solve for x: 3x − 4 = 11 (2)\n1.2 Solve for y: 2y + 1 = 9 (2)"
+    );
+    create
+      .mockResolvedValueOnce(question)
+      .mockResolvedValueOnce(
+        aiReply(
+          "**1.1**\n3x = 15\n**Answer:** x = 5\n**1.2**\n2y = 8\n**Answer:** y = 5"
+        )
+      )
+      .mockResolvedValueOnce(question)
+      .mockResolvedValueOnce(
+        aiReply(
+          "**1.1**\n3x = 15\n**Answer:** x = 5\n**1.2**\n2y = 8\n**Answer:** y = 4"
+        )
+      );
+
+    const { questions, metadata } = await generateExamQuestions(
+      {
+        subject: "Mathematics",
+        grade: "10",
+        topic_struggles: "Algebra",
+        specific_failure: "Linear equations (structured test)",
+        structured: true,
+      },
+      1
+    );
+
+    expect(create).toHaveBeenCalledTimes(4);
+    expect(create.mock.calls[0][0].messages[0].content).toContain(
+      "numbered 1.1, 1.2"
+    );
+    expect(questions[0].source).toBe("ai");
+    expect(questions[0].verification.attempts).toBe(2);
+    expect(questions[0].structure.parts[1].memo).toContain("y = 4");
+    expect(metadata.structured).toBe(1);
+  });
+
+  test("mock exams mark structured items against each part's memo", () => {
+    const question = bankQuestion("phys-g10-mech-motion-02");
+    const item = {
+      number: 3,
+      marks: 6,
+      question: {
+        questionText: question.questionText,
+        solution: question.solution,
+        parts: question.structure.parts.map((p) => ({
+          label: p.label.replace(/^1/, "3"),
+          marks: p.marks,
+          memo: p.memo,
+        })),
+      },
+    };
+
+    const marked = markResponse(item, "a = 2,5 m·s⁻²\nΔx = 60 m");
+    expect(marked.parts.map((p) => [p.label, p.awarded])).toEqual([
+      ["3.1", 3],
+      ["3.2", 0],
+    ]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for the Academic Integrity Guard
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 22:10:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+// Events in memory only (no integrity_events table in tests)
+jest.mock("@supabase/supabase-js", () => ({ createClient: () => null }));
+jest.mock("../../../../lib/features/homework/image-ocr", () => ({
+  ...jest.requireActual("../../../../lib/features/homework/image-ocr"),
+  processHomeworkImage: jest.fn(),
+}));
+
+const llm = require("../../../../lib/core/llm-gateway");
+const analyticsModule = require("../../../../lib/utils/analytics");
+const {
+  processHomeworkImage,
+} = require("../../../../lib/features/homework/image-ocr");
+const {
+  ConsolidatedHomeworkHelp,
+} = require("../../../../lib/features/homework/processor");
+const {
+  assessUpload,
+  getIntegrityEvents,
+} = require("../../../../lib/features/homework/integrity-guard");
+
+class MockResponse {
+  constructor() {
+    this.data = null;
+    this.statusCode = 200;
+  }
+
+  json(data) {
+    this.data = data;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+}
+
+const EXAM_PAPER = `GRADE 10 MATHEMATICS CONTROLLED TEST
+Time: 2 hours
+Total: 100 marks
+INSTRUCTIONS AND INFORMATION
+Answer ALL the questions.
+QUESTION 1
+1. Solve for x: 2x + 5 = 15 (3)
+2. Factorise fully: x² + 5x + 6 (2)
+3. Simplify 3(x - 2) + 4x (2)
+[7]`;
+
+const WORKSHEET = `Homework: linear equations (Total: 10 marks)
+1. Solve for x: 3x - 4 = 11
+2. Solve for x: 5x + 2 = 17`;
+
+// The OCR step is mocked; the bytes only need to pass validateImage
+const IMAGE = Buffer.alloc(200, 1).toString("base64");
+
+async function send(helper, body) {
+  const res = new MockResponse();
+  await helper.processHomeworkRequest({ body }, res);
+  return res.data;
+}
+
+describe("Academic Integrity Guard Tests", () => {
+  test("assessment layout is scored from the OCR text", () => {
+    const exam = assessUpload(EXAM_PAPER);
+    expect(exam.likely).toBe(true);
+    expect(exam.signals).toEqual(
+      expect.arrayContaining([
+        "assessment_title",
+        "time_allowed",
+        "total_marks",
+        "candidate_instructions",
+        "mark_allocations",
+      ])
+    );
+    expect(exam.timeAllowedMs).toBe(2 * 60 * 60 * 1000);
+
+    expect(
+      assessUpload("Time: 90 minutes\nTotal: 50 marks\n1. Define osmosis")
+    ).toMatchObject({ likely: true, timeAllowedMs: 90 * 60 * 1000 });
+
+    // A marks total on its own is normal for homework
+    expect(assessUpload(WORKSHEET)).toMatchObject({
+      likely: false,
+      signals: ["total_marks"],
+    });
+    expect(
+      assessUpload("The car travels for a total time of 3 hours").score
+    ).toBe(0);
+  });
+
+  test("assessment words inside questions don't count", () => {
+    const cells = assessUpload(`Life Sciences worksheet: cells
+1.1 Describe the microscopic examination of onion cells. (3)
+1.2 Name two organelles found only in plant cells. (2)
+1.3 Explain why a plant cell keeps its shape. (2)`);
+    expect(cells.likely).toBe(false);
+    expect(cells.signals).not.toContain("assessment_title");
+
+    const motion = assessUpload(`Motion homework
+1. A truck drives for a time 2 hours at 80 km/h. Calculate the distance.
+2. A learner scores total marks = 45 out of 50. Give the percentage.
+3. Read the controlled test results in the table and answer all the questions below.`);
+    expect(motion).toMatchObject({
+      likely: false,
+      score: 0,
+      timeAllowedMs: null,
+    });
+  });
+
+  test("a live test upload gets concept-only help and is logged", async () => {
+    const original = llm.setProvider(
+      llm.createFakeProvider({
+        respond: () =>
+          "Factorising reverses expanding: a trinomial becomes a product of two brackets whose terms multiply and add to the right values.",
+      })
+    );
+    const track = jest.spyOn(analyticsModule, "trackEvent");
+    const helper = new ConsolidatedHomeworkHelp();
+    processHomeworkImage.mockResolvedValue({
+      success: true,
+      text: EXAM_PAPER,
+      confidence: 0.9,
+      imageHash: "exam-hash",
+    });
+
+    const upload = await send(helper, { psid: "tester", imageData: IMAGE });
+    expect(upload.status).toBe("concept_only");
+    expect(upload.message).toContain("looks like a test or exam paper");
+
+    const first = await send(helper, { psid: "tester", message: "1" });
+    expect(first.message).toContain("Concept refresher");
+    expect(first.message).toContain("Whatever you do to one side");
+    expect(first.message).not.toContain("Move numbers to one side");
+
+    const second = await send(helper, { psid: "tester", message: "more" });
+    expect(second.message).toContain("Factorising reverses expanding");
+
+    // Cropping to a single question in a new session keeps the strict mode
+    // for the sitting
+    await send(helper, { psid: "tester", message: "new session" });
+    processHomeworkImage.mockResolvedValue({
+      success: true,
+      text: "1. Solve for x: 2x + 5 = 15",
+      confidence: 0.9,
+      imageHash: "crop-hash",
+    });
+    expect(
+      (await send(helper, { psid: "tester", imageData: IMAGE })).status
+    ).toBe("concept_only");
+
+    expect(getIntegrityEvents({ userId: "tester" })).toEqual([
+      expect.objectContaining({
+        action: "concept_only_carryover",
+        image_hash: "crop-hash",
+        question_count: 1,
+      }),
+      expect.objectContaining({
+        action: "concept_only",
+        image_hash: "exam-hash",
+        signals: expect.arrayContaining(["assessment_title"]),
+      }),
+    ]);
+    expect(track).toHaveBeenCalledWith(
+      "tester",
+      "integrity_flagged",
+      expect.objectContaining({ action: "concept_only" })
+    );
+
+    // Other students' homework is unaffected
+    processHomeworkImage.mockResolvedValue({
+      success: true,
+      text: WORKSHEET,
+      confidence: 0.9,
+      imageHash: "worksheet-hash",
+    });
+    const homework = await send(helper, { psid: "other", imageData: IMAGE });
+    expect(homework.status).toBe("success");
+    expect(homework.message).toContain("giving you a hard time");
+
+    track.mockRestore();
+    llm.setProvider(original);
+  });
+});
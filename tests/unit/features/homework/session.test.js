@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for Multi-page Homework Sessions
+ * GOAT Bot 2.0
+ * Created: 2026-10-19 22:40:00 UTC
+ * Developer: DithetoMokgabudi
+ */
+
+jest.mock("@supabase/supabase-js", () => ({ createClient: () => null }));
+jest.mock("../../../../lib/features/homework/image-ocr", () => ({
+  ...jest.requireActual("../../../../lib/features/homework/image-ocr"),
+  processHomeworkImage: jest.fn(),
+}));
+
+const {
+  processHomeworkImage,
+} = require("../../../../lib/features/homework/image-ocr");
+const {
+  ConsolidatedHomeworkHelp,
+} = require("../../../../lib/features/homework/processor");
+const {
+  createSession,
+  addPage,
+} = require("../../../../lib/features/homework/session");
+
+class MockResponse {
+  constructor() {
+    this.data = null;
+    this.statusCode = 200;
+  }
+
+  json(data) {
+    this.data = data;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+}
+
+// The OCR step is mocked; the bytes only need to pass validateImage
+const IMAGE = Buffer.alloc(200, 1).toString("base64");
+
+const PAGE_ONE = `1. Solve for x: 2x + 5 = 15
+2. Factorise fully: x² + 5x + 6
+3. Simplify the expression 3x + 4x - 2 and state the coefficient`;
+
+// Overlapping photo: repeats question 3 and continues at 4
+const PAGE_TWO = `3. Simplify the expression 3x + 4x - 2 and state the coefficient of x
+4. Solve for x: 3x - 4 = 11`;
+
+function question(number, text) {
+  return { number, text, type: "unknown", confidence: 0.9 };
+}
+
+function page(imageHash, questions) {
+  return { imageHash, extractedText: "", ocrConfidence: 0.9, questions };
+}
+
+async function send(helper, body) {
+  const res = new MockResponse();
+  await helper.processHomeworkRequest({ body }, res);
+  return res.data;
+}
+
+function uploadPage(helper, psid, text, imageHash) {
+  processHomeworkImage.mockResolvedValueOnce({
+    success: true,
+    text,
+    confidence: 0.9,
+    imageHash,
+  });
+  return send(helper, { psid, imageData: IMAGE });
+}
+
+describe("Homework Session Tests", () => {
+  test("pages merge with stable numbers, page tags and no duplicates", () => {
+    const session = createSession();
+    addPage(
+      session,
+      page("a", [
+        question(1, "Solve for x: 2x + 5 = 15"),
+        question(2, "Factorise x² - 9"),
+      ])
+    );
+
+    // Numbering restarts on the next page: continue after 2
+    const second = addPage(
+      session,
+      page("b", [
+        question(1, "Solve for x:  2X + 5 = 15"),
+        question(2, "Solve for x: 2x - 5 = 15"),
+      ])
+    );
+    expect(second).toMatchObject({ page: 2, repeated: 1 });
+    expect(session.questions.map((q) => [q.number, q.page])).toEqual([
+      [1, 1],
+      [2, 1],
+      [3, 2],
+    ]);
+    expect(session.questions[2]).toMatchObject({
+      text: "Solve for x: 2x - 5 = 15",
+      printedNumber: 2,
+    });
+
+    // Printed numbers that continue the worksheet are kept
+    addPage(session, page("c", [question(7, "Draw the graph of y = 2x + 1")]));
+    expect(session.questions.map((q) => q.number)).toEqual([1, 2, 3, 7]);
+
+    expect(addPage(session, page("a", []))).toMatchObject({
+      duplicatePage: true,
+    });
+    expect(session.pages).toHaveLength(3);
+  });
+
+  test("students collect pages, finish with done and start over", async () => {
+    const helper = new ConsolidatedHomeworkHelp();
+
+    const first = await uploadPage(helper, "pages", PAGE_ONE, "p1");
+    expect(first.message).toContain("Found 3 questions");
+    expect(first.message).toContain("type *done*");
+    expect(first.message).not.toContain("_(page");
+
+    const second = await uploadPage(helper, "pages", PAGE_TWO, "p2");
+    expect(second.message).toContain(
+      "Page 2 added:** 1 new question (1 already listed) – 4 in total."
+    );
+    expect(second.message).toContain(
+      "**1.** Solve for x: 2x + 5 = 15... _(page 1)_"
+    );
+    expect(second.message).toContain(
+      "**4.** Solve for x: 3x - 4 = 11... _(page 2)_"
+    );
+
+    const again = await uploadPage(helper, "pages", PAGE_TWO, "p2");
+    expect(again.status).toBe("duplicate_page");
+
+    const done = await send(helper, { psid: "pages", message: "done" });
+    expect(done.message).toContain("4 questions from 2 pages");
+
+    const hint = await send(helper, { psid: "pages", message: "4" });
+    expect(hint.message).toContain("Hint");
+    expect(
+      helper.getOrCreateUser("pages").context.selectedQuestion
+    ).toMatchObject({ number: 4, page: 2 });
+
+    // After done, the next photo is a new worksheet
+    const next = await uploadPage(helper, "pages", PAGE_TWO, "p3");
+    expect(next.message).toContain("Found 2 questions");
+
+    const reset = await send(helper, { psid: "pages", message: "new session" });
+    expect(reset.message).toContain("New homework session");
+    expect(helper.getOrCreateUser("pages").context).toEqual({});
+  });
+
+  test("hint activity keeps the session open", async () => {
+    const helper = new ConsolidatedHomeworkHelp();
+    const later = (minutes) =>
+      jest.setSystemTime(Date.now() + minutes * 60 * 1000);
+
+    await uploadPage(helper, "slow", PAGE_ONE, "s1");
+    expect(
+      (await send(helper, { psid: "slow", message: "1" })).message
+    ).toContain("Hint");
+    later(20);
+    await send(helper, { psid: "slow", message: "more" });
+    later(20);
+    await send(helper, { psid: "slow", message: "I don't understand" });
+    later(20);
+
+    // 60 minutes after page 1, but never 30 minutes idle
+    const second = await uploadPage(helper, "slow", PAGE_TWO, "s2");
+    expect(second.message).toContain("Page 2 added");
+    expect(
+      helper.getOrCreateUser("slow").context.session.questions
+    ).toHaveLength(4);
+
+    // Real silence still ends it
+    later(31);
+    const fresh = await uploadPage(helper, "slow", PAGE_ONE, "s3");
+    expect(fresh.message).toContain("Found 3 questions");
+  });
+});